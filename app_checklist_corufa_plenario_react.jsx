@@ -1,89 +1,406 @@
-import React, { useMemo, useState } from "react";
-import { ExpedienteProvider, useExpediente, DEFAULT_LIMITS, EMPTY_EXPEDIENTE } from "./src/context/ExpedienteContext.js";
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  ExpedienteProvider,
+  useExpediente,
+  DEFAULT_LIMITS,
+  DEFAULT_REQUISITOS,
+  EMPTY_ANEXO,
+  EMPTY_DATOS_DOC,
+  EMPTY_EXPEDIENTE,
+  EMPTY_MUESTREO,
+  EMPTY_VISADO,
+} from "./src/context/ExpedienteContext.js";
+import { formatearCuit, validarCuit } from "./src/utils/cuit.js";
+import { aGaussKruger, fmtDecimal, parseCoordenadas } from "./src/utils/coordenadas.js";
+import { nombreFeature, normalizarNombre, validarCapaDepartamentos, verificarUbicacion } from "./src/utils/geo.js";
+import { DEPARTAMENTOS_ENTRE_RIOS } from "./src/data/departamentosEntreRios.js";
+import { checkHidraulica, HORAS_ANIO } from "./src/utils/hidraulica.js";
+import { indicadoresHidroquimicos } from "./src/utils/hidroquimica.js";
+import { clonarCuadro, cuadroVigente, fmtMoney, validarBandas, validarVigencias } from "./src/utils/tarifas.js";
+import {
+  cumpleCondicion,
+  describirCondicion,
+  escribirRuta,
+  evaluarRequisitos,
+  EXIGENCIAS,
+  leerRuta,
+  OPERADORES,
+  seccionAprueba,
+} from "./src/utils/requisitos.js";
+import { PARAMETROS_ANALISIS, PARAMETROS_MICRO, USOS } from "./src/data/parametros.js";
+import { controlarMuestreo, muestreosOrdenados, muestreoVigente, nombreMuestreo, siguienteIdMuestreo } from "./src/utils/muestreos.js";
+import { anclaCampo, observacionesExpediente, SECCIONES_OBSERVACION } from "./src/utils/observaciones.js";
+import { leerPadronCsv, validarRegistroPerforista } from "./src/utils/padron.js";
+import { decodificar, MAX_HISTORIAL, registrarCambios } from "./src/utils/historial.js";
+import {
+  CAMPO_EXPEDIENTE,
+  CAMPO_FECHA,
+  CAMPO_PROTOCOLO,
+  cambiosAplicables,
+  depurarMapeo,
+  previsualizarAnalisis,
+} from "./src/utils/importAnalisis.js";
+import {
+  evaluarResultado,
+  lecturaResultado,
+  leerResultado,
+  medicion,
+  numeroLaboratorio,
+  textoResultado,
+  unidadesPara,
+  valoresExactos,
+  withinRange,
+} from "./src/utils/resultados.js";
+import { CAMPOS_BASICOS, CAMPOS_CALCULADOS, CAMPOS_FIRMAS, CAMPOS_META, CAMPOS_TECNICOS } from "./src/data/campos.js";
+import { crearExportacion, informeTieneHallazgos, leerExportacion, SCHEMA_VERSION } from "./src/context/schema.js";
+import { leerArchivo } from "./src/context/archivos.js";
+import { estadoSyncVacio, marcarPendientes } from "./src/context/sincronizacion.js";
+import {
+  anexosDeItem,
+  docsConArchivo,
+  esPrevisualizable,
+  formatearTamano,
+  nombresUnicos,
+  sha256Hex,
+  siguienteIdAnexo,
+} from "./src/utils/anexos.js";
+import { crc32, crearZip } from "./src/utils/zip.js";
+import { CAMPOS_DATOS_DOC, claveDocumento, validarDocumentos } from "./src/utils/documentos.js";
+import { escaparHtml, generarDictamenHtml, hashExpediente, jsonCanonico, normalizarHash } from "./src/utils/dictamen.js";
+import { escribirCsv, parsearCsv } from "./src/utils/csv.js";
+import {
+  aplicarTransicion,
+  esReapertura,
+  estaCongelado,
+  ESTADOS_TRAMITE,
+  etiquetaEstado,
+  transicionesPosibles,
+  validarTransicion,
+} from "./src/utils/tramite.js";
+import { generarOrdenDelDiaHtml, ordenDelDia, ordenDelDiaCsv, totalesPorCategoria } from "./src/utils/plenario.js";
+import { enRangoFechas, tablaCsv, tablasEstadisticas } from "./src/utils/estadisticas.js";
+import { fusionarExpedientes, fusionarVersiones, resolverConflictos, textoConflicto } from "./src/utils/sincronizacion.js";
+import {
+  esClavePublica,
+  ESTADOS_FIRMA,
+  firmarExportacion,
+  generarClaves,
+  huellaClave,
+  huellaCorta,
+  verificarExportacion,
+} from "./src/utils/firmaDigital.js";
+import {
+  BLOQUE_SECCION,
+  controlarVisados,
+  estaVisada,
+  etiquetaRol,
+  firmantesBloque,
+  invalidarVisados,
+  ROLES_VISADO,
+} from "./src/utils/visados.js";
 
 /**
  * App Checklist CORUFA – Plenario
  *
  * Objetivo: filtrar legajos antes del Plenario para que solo lleguen expedientes completos.
  * - Semáforos por bloque (Datos básicos, Técnicos, Documentación, Análisis, Firmas)
- * - Cálculo de tasa anual (según volumen declarado) y categoría I–V
- * - Validación de parámetros de agua contra valores de referencia EDITABLES
- * - Resultado final automático (Aprobado / No aprobado)
- * - Guardado local (localStorage), exportar/importar JSON, imprimir reporte
- * - Validación de padrón de perforistas por N° de registro
- * - Carga masiva de análisis por CSV
+ * - Cálculo de tasa anual (según volumen declarado) y categoría I–V con cuadros tarifarios por vigencia
+ * - Consistencia caudal × horas vs. volumen anual y plausibilidad por diámetro/profundidad
+ * - Indicadores hidroquímicos: balance iónico, RAS y clase de riego, dureza y STD calculados
+ * - Validación de parámetros de agua contra perfiles de referencia EDITABLES según el uso declarado
+ * - Resultado final automático (Aprobado / No aprobado) con requisitos y fórmula configurables
+ * - Observaciones detalladas del veredicto, con severidad y enlace a cada campo
+ * - Visado por sección con nombre, rol y fecha: el bloque administrativo y el técnico los visan personas
+ *   distintas, cada una con su rol; sin todos los visados no se aprueba
+ * - Validación de CUIT/CUIL (dígito verificador AFIP, persona física/jurídica)
+ * - Coordenadas: lectura GMS/decimal, control dentro de Entre Ríos y POSGAR 2007 Gauss-Krüger faja 5
+ * - Mapa offline de departamentos y control de departamento/localidad por punto en polígono
+ * - Bandeja de legajos: varios expedientes por N°, con búsqueda, duplicado y archivo
+ * - Estados del trámite (borrador, en revisión, observado, apto, elevado, resuelto) con pases guardados por el
+ *   veredicto y registrados con usuario, fecha y comentario; desde "apto" el legajo queda congelado hasta reabrirlo
+ * - Sesiones del Plenario: orden del día numerado con los legajos aptos (cada uno queda elevado a esa sesión),
+ *   totales de tasa por categoría, impresión y CSV
+ * - Estadísticas de los legajos guardados por período: estados, veredicto, departamento, acuífero, uso, tasa por
+ *   categoría y frecuencia de fallas por parámetro, cada tabla exportable a CSV
+ * - Historial de cambios por campo (quién, cuándo, antes/después) con deshacer/rehacer
+ * - Guardado local (localStorage), exportar/importar JSON versionado con migraciones
+ * - Exportaciones firmadas (ECDSA P-256, clave del revisor en el equipo); al importar se informa si la firma es
+ *   válida, si el archivo se alteró o si viene sin firmar, contra las claves de confianza de Configuración
+ * - Sincronización opcional con un servidor de la red local (servidor/sincronizacion.mjs): cola de cambios sin
+ *   conexión, revisión por documento y conflictos resueltos campo por campo
+ * - Dictamen pre-Plenario en HTML listo para imprimir o guardar como PDF: membrete, identificación, estado por
+ *   sección y sus visados, análisis con límites aplicados, tasa, observaciones y firmas; pie con SHA-256 del legajo y hora
+ * - Verificación de la huella de un dictamen impreso contra los legajos guardados (Bandeja → Verificar hash)
+ * - Padrón de perforistas (CSV) persistente: N° de registro, estado, vigencia a la fecha de revisión y nombre
+ * - Resultados de laboratorio tal como se informan: censurados (<, >, ND), cualitativos, unidad y límite de detección
+ * - Carga masiva de análisis por CSV: varias muestras por archivo, alias y mapeo de columnas por laboratorio,
+ *   vista previa con errores por celda y diferencias antes de aplicar
+ * - Anexos guardados en el equipo (IndexedDB) con tamaño, tipo y SHA-256, asignados a cada documento exigido:
+ *   un documento cuenta solo con archivo adjunto; vista previa de PDF e imágenes y exportación ZIP con el legajo
+ * - Datos de cada documento (N°, autoridad, emisión, vencimiento, firmante y matrícula) con reglas de vigencia:
+ *   permiso de exploración vigente al perforar, ensayo de bombeo reciente
+ * - Varios muestreos por legajo (laboratorio, protocolo, fecha de toma): el vigente define el veredicto, se rechaza
+ *   si supera la antigüedad configurada a la fecha de revisión, y tabla de tendencia por parámetro
  *
  * Nota: valores de referencia vienen precargados como sugerencia y pueden ajustarse en "Configuración".
  */
 
 // ----- Utilidades -----
-const fmtMoney = (n) =>
-  n?.toLocaleString("es-AR", { style: "currency", currency: "ARS", maximumFractionDigits: 0 }) || "—";
+const ETIQUETAS_CAMPOS = Object.fromEntries(
+  [...CAMPOS_BASICOS, ...CAMPOS_TECNICOS, ...CAMPOS_FIRMAS, ...CAMPOS_CALCULADOS].map((c) => [c.ruta, c.label])
+);
 
-function categoriaTasa(limits, volAnual) {
+const fmtFechaHora = (iso) => new Date(iso).toLocaleString("es-AR");
+
+// Documento HTML en `ventana` (abierta con window.open) y diálogo de impresión; si el navegador bloqueó la
+// ventana, se descarga como `nombre`
+function imprimirHtml(ventana, html, nombre) {
+  if (!ventana) {
+    descargar(new Blob([html], { type: "text/html" }), nombre);
+    return;
+  }
+  ventana.document.open();
+  ventana.document.write(html);
+  ventana.document.close();
+  ventana.focus();
+  ventana.print();
+}
+
+function descargar(blob, nombre) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = nombre;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Categoría y monto según el cuadro tarifario vigente a `fecha` (ISO); sin fecha, el vigente hoy
+function categoriaTasa(limits, volAnual, fecha) {
+  const cuadro = cuadroVigente(limits.tarifas, fecha);
   const n = Number(volAnual);
-  if (!isFinite(n) || n < 0) return { cat: "—", monto: 0 };
-  const match = limits.tasas_2024.find((t) => (t.max == null ? n >= t.min : n >= t.min && n < t.max));
-  return match ? { cat: match.cat, monto: match.monto } : { cat: "—", monto: 0 };
+  if (!cuadro || !isFinite(n) || n < 0) return { cat: "—", monto: 0, cuadro };
+  const match = cuadro.categorias.find((t) => (t.max == null ? n >= t.min : n >= t.min && n < t.max));
+  return match ? { cat: match.cat, monto: match.monto, cuadro } : { cat: "—", monto: 0, cuadro };
 }
 
 function isFilled(x) {
   return x !== null && x !== undefined && String(x).trim() !== "";
 }
 
-function withinRange(value, min, max) {
-  const v = Number(value);
-  if (!isFinite(v)) return null; // sin dato
-  if (min != null && v < min) return false;
-  if (max != null && v > max) return false;
-  return true; // OK
-}
-
-function checkAnalisis(analisis, limits) {
-  const L = limits.fisicoquimico;
-  const M = limits.microbiologico;
-  const r = {
-    pH: withinRange(analisis.pH, L.pH_min, L.pH_max),
-    arsenico: withinRange(analisis.arsenico, null, L.arsenico_mgL_max),
-    nitratos: withinRange(analisis.nitratos, null, L.nitratos_mgL_max),
-    nitritos: withinRange(analisis.nitritos, null, L.nitritos_mgL_max),
-    conductividad: withinRange(analisis.conductividad, null, L.conductividad_uScm_max),
-    dureza: withinRange(analisis.dureza, null, L.dureza_mgL_max),
-    std: withinRange(analisis.std, null, L.solidos_totales_mgL_max),
-    calcio: withinRange(analisis.calcio, null, L.calcio_mgL_max),
-    magnesio: withinRange(analisis.magnesio, null, L.magnesio_mgL_max),
-    sodio: withinRange(analisis.sodio, null, L.sodio_mgL_max),
-    potasio: withinRange(analisis.potasio, null, L.potasio_mgL_max),
-    bicarbonato: withinRange(analisis.bicarbonato, null, L.bicarbonato_mgL_max),
-    carbonato: withinRange(analisis.carbonato, null, L.carbonato_mgL_max),
-    sulfatos: withinRange(analisis.sulfatos, null, L.sulfatos_mgL_max),
-    cloruros: withinRange(analisis.cloruros, null, L.cloruros_mgL_max),
-    temperatura: withinRange(analisis.temperatura, null, L.temperatura_C_max),
-    // Microbiológico: 0 requerido (ausencia)
-    coliformes: withinRange(analisis.coliformes, 0, 0),
-    ecoli: withinRange(analisis.ecoli, 0, 0),
-    salmonella: withinRange(analisis.salmonella, 0, 0),
-    pseudomonas: withinRange(analisis.pseudomonas, 0, 0),
-    aerobios: withinRange(analisis.aerobios, null, M.aerobios_mesofilos_max),
-  };
+// Perfil de valores de referencia según el uso declarado; "otro" o sin uso se evalúa como consumo humano
+function perfilParaUso(limits, uso) {
+  const key = limits.perfiles[uso] ? uso : "consumo_humano";
+  return { key, ...limits.perfiles[key] };
+}
+
+// r[key]: true / false / null (sin dato) / "indeterminado" (valor censurado que no permite decidir, o ilegible);
+// `motivos` explica los indeterminados que no dependen del rango (unidad incompatible, ND sin LD…)
+function checkAnalisis(analisis, limits, uso = "consumo_humano") {
+  const perfil = perfilParaUso(limits, uso);
+  const r = {};
+  const motivos = {};
+  const noAplica = [];
+  PARAMETROS_ANALISIS.forEach(({ key }) => {
+    const p = perfil.parametros[key];
+    if (!p?.aplica) return noAplica.push(key);
+    const { estado, motivo } = evaluarResultado(analisis[key], key, p);
+    r[key] = estado;
+    if (motivo) motivos[key] = motivo;
+  });
 
   const keys = Object.keys(r);
   const present = keys.filter((k) => r[k] !== null).length;
   const ok = keys.filter((k) => r[k] === true).length;
   const bad = keys.filter((k) => r[k] === false).length;
+  const indeterminados = keys.filter((k) => r[k] === "indeterminado").length;
+  const faltaMicrobiologia =
+    perfil.microbiologiaRequerida && PARAMETROS_MICRO.some(({ key }) => key in r && r[key] === null);
 
-  return { r, present, ok, bad };
+  return { r, motivos, present, ok, bad, indeterminados, noAplica, faltaMicrobiologia, perfil };
 }
 
 function sectionStatus(completos, requeridos = []) {
-  const total = requeridos.length;
-  const llenos = requeridos.filter((k) => isFilled(completos[k])).length;
+  return statusPorConteo(requeridos.filter((k) => isFilled(completos[k])).length, requeridos.length);
+}
+
+function statusPorConteo(llenos, total) {
   if (total === 0) return { color: "gray", text: "—" };
   if (llenos === total) return { color: "green", text: "Completo" };
   if (llenos === 0) return { color: "red", text: "Vacío" };
   return { color: "yellow", text: "Incompleto" };
 }
 
+// Semáforos por sección y veredicto final de un expediente.
+// `recursos` trae datos de referencia externos al expediente (capa de departamentos, requisitos configurados,
+// padrón de perforistas cargado).
+function evaluarExpediente(exp, limits, recursos = {}) {
+  const requisitos = recursos.requisitos || DEFAULT_REQUISITOS;
+  const cuit = validarCuit(exp.basicos.cuit);
+  const coords = parseCoordenadas(exp.tecnicos.coords_gms);
+  const hidraulica = checkHidraulica(exp.tecnicos, limits.hidraulica);
+
+  const fechaTasa = exp.meta.fechaLiquidacion || exp.meta.fecha;
+  const tasa = categoriaTasa(limits, exp.tecnicos.caudal_anual_m3, fechaTasa);
+  // Categoría que correspondería a caudal × horas (para detectar subdeclaración del volumen)
+  const tasaCalculada = hidraulica.volCalculado != null ? categoriaTasa(limits, hidraulica.volCalculado, fechaTasa) : null;
+
+  // Contexto de las condiciones: el expediente más valores derivados
+  const orden = tasa.cuadro ? [...tasa.cuadro.categorias].sort((a, b) => a.min - b.min).findIndex((c) => c.cat === tasa.cat) + 1 : 0;
+  // Los documentos cuentan como presentados solo con archivo adjunto
+  const ctx = { ...exp, docs: docsConArchivo(exp.docs), calculado: { categoriaOrden: orden || null, tipoPersona: cuit.tipo } };
+  const req = {
+    basicos: evaluarRequisitos(requisitos.basicos, ctx),
+    tecnicos: evaluarRequisitos(requisitos.tecnicos, ctx),
+    docs: evaluarRequisitos(requisitos.docs, ctx),
+    firmas: evaluarRequisitos(requisitos.firmas, ctx),
+  };
+  const conteo = ({ aplicables, faltantes }) => [aplicables.length - faltantes.length, aplicables.length];
+
+  let basicosStatus = statusPorConteo(...conteo(req.basicos));
+  if (!cuit.vacio && !cuit.valido && basicosStatus.color !== "red") basicosStatus = { color: "yellow", text: "CUIT inválido" };
+  // Sin padrón cargado no se valida el registro (null)
+  const registro = recursos.padron ? validarRegistroPerforista(recursos.padron.registros, exp.basicos, exp.meta.fecha) : null;
+  if (registro?.observaciones.some((o) => o.bloquea) && basicosStatus.color === "green") {
+    basicosStatus = { color: "yellow", text: "Registro de perforista observado" };
+  }
+
+  let tecnicosStatus = statusPorConteo(...conteo(req.tecnicos));
+  if (!coords.vacio && !coords.ok && tecnicosStatus.color !== "red") tecnicosStatus = { color: "yellow", text: "Coordenadas inválidas" };
+  const ubicacion = verificarUbicacion(exp.tecnicos, recursos.departamentos || DEPARTAMENTOS_ENTRE_RIOS);
+  if (ubicacion.observaciones.some((o) => o.bloquea) && tecnicosStatus.color === "green") {
+    tecnicosStatus = { color: "yellow", text: "Observación de ubicación" };
+  }
+  if (hidraulica.observaciones.some((o) => o.bloquea) && tecnicosStatus.color === "green") {
+    tecnicosStatus = { color: "yellow", text: "Inconsistencia hidráulica" };
+  }
+
+  const [docsOk, docsTotal] = conteo(req.docs);
+  let docsStatus = {
+    ...statusPorConteo(docsOk, docsTotal),
+    text: docsTotal ? `${docsOk}/${docsTotal} adjuntos` : "Sin documentos exigidos",
+  };
+  const documentos = validarDocumentos(exp, req.docs.aplicables, limits.documentos);
+  if (documentos.observaciones.some((o) => o.bloquea) && docsStatus.color === "green") {
+    docsStatus = { color: "yellow", text: "Datos de documentos observados" };
+  }
+
+  // Se evalúa el muestreo vigente; sin muestreo vigente o con uno demasiado antiguo el análisis se rechaza
+  const muestreo = muestreoVigente(exp);
+  const controlMuestreo = controlarMuestreo(muestreo, exp.meta.fecha, limits.muestreos.antiguedad_max_dias);
+  const rechazoMuestreo = controlMuestreo.observaciones.find((o) => o.bloquea);
+  const anal = checkAnalisis(muestreo?.analisis ?? {}, limits, exp.tecnicos.uso);
+  const hq = indicadoresHidroquimicos(valoresExactos(muestreo?.analisis), limits.hidroquimica);
+  const analLimpio =
+    anal.bad === 0 && anal.indeterminados === 0 && !anal.faltaMicrobiologia && !hq.recheck && controlMuestreo.observaciones.length === 0;
+  const analStatus = {
+    color: rechazoMuestreo || anal.present === 0 ? "red" : analLimpio ? "green" : "yellow",
+    text: rechazoMuestreo
+      ? rechazoMuestreo.texto
+      : anal.present === 0
+      ? "Sin datos"
+      : [
+          `${anal.ok}/${anal.present} en norma`,
+          anal.bad && `${anal.bad} fuera`,
+          anal.indeterminados && `${anal.indeterminados} indeterminados`,
+          anal.faltaMicrobiologia && "falta microbiología",
+          hq.recheck && "re-chequeo lab",
+          controlMuestreo.observaciones.length > 0 && "revisar fecha de toma",
+        ]
+          .filter(Boolean)
+          .join(" • "),
+  };
+
+  const firmasOk = req.firmas.faltantes.length === 0;
+  const firmasStatus = { color: firmasOk ? "green" : "red", text: firmasOk ? "Firmas completas" : "Faltan firmas" };
+
+  // Fórmula del veredicto (Configuración › Requisitos); los visados se exigen siempre
+  const V = requisitos.veredicto;
+  const visados = controlarVisados(exp);
+  const allGreen =
+    seccionAprueba(V.basicos, basicosStatus.color) &&
+    seccionAprueba(V.tecnicos, tecnicosStatus.color) &&
+    seccionAprueba(V.docs, docsStatus.color) &&
+    seccionAprueba(V.analisis, analStatus.color) &&
+    seccionAprueba(V.firmas, firmasStatus.color) &&
+    !(V.microbiologia && anal.faltaMicrobiologia) &&
+    !(V.recheckLaboratorio && hq.recheck) &&
+    visados.completos;
+
+  const ev = {
+    cuit,
+    coords,
+    ubicacion,
+    hidraulica,
+    req,
+    basicosStatus,
+    tecnicosStatus,
+    docsStatus,
+    documentos,
+    muestreo,
+    controlMuestreo,
+    anal,
+    hq,
+    analStatus,
+    firmasOk,
+    firmasStatus,
+    tasa,
+    tasaCalculada,
+    visados,
+    allGreen,
+    registro,
+  };
+  return { ...ev, observaciones: observacionesExpediente(exp, ev, V) };
+}
+
+// Mapa offline: dibuja la capa de departamentos en SVG (sin teselas de red) y marca la perforación
+function MapaDepartamentos({ capa, lat, lon, resaltado }) {
+  const anillos = capa.features.flatMap((f) => {
+    const g = f.geometry || {};
+    const polys = g.type === "Polygon" ? [g.coordinates] : g.type === "MultiPolygon" ? g.coordinates : [];
+    return polys.map((p) => ({ nombre: nombreFeature(f), exterior: p[0] }));
+  });
+  const pts = anillos.flatMap((a) => a.exterior);
+  if (pts.length === 0) return null;
+  // Con un bucle y no Math.min(...pts): una capa oficial detallada supera el máximo de argumentos de una llamada
+  let [minLon, maxLon, minLat, maxLat] = [Infinity, -Infinity, Infinity, -Infinity];
+  for (const [x, y] of pts) {
+    [minLon, maxLon] = [Math.min(minLon, x), Math.max(maxLon, x)];
+    [minLat, maxLat] = [Math.min(minLat, y), Math.max(maxLat, y)];
+  }
+  const kx = Math.cos((((minLat + maxLat) / 2) * Math.PI) / 180);
+  const escala = 400 / ((maxLon - minLon) * kx);
+  const px = (p) => [((p[0] - minLon) * kx * escala).toFixed(1), ((maxLat - p[1]) * escala).toFixed(1)];
+  const alto = (maxLat - minLat) * escala;
+  const clave = normalizarNombre(resaltado);
+  const punto = lat != null && lon != null ? px([lon, lat]) : null;
+
+  return (
+    <svg viewBox={`-5 -5 410 ${alto + 10}`} className="w-full max-w-md border rounded-xl bg-sky-50">
+      {anillos.map((a, i) => {
+        const activo = clave && normalizarNombre(a.nombre) === clave;
+        const cx = a.exterior.reduce((s, p) => s + p[0], 0) / a.exterior.length;
+        const cy = a.exterior.reduce((s, p) => s + p[1], 0) / a.exterior.length;
+        const [lx, ly] = px([cx, cy]);
+        return (
+          <g key={i}>
+            <polygon
+              points={a.exterior.map((p) => px(p).join(",")).join(" ")}
+              fill={activo ? "#bfdbfe" : "#f8fafc"}
+              stroke="#64748b"
+              strokeWidth="0.8"
+            />
+            <text x={lx} y={ly} fontSize="8" textAnchor="middle" fill="#334155">
+              {a.nombre}
+            </text>
+          </g>
+        );
+      })}
+      {punto && <circle cx={punto[0]} cy={punto[1]} r="4" fill="#dc2626" stroke="white" strokeWidth="1.5" />}
+    </svg>
+  );
+}
+
 function Badge({ color = "gray", children }) {
   const colors = {
     green: "bg-green-100 text-green-800 border-green-300",
@@ -99,9 +416,9 @@ function Badge({ color = "gray", children }) {
   );
 }
 
-function SectionCard({ title, status, children, right }) {
+function SectionCard({ id, title, status, children, right }) {
   return (
-    <div className="bg-white shadow-sm rounded-2xl border p-4 md:p-6">
+    <div id={id} className="bg-white shadow-sm rounded-2xl border p-4 md:p-6">
       <div className="flex items-start justify-between gap-2 mb-4">
         <div className="flex items-center gap-3">
           <h2 className="text-lg font-semibold">{title}</h2>
@@ -114,13 +431,15 @@ function SectionCard({ title, status, children, right }) {
   );
 }
 
-function Field({ label, children, required }) {
+function Field({ id, label, children, required, error, hint }) {
   return (
-    <label className="block mb-3">
+    <label id={id} className="block mb-3">
       <span className="block text-sm text-gray-700 mb-1">
         {label} {required && <span className="text-red-500">*</span>}
       </span>
       {children}
+      {error && <span className="block text-xs text-red-600 mt-1">{error}</span>}
+      {!error && hint && <span className="block text-xs text-amber-700 mt-1">{hint}</span>}
     </label>
   );
 }
@@ -137,113 +456,1170 @@ function Input({ value, onChange, placeholder, type = "text" }) {
   );
 }
 
-function Checkbox({ checked, onChange, label }) {
+function Select({ value, onChange, options, placeholder = "Seleccionar…" }) {
   return (
-    <label className="inline-flex items-center gap-2 text-sm">
+    <select
+      value={value ?? ""}
+      onChange={(e) => onChange(e.target.value)}
+      className="w-full rounded-xl border px-3 py-2 bg-white focus:outline-none focus:ring focus:ring-blue-200"
+    >
+      <option value="">{placeholder}</option>
+      {options.map((o) => (
+        <option key={o.key} value={o.key}>
+          {o.label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+function Checkbox({ id, checked, onChange, label }) {
+  return (
+    <label id={id} className="inline-flex items-center gap-2 text-sm">
       <input type="checkbox" checked={!!checked} onChange={(e) => onChange(e.target.checked)} />
       <span>{label}</span>
     </label>
   );
 }
 
-function ChecklistAppInner() {
-  const { limits, setLimits, exp, setExp } = useExpediente();
+// Lleva la vista al campo de una observación y le da foco
+function irACampo(ancla) {
+  const el = document.getElementById(ancla);
+  if (!el) return;
+  el.scrollIntoView({ behavior: "smooth", block: "center" });
+  el.querySelector("input, select, textarea")?.focus({ preventScroll: true });
+}
+
+// Editor de Configuración › Requisitos: qué se exige por sección, con condición opcional, y la fórmula del veredicto
+const SECCIONES_REQUISITOS = [
+  { key: "basicos", titulo: "1) Identificación básica", catalogo: CAMPOS_BASICOS },
+  { key: "tecnicos", titulo: "2) Datos técnicos", catalogo: CAMPOS_TECNICOS },
+  { key: "docs", titulo: "3) Documentación", catalogo: DEFAULT_REQUISITOS.docs.map((d) => ({ ruta: d.ruta, label: d.etiqueta })) },
+  { key: "firmas", titulo: "5) Firmas", catalogo: CAMPOS_FIRMAS },
+];
+
+function EditorRequisitos({ requisitos, setRequisitos }) {
+  const camposCondicion = Object.entries(ETIQUETAS_CAMPOS).map(([key, label]) => ({ key, label }));
+  const setLista = (seccion, lista) => setRequisitos({ ...requisitos, [seccion]: lista });
+  const setVeredicto = (cambios) => setRequisitos({ ...requisitos, veredicto: { ...requisitos.veredicto, ...cambios } });
+
+  function nuevoDocumento() {
+    const nombre = prompt("Nombre del documento a exigir");
+    if (!nombre || !nombre.trim()) return;
+    const clave = normalizarNombre(nombre).replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+    const ruta = `docs.extra.${clave}`;
+    // La clave identifica sus datos (docs.datos.<clave>): no puede repetir la de otro documento, tampoco de fábrica
+    const usadas = [...DEFAULT_REQUISITOS.docs, ...requisitos.docs].map((d) => claveDocumento(d.ruta));
+    if (!clave || usadas.includes(clave)) return alert("Ya existe un documento con ese nombre");
+    setLista("docs", [...requisitos.docs, { ruta, etiqueta: nombre.trim(), cuando: { ruta: "", op: "eq", valor: "" } }]);
+  }
+
+  return (
+    <div className="space-y-4">
+      {SECCIONES_REQUISITOS.map(({ key, titulo, catalogo }) => {
+        const lista = requisitos[key];
+        const disponibles = catalogo.filter((c) => !lista.some((r) => r.ruta === c.ruta));
+        const setItem = (i, cambios) => setLista(key, lista.map((r, j) => (j === i ? { ...r, ...cambios } : r)));
+        return (
+          <div key={key}>
+            <h5 className="text-sm font-medium mb-1">{titulo}</h5>
+            {lista.map((r, i) => (
+              <div key={r.ruta} className="grid grid-cols-12 gap-2 items-end">
+                <div className="col-span-4">
+                  <Field label={<code className="text-xs">{r.ruta}</code>}>
+                    <Input value={r.etiqueta} onChange={(v) => setItem(i, { etiqueta: v })} />
+                  </Field>
+                </div>
+                <div className="col-span-3">
+                  <Field label="Exigir">
+                    <Select
+                      value={r.cuando.ruta}
+                      onChange={(v) => setItem(i, { cuando: { ...r.cuando, ruta: v } })}
+                      options={camposCondicion}
+                      placeholder="Siempre"
+                    />
+                  </Field>
+                </div>
+                <div className="col-span-2">
+                  <Field label="Condición">
+                    <Select value={r.cuando.op} onChange={(v) => v && setItem(i, { cuando: { ...r.cuando, op: v } })} options={OPERADORES} />
+                  </Field>
+                </div>
+                <div className="col-span-2">
+                  <Field label="Valor">
+                    <Input value={r.cuando.valor} onChange={(v) => setItem(i, { cuando: { ...r.cuando, valor: v } })} />
+                  </Field>
+                </div>
+                <div className="col-span-1 pb-3">
+                  <button className="text-red-600 text-sm underline" onClick={() => setLista(key, lista.filter((_, j) => j !== i))}>
+                    Quitar
+                  </button>
+                </div>
+              </div>
+            ))}
+            <div className="flex items-center gap-2">
+              {disponibles.length > 0 && (
+                <div className="w-64">
+                  <Select
+                    value=""
+                    onChange={(ruta) => {
+                      const c = disponibles.find((x) => x.ruta === ruta);
+                      if (c) setLista(key, [...lista, { ruta, etiqueta: c.label, cuando: { ruta: "", op: "eq", valor: "" } }]);
+                    }}
+                    options={disponibles.map((c) => ({ key: c.ruta, label: c.label }))}
+                    placeholder="Exigir otro campo…"
+                  />
+                </div>
+              )}
+              {key === "docs" && (
+                <button className="border rounded-lg px-3 py-2 text-sm" onClick={nuevoDocumento}>
+                  Nuevo documento
+                </button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+
+      <div>
+        <h5 className="text-sm font-medium mb-1">Fórmula del veredicto (APROBADO si se cumplen todas)</h5>
+        <div className="grid md:grid-cols-5 gap-2">
+          {[
+            ["basicos", "Identificación"],
+            ["tecnicos", "Datos técnicos"],
+            ["docs", "Documentación"],
+            ["analisis", "Análisis"],
+            ["firmas", "Firmas"],
+          ].map(([k, label]) => (
+            <Field key={k} label={label}>
+              <Select value={requisitos.veredicto[k]} onChange={(v) => v && setVeredicto({ [k]: v })} options={EXIGENCIAS} />
+            </Field>
+          ))}
+        </div>
+        <div className="flex flex-wrap gap-6">
+          <Checkbox
+            checked={requisitos.veredicto.microbiologia}
+            onChange={(v) => setVeredicto({ microbiologia: v })}
+            label="Exigir microbiología cuando el perfil del uso la requiere"
+          />
+          <Checkbox
+            checked={requisitos.veredicto.recheckLaboratorio}
+            onChange={(v) => setVeredicto({ recheckLaboratorio: v })}
+            label="Bloquear si el informe de laboratorio requiere re-chequeo"
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ----- Historial de cambios -----
+const SECCIONES_HISTORIAL = [
+  { key: "meta", label: "Encabezado" },
+  ...Object.entries(SECCIONES_OBSERVACION).map(([key, label]) => ({ key, label })),
+];
+
+function etiquetaRuta(ruta, requisitos) {
+  const [seccion, campo, dato] = ruta.split(".");
+  const catalogo = [...CAMPOS_META, ...CAMPOS_BASICOS, ...CAMPOS_TECNICOS, ...CAMPOS_FIRMAS].find((c) => c.ruta === ruta);
+  if (catalogo) return catalogo.label;
+  if (seccion === "muestreoVigente") return "Muestreo vigente";
+  if (seccion === "firma") return "Firma del archivo importado";
+  if (seccion === "visados") {
+    return `Visado ${SECCIONES_OBSERVACION[campo] ?? campo} · ${{ nombre: "revisor", rol: "rol", fecha: "fecha" }[dato] ?? dato}`;
+  }
+  if (seccion === "muestreos") {
+    const [, , , key, sub] = ruta.split(".");
+    const muestreo = `Muestreo ${campo}`;
+    if (dato !== "analisis") return `${muestreo} · ${{ fecha: "fecha de toma", protocolo: "N° de protocolo" }[dato] ?? dato}`;
+    const label = PARAMETROS_ANALISIS.find((p) => p.key === key)?.label ?? key;
+    return `${muestreo} · ${label}${sub === "unidad" ? " · unidad" : sub === "ld" ? " · LD" : ""}`;
+  }
+  if (seccion === "docs" && campo === "datos") {
+    const [, , , prop] = ruta.split(".");
+    const doc = requisitos.docs.find((d) => claveDocumento(d.ruta) === dato)?.etiqueta ?? dato;
+    return `${doc} · ${CAMPOS_DATOS_DOC.find((c) => c.key === prop)?.label ?? prop}`;
+  }
+  if (seccion === "docs" && campo === "anexos") {
+    const [, , , prop] = ruta.split(".");
+    const props = { nombre: "archivo", tamano: "tamaño", sha256: "SHA-256", item: "documento asignado", cargado: "fecha de carga" };
+    return `Anexo ${dato} · ${props[prop] ?? prop}`;
+  }
+  return requisitos.docs.find((d) => d.ruta === ruta)?.etiqueta ?? ruta;
+}
+
+function valorHistorial(txt) {
+  const v = decodificar(txt);
+  if (v === undefined || v === null || v === "") return "—";
+  if (typeof v === "boolean") return v ? "Sí" : "No";
+  if (Array.isArray(v)) return v.join(", ") || "—";
+  return String(v);
+}
+
+// Los muestreos se listan junto con el análisis, cada visado con su sección y la firma del archivo importado
+// con el encabezado
+function seccionDeRuta(ruta) {
+  const [s, campo] = ruta.split(".");
+  if (s === "visados") return campo;
+  if (s === "firma") return "meta";
+  return s === "muestreos" || s === "muestreoVigente" ? "analisis" : s;
+}
+
+function HistorialModal({ historial, requisitos, onClose }) {
+  const [seccion, setSeccion] = useState("");
+  const filas = historial.filter((h) => !seccion || seccionDeRuta(h.ruta) === seccion).reverse();
+  return (
+    <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-30">
+      <div className="bg-white max-w-4xl w-full rounded-2xl p-6 shadow-2xl">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-semibold">Historial de cambios</h3>
+          <button className="text-sm underline" onClick={onClose}>
+            Cerrar
+          </button>
+        </div>
+        <div className="w-64 mb-3">
+          <Select value={seccion} onChange={setSeccion} options={SECCIONES_HISTORIAL} placeholder="Todas las secciones" />
+        </div>
+        <div className="max-h-[60vh] overflow-auto">
+          {filas.length === 0 ? (
+            <p className="text-sm text-gray-600">Sin cambios registrados.</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-1 pr-2">Fecha y hora</th>
+                  <th className="py-1 pr-2">Usuario</th>
+                  <th className="py-1 pr-2">Campo</th>
+                  <th className="py-1 pr-2">Antes</th>
+                  <th className="py-1 pr-2">Después</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filas.map((h, i) => (
+                  <tr key={i} className="border-b align-top">
+                    <td className="py-1 pr-2 whitespace-nowrap">{fmtFechaHora(h.ts)}</td>
+                    <td className="py-1 pr-2">{h.usuario || "—"}</td>
+                    <td className="py-1 pr-2">
+                      {etiquetaRuta(h.ruta, requisitos)}
+                      {h.accion !== "edicion" && (
+                        <span className="ml-2">
+                          <Badge color="blue">{h.accion}</Badge>
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-1 pr-2 text-gray-600">{valorHistorial(h.antes)}</td>
+                    <td className="py-1 pr-2">{valorHistorial(h.despues)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ----- Estado del trámite -----
+// Pases habilitados según el estado y el veredicto actual; el botón deshabilitado explica el motivo
+function TramiteCard({ exp, allGreen, onCambiar }) {
+  const [usuario, setUsuario] = useState(exp.meta.revisadoPor);
+  const [comentario, setComentario] = useState("");
+  const estado = ESTADOS_TRAMITE.find((e) => e.key === exp.meta.estado) ?? ESTADOS_TRAMITE[0];
+  const datos = { allGreen, usuario, comentario };
+  const congelado = estaCongelado(exp);
+
+  function pasar(hacia) {
+    const motivo = onCambiar(hacia, datos);
+    if (motivo) alert(motivo);
+    else setComentario("");
+  }
+
+  return (
+    <SectionCard id="tramite" title="Trámite" status={{ color: estado.color, text: estado.label }}>
+      {congelado && (
+        <p className="text-sm text-gray-700 mb-3">
+          Legajo congelado: no admite cambios. Para corregirlo hay que reabrirlo (volver a revisión) indicando el motivo.
+        </p>
+      )}
+      {["apto", "elevado"].includes(exp.meta.estado) && !allGreen && (
+        <p className="text-sm text-red-700 mb-3">
+          El veredicto actual ya no es APROBADO (cambió la configuración de requisitos o valores de referencia): revisar antes
+          del Plenario.
+        </p>
+      )}
+      {estado.key !== "resuelto" && (
+        <div className="grid md:grid-cols-3 gap-3 items-end">
+          <Field label="Usuario">
+            <Input value={usuario} onChange={setUsuario} />
+          </Field>
+          <div className="md:col-span-2">
+            <Field label="Comentario del pase">
+              <Input value={comentario} onChange={setComentario} placeholder="Obligatorio para observar o reabrir" />
+            </Field>
+          </div>
+        </div>
+      )}
+      <div className="flex flex-wrap gap-2">
+        {transicionesPosibles(exp, datos).map(({ hacia, motivo }) => (
+          <button
+            key={hacia}
+            className="rounded-xl border px-3 py-1.5 text-sm disabled:opacity-40"
+            disabled={!!motivo}
+            title={motivo ?? ""}
+            onClick={() => pasar(hacia)}
+          >
+            {esReapertura(exp.meta.estado, hacia) ? "Reabrir" : `Pasar a ${etiquetaEstado(hacia).toLowerCase()}`}
+          </button>
+        ))}
+        {exp.meta.estado === "apto" && <span className="text-xs text-gray-600 self-center">Se eleva desde Sesiones del Plenario.</span>}
+      </div>
+      {exp.tramite.length > 0 && (
+        <table className="w-full text-sm mt-4">
+          <thead>
+            <tr className="text-left text-gray-600 border-b">
+              <th className="py-1 pr-2">Fecha</th>
+              <th className="pr-2">Usuario</th>
+              <th className="pr-2">Pase</th>
+              <th>Comentario</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...exp.tramite].reverse().map((p, i) => (
+              <tr key={i} className="border-b last:border-0 align-top">
+                <td className="py-1 pr-2 whitespace-nowrap">{fmtFechaHora(p.ts)}</td>
+                <td className="pr-2">{p.usuario || "—"}</td>
+                <td className="pr-2 whitespace-nowrap">
+                  {etiquetaEstado(p.desde)} → {etiquetaEstado(p.hacia)}
+                </td>
+                <td>{p.comentario || "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </SectionCard>
+  );
+}
+
+// ----- Datos de un documento -----
+// Arrancan desplegados si alguna regla observa un dato del documento
+function DatosDocumento({ ruta, datos = EMPTY_DATOS_DOC, observaciones, onChange }) {
+  const clave = claveDocumento(ruta);
+  const propias = observaciones.filter((o) => o.ruta.startsWith(`docs.datos.${clave}.`));
+  const [abierto, setAbierto] = useState(propias.length > 0);
+  const resumen = [datos.numero && `N° ${datos.numero}`, datos.emision, datos.vencimiento && `vence ${datos.vencimiento}`];
+  return (
+    <details className="ml-6 mt-1 text-sm" open={abierto} onToggle={(e) => setAbierto(e.currentTarget.open)}>
+      <summary className="cursor-pointer text-xs text-gray-600">
+        Datos del documento{resumen.some(Boolean) ? `: ${resumen.filter(Boolean).join(" · ")}` : ""}
+        {propias.length > 0 && <span className="ml-2 text-red-700">{propias.length} observaciones</span>}
+      </summary>
+      <div className="grid grid-cols-2 gap-x-3 mt-2">
+        {CAMPOS_DATOS_DOC.map(({ key, label, fecha }) => (
+          <Field
+            key={key}
+            id={anclaCampo(`docs.datos.${clave}.${key}`)}
+            label={label}
+            error={propias.find((o) => o.ruta.endsWith(`.${key}`) && o.bloquea)?.texto}
+            hint={propias.find((o) => o.ruta.endsWith(`.${key}`) && !o.bloquea)?.texto}
+          >
+            <Input type={fecha ? "date" : "text"} value={datos[key]} onChange={(v) => onChange(key, v)} />
+          </Field>
+        ))}
+      </div>
+    </details>
+  );
+}
+
+// ----- Visado de una sección -----
+// Al cargar el nombre se completan el rol del bloque y la fecha del día; las observaciones del visado van como error
+function VisadoSeccion({ seccion, visado = EMPTY_VISADO, observaciones, onChange }) {
+  const rol = BLOQUE_SECCION[seccion];
+  const error = observaciones.filter((o) => o.seccion === seccion).map((o) => o.texto).join(" • ");
+  function setNombre(nombre) {
+    const hoy = new Date().toISOString().slice(0, 10);
+    onChange(nombre.trim() ? { ...visado, nombre, rol: visado.rol || rol, fecha: visado.fecha || hoy } : { ...EMPTY_VISADO, nombre });
+  }
+  return (
+    <div id={anclaCampo(`visados.${seccion}`)} className="mt-4 pt-3 border-t">
+      <div className="flex items-center gap-2 mb-2 text-sm">
+        <span className="font-medium">Visado de la sección</span>
+        <Badge color={!estaVisada(visado) ? "gray" : error ? "red" : "green"}>
+          {!estaVisada(visado) ? `Falta ${etiquetaRol(rol).toLowerCase()}` : error ? "Visado observado" : "Visado"}
+        </Badge>
+      </div>
+      <div className="grid md:grid-cols-3 gap-x-3 text-sm">
+        <Field label="Revisor (nombre y apellido)" error={estaVisada(visado) ? error : null}>
+          <Input value={visado.nombre} onChange={setNombre} />
+        </Field>
+        <Field label="Rol">
+          <Select value={visado.rol} onChange={(v) => onChange({ ...visado, rol: v })} options={ROLES_VISADO} />
+        </Field>
+        <Field label="Fecha del visado">
+          <Input type="date" value={visado.fecha} onChange={(v) => onChange({ ...visado, fecha: v })} />
+        </Field>
+      </div>
+    </div>
+  );
+}
+
+// ----- Vista de un anexo -----
+// Lee el archivo de IndexedDB, comprueba que su hash coincida con el registrado y lo muestra si es PDF o imagen
+function VistaAnexoModal({ anexo, onClose }) {
+  const [archivo, setArchivo] = useState(null); // { url, integro }
+  const [error, setError] = useState("");
+  useEffect(() => {
+    let url = null;
+    let vigente = true;
+    (async () => {
+      const blob = await leerArchivo(anexo.sha256);
+      if (!blob) throw new Error("El archivo no está guardado en este equipo");
+      const integro = (await sha256Hex(await blob.arrayBuffer())) === anexo.sha256;
+      if (!vigente) return;
+      url = URL.createObjectURL(blob);
+      setArchivo({ url, integro });
+    })().catch((err) => vigente && setError(err.message));
+    return () => {
+      vigente = false;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [anexo.sha256]);
+
+  return (
+    <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-30">
+      <div className="bg-white max-w-5xl w-full rounded-2xl p-6 shadow-2xl max-h-[95vh] overflow-auto">
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-lg font-semibold">{anexo.nombre}</h3>
+          <button className="text-sm underline" onClick={onClose}>
+            Cerrar
+          </button>
+        </div>
+        <p className="text-xs text-gray-600 mb-3 flex flex-wrap items-center gap-2">
+          {anexo.tipo || "tipo desconocido"} · {formatearTamano(anexo.tamano)} · SHA-256 <span className="font-mono">{anexo.sha256}</span>
+          {archivo && (archivo.integro ? <Badge color="green">hash verificado</Badge> : <Badge color="red">el hash no coincide</Badge>)}
+        </p>
+        {error && <p className="text-sm text-red-700">{error}</p>}
+        {archivo &&
+          (!esPrevisualizable(anexo.tipo) ? (
+            <p className="text-sm text-gray-600">Este tipo de archivo no tiene vista previa.</p>
+          ) : anexo.tipo === "application/pdf" ? (
+            <iframe src={archivo.url} title={anexo.nombre} className="w-full h-[70vh] border rounded-xl" />
+          ) : (
+            <img src={archivo.url} alt={anexo.nombre} className="max-w-full max-h-[70vh] mx-auto" />
+          ))}
+        {archivo && (
+          <a className="inline-block mt-3 text-sm underline" href={archivo.url} download={anexo.nombre}>
+            Descargar
+          </a>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ----- Tendencia entre muestreos -----
+// Una fila por parámetro con algún valor; una columna por muestreo (el vigente resaltado)
+function TendenciaMuestreos({ muestreos, vigente, perfil }) {
+  const filas = PARAMETROS_ANALISIS.filter(({ key }) => muestreos.some((m) => m.analisis?.[key]?.texto));
+  if (filas.length === 0) return null;
+  const colores = { true: "text-green-700", false: "text-red-700 font-medium", indeterminado: "text-amber-700" };
+  return (
+    <div className="mt-4 overflow-auto">
+      <h4 className="font-medium text-sm mb-2">Tendencia entre muestreos</h4>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-600 border-b">
+            <th className="py-1 pr-2">Parámetro</th>
+            {muestreos.map((m) => (
+              <th key={m.id} className={"py-1 pr-2 " + (m.id === vigente ? "bg-blue-50" : "")}>
+                {m.fecha || "sin fecha"}
+                {m.protocolo && <div className="text-xs font-normal">prot. {m.protocolo}</div>}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {filas.map(({ key, label }) => (
+            <tr key={key} className="border-b">
+              <td className="py-1 pr-2">{label}</td>
+              {muestreos.map((m) => {
+                const med = m.analisis?.[key];
+                const { estado } = perfil.parametros[key] ? evaluarResultado(med, key, perfil.parametros[key]) : { estado: null };
+                return (
+                  <td key={m.id} className={"py-1 pr-2 " + (colores[estado] ?? "") + (m.id === vigente ? " bg-blue-50" : "")}>
+                    {textoResultado(med) || "—"}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// ----- Carga masiva de análisis -----
+const CAMPOS_IMPORTABLES = [
+  { key: CAMPO_EXPEDIENTE, label: "N° de expediente" },
+  { key: CAMPO_PROTOCOLO, label: "N° de protocolo" },
+  { key: CAMPO_FECHA, label: "Fecha de muestreo" },
+  ...PARAMETROS_ANALISIS,
+];
+
+function etiquetaParametro(campo) {
+  return PARAMETROS_ANALISIS.find((p) => p.key === campo)?.label ?? campo;
+}
+
+function CargaMasivaModal({ onClose }) {
+  const { expedientes, aplicarAnalisisMasivo, mapeosCsv, setMapeosCsv } = useExpediente();
+  const [texto, setTexto] = useState("");
+  const [laboratorio, setLaboratorio] = useState("");
+  const [mapeo, setMapeo] = useState({});
+  const previa = useMemo(() => (texto.trim() ? previsualizarAnalisis(texto, expedientes, mapeo) : null), [texto, expedientes, mapeo]);
+  const cambios = previa ? cambiosAplicables(previa) : {};
+  const nCambios = Object.values(cambios)
+    .flat()
+    .reduce((acc, c) => acc + Object.keys(c.valores).length, 0);
+  const nErrores = previa ? previa.filas.reduce((acc, f) => acc + (f.error ? 1 : 0) + f.celdas.filter((c) => c.error).length, 0) : 0;
+
+  function elegirLaboratorio(nombre) {
+    setLaboratorio(nombre);
+    if (mapeosCsv[nombre]) setMapeo(mapeosCsv[nombre]);
+  }
+
+  function aplicar() {
+    if (laboratorio.trim()) setMapeosCsv({ ...mapeosCsv, [laboratorio.trim()]: depurarMapeo(mapeo) });
+    aplicarAnalisisMasivo(cambios, laboratorio.trim());
+    onClose();
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-30">
+      <div className="bg-white max-w-5xl w-full rounded-2xl p-6 shadow-2xl max-h-[90vh] overflow-auto">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-semibold">Carga masiva de análisis (CSV)</h3>
+          <button className="text-sm underline" onClick={onClose}>
+            Cerrar
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 mb-2">
+          Una fila por muestra, con la columna <code>expedienteId</code> para ubicar el legajo y, opcionalmente, el N° de protocolo y
+          la fecha de muestreo: si el legajo ya tiene ese protocolo se completa, si no se agrega como muestreo nuevo, que queda vigente
+          solo si el legajo no tenía uno (sin protocolo se completa el vigente). Separador <code>;</code>, <code>,</code> o tabulación;
+          se acepta coma decimal (<code>7,1</code>). Las cabeceras se reconocen por nombre o abreviatura (As, CE, NO3…) y pueden
+          asignarse a mano; la asignación se guarda por laboratorio.
+        </p>
+        <div className="grid md:grid-cols-3 gap-3 mb-2">
+          <Field label="Laboratorio">
+            <input
+              list="laboratorios-csv"
+              value={laboratorio}
+              onChange={(e) => elegirLaboratorio(e.target.value)}
+              placeholder="Nombre del laboratorio"
+              className="w-full rounded-xl border px-3 py-2 focus:outline-none focus:ring focus:ring-blue-200"
+            />
+            <datalist id="laboratorios-csv">
+              {Object.keys(mapeosCsv).map((l) => (
+                <option key={l} value={l} />
+              ))}
+            </datalist>
+          </Field>
+          <Field label="Archivo">
+            <input
+              type="file"
+              accept=".csv,text/csv,text/plain"
+              className="text-sm"
+              onChange={(e) => {
+                const f = e.target.files?.[0];
+                if (!f) return;
+                const reader = new FileReader();
+                reader.onload = (ev) => setTexto(String(ev.target?.result || ""));
+                reader.readAsText(f);
+              }}
+            />
+          </Field>
+        </div>
+        <textarea
+          className="w-full h-32 border rounded-xl p-2 mb-3 font-mono text-xs"
+          value={texto}
+          onChange={(e) => setTexto(e.target.value)}
+          placeholder={"expedienteId;pH;As;Nitratos (mg/L);CE\nEXP-001;7,1;0,005;10;1200"}
+        />
+
+        {previa && previa.columnas.length > 0 && (
+          <div className="mb-3">
+            <div className="flex items-center justify-between mb-1">
+              <h4 className="font-medium">Columnas</h4>
+              <button className="text-sm underline" onClick={() => setMapeo({})}>
+                Restablecer asignación
+              </button>
+            </div>
+            <div className="grid md:grid-cols-4 gap-2">
+              {previa.columnas.map((c, i) => (
+                <div key={i} className="text-sm">
+                  <div className="flex items-center gap-1 mb-1">
+                    <span className="truncate" title={c.texto}>
+                      {c.texto}
+                    </span>
+                    {c.origen === "repetida" && <Badge color="yellow">repetida</Badge>}
+                    {!c.campo && c.origen === null && <Badge color="gray">sin reconocer</Badge>}
+                  </div>
+                  <Select
+                    value={c.campo}
+                    onChange={(v) => setMapeo({ ...mapeo, [c.clave]: v })}
+                    options={CAMPOS_IMPORTABLES}
+                    placeholder="— ignorar —"
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {previa && (
+          <div className="mb-3">
+            {previa.errores.map((e, i) => (
+              <p key={i} className="text-sm text-red-700">
+                Fila {e.fila}: {e.texto}
+              </p>
+            ))}
+            {previa.filas.length > 0 && (
+              <>
+                <div className="flex items-center gap-2 mb-1 text-sm">
+                  <h4 className="font-medium">Vista previa</h4>
+                  <Badge color="blue">{Object.keys(cambios).length} legajos</Badge>
+                  <Badge color="green">{nCambios} valores a cambiar</Badge>
+                  {nErrores > 0 && <Badge color="red">{nErrores} errores</Badge>}
+                </div>
+                <div className="max-h-[40vh] overflow-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-600 border-b">
+                        <th className="py-1 pr-2">Fila</th>
+                        <th className="py-1 pr-2">Expediente</th>
+                        <th className="py-1 pr-2">Muestreo</th>
+                        <th className="py-1 pr-2">Valores (actual → nuevo)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {previa.filas.map((f) => (
+                        <tr key={f.fila} className={"border-b align-top " + (f.error ? "bg-red-50" : "")}>
+                          <td className="py-1 pr-2">{f.fila}</td>
+                          <td className="py-1 pr-2 whitespace-nowrap">
+                            {f.expedienteId || "—"}
+                            {f.error && <div className="text-xs text-red-700">{f.error}</div>}
+                          </td>
+                          <td className="py-1 pr-2 whitespace-nowrap">
+                            {f.error ? (
+                              "—"
+                            ) : !f.muestreoId ? (
+                              <Badge color="blue">nuevo</Badge>
+                            ) : f.protocolo ? (
+                              `prot. ${f.protocolo}`
+                            ) : (
+                              "vigente"
+                            )}
+                            {f.fecha && <div className="text-xs text-gray-600">{f.fecha}</div>}
+                          </td>
+                          <td className="py-1 pr-2">
+                            <div className="flex flex-wrap gap-1">
+                              {f.celdas.map((c) => (
+                                <span
+                                  key={c.campo}
+                                  title={c.error || ""}
+                                  className={
+                                    "rounded-lg border px-2 py-0.5 text-xs " +
+                                    (c.error
+                                      ? "border-red-300 bg-red-50 text-red-800"
+                                      : c.cambia
+                                      ? "border-green-300 bg-green-50"
+                                      : "text-gray-500")
+                                  }
+                                >
+                                  {etiquetaParametro(c.campo)}:{" "}
+                                  {c.error ? `${c.texto} (${c.error})` : `${c.antes || "—"} → ${c.despues}`}
+                                </span>
+                              ))}
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        <div className="flex items-center justify-end gap-2">
+          <span className="text-xs text-gray-600">Las filas y celdas con error no se aplican.</span>
+          <button className="rounded-xl border px-3 py-2 text-sm" onClick={onClose}>
+            Cancelar
+          </button>
+          <button
+            className="rounded-xl bg-blue-600 text-white px-3 py-2 text-sm disabled:opacity-50"
+            disabled={nCambios === 0}
+            onClick={aplicar}
+          >
+            Aplicar {nCambios > 0 ? `${nCambios} valores` : ""}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ----- Firma digital -----
+// Una clave recibida solo vale si la huella coincide con la que su titular informa por otro medio
+function confirmarConfianza(nombre, huella) {
+  return confirm(`¿Confiar en la clave de ${nombre}?\nHuella: ${huellaCorta(huella)}\nCotejala con su titular por otro medio.`);
+}
+
+// Clave con que este equipo firma las exportaciones y claves públicas de confianza para verificar las importadas
+function FirmaDigitalConfig({ revisorSugerido }) {
+  const { claveFirma, crearClaveFirma, clavesConfianza, confiarEnClave, quitarClaveConfianza } = useExpediente();
+  const [nombre, setNombre] = useState(revisorSugerido || "");
+  const [otraClave, setOtraClave] = useState(false);
+  const [error, setError] = useState("");
+
+  async function generar() {
+    if (claveFirma && !confirm("¿Generar otra clave? Las próximas exportaciones se firmarán con la nueva.")) return;
+    setError("");
+    try {
+      await crearClaveFirma(nombre);
+      setOtraClave(false);
+    } catch (err) {
+      setError(`No se pudo generar la clave: ${err.message}`);
+    }
+  }
+
+  function exportarClavePublica() {
+    const datos = JSON.stringify({ nombre: claveFirma.nombre, clavePublica: claveFirma.clavePublica }, null, 2);
+    descargar(new Blob([datos], { type: "application/json" }), `clave_publica_${claveFirma.nombre.replace(/\W+/g, "_")}.json`);
+  }
+
+  function importarClavePublica(file) {
+    const r = new FileReader();
+    r.onload = async (ev) => {
+      let obj;
+      try {
+        obj = JSON.parse(String(ev.target?.result || ""));
+      } catch {
+        alert("No es un JSON legible");
+        return;
+      }
+      if (!esClavePublica(obj?.clavePublica)) {
+        alert("El archivo no contiene una clave pública ECDSA P-256");
+        return;
+      }
+      let huella;
+      try {
+        huella = await huellaClave(obj.clavePublica);
+      } catch (err) {
+        alert(`No se pudo calcular la huella de la clave: ${err.message}`);
+        return;
+      }
+      const quien = String(obj.nombre || "").trim() || "sin nombre";
+      if (confirmarConfianza(quien, huella)) confiarEnClave({ nombre: quien, huella, clavePublica: obj.clavePublica });
+    };
+    r.readAsText(file);
+  }
+
+  return (
+    <div className="space-y-3 text-sm">
+      <p className="text-xs text-gray-600">
+        Las exportaciones JSON y ZIP se firman con la clave de este equipo (ECDSA P-256). La firma cubre el legajo, los
+        valores de referencia y quién firmó; al importar se verifica contra las claves de confianza.
+      </p>
+      {claveFirma && !otraClave ? (
+        <div className="flex flex-wrap items-center gap-2">
+          <span>
+            Firmando como <span className="font-medium">{claveFirma.nombre}</span> · huella{" "}
+            <code>{huellaCorta(claveFirma.huella)}</code>
+          </span>
+          <button className="border rounded-lg px-3 py-1.5" onClick={exportarClavePublica}>
+            Exportar clave pública
+          </button>
+          <button className="border rounded-lg px-3 py-1.5" onClick={() => setOtraClave(true)}>
+            Generar otra clave
+          </button>
+        </div>
+      ) : (
+        <div className="flex items-end gap-2">
+          <div className="flex-1">
+            <Field label="Revisor que firma" error={error} hint={!claveFirma && "Sin clave, las exportaciones salen sin firmar"}>
+              <Input value={nombre} onChange={setNombre} placeholder="Apellido y nombre" />
+            </Field>
+          </div>
+          <button className="rounded-xl bg-blue-600 text-white px-3 py-2 mb-3" onClick={generar}>
+            Generar clave
+          </button>
+          {claveFirma && (
+            <button className="rounded-xl border px-3 py-2 mb-3" onClick={() => setOtraClave(false)}>
+              Cancelar
+            </button>
+          )}
+        </div>
+      )}
+
+      <div>
+        <div className="font-medium mb-1">Claves de confianza</div>
+        {clavesConfianza.length === 0 ? (
+          <p className="text-xs text-gray-600">Ninguna todavía: toda exportación firmada se informará como de clave desconocida.</p>
+        ) : (
+          <table className="w-full text-xs">
+            <tbody>
+              {clavesConfianza.map((c) => (
+                <tr key={c.huella} className="border-t">
+                  <td className="py-1 pr-2">{c.nombre}</td>
+                  <td className="py-1 pr-2">
+                    <code>{huellaCorta(c.huella)}</code>
+                    {c.huella === claveFirma?.huella && <span className="ml-1 text-gray-500">(este equipo)</span>}
+                  </td>
+                  <td className="py-1 pr-2 whitespace-nowrap">{c.agregada && fmtFechaHora(c.agregada)}</td>
+                  <td className="py-1 text-right">
+                    <button
+                      className="underline"
+                      onClick={() => confirm(`¿Dejar de confiar en la clave de ${c.nombre}?`) && quitarClaveConfianza(c.huella)}
+                    >
+                      Quitar
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <label className="inline-block mt-2 border rounded-lg px-3 py-1.5 cursor-pointer">
+          Agregar clave pública…
+          <input
+            type="file"
+            accept="application/json"
+            className="hidden"
+            onChange={(e) => {
+              const f = e.target.files?.[0];
+              e.target.value = "";
+              if (f) importarClavePublica(f);
+            }}
+          />
+        </label>
+      </div>
+    </div>
+  );
+}
+
+// Resultado de verificar la firma de un archivo importado (verificarExportacion)
+function FirmaImportacion({ firma, onConfiar }) {
+  const estado = ESTADOS_FIRMA[firma.estado];
+  const explicacion = {
+    valida: firma.confiable && firma.confiable.nombre !== firma.revisor && `Clave de confianza de ${firma.confiable.nombre}.`,
+    no_confiable: "Nadie alteró el archivo desde que se firmó, pero no hay forma de saber si la clave es de quien dice.",
+    alterada: "El archivo se modificó después de firmarlo o la firma está dañada: no es lo que revisó quien firmó.",
+    no_verificable:
+      "El navegador solo verifica firmas en páginas HTTPS o abiertas en el mismo equipo (localhost). Abrí la aplicación así " +
+      "para comprobar quién lo firmó y que no se modificó; la huella sirve para cotejar la clave por otro medio.",
+    sin_firma: "No hay forma de saber quién lo revisó ni si se modificó después.",
+  }[firma.estado];
+  return (
+    <div className="rounded-xl border p-3 mb-3 text-sm space-y-1">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-medium">Firma</span>
+        <Badge color={estado.color}>{estado.label}</Badge>
+      </div>
+      {firma.estado !== "sin_firma" && (
+        <p className="text-gray-700">
+          Firmado por {firma.revisor || "(sin nombre)"}
+          {firma.fecha && !isNaN(new Date(firma.fecha)) && ` el ${fmtFechaHora(firma.fecha)}`}
+          {firma.huella && (
+            <>
+              {" "}
+              · huella <code>{huellaCorta(firma.huella)}</code>
+            </>
+          )}
+        </p>
+      )}
+      {explicacion && <p className="text-xs text-gray-600">{explicacion}</p>}
+      {firma.estado === "no_confiable" && (
+        <button className="border rounded-lg px-3 py-1.5" onClick={onConfiar}>
+          Confiar en esta clave
+        </button>
+      )}
+    </div>
+  );
+}
+
+function ChecklistAppInner({ onBandeja }) {
+  const {
+    limits,
+    setLimits,
+    requisitos,
+    setRequisitos,
+    exp,
+    setExp,
+    deshacer,
+    rehacer,
+    puedeDeshacer,
+    puedeRehacer,
+    expedientes,
+    upsertExpediente,
+    departamentos,
+    capaOficial,
+    setCapaDepartamentos,
+    padron,
+    setPadron,
+    adjuntarArchivos,
+    quitarAnexo,
+    limpiarArchivos,
+    cambiarEstado,
+    firmar,
+    clavesConfianza,
+    confiarEnClave,
+  } = useExpediente();
   const [showConfig, setShowConfig] = useState(false);
+  const [perfilConfig, setPerfilConfig] = useState("consumo_humano");
+  const [tarifaConfig, setTarifaConfig] = useState(0);
   const [showBulkModal, setShowBulkModal] = useState(false);
-  const [bulkText, setBulkText] = useState("");
-  const [registrySet, setRegistrySet] = useState(() => new Set());
+  const [importPreview, setImportPreview] = useState(null);
+  const [showHistorial, setShowHistorial] = useState(false);
+  const [muestreoSel, setMuestreoSel] = useState(null);
+  const [anexoVista, setAnexoVista] = useState(null);
 
-  const basicosStatus = useMemo(
-    () =>
-      sectionStatus(exp.basicos, [
-        "propietario",
-        "cuit",
-        "domicilio",
-        "contacto",
-        "perforista",
-        "perforistaRegistro",
-      ]),
-    [exp.basicos]
-  );
-
-  const tecnicosStatus = useMemo(
-    () =>
-      sectionStatus(exp.tecnicos, [
-        "departamento",
-        "localidad",
-        "partida",
-        "coords_gms",
-        "profundidad_m",
-        "diametro_pulg",
-        "caudal_m3h",
-        "caudal_anual_m3",
-        "horas_anuales",
-        "uso",
-        "acuifero",
-      ]),
-    [exp.tecnicos]
-  );
-
-  const docsOkCount = [
-    exp.docs.tituloPropiedad,
-    exp.docs.permisoExploracion,
-    exp.docs.ensayoBombeo,
-    exp.docs.estudioInterferencia,
-    exp.docs.perfilesLitologicos,
-    exp.docs.memoriaDescriptiva,
-  ].filter(Boolean).length;
-  const docsStatus = {
-    color: docsOkCount === 6 ? "green" : docsOkCount === 0 ? "red" : "yellow",
-    text: `${docsOkCount}/6 adjuntos`,
+  const ev = useMemo(
+    () => evaluarExpediente(exp, limits, { departamentos, requisitos, padron }),
+    [exp, limits, departamentos, requisitos, padron]
+  );
+  const {
+    cuit,
+    coords,
+    ubicacion,
+    hidraulica,
+    req,
+    basicosStatus,
+    tecnicosStatus,
+    docsStatus,
+    documentos,
+    anal,
+    hq,
+    analStatus,
+    firmasStatus,
+    tasa,
+    tasaCalculada,
+    visados,
+    allGreen,
+    registro,
+    observaciones,
+  } = ev;
+  const setVisado = (seccion, v) => setExp({ ...exp, visados: { ...exp.visados, [seccion]: v } });
+
+  // Muestreo en edición: el elegido por el revisor o, si no existe, el vigente o el primero
+  const muestreos = muestreosOrdenados(exp);
+  const idSel = exp.muestreos[muestreoSel] ? muestreoSel : exp.muestreos[exp.muestreoVigente] ? exp.muestreoVigente : muestreos[0]?.id;
+  const sel = idSel ? exp.muestreos[idSel] : null;
+  const esVigente = idSel === exp.muestreoVigente;
+  const analSel = esVigente ? anal : checkAnalisis(sel?.analisis ?? {}, limits, exp.tecnicos.uso);
+  const hqSel = esVigente ? hq : indicadoresHidroquimicos(valoresExactos(sel?.analisis), limits.hidroquimica);
+  const setMuestreo = (ruta, v) => setExp(escribirRuta(exp, `muestreos.${idSel}.${ruta}`, v));
+
+  // Las observaciones del análisis son del muestreo vigente (solo él tiene las anclas): si se está viendo otro,
+  // se vuelve al vigente antes de ir al campo
+  function irAObservacion(ancla) {
+    if (esVigente || !ancla.startsWith(anclaCampo("analisis."))) return irACampo(ancla);
+    setMuestreoSel(exp.muestreoVigente);
+    setTimeout(() => irACampo(ancla));
+  }
+
+  const agregarMuestreo = () => {
+    const id = siguienteIdMuestreo(exp.muestreos);
+    setExp({ ...exp, muestreos: { ...exp.muestreos, [id]: JSON.parse(JSON.stringify(EMPTY_MUESTREO)) }, muestreoVigente: id });
+    setMuestreoSel(id);
   };
 
-  const anal = useMemo(() => checkAnalisis(exp.analisis, limits), [exp.analisis, limits]);
-  const analStatus = {
-    color: anal.bad === 0 && anal.present > 0 ? "green" : anal.present === 0 ? "red" : "yellow",
-    text: anal.present === 0 ? "Sin datos" : `${anal.ok}/${anal.present} en norma${anal.bad ? ` • ${anal.bad} fuera` : ""}`,
+  const eliminarMuestreo = (id) => {
+    if (!confirm(`¿Eliminar el muestreo ${nombreMuestreo(exp.muestreos[id])}?`)) return;
+    const { [id]: _, ...resto } = exp.muestreos;
+    setExp({ ...exp, muestreos: resto, muestreoVigente: exp.muestreoVigente === id ? "" : exp.muestreoVigente });
   };
 
-  const firmasOk = exp.firmas.propietario && exp.firmas.profesional && exp.firmas.declaracionJurada;
-  const firmasStatus = { color: firmasOk ? "green" : "red", text: firmasOk ? "Firmas completas" : "Faltan firmas" };
+  // Asterisco de obligatorio según los requisitos que aplican al expediente
+  const requerido = (ruta) => Object.values(req).some((r) => r.aplicables.some((x) => x.ruta === ruta));
 
-  const tasa = useMemo(() => categoriaTasa(limits, exp.tecnicos.caudal_anual_m3), [limits, exp.tecnicos.caudal_anual_m3]);
+  const gk = coords.ok ? aGaussKruger(coords.lat, coords.lon) : null;
+  const obsHidraulica = (campo, bloquea) =>
+    hidraulica.observaciones
+      .filter((o) => o.campo === campo && o.bloquea === bloquea)
+      .map((o) => o.texto)
+      .join(" · ") || null;
 
-  const allGreen =
-    basicosStatus.color === "green" &&
-    tecnicosStatus.color === "green" &&
-    docsStatus.color === "green" &&
-    analStatus.color !== "red" && // aceptamos amarillo si hay parámetros no aplicables
-    firmasOk;
+  function setPerfil(perfil) {
+    setLimits({ ...limits, perfiles: { ...limits.perfiles, [perfilConfig]: perfil } });
+  }
+
+  const cuadro = limits.tarifas[tarifaConfig] ?? limits.tarifas[0];
+
+  function setCuadro(next) {
+    setLimits({ ...limits, tarifas: limits.tarifas.map((t, i) => (i === tarifaConfig ? next : t)) });
+  }
+
+  // Nuevo año: clona el cuadro más reciente, actualiza montos por % y cierra la vigencia del anterior
+  function nuevoCuadroTarifario() {
+    const ultimo = [...limits.tarifas].sort((a, b) => b.desde.localeCompare(a.desde))[0];
+    const anio = Number(ultimo.desde.slice(0, 4)) + 1;
+    const pct = prompt(`Actualización de montos respecto de ${ultimo.nombre} (%)`, "0");
+    if (pct == null || !isFinite(Number(pct))) return;
+    const nuevo = clonarCuadro(ultimo, Number(pct), `${anio}-01-01`, `Tasas ${anio}`);
+    const tarifas = limits.tarifas.map((t) => (t === ultimo && !t.hasta ? { ...t, hasta: `${anio - 1}-12-31` } : t));
+    setLimits({ ...limits, tarifas: [...tarifas, nuevo] });
+    setTarifaConfig(tarifas.length);
+  }
+
+  // Siempre queda al menos un cuadro para liquidar la tasa
+  function eliminarCuadroTarifario() {
+    if (limits.tarifas.length === 1) return alert("No se puede eliminar el único cuadro tarifario");
+    if (!confirm(`¿Eliminar el cuadro ${cuadro.nombre}? Los legajos de su vigencia quedan sin tasa si no la cubre otro.`)) return;
+    setLimits({ ...limits, tarifas: limits.tarifas.filter((t) => t !== cuadro) });
+    setTarifaConfig(0);
+  }
+
+  function cargarPadron(file) {
+    const r = new FileReader();
+    r.onload = (ev) => {
+      const { registros, errores } = leerPadronCsv(String(ev.target?.result || ""));
+      const detalle = errores.map((x) => `fila ${x.fila}: ${x.texto}`).join("\n");
+      if (registros.length === 0) {
+        alert(`No se pudo leer el padrón.\n${detalle || "Archivo vacío"}`);
+        return;
+      }
+      setPadron({ archivo: file.name, cargado: new Date().toISOString(), registros });
+      alert(`Padrón cargado: ${registros.length} registros${errores.length ? `\n${errores.length} filas omitidas:\n${detalle}` : ""}`);
+    };
+    r.readAsText(file);
+  }
 
   function resetAll() {
-    if (confirm("¿Reiniciar el expediente en blanco?")) setExp(EMPTY_EXPEDIENTE);
+    if (confirm("¿Reiniciar el expediente en blanco?"))
+      setExp({ ...EMPTY_EXPEDIENTE, meta: { ...EMPTY_EXPEDIENTE.meta, expedienteId: exp.meta.expedienteId } });
+  }
+
+  // JSON exportado, firmado si este equipo tiene clave (Configuración · Firma digital)
+  async function exportacionFirmada() {
+    try {
+      return JSON.stringify(await firmar(crearExportacion(exp, limits, requisitos)), null, 2);
+    } catch (err) {
+      alert(`No se pudo firmar la exportación: ${err.message}`);
+      return null;
+    }
+  }
+
+  async function exportJSON() {
+    const json = await exportacionFirmada();
+    if (json) descargar(new Blob([json], { type: "application/json" }), `checklist_corufa_${exp.meta.expedienteId || "expediente"}.json`);
+  }
+
+  // Dictamen para imprimir o guardar como PDF. La ventana se abre antes de calcular la huella para no perder el
+  // permiso del clic.
+  async function generarDictamen() {
+    const ventana = window.open("", "_blank");
+    const hash = await hashExpediente(exp).catch(() => null);
+    if (!hash) {
+      ventana?.close();
+      alert("No se pudo calcular la huella del legajo: el navegador no permite SHA-256 en esta página");
+      return;
+    }
+    const html = generarDictamenHtml(exp, ev, { hash, generado: new Date() });
+    imprimirHtml(ventana, html, `dictamen_${exp.meta.expedienteId || "expediente"}.html`);
   }
 
-  function exportJSON() {
-    const blob = new Blob([JSON.stringify({ exp, limits }, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
+  // El mismo JSON más los archivos de los anexos en anexos/; los que no están en este equipo se informan
+  async function exportZIP() {
     const id = exp.meta.expedienteId || "expediente";
-    a.download = `checklist_corufa_${id}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+    const conArchivo = Object.values(exp.docs.anexos).filter((a) => a.sha256);
+    const nombres = nombresUnicos(conArchivo.map((a) => a.nombre));
+    const json = await exportacionFirmada();
+    if (!json) return;
+    const archivos = [{ nombre: `checklist_corufa_${id}.json`, datos: json }];
+    const faltan = [];
+    for (const [i, a] of conArchivo.entries()) {
+      const datos = await leerArchivo(a.sha256)
+        .then((blob) => blob?.arrayBuffer())
+        .catch(() => undefined);
+      if (datos) archivos.push({ nombre: `anexos/${nombres[i]}`, datos: new Uint8Array(datos) });
+      else faltan.push(a.nombre);
+    }
+    try {
+      descargar(new Blob([crearZip(archivos)], { type: "application/zip" }), `checklist_corufa_${id}.zip`);
+    } catch (err) {
+      alert(`No se pudo armar el ZIP: ${err.message}`);
+      return;
+    }
+    if (faltan.length) alert(`Estos anexos no están en este equipo o no se pudieron leer, y no se incluyeron:\n${faltan.join("\n")}`);
+  }
+
+  function borrarArchivosSinUso() {
+    if (!confirm("¿Borrar de este equipo los archivos que ya no usa ningún legajo?")) return;
+    limpiarArchivos()
+      .then((n) => alert(n ? `Archivos sin usar borrados: ${n}` : "No hay archivos sin usar"))
+      .catch((err) => alert(`No se pudieron borrar los archivos: ${err.message}`));
+  }
+
+  function adjuntar(input, item = "") {
+    const files = Array.from(input.files || []);
+    input.value = ""; // permite volver a elegir el mismo archivo
+    adjuntarArchivos(files, item).catch((err) => alert(`No se pudieron guardar los archivos: ${err.message}`));
+  }
+
+  // Asignar un anexo a un documento también lo tilda
+  function asignarAnexo(id, item) {
+    const conItem = escribirRuta(exp, `docs.anexos.${id}.item`, item);
+    setExp(item ? escribirRuta(conItem, item, true) : conItem);
+  }
+
+  function aplicarImport({ exp: nuevoExp, limits: nuevosLimits, requisitos: nuevosRequisitos, firma }) {
+    if (firma.estado === "alterada" && !confirm("El archivo fue modificado después de firmarlo. ¿Importarlo de todos modos?")) return;
+    const id = String(nuevoExp?.meta.expedienteId || "").trim();
+    const existente = id && expedientes[id];
+    const reemplazo = `Ya existe el expediente ${id} en este equipo. ¿Reemplazarlo por el del archivo?`;
+    if (existente && !estaCongelado(existente) && !confirm(reemplazo)) return;
+    setImportPreview(null);
+    if (nuevoExp && !upsertExpediente(nuevoExp, firma)) {
+      alert("Ese expediente ya existe y está congelado (apto, elevado o resuelto): reabrilo antes de importar sobre él");
+      return;
+    }
+    if (nuevosLimits) setLimits(nuevosLimits);
+    if (nuevosRequisitos) setRequisitos(nuevosRequisitos);
   }
 
+  // Siempre pasa por el informe, que muestra el resultado de verificar la firma antes de aplicar
   function importJSON(file) {
     const reader = new FileReader();
-    reader.onload = (e) => {
+    reader.onload = async (e) => {
+      let obj;
+      try {
+        obj = JSON.parse(e.target.result);
+      } catch (err) {
+        alert("Archivo inválido: no es un JSON legible");
+        return;
+      }
       try {
-        const obj = JSON.parse(e.target.result);
-        if (obj.limits) setLimits(obj.limits);
-        if (obj.exp) setExp(obj.exp);
+        const firma = await verificarExportacion(obj, clavesConfianza);
+        setImportPreview({ ...leerExportacion(obj), firma, fileName: file.name });
       } catch (err) {
-        alert("Archivo inválido");
+        alert(`No se pudo leer el archivo: ${err.message}`);
       }
     };
     reader.readAsText(file);
   }
 
+  function confiarEnFirma() {
+    const { revisor, huella, clavePublica } = importPreview.firma;
+    if (!confirmarConfianza(revisor || "(sin nombre)", huella)) return;
+    const confiable = { nombre: revisor, huella, clavePublica };
+    confiarEnClave(confiable);
+    setImportPreview((p) => ({ ...p, firma: { ...p.firma, estado: "valida", confiable } }));
+  }
+
   // ----- UI -----
   return (
     <div className="min-h-screen bg-slate-50">
@@ -255,12 +1631,37 @@ function ChecklistAppInner() {
             <p className="text-xs text-gray-600">Dirección (ex CORUFA) · Ley 9172 · Uso de Aguas</p>
           </div>
           <div className="flex items-center gap-2">
+            <button className="rounded-xl border px-3 py-2 text-sm" onClick={onBandeja}>
+              Bandeja
+            </button>
+            <button
+              className="rounded-xl border px-3 py-2 text-sm disabled:opacity-40"
+              onClick={deshacer}
+              disabled={!puedeDeshacer}
+              title="Deshacer"
+            >
+              ↶
+            </button>
+            <button
+              className="rounded-xl border px-3 py-2 text-sm disabled:opacity-40"
+              onClick={rehacer}
+              disabled={!puedeRehacer}
+              title="Rehacer"
+            >
+              ↷
+            </button>
+            <button className="rounded-xl border px-3 py-2 text-sm" onClick={() => setShowHistorial(true)}>
+              Historial
+            </button>
             <button className="rounded-xl border px-3 py-2 text-sm" onClick={() => setShowConfig(true)}>
               Configuración
             </button>
             <button className="rounded-xl border px-3 py-2 text-sm" onClick={exportJSON}>
               Exportar JSON
             </button>
+            <button className="rounded-xl border px-3 py-2 text-sm" onClick={exportZIP} title="JSON del legajo con los archivos anexos">
+              Exportar ZIP
+            </button>
             <label className="rounded-xl border px-3 py-2 text-sm cursor-pointer">
               Importar
               <input
@@ -270,8 +1671,12 @@ function ChecklistAppInner() {
                 onChange={(e) => e.target.files?.[0] && importJSON(e.target.files[0])}
               />
             </label>
-            <button className="rounded-xl bg-blue-600 text-white px-3 py-2 text-sm shadow" onClick={() => window.print()}>
-              Generar PDF
+            <button
+              className="rounded-xl bg-blue-600 text-white px-3 py-2 text-sm shadow"
+              onClick={generarDictamen}
+              title="Dictamen pre-Plenario para imprimir o guardar como PDF"
+            >
+              Generar dictamen
             </button>
           </div>
         </div>
@@ -287,423 +1692,729 @@ function ChecklistAppInner() {
       </div>
 
       <main className="max-w-6xl mx-auto px-4 py-6 space-y-6 print:space-y-4">
-        {/* Encabezado */}
-        <SectionCard title="Encabezado del expediente" status={{ color: "blue", text: "Identificación" }}>
-          <div className="grid md:grid-cols-3 gap-4">
-            <Field label="N° de Expediente / Legajo" required>
-              <Input value={exp.meta.expedienteId} onChange={(v) => setExp({ ...exp, meta: { ...exp.meta, expedienteId: v } })} />
-            </Field>
-            <Field label="Fecha de revisión" required>
-              <Input type="date" value={exp.meta.fecha} onChange={(v) => setExp({ ...exp, meta: { ...exp.meta, fecha: v } })} />
-            </Field>
-            <Field label="Revisado por (administrativo/técnico)" required>
-              <Input value={exp.meta.revisadoPor} onChange={(v) => setExp({ ...exp, meta: { ...exp.meta, revisadoPor: v } })} />
-            </Field>
-          </div>
-        </SectionCard>
-
-        {/* Validación padrón */}
-        <SectionCard
-          title="Validación de padrón de perforistas (opcional)"
-          status={{
-            color: registrySet.size > 0 ? (registrySet.has(String(exp.basicos.perforistaRegistro).trim()) ? "green" : "red") : "gray",
-            text:
-              registrySet.size > 0
-                ? registrySet.has(String(exp.basicos.perforistaRegistro).trim())
-                  ? "Registro validado"
-                  : "Registro no encontrado"
-                : "Sin padrón",
-          }}
-        >
-          <div className="flex flex-col md:flex-row md:items-end gap-3">
-            <div className="md:w-1/2">
-              <Field label="Cargar padrón (CSV o texto con N° de registro separados por coma/fin de línea)">
-                <input
-                  type="file"
-                  accept=".csv,text/plain"
-                  onChange={(e) => {
-                    const f = e.target.files?.[0];
-                    if (!f) return;
-                    const r = new FileReader();
-                    r.onload = (ev) => {
-                      try {
-                        const txt = String(ev.target?.result || "");
-                        const tokens = txt
-                          .split(/[\r\n,;\t]+/)
-                          .map((s) => s.trim())
-                          .filter(Boolean);
-                        setRegistrySet(new Set(tokens));
-                        alert(`Padrón cargado: ${tokens.length} registros`);
-                      } catch {
-                        alert("No se pudo leer el padrón");
-                      }
-                    };
-                    r.readAsText(f);
-                  }}
-                />
+        <TramiteCard key={exp.meta.expedienteId} exp={exp} allGreen={allGreen} onCambiar={cambiarEstado} />
+
+        {/* Un legajo congelado (apto, elevado o resuelto) se muestra pero no se edita */}
+        <fieldset disabled={estaCongelado(exp)} className="space-y-6 print:space-y-4 min-w-0">
+          {/* Encabezado */}
+          <SectionCard title="Encabezado del expediente" status={{ color: "blue", text: "Identificación" }}>
+            <div className="grid md:grid-cols-3 gap-4">
+              <Field label="N° de Expediente / Legajo" required>
+                <Input value={exp.meta.expedienteId} onChange={(v) => setExp({ ...exp, meta: { ...exp.meta, expedienteId: v } })} />
+              </Field>
+              <Field label="Fecha de revisión" required>
+                <Input type="date" value={exp.meta.fecha} onChange={(v) => setExp({ ...exp, meta: { ...exp.meta, fecha: v } })} />
+              </Field>
+              <Field label="Revisado por (administrativo/técnico)" required>
+                <Input value={exp.meta.revisadoPor} onChange={(v) => setExp({ ...exp, meta: { ...exp.meta, revisadoPor: v } })} />
+              </Field>
+              <Field
+                label="Fecha de liquidación de la tasa (opcional)"
+                hint={tasa.cuadro ? `Cuadro aplicado: ${tasa.cuadro.nombre}` : null}
+                error={tasa.cuadro ? null : "Ningún cuadro tarifario vigente a esa fecha"}
+              >
+                <Input type="date" value={exp.meta.fechaLiquidacion} onChange={(v) => setExp({ ...exp, meta: { ...exp.meta, fechaLiquidacion: v } })} />
               </Field>
             </div>
-            <div className="md:flex-1 text-sm text-gray-600">
-              Estado actual: {registrySet.size > 0
-                ? registrySet.has(String(exp.basicos.perforistaRegistro).trim())
-                  ? "✔️ Registro válido para el N° ingresado"
-                  : "❌ N° no coincide con padrón cargado"
-                : "Cargá un padrón para validar automáticamente."}
-            </div>
-          </div>
-        </SectionCard>
+          </SectionCard>
 
-        {/* Datos básicos */}
-        <SectionCard title="1) Identificación básica" status={basicosStatus}>
-          <div className="grid md:grid-cols-2 gap-4">
-            <Field label="Propietario / Razón Social" required>
-              <Input value={exp.basicos.propietario} onChange={(v) => setExp({ ...exp, basicos: { ...exp.basicos, propietario: v } })} />
-            </Field>
-            <Field label="CUIT/CUIL" required>
-              <Input value={exp.basicos.cuit} onChange={(v) => setExp({ ...exp, basicos: { ...exp.basicos, cuit: v } })} />
-            </Field>
-            <Field label="Domicilio real" required>
-              <Input value={exp.basicos.domicilio} onChange={(v) => setExp({ ...exp, basicos: { ...exp.basicos, domicilio: v } })} />
-            </Field>
-            <Field label="Teléfono y/o email" required>
-              <Input value={exp.basicos.contacto} onChange={(v) => setExp({ ...exp, basicos: { ...exp.basicos, contacto: v } })} />
-            </Field>
-            <div className="md:col-span-2 flex flex-wrap gap-6">
-              <Checkbox
-                checked={exp.basicos.autorizacionNoPropietario}
-                onChange={(v) => setExp({ ...exp, basicos: { ...exp.basicos, autorizacionNoPropietario: v } })}
-                label="Adjunta autorización notariada (si no es propietario)"
-              />
+          {/* Validación padrón */}
+          <SectionCard
+            title="Validación de padrón de perforistas (opcional)"
+            status={{
+              color: !registro ? "gray" : registro.vigente ? "green" : "red",
+              text: !registro
+                ? "Sin padrón"
+                : registro.vigente
+                ? "Registro vigente"
+                : registro.encontrado
+                ? "Registro no vigente"
+                : "Registro no encontrado",
+            }}
+          >
+            <div className="flex flex-col md:flex-row md:items-end gap-3">
+              <div className="md:w-1/2">
+                <Field
+                  label="Cargar padrón (CSV con registro, razón social, CUIT, estado, vigencia desde, vigencia hasta)"
+                  hint={padron && `${padron.archivo} · ${padron.registros.length} registros · cargado ${fmtFechaHora(padron.cargado)}`}
+                >
+                  <input
+                    type="file"
+                    accept=".csv,text/csv,text/plain"
+                    onChange={(e) => e.target.files?.[0] && cargarPadron(e.target.files[0])}
+                  />
+                </Field>
+                {padron && (
+                  <button className="text-sm underline" onClick={() => confirm("¿Quitar el padrón cargado?") && setPadron(null)}>
+                    Quitar padrón
+                  </button>
+                )}
+              </div>
+              <div className="md:flex-1 text-sm text-gray-600 space-y-1">
+                {!registro ? (
+                  <p>Cargá un padrón para validar automáticamente.</p>
+                ) : registro.encontrado ? (
+                  <p>
+                    Registro {registro.encontrado.registro}: {registro.encontrado.razonSocial || "(sin razón social)"}
+                    {registro.encontrado.cuit && ` · CUIT ${registro.encontrado.cuit}`} · {registro.encontrado.estado}
+                    {` · vigencia ${registro.encontrado.desde || "—"} a ${registro.encontrado.hasta || "sin vencimiento"}`}
+                    {registro.similitud != null && ` · coincidencia de nombre ${Math.round(registro.similitud * 100)}%`}
+                  </p>
+                ) : null}
+                {registro?.observaciones.map((o, i) => (
+                  <div key={i} className="flex items-start gap-2">
+                    <Badge color={o.bloquea ? "red" : "yellow"}>{o.bloquea ? "Rechazado" : "Verificar"}</Badge>
+                    <span>{o.texto}</span>
+                  </div>
+                ))}
+                {registro?.vigente && registro.observaciones.length === 0 && <p>✔️ Registro vigente al {exp.meta.fecha}</p>}
+              </div>
             </div>
-            <Field label="Perforista (Nombre/Razón Social)" required>
-              <Input value={exp.basicos.perforista} onChange={(v) => setExp({ ...exp, basicos: { ...exp.basicos, perforista: v } })} />
-            </Field>
-            <Field label="N° de Registro del Perforista" required>
-              <Input value={exp.basicos.perforistaRegistro} onChange={(v) => setExp({ ...exp, basicos: { ...exp.basicos, perforistaRegistro: v } })} />
-            </Field>
-          </div>
-        </SectionCard>
+          </SectionCard>
 
-        {/* Datos técnicos */}
-        <SectionCard
-          title="2) Datos técnicos de la perforación"
-          status={tecnicosStatus}
-          right={<Badge color="blue">Categoría tasa: {tasa.cat} · {fmtMoney(tasa.monto)}</Badge>}
-        >
-          <div className="grid md:grid-cols-3 gap-4">
-            <Field label="Departamento" required>
-              <Input value={exp.tecnicos.departamento} onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, departamento: v } })} />
-            </Field>
-            <Field label="Localidad" required>
-              <Input value={exp.tecnicos.localidad} onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, localidad: v } })} />
-            </Field>
-            <Field label="Partida inmobiliaria" required>
-              <Input value={exp.tecnicos.partida} onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, partida: v } })} />
-            </Field>
-            <Field label={"Coordenadas (G° M' S\") – WGS84"} required>
-              <Input value={exp.tecnicos.coords_gms} onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, coords_gms: v } })} />
-            </Field>
-            <Field label="Profundidad (m)" required>
-              <Input type="number" value={exp.tecnicos.profundidad_m} onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, profundidad_m: v } })} />
-            </Field>
-            <Field label="Diámetro (pulg.)" required>
-              <Input type="number" value={exp.tecnicos.diametro_pulg} onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, diametro_pulg: v } })} />
-            </Field>
-            <Field label="Caudal (m³/h)" required>
-              <Input type="number" value={exp.tecnicos.caudal_m3h} onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, caudal_m3h: v } })} />
-            </Field>
-            <Field label="Caudal anual (m³/año)" required>
-              <Input type="number" value={exp.tecnicos.caudal_anual_m3} onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, caudal_anual_m3: v } })} />
-            </Field>
-            <Field label="Horas de trabajo/año" required>
-              <Input type="number" value={exp.tecnicos.horas_anuales} onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, horas_anuales: v } })} />
-            </Field>
-            <Field label="Uso declarado" required>
-              <Input
-                value={exp.tecnicos.uso}
-                onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, uso: v } })}
-                placeholder="Consumo humano / Riego / Ganadería / Industrial / Otro"
-              />
-            </Field>
-            <Field label="Acuífero" required>
-              <Input
-                value={exp.tecnicos.acuifero}
-                onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, acuifero: v } })}
-                placeholder="Ej.: Guaraní / Puelche"
-              />
-            </Field>
-          </div>
-        </SectionCard>
-
-        {/* Documentación */}
-        <SectionCard title="3) Documentación técnica obligatoria" status={docsStatus}>
-          <div className="grid md:grid-cols-2 gap-4">
-            <Checkbox
-              checked={exp.docs.tituloPropiedad}
-              onChange={(v) => setExp({ ...exp, docs: { ...exp.docs, tituloPropiedad: v } })}
-              label="Título de propiedad / autorización certificada"
-            />
-            <Checkbox
-              checked={exp.docs.permisoExploracion}
-              onChange={(v) => setExp({ ...exp, docs: { ...exp.docs, permisoExploracion: v } })}
-              label="Resolución / Permiso de exploración (N° y fecha)"
-            />
-            <Checkbox
-              checked={exp.docs.ensayoBombeo}
-              onChange={(v) => setExp({ ...exp, docs: { ...exp.docs, ensayoBombeo: v } })}
-              label="Ensayo de bombeo"
-            />
-            <Checkbox
-              checked={exp.docs.estudioInterferencia}
-              onChange={(v) => setExp({ ...exp, docs: { ...exp.docs, estudioInterferencia: v } })}
-              label="Estudio de interferencia"
-            />
-            <Checkbox
-              checked={exp.docs.perfilesLitologicos}
-              onChange={(v) => setExp({ ...exp, docs: { ...exp.docs, perfilesLitologicos: v } })}
-              label="Perfiles litológicos"
-            />
-            <Checkbox
-              checked={exp.docs.memoriaDescriptiva}
-              onChange={(v) => setExp({ ...exp, docs: { ...exp.docs, memoriaDescriptiva: v } })}
-              label="Memoria descriptiva (almacenamiento, conducción, tratamientos, efluentes)"
+          {/* Datos básicos */}
+          <SectionCard title="1) Identificación básica" status={basicosStatus}>
+            <div className="grid md:grid-cols-2 gap-4">
+              <Field
+                label="Propietario / Razón Social"
+                id={anclaCampo("basicos.propietario")}
+                required={requerido("basicos.propietario")}
+                hint={cuit.tipo === "juridica" ? "Titular persona jurídica: revisar razón social completa y poder del firmante" : null}
+              >
+                <Input value={exp.basicos.propietario} onChange={(v) => setExp({ ...exp, basicos: { ...exp.basicos, propietario: v } })} />
+              </Field>
+              <Field
+                label="CUIT/CUIL"
+                id={anclaCampo("basicos.cuit")}
+                required={requerido("basicos.cuit")}
+                error={cuit.error}
+                hint={cuit.valido ? (cuit.tipo === "juridica" ? "Persona jurídica" : "Persona física") : null}
+              >
+                <Input
+                  value={exp.basicos.cuit}
+                  onChange={(v) => setExp({ ...exp, basicos: { ...exp.basicos, cuit: formatearCuit(v) ?? v } })}
+                  placeholder="XX-XXXXXXXX-X"
+                />
+              </Field>
+              <Field label="Domicilio real" id={anclaCampo("basicos.domicilio")} required={requerido("basicos.domicilio")}>
+                <Input value={exp.basicos.domicilio} onChange={(v) => setExp({ ...exp, basicos: { ...exp.basicos, domicilio: v } })} />
+              </Field>
+              <Field label="Teléfono y/o email" id={anclaCampo("basicos.contacto")} required={requerido("basicos.contacto")}>
+                <Input value={exp.basicos.contacto} onChange={(v) => setExp({ ...exp, basicos: { ...exp.basicos, contacto: v } })} />
+              </Field>
+              <div className="md:col-span-2 flex flex-wrap items-center gap-6">
+                <Checkbox
+                  checked={exp.basicos.solicitanteEsTitular}
+                  onChange={(v) => setExp({ ...exp, basicos: { ...exp.basicos, solicitanteEsTitular: v } })}
+                  label="El solicitante es el titular del inmueble"
+                />
+                <Checkbox
+                  id={anclaCampo("basicos.autorizacionNoPropietario")}
+                  checked={exp.basicos.autorizacionNoPropietario}
+                  onChange={(v) => setExp({ ...exp, basicos: { ...exp.basicos, autorizacionNoPropietario: v } })}
+                  label={`Adjunta autorización notariada (si no es propietario)${requerido("basicos.autorizacionNoPropietario") ? " *" : ""}`}
+                />
+                {cuit.tipo === "juridica" && <Badge color="yellow">Revisar: autorización / poder de la persona jurídica</Badge>}
+              </div>
+              <Field
+                label="Perforista (Nombre/Razón Social)"
+                id={anclaCampo("basicos.perforista")}
+                required={requerido("basicos.perforista")}
+              >
+                <Input value={exp.basicos.perforista} onChange={(v) => setExp({ ...exp, basicos: { ...exp.basicos, perforista: v } })} />
+              </Field>
+              <Field
+                label="N° de Registro del Perforista"
+                id={anclaCampo("basicos.perforistaRegistro")}
+                required={requerido("basicos.perforistaRegistro")}
+              >
+                <Input value={exp.basicos.perforistaRegistro} onChange={(v) => setExp({ ...exp, basicos: { ...exp.basicos, perforistaRegistro: v } })} />
+              </Field>
+            </div>
+            <VisadoSeccion
+              seccion="basicos"
+              visado={exp.visados.basicos}
+              observaciones={visados.observaciones}
+              onChange={(v) => setVisado("basicos", v)}
             />
-          </div>
-          <div className="mt-3">
-            <Field label="Anexos (solo referencia – se adjuntan en expediente físico o gestor documental)">
-              <input
-                type="file"
-                multiple
-                onChange={(e) =>
-                  setExp({
-                    ...exp,
-                    docs: {
-                      ...exp.docs,
-                      anexos: [
-                        ...exp.docs.anexos,
-                        ...Array.from(e.target.files || []).map((f) => f.name),
-                      ],
-                    },
-                  })
-                }
-              />
-            </Field>
-            {exp.docs.anexos?.length > 0 && (
-              <div className="text-xs text-gray-600 flex flex-wrap gap-2">
-                {exp.docs.anexos.map((n, i) => (
-                  <span key={i} className="px-2 py-1 border rounded-full bg-gray-50">
-                    {n}
-                  </span>
+          </SectionCard>
+
+          {/* Datos técnicos */}
+          <SectionCard
+            title="2) Datos técnicos de la perforación"
+            status={tecnicosStatus}
+            right={
+              tasaCalculada && tasaCalculada.cat !== tasa.cat ? (
+                <Badge color="yellow">
+                  Tasa declarada: {tasa.cat} · {fmtMoney(tasa.monto)} — calculada: {tasaCalculada.cat} · {fmtMoney(tasaCalculada.monto)}
+                </Badge>
+              ) : (
+                <Badge color="blue">
+                  Categoría tasa: {tasa.cat} · {fmtMoney(tasa.monto)}
+                  {tasa.cuadro && ` · ${tasa.cuadro.nombre}`}
+                </Badge>
+              )
+            }
+          >
+            <div className="grid md:grid-cols-3 gap-4">
+              <Field label="Departamento" id={anclaCampo("tecnicos.departamento")} required={requerido("tecnicos.departamento")}>
+                <Input value={exp.tecnicos.departamento} onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, departamento: v } })} />
+              </Field>
+              <Field label="Localidad" id={anclaCampo("tecnicos.localidad")} required={requerido("tecnicos.localidad")}>
+                <Input value={exp.tecnicos.localidad} onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, localidad: v } })} />
+              </Field>
+              <Field label="Partida inmobiliaria" id={anclaCampo("tecnicos.partida")} required={requerido("tecnicos.partida")}>
+                <Input value={exp.tecnicos.partida} onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, partida: v } })} />
+              </Field>
+              <Field
+                label={"Coordenadas (G° M' S\" o decimal) – WGS84"}
+                id={anclaCampo("tecnicos.coords_gms")}
+                required={requerido("tecnicos.coords_gms")}
+                error={coords.error}
+                hint={gk && `${fmtDecimal(coords.lat)}; ${fmtDecimal(coords.lon)} · GK faja 5 X ${fmtDecimal(gk.x, 2)} Y ${fmtDecimal(gk.y, 2)}`}
+              >
+                <Input
+                  value={exp.tecnicos.coords_gms}
+                  onChange={(v) => {
+                    const c = parseCoordenadas(v);
+                    setExp({ ...exp, tecnicos: { ...exp.tecnicos, coords_gms: v, lat: c.ok ? c.lat : null, lon: c.ok ? c.lon : null } });
+                  }}
+                  placeholder={"31°44'12\" S 60°31'20\" O"}
+                />
+              </Field>
+              <Field label="Profundidad (m)" id={anclaCampo("tecnicos.profundidad_m")} required={requerido("tecnicos.profundidad_m")}>
+                <Input type="number" value={exp.tecnicos.profundidad_m} onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, profundidad_m: v } })} />
+              </Field>
+              <Field
+                label="Diámetro (pulg.)"
+                id={anclaCampo("tecnicos.diametro_pulg")}
+                required={requerido("tecnicos.diametro_pulg")}
+                error={obsHidraulica("diametro_pulg", true)}
+                hint={obsHidraulica("diametro_pulg", false)}
+              >
+                <Input type="number" value={exp.tecnicos.diametro_pulg} onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, diametro_pulg: v } })} />
+              </Field>
+              <Field
+                label="Caudal (m³/h)"
+                id={anclaCampo("tecnicos.caudal_m3h")}
+                required={requerido("tecnicos.caudal_m3h")}
+                error={obsHidraulica("caudal_m3h", true)}
+                hint={obsHidraulica("caudal_m3h", false)}
+              >
+                <Input type="number" value={exp.tecnicos.caudal_m3h} onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, caudal_m3h: v } })} />
+              </Field>
+              <Field
+                label="Caudal anual (m³/año)"
+                id={anclaCampo("tecnicos.caudal_anual_m3")}
+                required={requerido("tecnicos.caudal_anual_m3")}
+                error={obsHidraulica("caudal_anual_m3", true)}
+                hint={obsHidraulica("caudal_anual_m3", false)}
+              >
+                <Input type="number" value={exp.tecnicos.caudal_anual_m3} onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, caudal_anual_m3: v } })} />
+              </Field>
+              <Field
+                label="Horas de trabajo/año"
+                id={anclaCampo("tecnicos.horas_anuales")}
+                required={requerido("tecnicos.horas_anuales")}
+                error={obsHidraulica("horas_anuales", true)}
+                hint={obsHidraulica("horas_anuales", false)}
+              >
+                <Input type="number" value={exp.tecnicos.horas_anuales} onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, horas_anuales: v } })} />
+              </Field>
+              <Field label="Uso declarado" id={anclaCampo("tecnicos.uso")} required={requerido("tecnicos.uso")}>
+                <Select value={exp.tecnicos.uso} onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, uso: v } })} options={USOS} />
+              </Field>
+              <Field label="Acuífero" id={anclaCampo("tecnicos.acuifero")} required={requerido("tecnicos.acuifero")}>
+                <Input
+                  value={exp.tecnicos.acuifero}
+                  onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, acuifero: v } })}
+                  placeholder="Ej.: Guaraní / Puelche"
+                />
+              </Field>
+              <Field
+                label="Fecha de perforación"
+                id={anclaCampo("tecnicos.fechaPerforacion")}
+                required={requerido("tecnicos.fechaPerforacion")}
+              >
+                <Input
+                  type="date"
+                  value={exp.tecnicos.fechaPerforacion}
+                  onChange={(v) => setExp({ ...exp, tecnicos: { ...exp.tecnicos, fechaPerforacion: v } })}
+                />
+              </Field>
+            </div>
+            <div className="mt-4 flex flex-col md:flex-row gap-4">
+              <MapaDepartamentos capa={departamentos} lat={exp.tecnicos.lat} lon={exp.tecnicos.lon} resaltado={ubicacion.deptoPunto} />
+              <div className="md:flex-1 text-sm space-y-2">
+                <p className="text-gray-600">
+                  {exp.tecnicos.lat == null
+                    ? "Cargá coordenadas válidas para ubicar la perforación."
+                    : ubicacion.deptoPunto
+                    ? `La perforación cae en el departamento ${ubicacion.deptoPunto}.`
+                    : "La perforación no cae en ningún departamento de la capa."}
+                </p>
+                {ubicacion.observaciones.map((o, i) => (
+                  <div key={i} className="flex items-start gap-2">
+                    <Badge color={o.bloquea ? "red" : "yellow"}>{o.bloquea ? "Observación técnica" : "Verificar"}</Badge>
+                    <span>{o.texto}</span>
+                  </div>
                 ))}
+                <p className="text-xs text-gray-500">
+                  {capaOficial ? "Capa de departamentos cargada en Configuración." : "Geometría simplificada incluida; cargá la capa oficial en Configuración."}
+                </p>
               </div>
-            )}
-          </div>
-        </SectionCard>
-
-        {/* Análisis de agua */}
-        <SectionCard
-          title="4) Análisis de agua (cargar valores)"
-          status={analStatus}
-          right={
-            <button className="rounded-xl border px-3 py-2 text-sm" onClick={() => setShowBulkModal(true)}>
-              Carga masiva (CSV)
-            </button>
-          }
-        >
-          <div className="grid md:grid-cols-4 gap-4">
-            {/* Fisicoquímico */}
-            {[
-              ["pH", "pH"],
-              ["arsenico", "Arsénico (mg/L)"],
-              ["nitratos", "Nitratos (mg/L)"],
-              ["nitritos", "Nitritos (mg/L)"],
-              ["conductividad", "Conductividad (µS/cm)"],
-              ["dureza", "Dureza total (mg/L)"],
-              ["std", "Sólidos totales disueltos (mg/L)"],
-              ["calcio", "Calcio (mg/L)"],
-              ["magnesio", "Magnesio (mg/L)"],
-              ["sodio", "Sodio (mg/L)"],
-              ["potasio", "Potasio (mg/L)"],
-              ["bicarbonato", "Bicarbonato (mg/L)"],
-              ["carbonato", "Carbonato (mg/L)"],
-              ["sulfatos", "Sulfatos (mg/L)"],
-              ["cloruros", "Cloruros (mg/L)"],
-              ["temperatura", "Temperatura (°C)"],
-            ].map(([k, label]) => {
-              const state = anal.r[k];
-              const color = state === true ? "green" : state === false ? "red" : "gray";
-              return (
-                <Field
-                  key={k}
-                  label={
-                    <span className="flex items-center gap-2">
-                      {label} <Badge color={color}>{state === true ? "OK" : state === false ? "Fuera" : "—"}</Badge>
-                    </span>
-                  }
-                >
-                  <Input type="number" value={exp.analisis[k]} onChange={(v) => setExp({ ...exp, analisis: { ...exp.analisis, [k]: v } })} />
-                </Field>
-              );
-            })}
-
-            {/* Microbiológico */}
-            {[
-              ["coliformes", "Coliformes totales (NMP/100 mL)"],
-              ["ecoli", "E. coli (NMP/100 mL)"],
-              ["salmonella", "Salmonella (presencia=1/ausencia=0)"],
-              ["pseudomonas", "Pseudomonas (presencia=1/ausencia=0)"],
-              ["aerobios", "Aeróbicos mesófilos (UFC/mL)"],
-            ].map(([k, label]) => {
-              const state = anal.r[k];
-              const color = state === true ? "green" : state === false ? "red" : "gray";
-              return (
-                <Field
-                  key={k}
-                  label={
-                    <span className="flex items-center gap-2">
-                      {label} <Badge color={color}>{state === true ? "OK" : state === false ? "Fuera" : "—"}</Badge>
-                    </span>
-                  }
-                >
-                  <Input type="number" value={exp.analisis[k]} onChange={(v) => setExp({ ...exp, analisis: { ...exp.analisis, [k]: v } })} />
-                </Field>
-              );
-            })}
-          </div>
-          <p className="text-xs text-gray-500 mt-2">* Los valores de referencia pueden ajustarse en Configuración.</p>
-        </SectionCard>
-
-        {/* Firmas */}
-        <SectionCard title="5) Firmas y declaración jurada" status={firmasStatus}>
-          <div className="flex flex-wrap gap-6">
-            <Checkbox
-              checked={exp.firmas.propietario}
-              onChange={(v) => setExp({ ...exp, firmas: { ...exp.firmas, propietario: v } })}
-              label="Firma del propietario / autorizado"
+            </div>
+            <VisadoSeccion
+              seccion="tecnicos"
+              visado={exp.visados.tecnicos}
+              observaciones={visados.observaciones}
+              onChange={(v) => setVisado("tecnicos", v)}
             />
-            <Checkbox
-              checked={exp.firmas.profesional}
-              onChange={(v) => setExp({ ...exp, firmas: { ...exp.firmas, profesional: v } })}
-              label="Firma del profesional responsable"
+          </SectionCard>
+
+          {/* Documentación */}
+          <SectionCard title="3) Documentación técnica obligatoria" status={docsStatus}>
+            <div className="grid md:grid-cols-2 gap-4">
+              {requisitos.docs.map((d) => {
+                const aplica = req.docs.aplicables.includes(d);
+                const archivos = anexosDeItem(exp.docs, d.ruta);
+                return (
+                  <div key={d.ruta} className={aplica ? "" : "opacity-60"}>
+                    <Checkbox
+                      id={anclaCampo(d.ruta)}
+                      checked={leerRuta(exp, d.ruta)}
+                      onChange={(v) => setExp(escribirRuta(exp, d.ruta, v))}
+                      label={d.etiqueta}
+                    />
+                    <div className="ml-6 mt-1 flex flex-wrap items-center gap-2 text-xs">
+                      {archivos.map((a) => (
+                        <button key={a.id} className="px-2 py-0.5 border rounded-full bg-gray-50" onClick={() => setAnexoVista(a)}>
+                          {a.nombre}
+                        </button>
+                      ))}
+                      <label className="underline cursor-pointer print:hidden">
+                        Adjuntar
+                        <input type="file" multiple className="hidden" onChange={(e) => adjuntar(e.target, d.ruta)} />
+                      </label>
+                    </div>
+                    {leerRuta(exp, d.ruta) === true && archivos.length === 0 && (
+                      <span className="block text-xs text-amber-700 ml-6">Tildado sin archivo: no cuenta hasta adjuntarlo</span>
+                    )}
+                    <DatosDocumento
+                      ruta={d.ruta}
+                      datos={exp.docs.datos[claveDocumento(d.ruta)]}
+                      observaciones={documentos.observaciones}
+                      onChange={(campo, v) => setExp(escribirRuta(exp, `docs.datos.${claveDocumento(d.ruta)}.${campo}`, v))}
+                    />
+                    {!aplica && (
+                      <span className="block text-xs text-gray-500 ml-6">
+                        No exigido para este legajo ({describirCondicion(d.cuando, ETIQUETAS_CAMPOS)})
+                      </span>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+            <div className="mt-4 overflow-auto">
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="font-medium text-sm">Anexos</h4>
+                <label className="rounded-xl border px-3 py-1 text-sm cursor-pointer print:hidden">
+                  + Adjuntar archivos
+                  <input type="file" multiple className="hidden" onChange={(e) => adjuntar(e.target)} />
+                </label>
+              </div>
+              {Object.keys(exp.docs.anexos).length === 0 ? (
+                <p className="text-sm text-gray-600">
+                  Sin anexos. Los archivos se guardan en este equipo y pueden exportarse en el ZIP del legajo.
+                </p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600 border-b">
+                      <th className="py-1 pr-2">Archivo</th>
+                      <th className="py-1 pr-2">Tamaño</th>
+                      <th className="py-1 pr-2">SHA-256</th>
+                      <th className="py-1 pr-2">Respalda a</th>
+                      <th className="py-1 pr-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(exp.docs.anexos).map(([id, a]) => (
+                      <tr key={id} className="border-b">
+                        <td className="py-1 pr-2">
+                          {a.nombre}
+                          <div className="text-xs text-gray-500">{a.tipo || "tipo desconocido"}</div>
+                        </td>
+                        <td className="py-1 pr-2 whitespace-nowrap">{a.sha256 ? formatearTamano(a.tamano) : "—"}</td>
+                        <td className="py-1 pr-2 font-mono text-xs" title={a.sha256}>
+                          {a.sha256 ? `${a.sha256.slice(0, 12)}…` : <Badge>solo referencia</Badge>}
+                        </td>
+                        <td className="py-1 pr-2 min-w-[14rem]">
+                          <Select
+                            value={a.item}
+                            onChange={(v) => asignarAnexo(id, v)}
+                            options={requisitos.docs.map((d) => ({ key: d.ruta, label: d.etiqueta }))}
+                            placeholder="Sin asignar"
+                          />
+                        </td>
+                        <td className="py-1 pr-2 whitespace-nowrap text-right">
+                          {a.sha256 && (
+                            <button className="text-sm underline mr-2" onClick={() => setAnexoVista({ id, ...a })}>
+                              Ver
+                            </button>
+                          )}
+                          <button
+                            className="text-sm underline text-red-700"
+                            onClick={() => confirm(`¿Quitar el anexo ${a.nombre}?`) && quitarAnexo(id)}
+                          >
+                            Quitar
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+            <VisadoSeccion
+              seccion="docs"
+              visado={exp.visados.docs}
+              observaciones={visados.observaciones}
+              onChange={(v) => setVisado("docs", v)}
             />
-            <Checkbox
-              checked={exp.firmas.declaracionJurada}
-              onChange={(v) => setExp({ ...exp, firmas: { ...exp.firmas, declaracionJurada: v } })}
-              label="Declaración Jurada confirmada"
+          </SectionCard>
+
+          {/* Análisis de agua */}
+          <SectionCard
+            id={anclaCampo("analisis")}
+            title="4) Análisis de agua (cargar valores)"
+            status={analStatus}
+            right={
+              <button className="rounded-xl border px-3 py-2 text-sm" onClick={() => setShowBulkModal(true)}>
+                Carga masiva (CSV)
+              </button>
+            }
+          >
+            <div className="mb-4 overflow-auto">
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="font-medium text-sm">Muestreos</h4>
+                <button className="rounded-xl border px-3 py-1 text-sm" onClick={agregarMuestreo}>
+                  + Agregar muestreo
+                </button>
+              </div>
+              {muestreos.length === 0 ? (
+                <p className="text-sm text-gray-600">Sin muestreos cargados.</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600 border-b">
+                      <th className="py-1 pr-2">Vigente</th>
+                      <th className="py-1 pr-2">Fecha de toma</th>
+                      <th className="py-1 pr-2">Laboratorio</th>
+                      <th className="py-1 pr-2">Protocolo</th>
+                      <th className="py-1 pr-2">Resultado</th>
+                      <th className="py-1 pr-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {muestreos.map((m) => {
+                      const r = m.id === exp.muestreoVigente ? anal : checkAnalisis(m.analisis, limits, exp.tecnicos.uso);
+                      return (
+                        <tr key={m.id} className={"border-b " + (m.id === idSel ? "bg-blue-50" : "")}>
+                          <td className="py-1 pr-2">
+                            <input
+                              type="radio"
+                              name="muestreo-vigente"
+                              checked={m.id === exp.muestreoVigente}
+                              onChange={() => setExp({ ...exp, muestreoVigente: m.id })}
+                              aria-label={`Marcar vigente ${nombreMuestreo(m)}`}
+                            />
+                          </td>
+                          <td className="py-1 pr-2">{m.fecha || "—"}</td>
+                          <td className="py-1 pr-2">{m.laboratorio || "—"}</td>
+                          <td className="py-1 pr-2">{m.protocolo || "—"}</td>
+                          <td className="py-1 pr-2">
+                            {r.present === 0 ? "Sin datos" : `${r.ok}/${r.present} en norma${r.bad ? ` • ${r.bad} fuera` : ""}`}
+                          </td>
+                          <td className="py-1 pr-2 whitespace-nowrap text-right">
+                            <button className="text-sm underline mr-2" onClick={() => setMuestreoSel(m.id)}>
+                              {m.id === idSel ? "Editando" : "Editar"}
+                            </button>
+                            <button className="text-sm underline text-red-700" onClick={() => eliminarMuestreo(m.id)}>
+                              Eliminar
+                            </button>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            {sel && (
+              <>
+                <div className="flex items-center gap-2 mb-2">
+                  <h4 className="font-medium text-sm">Muestreo {nombreMuestreo(sel)}</h4>
+                  {esVigente ? <Badge color="blue">vigente</Badge> : <Badge>no vigente</Badge>}
+                </div>
+                <div className="grid md:grid-cols-3 gap-4">
+                  <Field label="Laboratorio">
+                    <Input value={sel.laboratorio} onChange={(v) => setMuestreo("laboratorio", v)} />
+                  </Field>
+                  <Field label="N° de protocolo">
+                    <Input value={sel.protocolo} onChange={(v) => setMuestreo("protocolo", v)} />
+                  </Field>
+                  <Field label="Fecha de toma">
+                    <Input type="date" value={sel.fecha} onChange={(v) => setMuestreo("fecha", v)} />
+                  </Field>
+                </div>
+                <div className="grid md:grid-cols-4 gap-4 mt-4">
+                  {PARAMETROS_ANALISIS.map(({ key: k, label, unidad: ref }) => {
+                    const med = sel.analisis[k];
+                    const state = analSel.r[k];
+                    const na = analSel.noAplica.includes(k);
+                    const color = state === true ? "green" : state === false ? "red" : state ? "yellow" : "gray";
+                    const estado = na ? "N/A" : state === true ? "OK" : state === false ? "Fuera" : state ? "Indet." : "—";
+                    const unidades = unidadesPara(k);
+                    const setMed = (cambio) => setMuestreo(`analisis.${k}`, { ...med, ...cambio });
+                    return (
+                      <Field
+                        key={k}
+                        id={esVigente ? anclaCampo(`analisis.${k}`) : undefined}
+                        label={
+                          <span className="flex items-center gap-2">
+                            {label}{" "}
+                            <Badge color={color}>{estado}</Badge>
+                          </span>
+                        }
+                        error={analSel.motivos[k] ?? leerResultado(med.texto).error}
+                        hint={lecturaResultado(med, k)}
+                      >
+                        <Input value={med.texto} onChange={(v) => setMed({ texto: v })} placeholder="7,1 · <0,005 · ND" />
+                        <div className="flex gap-2 mt-1">
+                          {unidades.length > 1 && (
+                            <select
+                              value={med.unidad}
+                              onChange={(e) => setMed({ unidad: e.target.value })}
+                              className="rounded-lg border px-2 py-1 text-xs bg-white"
+                              title="Unidad del informe (si el texto no la indica)"
+                            >
+                              {unidades.map((u) => (
+                                <option key={u} value={u === ref ? "" : u}>
+                                  {u}
+                                </option>
+                              ))}
+                            </select>
+                          )}
+                          <input
+                            value={med.ld}
+                            onChange={(e) => setMed({ ld: e.target.value })}
+                            placeholder="LD"
+                            title="Límite de detección, en la unidad del resultado"
+                            className="w-20 rounded-lg border px-2 py-1 text-xs"
+                          />
+                        </div>
+                      </Field>
+                    );
+                  })}
+                </div>
+                <div className="mt-4 border rounded-xl p-3 bg-slate-50">
+                  <div className="flex items-center gap-2 mb-2">
+                    <h4 className="font-medium text-sm">Indicadores calculados</h4>
+                    {hqSel.recheck && <Badge color="yellow">Re-chequeo de laboratorio</Badge>}
+                  </div>
+                  <div className="grid md:grid-cols-4 gap-3 text-sm">
+                    <div>
+                      <div className="text-xs text-gray-600">Balance iónico</div>
+                      {hqSel.balance
+                        ? `${hqSel.balance.errorPct.toFixed(1)}% ` +
+                          `(${hqSel.balance.cationes.toFixed(2)} / ${hqSel.balance.aniones.toFixed(2)} meq/L)`
+                        : "— faltan iones mayoritarios"}
+                    </div>
+                    <div>
+                      <div className="text-xs text-gray-600">RAS (SAR) · clase riego</div>
+                      {hqSel.sar != null
+                        ? `${hqSel.sar.toFixed(2)}${hqSel.riego ? ` · ${hqSel.riego.clase} (${hqSel.riego.aptitud})` : ""}`
+                        : "—"}
+                    </div>
+                    <div>
+                      <div className="text-xs text-gray-600">Dureza calculada (Ca/Mg)</div>
+                      {hqSel.dureza
+                        ? `${hqSel.dureza.calculada.toFixed(0)} mg/L CaCO₃` +
+                          (hqSel.dureza.difPct != null ? ` · Δ ${hqSel.dureza.difPct.toFixed(0)}%` : "")
+                        : "—"}
+                    </div>
+                    <div>
+                      <div className="text-xs text-gray-600">STD estimado por CE</div>
+                      {hqSel.std
+                        ? `${hqSel.std.estimado.toFixed(0)} mg/L${hqSel.std.difPct != null ? ` · Δ ${hqSel.std.difPct.toFixed(0)}%` : ""}`
+                        : "—"}
+                    </div>
+                  </div>
+                  {hqSel.motivos.length > 0 && (
+                    <ul className="mt-2 text-xs text-amber-800 list-disc pl-5">
+                      {hqSel.motivos.map((m) => (
+                        <li key={m}>{m}</li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </>
+            )}
+            {muestreos.length > 1 && <TendenciaMuestreos muestreos={muestreos} vigente={exp.muestreoVigente} perfil={anal.perfil} />}
+            <p className="text-xs text-gray-500 mt-2">
+              Perfil aplicado: <strong>{anal.perfil.nombre}</strong>
+              {!exp.tecnicos.uso && " (sin uso declarado)"}
+              {anal.perfil.microbiologiaRequerida ? " · microbiología obligatoria" : " · microbiología opcional"}. N/A = no aplica al uso.
+            </p>
+            <p className="text-xs text-gray-500 mt-2">* Los valores de referencia pueden ajustarse en Configuración.</p>
+            <VisadoSeccion
+              seccion="analisis"
+              visado={exp.visados.analisis}
+              observaciones={visados.observaciones}
+              onChange={(v) => setVisado("analisis", v)}
             />
-          </div>
-        </SectionCard>
-
-        {/* Resultado */}
-        <SectionCard title="Resultado del filtro pre‑Plenario">
-          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
-            <div className="flex items-center gap-3">
-              <Badge color={allGreen ? "green" : "red"}>{allGreen ? "APROBADO" : "NO APROBADO"}</Badge>
-              <span className="text-sm text-gray-600">
-                {allGreen ? "El legajo puede elevarse a Plenario." : "Faltan completar secciones y/o documentación obligatoria."}
-              </span>
+          </SectionCard>
+
+          {/* Firmas */}
+          <SectionCard title="5) Firmas y declaración jurada" status={firmasStatus}>
+            <div className="flex flex-wrap gap-6">
+              <Checkbox
+                id={anclaCampo("firmas.propietario")}
+                checked={exp.firmas.propietario}
+                onChange={(v) => setExp({ ...exp, firmas: { ...exp.firmas, propietario: v } })}
+                label="Firma del propietario / autorizado"
+              />
+              <Checkbox
+                id={anclaCampo("firmas.profesional")}
+                checked={exp.firmas.profesional}
+                onChange={(v) => setExp({ ...exp, firmas: { ...exp.firmas, profesional: v } })}
+                label="Firma del profesional responsable"
+              />
+              <Checkbox
+                id={anclaCampo("firmas.declaracionJurada")}
+                checked={exp.firmas.declaracionJurada}
+                onChange={(v) => setExp({ ...exp, firmas: { ...exp.firmas, declaracionJurada: v } })}
+                label="Declaración Jurada confirmada"
+              />
             </div>
-            <div className="flex items-center gap-2">
-              <button className="rounded-xl border px-3 py-2 text-sm" onClick={resetAll}>
-                Reiniciar
-              </button>
+            <VisadoSeccion
+              seccion="firmas"
+              visado={exp.visados.firmas}
+              observaciones={visados.observaciones}
+              onChange={(v) => setVisado("firmas", v)}
+            />
+          </SectionCard>
+
+          {/* Resultado */}
+          <SectionCard title="Resultado del filtro pre‑Plenario">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+              <div className="flex items-center gap-3">
+                <Badge color={allGreen ? "green" : "red"}>{allGreen ? "APROBADO" : "NO APROBADO"}</Badge>
+                <span className="text-sm text-gray-600">
+                  {allGreen
+                    ? "El legajo puede elevarse a Plenario."
+                    : `${observaciones.filter((o) => o.severidad === "bloquea").length} observaciones impiden la aprobación.`}
+                </span>
+              </div>
+              <div className="flex items-center gap-2 print:hidden">
+                <button className="rounded-xl border px-3 py-2 text-sm" onClick={resetAll}>
+                  Reiniciar
+                </button>
+              </div>
             </div>
-          </div>
-        </SectionCard>
+            {observaciones.length > 0 && (
+              <div className="mt-4">
+                <h3 className="font-medium mb-2">Observaciones</h3>
+                <ol className="space-y-1 text-sm list-decimal pl-6">
+                  {observaciones.map((o, i) => (
+                    <li key={i}>
+                      <span className="inline-flex items-center gap-2">
+                        <Badge color={o.severidad === "bloquea" ? "red" : "yellow"}>
+                          {o.severidad === "bloquea" ? "Bloquea" : "Observa"}
+                        </Badge>
+                        <button
+                          className="text-left underline decoration-dotted print:no-underline"
+                          onClick={() => irAObservacion(o.ancla)}
+                        >
+                          {SECCIONES_OBSERVACION[o.seccion]}: {o.texto}
+                        </button>
+                      </span>
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
+          </SectionCard>
+
+        </fieldset>
 
         <div className="h-10" />
       </main>
 
-      {/* Modal Carga Masiva */}
-      {showBulkModal && (
+      {showBulkModal && <CargaMasivaModal onClose={() => setShowBulkModal(false)} />}
+
+      {/* Informe de importación */}
+      {importPreview && (
         <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-30">
-          <div className="bg-white max-w-3xl w-full rounded-2xl p-6 shadow-2xl">
-            <div className="flex items-center justify-between mb-3">
-              <h3 className="text-lg font-semibold">Carga masiva de análisis (CSV)</h3>
-              <button className="text-sm underline" onClick={() => setShowBulkModal(false)}>
-                Cerrar
-              </button>
-            </div>
-            <p className="text-sm text-gray-600 mb-2">
-              Pegá el contenido del CSV o subí un archivo. Cabeceras esperadas: <code>pH,arsenico,nitratos,nitritos,conductividad,dureza,std,calcio,magnesio,sodio,potasio,bicarbonato,carbonato,sulfatos,cloruros,temperatura,coliformes,ecoli,salmonella,pseudomonas,aerobios</code>.
+          <div className="bg-white max-w-2xl w-full rounded-2xl p-6 shadow-2xl">
+            <h3 className="text-lg font-semibold mb-1">Informe de importación</h3>
+            <p className="text-sm text-gray-600 mb-3">
+              {importPreview.fileName} · esquema actual v{SCHEMA_VERSION}
             </p>
-            <textarea
-              className="w-full h-40 border rounded-xl p-2 mb-2"
-              value={bulkText}
-              onChange={(e) => setBulkText(e.target.value)}
-              placeholder={"pH,arsenico,nitratos,...\n7.1,0.005,10,0.05,1200,300,800,60,20,50,4,150,0,180,120,22,0,0,0,0,50"}
-            />
-            <div className="flex items-center gap-2 mb-4">
-              <input
-                type="file"
-                accept=".csv,text/plain"
-                onChange={(e) => {
-                  const f = e.target.files?.[0];
-                  if (!f) return;
-                  const reader = new FileReader();
-                  reader.onload = (ev) => setBulkText(String(ev.target?.result || ""));
-                  reader.readAsText(f);
-                }}
-              />
+            <FirmaImportacion firma={importPreview.firma} onConfiar={confiarEnFirma} />
+            <div className="max-h-[60vh] overflow-auto space-y-3 text-sm">
+              {[
+                ["errores", "Errores", "red"],
+                ["invalidos", "Campos con tipo inválido (se usa el valor por defecto)", "yellow"],
+                ["faltantes", "Campos faltantes (se completan con el valor por defecto)", "yellow"],
+                ["desconocidos", "Campos desconocidos (se descartan)", "gray"],
+              ]
+                .filter(([k]) => importPreview.informe[k].length > 0)
+                .map(([k, label, color]) => (
+                  <div key={k}>
+                    <div className="flex items-center gap-2 mb-1">
+                      <Badge color={color}>{importPreview.informe[k].length}</Badge>
+                      <span className="font-medium">{label}</span>
+                    </div>
+                    <ul className="text-xs text-gray-700 list-disc pl-6">
+                      {importPreview.informe[k].map((f) => (
+                        <li key={f}>
+                          <code>{f}</code>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+            </div>
+            <div className="mt-4 flex items-center justify-end gap-2">
+              <button className="rounded-xl border px-3 py-2" onClick={() => setImportPreview(null)}>
+                Cancelar
+              </button>
               <button
-                className="rounded-xl bg-blue-600 text-white px-3 py-2 text-sm"
-                onClick={() => {
-                  try {
-                    const lines = bulkText.trim().split(/\r?\n/);
-                    if (lines.length < 2) throw new Error("CSV sin datos");
-                    const headers = lines[0].split(/[,	;]+/).map((h) => h.trim().toLowerCase());
-                    const values = lines[1].split(/[,	;]+/).map((v) => v.trim());
-                    const map = Object.fromEntries(headers.map((h, i) => [h, values[i]]));
-                    const next = { ...exp.analisis };
-                    const keys = [
-                      "ph",
-                      "arsenico",
-                      "nitratos",
-                      "nitritos",
-                      "conductividad",
-                      "dureza",
-                      "std",
-                      "calcio",
-                      "magnesio",
-                      "sodio",
-                      "potasio",
-                      "bicarbonato",
-                      "carbonato",
-                      "sulfatos",
-                      "cloruros",
-                      "temperatura",
-                      "coliformes",
-                      "ecoli",
-                      "salmonella",
-                      "pseudomonas",
-                      "aerobios",
-                    ];
-                    keys.forEach((k) => {
-                      if (map[k] != null) {
-                        if (k === "ph") next.pH = map[k];
-                        else next[k] = map[k];
-                      }
-                    });
-                    setExp({ ...exp, analisis: next });
-                    setShowBulkModal(false);
-                  } catch (e) {
-                    alert("No se pudo procesar el CSV");
-                  }
-                }}
+                className="rounded-xl bg-blue-600 text-white px-3 py-2 disabled:opacity-50"
+                disabled={importPreview.informe.errores.length > 0 || (!importPreview.exp && !importPreview.limits && !importPreview.requisitos)}
+                onClick={() => aplicarImport(importPreview)}
               >
-                Aplicar
+                {informeTieneHallazgos(importPreview.informe) || importPreview.firma.estado !== "valida"
+                  ? "Importar igualmente"
+                  : "Importar"}
               </button>
             </div>
           </div>
         </div>
       )}
 
+      {anexoVista && <VistaAnexoModal anexo={anexoVista} onClose={() => setAnexoVista(null)} />}
+      {showHistorial && <HistorialModal historial={exp.historial} requisitos={requisitos} onClose={() => setShowHistorial(false)} />}
+
       {/* Configuración */}
       {showConfig && (
         <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-20">
           <div className="bg-white max-w-3xl w-full rounded-2xl p-6 shadow-2xl">
             <div className="flex items-center justify-between mb-4">
-              <h3 className="text-lg font-semibold">Configuración · Valores de referencia y tasas</h3>
+              <h3 className="text-lg font-semibold">Configuración · Valores de referencia, tasas y requisitos</h3>
               <button className="text-sm underline" onClick={() => setLimits(DEFAULT_LIMITS)}>
                 Restablecer por defecto
               </button>
@@ -711,31 +2422,167 @@ function ChecklistAppInner() {
 
             <div className="grid md:grid-cols-2 gap-6 max-h-[70vh] overflow-auto pr-2">
               <div>
-                <h4 className="font-medium mb-2">Fisicoquímico</h4>
-                {Object.entries(limits.fisicoquimico).map(([k, v]) => (
-                  <Field key={k} label={k.replaceAll("_", " ")}> 
-                    <Input type="number" value={v} onChange={(nv) => setLimits({ ...limits, fisicoquimico: { ...limits.fisicoquimico, [k]: Number(nv) } })} />
-                  </Field>
-                ))}
+                <h4 className="font-medium mb-2">Perfiles de referencia por uso</h4>
+                <Select
+                  value={perfilConfig}
+                  onChange={(v) => v && setPerfilConfig(v)}
+                  options={Object.entries(limits.perfiles).map(([key, p]) => ({ key, label: p.nombre }))}
+                />
+                <div className="my-2">
+                  <Checkbox
+                    checked={limits.perfiles[perfilConfig].microbiologiaRequerida}
+                    onChange={(v) => setPerfil({ ...limits.perfiles[perfilConfig], microbiologiaRequerida: v })}
+                    label="Microbiología obligatoria"
+                  />
+                </div>
+                {PARAMETROS_ANALISIS.map(({ key, label }) => {
+                  const par = limits.perfiles[perfilConfig].parametros[key];
+                  const setPar = (cambios) =>
+                    setPerfil({
+                      ...limits.perfiles[perfilConfig],
+                      parametros: { ...limits.perfiles[perfilConfig].parametros, [key]: { ...par, ...cambios } },
+                    });
+                  const aNum = (v) => (v === "" ? null : Number(v));
+                  return (
+                    <div key={key} className="grid grid-cols-5 gap-2 items-end">
+                      <div className="col-span-2 pb-3">
+                        <Checkbox checked={par.aplica} onChange={(v) => setPar({ aplica: v })} label={label} />
+                      </div>
+                      <Field label="Mín.">
+                        <Input type="number" value={par.min == null ? "" : par.min} onChange={(v) => setPar({ min: aNum(v) })} />
+                      </Field>
+                      <Field label="Máx.">
+                        <Input type="number" value={par.max == null ? "" : par.max} onChange={(v) => setPar({ max: aNum(v) })} />
+                      </Field>
+                    </div>
+                  );
+                })}
               </div>
               <div>
-                <h4 className="font-medium mb-2">Microbiológico</h4>
-                {Object.entries(limits.microbiologico).map(([k, v]) => (
-                  <Field key={k} label={k.replaceAll("_", " ")}> 
-                    <Input type="number" value={v} onChange={(nv) => setLimits({ ...limits, microbiologico: { ...limits.microbiologico, [k]: Number(nv) } })} />
+                <h4 className="font-medium mt-4 mb-2">Coherencia del análisis</h4>
+                {[
+                  ["balance_max_pct", "Error de balance iónico admitido (±%)"],
+                  ["dureza_tolerancia_pct", "Tolerancia dureza declarada vs. calculada (%)"],
+                  ["std_factor_ce", "Factor STD / conductividad"],
+                  ["std_tolerancia_pct", "Tolerancia STD declarado vs. estimado (%)"],
+                ].map(([k, label]) => (
+                  <Field key={k} label={label}>
+                    <Input
+                      type="number"
+                      value={limits.hidroquimica[k]}
+                      onChange={(nv) => setLimits({ ...limits, hidroquimica: { ...limits.hidroquimica, [k]: Number(nv) } })}
+                    />
                   </Field>
                 ))}
 
-                <h4 className="font-medium mt-4 mb-2">Tasas 2024 (m³/año → monto)</h4>
-                {limits.tasas_2024.map((t, i) => (
+                <Field label="Antigüedad máxima del muestreo vigente a la fecha de revisión (días)">
+                  <Input
+                    type="number"
+                    value={limits.muestreos.antiguedad_max_dias}
+                    placeholder="Sin límite"
+                    onChange={(nv) =>
+                      setLimits({ ...limits, muestreos: { ...limits.muestreos, antiguedad_max_dias: nv === "" ? null : Number(nv) } })
+                    }
+                  />
+                </Field>
+
+                <Field label="Antigüedad máxima del ensayo de bombeo a la fecha de revisión (días)">
+                  <Input
+                    type="number"
+                    value={limits.documentos.ensayo_bombeo_max_dias}
+                    onChange={(nv) => setLimits({ ...limits, documentos: { ...limits.documentos, ensayo_bombeo_max_dias: Number(nv) } })}
+                  />
+                </Field>
+
+                <h4 className="font-medium mt-4 mb-2">Consistencia hidráulica</h4>
+                {[
+                  ["tolerancia_volumen_pct", "Tolerancia volumen anual vs. caudal × horas (%)"],
+                  ["horas_anuales_max", "Horas anuales máximas"],
+                  ["caudal_max_m3h_por_m", "Caudal orientativo por metro de profundidad (m³/h/m)"],
+                ].map(([k, label]) => (
+                  <Field key={k} label={label} hint={k === "horas_anuales_max" ? `Hasta ${HORAS_ANIO} h (un año)` : ""}>
+                    <Input
+                      type="number"
+                      value={limits.hidraulica[k]}
+                      onChange={(nv) => {
+                        const v = k === "horas_anuales_max" ? Math.min(Number(nv), HORAS_ANIO) : Number(nv);
+                        setLimits({ ...limits, hidraulica: { ...limits.hidraulica, [k]: v } });
+                      }}
+                    />
+                  </Field>
+                ))}
+                <span className="block text-sm text-gray-700 mb-1">Caudal máximo orientativo por diámetro</span>
+                {limits.hidraulica.caudal_por_diametro.map((f, i) => (
+                  <div key={i} className="grid grid-cols-2 gap-2">
+                    <Field label="Desde (pulg.)">
+                      <Input
+                        type="number"
+                        value={f.pulg}
+                        onChange={(v) => {
+                          const arr = [...limits.hidraulica.caudal_por_diametro];
+                          arr[i] = { ...f, pulg: Number(v) };
+                          setLimits({ ...limits, hidraulica: { ...limits.hidraulica, caudal_por_diametro: arr } });
+                        }}
+                      />
+                    </Field>
+                    <Field label="Máx. m³/h">
+                      <Input
+                        type="number"
+                        value={f.max_m3h}
+                        onChange={(v) => {
+                          const arr = [...limits.hidraulica.caudal_por_diametro];
+                          arr[i] = { ...f, max_m3h: Number(v) };
+                          setLimits({ ...limits, hidraulica: { ...limits.hidraulica, caudal_por_diametro: arr } });
+                        }}
+                      />
+                    </Field>
+                  </div>
+                ))}
+
+                <h4 className="font-medium mt-4 mb-2">Cuadros tarifarios (m³/año → monto)</h4>
+                <div className="flex items-end gap-2">
+                  <div className="flex-1">
+                    <Select
+                      value={String(tarifaConfig)}
+                      onChange={(v) => v !== "" && setTarifaConfig(Number(v))}
+                      options={limits.tarifas.map((t, i) => ({ key: String(i), label: `${t.nombre} (${t.desde} → ${t.hasta || "sin vencimiento"})` }))}
+                    />
+                  </div>
+                  <button className="border rounded-lg px-3 py-2 text-sm" onClick={nuevoCuadroTarifario}>
+                    Nuevo año
+                  </button>
+                  <button className="border rounded-lg px-3 py-2 text-sm" onClick={eliminarCuadroTarifario}>
+                    Eliminar cuadro
+                  </button>
+                </div>
+                <div className="grid grid-cols-2 gap-2 mt-2">
+                  <Field label="Nombre">
+                    <Input value={cuadro.nombre} onChange={(v) => setCuadro({ ...cuadro, nombre: v })} />
+                  </Field>
+                  <Field label="Referencia legal">
+                    <Input value={cuadro.referencia} onChange={(v) => setCuadro({ ...cuadro, referencia: v })} placeholder="Resolución / Decreto N°" />
+                  </Field>
+                  <Field label="Vigente desde">
+                    <Input type="date" value={cuadro.desde} onChange={(v) => setCuadro({ ...cuadro, desde: v })} />
+                  </Field>
+                  <Field label="Vigente hasta">
+                    <Input type="date" value={cuadro.hasta} onChange={(v) => setCuadro({ ...cuadro, hasta: v })} />
+                  </Field>
+                </div>
+                {[...validarVigencias(limits.tarifas), ...validarBandas(cuadro.categorias)].map((a) => (
+                  <p key={a} className="text-xs text-amber-800 mb-1">
+                    ⚠️ {a}
+                  </p>
+                ))}
+                {cuadro.categorias.map((t, i) => (
                   <div key={i} className="grid grid-cols-5 gap-2 items-end mb-2">
                     <Field label="Cat">
                       <Input
                         value={t.cat}
                         onChange={(v) => {
-                          const arr = [...limits.tasas_2024];
+                          const arr = [...cuadro.categorias];
                           arr[i] = { ...t, cat: v };
-                          setLimits({ ...limits, tasas_2024: arr });
+                          setCuadro({ ...cuadro, categorias: arr });
                         }}
                       />
                     </Field>
@@ -744,9 +2591,9 @@ function ChecklistAppInner() {
                         type="number"
                         value={t.min}
                         onChange={(v) => {
-                          const arr = [...limits.tasas_2024];
+                          const arr = [...cuadro.categorias];
                           arr[i] = { ...t, min: Number(v) };
-                          setLimits({ ...limits, tasas_2024: arr });
+                          setCuadro({ ...cuadro, categorias: arr });
                         }}
                       />
                     </Field>
@@ -755,9 +2602,9 @@ function ChecklistAppInner() {
                         type="number"
                         value={t.max == null ? "" : t.max}
                         onChange={(v) => {
-                          const arr = [...limits.tasas_2024];
+                          const arr = [...cuadro.categorias];
                           arr[i] = { ...t, max: v === "" ? null : Number(v) };
-                          setLimits({ ...limits, tasas_2024: arr });
+                          setCuadro({ ...cuadro, categorias: arr });
                         }}
                       />
                     </Field>
@@ -766,17 +2613,17 @@ function ChecklistAppInner() {
                         type="number"
                         value={t.monto}
                         onChange={(v) => {
-                          const arr = [...limits.tasas_2024];
+                          const arr = [...cuadro.categorias];
                           arr[i] = { ...t, monto: Number(v) };
-                          setLimits({ ...limits, tasas_2024: arr });
+                          setCuadro({ ...cuadro, categorias: arr });
                         }}
                       />
                     </Field>
                     <button
                       className="border rounded-lg px-2 py-2"
                       onClick={() => {
-                        const arr = limits.tasas_2024.filter((_, j) => j !== i);
-                        setLimits({ ...limits, tasas_2024: arr });
+                        const arr = cuadro.categorias.filter((_, j) => j !== i);
+                        setCuadro({ ...cuadro, categorias: arr });
                       }}
                     >
                       Eliminar
@@ -785,10 +2632,68 @@ function ChecklistAppInner() {
                 ))}
                 <button
                   className="mt-2 border rounded-lg px-3 py-2"
-                  onClick={() => setLimits({ ...limits, tasas_2024: [...limits.tasas_2024, { cat: "Nueva", min: 0, max: 0, monto: 0 }] })}
+                  onClick={() => setCuadro({ ...cuadro, categorias: [...cuadro.categorias, { cat: "Nueva", min: 0, max: 0, monto: 0 }] })}
                 >
                   Añadir categoría
                 </button>
+
+                <h4 className="font-medium mt-4 mb-2">Capa de departamentos (mapa)</h4>
+                <p className="text-xs text-gray-600 mb-2">
+                  {capaOficial ? "Usando la capa GeoJSON cargada." : "Usando la geometría simplificada incluida."}
+                </p>
+                <div className="flex flex-wrap items-center gap-2">
+                  <input
+                    type="file"
+                    accept=".geojson,.json,application/geo+json,application/json"
+                    onChange={(e) => {
+                      const f = e.target.files?.[0];
+                      if (!f) return;
+                      const r = new FileReader();
+                      r.onload = (ev) => {
+                        try {
+                          const capa = JSON.parse(String(ev.target?.result || ""));
+                          const error = validarCapaDepartamentos(capa);
+                          if (error) alert(error);
+                          else setCapaDepartamentos(capa).catch((err) => alert(`No se pudo guardar la capa: ${err.message}`));
+                        } catch {
+                          alert("No se pudo leer el GeoJSON");
+                        }
+                      };
+                      r.readAsText(f);
+                    }}
+                  />
+                  {capaOficial && (
+                    <button
+                      className="border rounded-lg px-3 py-2"
+                      onClick={() => setCapaDepartamentos(null).catch((err) => alert(`No se pudo quitar la capa: ${err.message}`))}
+                    >
+                      Volver a la geometría incluida
+                    </button>
+                  )}
+                </div>
+
+                <h4 className="font-medium mt-4 mb-2">Archivos de anexos</h4>
+                <p className="text-xs text-gray-600 mb-2">
+                  Los archivos de anexos quitados o de legajos eliminados quedan guardados en este equipo hasta borrarlos aquí.
+                </p>
+                <button className="border rounded-lg px-3 py-2" onClick={borrarArchivosSinUso}>
+                  Borrar archivos sin usar
+                </button>
+              </div>
+
+              <div className="md:col-span-2 border-t pt-4">
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className="font-medium">Requisitos del checklist y veredicto</h4>
+                  <button className="text-sm underline" onClick={() => setRequisitos(DEFAULT_REQUISITOS)}>
+                    Restablecer requisitos
+                  </button>
+                </div>
+                <EditorRequisitos requisitos={requisitos} setRequisitos={setRequisitos} />
+              </div>
+
+              <div className="md:col-span-2 border-t pt-4">
+                <h4 className="font-medium mb-2">Firma digital de las exportaciones</h4>
+                <FirmaDigitalConfig revisorSugerido={exp.meta.revisadoPor} />
               </div>
             </div>
 
@@ -816,10 +2721,738 @@ function ChecklistAppInner() {
   );
 }
 
+// ----- Bandeja de legajos -----
+// ----- Sincronización con el servidor -----
+const ESTADOS_SYNC = {
+  inactivo: { color: "gray", label: "Conectado, sin sincronizar todavía" },
+  sincronizando: { color: "blue", label: "Sincronizando…" },
+  al_dia: { color: "green", label: "Al día" },
+  sin_conexion: { color: "yellow", label: "Sin conexión: los cambios quedan en cola" },
+  error: { color: "red", label: "Error del servidor" },
+};
+
+const DOCUMENTOS_CONFIGURACION = {
+  limits: "Valores de referencia",
+  padron: "Padrón de perforistas",
+  requisitos: "Requisitos del checklist",
+  mapeos: "Mapeos de columnas CSV",
+  sesiones: "Sesiones del Plenario",
+};
+
+// Campos que este equipo y otro cambiaron a la vez: se elige cuál queda, campo por campo
+function ConflictoSync({ conflicto, requisitos, onResolver }) {
+  const [elecciones, setElecciones] = useState({});
+  const { coleccion, id, campos } = conflicto;
+  const titulo = coleccion === "expedientes" ? `Expediente ${id}` : DOCUMENTOS_CONFIGURACION[id];
+  return (
+    <div className="border rounded-xl p-3">
+      <div className="font-medium mb-2">
+        {titulo} · {campos.length} campos en conflicto
+      </div>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-600 border-b">
+            <th className="py-1 pr-2">Campo</th>
+            <th className="pr-2">Este equipo</th>
+            <th className="pr-2">Servidor</th>
+          </tr>
+        </thead>
+        <tbody>
+          {campos.map(({ ruta, local, remoto }) => (
+            <tr key={ruta} className="border-b last:border-0 align-top">
+              <td className="py-1 pr-2">{coleccion === "expedientes" ? etiquetaRuta(ruta, requisitos) : ruta}</td>
+              {[
+                ["local", local],
+                ["remoto", remoto],
+              ].map(([lado, v]) => (
+                <td key={lado} className="pr-2">
+                  <label className="inline-flex items-start gap-2">
+                    <input
+                      type="radio"
+                      name={`${coleccion}/${id}/${ruta}`}
+                      checked={(elecciones[ruta] ?? "local") === lado}
+                      onChange={() => setElecciones({ ...elecciones, [ruta]: lado })}
+                    />
+                    <span className="break-all">{textoConflicto(v)}</span>
+                  </label>
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="text-right mt-2">
+        <button className="rounded-xl bg-blue-600 text-white px-3 py-1.5 text-sm" onClick={() => onResolver(coleccion, id, elecciones)}>
+          Aplicar elección
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Coteja la huella SHA-256 del pie de un dictamen impreso con los legajos guardados en este equipo
+function VerificarHashModal({ onClose }) {
+  const { expedientes } = useExpediente();
+  const [texto, setTexto] = useState("");
+  const [huellas, setHuellas] = useState(null);
+
+  useEffect(() => {
+    let vigente = true;
+    Promise.all(Object.entries(expedientes).map(async ([id, e]) => [id, await hashExpediente(e).catch(() => null)])).then(
+      (pares) => vigente && setHuellas(pares)
+    );
+    return () => {
+      vigente = false;
+    };
+  }, [expedientes]);
+
+  const hash = normalizarHash(texto);
+  const coincidencias = hash && huellas ? huellas.filter(([, h]) => h === hash).map(([id]) => id) : [];
+
+  return (
+    <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-30">
+      <div className="bg-white max-w-xl w-full rounded-2xl p-6 shadow-2xl max-h-[90vh] overflow-auto">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-semibold">Verificar huella de un dictamen</h3>
+          <button className="text-sm underline" onClick={onClose}>
+            Cerrar
+          </button>
+        </div>
+        <Field
+          label="SHA-256 del legajo"
+          hint="Copiala del pie del dictamen impreso; los espacios y las mayúsculas no importan"
+          error={texto.trim() && !hash ? "Una huella SHA-256 tiene 64 dígitos hexadecimales" : ""}
+        >
+          <Input value={texto} onChange={setTexto} placeholder="3f9ac01e77b2…" />
+        </Field>
+        {hash && !huellas && <p className="text-sm text-gray-600">Calculando las huellas de los legajos…</p>}
+        {hash && huellas && coincidencias.length > 0 && (
+          <div className="text-sm space-y-1">
+            {coincidencias.map((id) => (
+              <p key={id}>
+                <Badge color="green">Coincide</Badge> El dictamen corresponde al legajo{" "}
+                <span className="font-medium">{expedientes[id].meta.expedienteId || id}</span> tal como está guardado.
+              </p>
+            ))}
+          </div>
+        )}
+        {hash && huellas && coincidencias.length === 0 && (
+          <p className="text-sm">
+            <Badge color="red">Sin coincidencias</Badge> Ningún legajo de este equipo tiene esa huella: el legajo cambió
+            después de imprimir el dictamen o no está guardado aquí.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function SincronizacionModal({ onClose }) {
+  const { sincronizacion: sync, requisitos, conectarServidor, desconectarServidor, sincronizarAhora, resolverConflicto } = useExpediente();
+  const [servidor, setServidor] = useState(sync.servidor || "http://");
+  const [token, setToken] = useState("");
+  const [error, setError] = useState("");
+  const estado = ESTADOS_SYNC[sync.estado] ?? ESTADOS_SYNC.inactivo;
+
+  async function conectar() {
+    setError("");
+    try {
+      await conectarServidor(servidor, token);
+    } catch (err) {
+      setError(`No se pudo conectar: ${err.message}`);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-30">
+      <div className="bg-white max-w-3xl w-full rounded-2xl p-6 shadow-2xl max-h-[90vh] overflow-auto">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-semibold">Sincronización con el servidor</h3>
+          <button className="text-sm underline" onClick={onClose}>
+            Cerrar
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 mb-3">
+          Comparte legajos, valores de referencia, requisitos, padrón y sesiones del Plenario con los demás equipos de la
+          oficina a través del servidor de la red local (<code>node servidor/sincronizacion.mjs --token …</code>). Sin
+          conexión se sigue trabajando y los cambios se suben al volver.
+        </p>
+        {!sync.servidor ? (
+          <div className="flex items-end gap-2">
+            <div className="flex-1">
+              <Field label="Dirección del servidor" error={error}>
+                <Input value={servidor} onChange={setServidor} placeholder="http://192.168.0.10:8787" />
+              </Field>
+            </div>
+            <div className="flex-1">
+              <Field label="Clave del servidor" hint="La indicada con --token al iniciarlo">
+                <Input type="password" value={token} onChange={setToken} />
+              </Field>
+            </div>
+            <button className="rounded-xl bg-blue-600 text-white px-3 py-2 text-sm mb-3" onClick={conectar}>
+              Conectar
+            </button>
+          </div>
+        ) : (
+          <div className="space-y-2 text-sm">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="font-medium">{sync.servidor}</span>
+              <Badge color={estado.color}>{estado.label}</Badge>
+              {sync.pendientes > 0 && <Badge color="yellow">{sync.pendientes} cambios sin subir</Badge>}
+            </div>
+            {sync.error && <p className="text-red-700">{sync.error}</p>}
+            {sync.ultima && <p className="text-gray-600">Última sincronización: {fmtFechaHora(sync.ultima)}</p>}
+            <div className="flex gap-2">
+              <button className="rounded-xl border px-3 py-1.5" onClick={sincronizarAhora}>
+                Sincronizar ahora
+              </button>
+              <button
+                className="rounded-xl border px-3 py-1.5 text-red-700"
+                onClick={() =>
+                  confirm("¿Dejar de sincronizar? Los cambios sin subir quedan solo en este equipo.") && desconectarServidor()
+                }
+              >
+                Desconectar
+              </button>
+            </div>
+          </div>
+        )}
+        {sync.conflictos.length > 0 && (
+          <div className="mt-4 space-y-3">
+            <h4 className="font-medium">Conflictos</h4>
+            <p className="text-sm text-gray-600">
+              Otro equipo cambió los mismos campos. El resto de los cambios ya se combinó; elegí qué valor queda en cada
+              campo.
+            </p>
+            {sync.conflictos.map((c) => (
+              <ConflictoSync key={`${c.coleccion}/${c.id}`} conflicto={c} requisitos={requisitos} onResolver={resolverConflicto} />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function BandejaLegajos({ onPlenario, onEstadisticas }) {
+  const {
+    limits,
+    requisitos,
+    departamentos,
+    expedientes,
+    openExpediente,
+    createExpediente,
+    duplicateExpediente,
+    archiveExpediente,
+    deleteExpediente,
+    sincronizacion,
+  } = useExpediente();
+  const [query, setQuery] = useState("");
+  const [verArchivados, setVerArchivados] = useState(false);
+  const [verSync, setVerSync] = useState(false);
+  const [verHash, setVerHash] = useState(false);
+  const conflictosSync = sincronizacion.conflictos.length;
+
+  const filas = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    return Object.entries(expedientes)
+      .filter(([, e]) => verArchivados || !e.meta.archivado)
+      .filter(([id, e]) =>
+        !q
+          ? true
+          : [id, e.basicos.propietario, e.basicos.cuit, e.basicos.perforista, e.tecnicos.departamento, e.tecnicos.localidad]
+              .join(" ")
+              .toLowerCase()
+              .includes(q)
+      )
+      .map(([id, e]) => ({ id, e, ev: evaluarExpediente(e, limits, { departamentos, requisitos }) }))
+      .sort((a, b) => a.id.localeCompare(b.id, "es", { numeric: true }));
+  }, [expedientes, limits, requisitos, departamentos, query, verArchivados]);
+
+  function pedirNumero(msg) {
+    const id = prompt(msg);
+    if (id == null) return null;
+    if (!id.trim()) {
+      alert("Ingresá un N° de expediente");
+      return null;
+    }
+    if (expedientes[id.trim()]) {
+      alert(`Ya existe el expediente ${id.trim()}`);
+      return null;
+    }
+    return id.trim();
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      <header className="sticky top-0 z-10 backdrop-blur bg-slate-50/80 border-b">
+        <div className="max-w-6xl mx-auto px-4 py-3 flex items-center justify-between">
+          <div>
+            <h1 className="text-xl md:text-2xl font-bold">Bandeja de legajos · CORUFA</h1>
+            <p className="text-xs text-gray-600">{Object.keys(expedientes).length} expedientes guardados en este equipo</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button className="rounded-xl border px-3 py-2 text-sm" onClick={() => setVerSync(true)}>
+              Sincronización
+              {sincronizacion.servidor && (
+                <span className="ml-2">
+                  <Badge color={conflictosSync ? "red" : ESTADOS_SYNC[sincronizacion.estado]?.color}>
+                    {conflictosSync ? `${conflictosSync} conflictos` : sincronizacion.pendientes || "✓"}
+                  </Badge>
+                </span>
+              )}
+            </button>
+            <button className="rounded-xl border px-3 py-2 text-sm" onClick={() => setVerHash(true)}>
+              Verificar hash
+            </button>
+            <button className="rounded-xl border px-3 py-2 text-sm" onClick={onEstadisticas}>
+              Estadísticas
+            </button>
+            <button className="rounded-xl border px-3 py-2 text-sm" onClick={onPlenario}>
+              Sesiones del Plenario
+            </button>
+            <button
+              className="rounded-xl bg-blue-600 text-white px-3 py-2 text-sm shadow"
+              onClick={() => {
+                const id = pedirNumero("N° del nuevo expediente / legajo");
+                if (id) createExpediente(id);
+              }}
+            >
+              Nuevo expediente
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-6xl mx-auto px-4 py-6 space-y-4">
+        <div className="flex flex-col md:flex-row md:items-center gap-3">
+          <div className="md:flex-1">
+            <Input value={query} onChange={setQuery} placeholder="Buscar por N°, titular, CUIT, perforista, departamento…" />
+          </div>
+          <Checkbox checked={verArchivados} onChange={setVerArchivados} label="Mostrar archivados" />
+        </div>
+
+        {filas.length === 0 && <p className="text-sm text-gray-600">No hay expedientes que coincidan con la búsqueda.</p>}
+
+        {filas.map(({ id, e, ev }) => (
+          <div key={id} className="bg-white shadow-sm rounded-2xl border p-4 flex flex-col md:flex-row md:items-center gap-3">
+            <div className="md:w-1/3">
+              <div className="font-semibold">
+                {e.meta.expedienteId || <span className="text-gray-400">(sin N°)</span>}
+                {e.meta.archivado && (
+                  <span className="ml-2">
+                    <Badge>Archivado</Badge>
+                  </span>
+                )}
+                {e.meta.sesionPlenario && (
+                  <span className="ml-2">
+                    <Badge color="green">Elevado a sesión N° {e.meta.sesionPlenario}</Badge>
+                  </span>
+                )}
+              </div>
+              <div className="text-xs text-gray-600">
+                {e.basicos.propietario || "—"} · {e.tecnicos.departamento || "—"} · {e.meta.fecha}
+              </div>
+            </div>
+            <div className="md:flex-1 flex flex-wrap gap-1">
+              <Badge color={ev.basicosStatus.color}>Básicos</Badge>
+              <Badge color={ev.tecnicosStatus.color}>Técnicos</Badge>
+              <Badge color={ev.docsStatus.color}>Docs</Badge>
+              <Badge color={ev.analStatus.color}>Análisis</Badge>
+              <Badge color={ev.firmasStatus.color}>Firmas</Badge>
+              <Badge color={ev.allGreen ? "green" : "red"}>{ev.allGreen ? "APROBADO" : "NO APROBADO"}</Badge>
+              <Badge color={ESTADOS_TRAMITE.find((t) => t.key === e.meta.estado)?.color}>{etiquetaEstado(e.meta.estado)}</Badge>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <button className="rounded-xl bg-blue-600 text-white px-3 py-1.5 text-sm" onClick={() => openExpediente(id)}>
+                Abrir
+              </button>
+              <button
+                className="rounded-xl border px-3 py-1.5 text-sm"
+                onClick={() => {
+                  const nuevo = pedirNumero(`Duplicar ${id} como N°`);
+                  if (nuevo) duplicateExpediente(id, nuevo);
+                }}
+              >
+                Duplicar
+              </button>
+              <button
+                className="rounded-xl border px-3 py-1.5 text-sm"
+                onClick={() =>
+                  !archiveExpediente(id, !e.meta.archivado) && alert("Un expediente apto o elevado no se archiva hasta resolverse")
+                }
+              >
+                {e.meta.archivado ? "Desarchivar" : "Archivar"}
+              </button>
+              <button
+                className="rounded-xl border px-3 py-1.5 text-sm text-red-700"
+                onClick={() =>
+                  confirm(`¿Eliminar definitivamente el expediente ${id}?`) &&
+                  !deleteExpediente(id) &&
+                  alert("Un expediente apto, elevado o resuelto no puede eliminarse")
+                }
+              >
+                Eliminar
+              </button>
+            </div>
+          </div>
+        ))}
+      </main>
+      {verSync && <SincronizacionModal onClose={() => setVerSync(false)} />}
+      {verHash && <VerificarHashModal onClose={() => setVerHash(false)} />}
+    </div>
+  );
+}
+
+// Sesiones del Plenario: orden del día con los legajos aptos, totales de tasa por categoría, impresión y CSV
+function SesionesPlenario({ onVolver }) {
+  const {
+    limits,
+    requisitos,
+    departamentos,
+    padron,
+    expedientes,
+    openExpediente,
+    sesiones,
+    crearSesion,
+    setFechaSesion,
+    eliminarSesion,
+    elevarASesion,
+    quitarDeSesion,
+    moverEnSesion,
+  } = useExpediente();
+  const numeros = Object.keys(sesiones).sort((a, b) => b.localeCompare(a, "es", { numeric: true }));
+  const [numeroSel, setNumeroSel] = useState(null);
+  const numero = sesiones[numeroSel] ? numeroSel : numeros[0];
+  const sesion = sesiones[numero];
+
+  const evaluados = useMemo(
+    () =>
+      Object.fromEntries(
+        Object.entries(expedientes).map(([id, e]) => [id, evaluarExpediente(e, limits, { departamentos, requisitos, padron })])
+      ),
+    [expedientes, limits, departamentos, requisitos, padron]
+  );
+  const fila = (id, e) => ({
+    id,
+    propietario: e.basicos.propietario,
+    cuit: evaluados[id].cuit.normalizado,
+    departamento: e.tecnicos.departamento,
+    localidad: e.tecnicos.localidad,
+    caudalAnual: e.tecnicos.caudal_anual_m3,
+    cat: evaluados[id].tasa.cat,
+    monto: evaluados[id].tasa.monto,
+    aprobado: evaluados[id].allGreen,
+    estado: e.meta.estado,
+  });
+  const filas = ordenDelDia(expedientes, numero).map(({ id, e }) => fila(id, e));
+  const totales = totalesPorCategoria(filas);
+  // Legajos aptos para Plenario que todavía no se elevaron a ninguna sesión
+  const candidatos = Object.entries(expedientes)
+    .filter(([, e]) => e.meta.estado === "apto" && !e.meta.archivado && !e.meta.sesionPlenario)
+    .map(([id, e]) => fila(id, e))
+    .sort((a, b) => a.id.localeCompare(b.id, "es", { numeric: true }));
+
+  function nuevaSesion() {
+    const n = prompt("N° de la nueva sesión del Plenario");
+    if (n == null) return;
+    if (!crearSesion(n, new Date().toISOString().slice(0, 10))) {
+      alert(n.trim() ? `Ya existe la sesión ${n.trim()}` : "Ingresá un N° de sesión");
+      return;
+    }
+    setNumeroSel(n.trim());
+  }
+
+  const nombreArchivo = (ext) => `orden_del_dia_sesion_${numero}.${ext}`;
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      <header className="sticky top-0 z-10 backdrop-blur bg-slate-50/80 border-b">
+        <div className="max-w-6xl mx-auto px-4 py-3 flex items-center justify-between">
+          <div>
+            <h1 className="text-xl md:text-2xl font-bold">Sesiones del Plenario · CORUFA</h1>
+            <p className="text-xs text-gray-600">Orden del día con los legajos aptos para Plenario</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button className="rounded-xl border px-3 py-2 text-sm" onClick={onVolver}>
+              Bandeja
+            </button>
+            <button className="rounded-xl bg-blue-600 text-white px-3 py-2 text-sm shadow" onClick={nuevaSesion}>
+              Nueva sesión
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-6xl mx-auto px-4 py-6 space-y-6">
+        {!sesion && <p className="text-sm text-gray-600">Todavía no hay sesiones. Creá una para armar su orden del día.</p>}
+
+        {sesion && (
+          <SectionCard
+            title={`Orden del día · Sesión N° ${sesion.numero}`}
+            status={{ color: filas.length ? "green" : "gray", text: `${filas.length} expedientes` }}
+            right={
+              <div className="flex flex-wrap gap-2">
+                <button
+                  className="rounded-xl border px-3 py-1.5 text-sm"
+                  onClick={() => imprimirHtml(window.open("", "_blank"), generarOrdenDelDiaHtml(sesion, filas), nombreArchivo("html"))}
+                >
+                  Imprimir orden del día
+                </button>
+                <button
+                  className="rounded-xl border px-3 py-1.5 text-sm"
+                  onClick={() => descargar(new Blob([ordenDelDiaCsv(sesion, filas)], { type: "text/csv" }), nombreArchivo("csv"))}
+                >
+                  Exportar CSV
+                </button>
+                <button
+                  className="rounded-xl border px-3 py-1.5 text-sm text-red-700"
+                  onClick={() =>
+                    confirm(`¿Eliminar la sesión ${numero}? Sus ${filas.length} expedientes vuelven a quedar aptos, sin elevar.`) &&
+                    !eliminarSesion(numero) &&
+                    alert("La sesión tiene expedientes resueltos y no puede eliminarse")
+                  }
+                >
+                  Eliminar sesión
+                </button>
+              </div>
+            }
+          >
+            <div className="grid md:grid-cols-3 gap-3">
+              <Field label="Sesión">
+                <Select value={numero} onChange={setNumeroSel} options={numeros.map((n) => ({ key: n, label: `N° ${n}` }))} />
+              </Field>
+              <Field label="Fecha de la sesión">
+                <Input type="date" value={sesion.fecha} onChange={(v) => setFechaSesion(numero, v)} />
+              </Field>
+            </div>
+
+            {filas.length === 0 ? (
+              <p className="text-sm text-gray-600">Sin expedientes en el orden del día. Agregalos desde la lista de aptos.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600 border-b">
+                    <th className="py-1 pr-2">N°</th>
+                    <th className="pr-2">Expediente</th>
+                    <th className="pr-2">Titular</th>
+                    <th className="pr-2">Departamento</th>
+                    <th className="pr-2">Categoría</th>
+                    <th className="pr-2">Tasa anual</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {filas.map((f, i) => (
+                    <tr key={f.id} className="border-b last:border-0">
+                      <td className="py-1 pr-2">{i + 1}</td>
+                      <td className="pr-2">
+                        <button className="underline decoration-dotted" onClick={() => openExpediente(f.id)}>
+                          {f.id}
+                        </button>
+                        {f.estado === "resuelto" && (
+                          <span className="ml-2">
+                            <Badge>Resuelto</Badge>
+                          </span>
+                        )}
+                        {f.estado !== "resuelto" && !f.aprobado && (
+                          <span className="ml-2">
+                            <Badge color="red">Ya no aprobado</Badge>
+                          </span>
+                        )}
+                      </td>
+                      <td className="pr-2">{f.propietario || "—"}</td>
+                      <td className="pr-2">{f.departamento || "—"}</td>
+                      <td className="pr-2">{f.cat}</td>
+                      <td className="pr-2">{fmtMoney(f.monto)}</td>
+                      <td className="text-right whitespace-nowrap">
+                        <button
+                          className="px-2 disabled:opacity-30"
+                          onClick={() => moverEnSesion(f.id, -1)}
+                          disabled={i === 0}
+                          title="Subir"
+                        >
+                          ▲
+                        </button>
+                        <button
+                          className="px-2 disabled:opacity-30"
+                          onClick={() => moverEnSesion(f.id, 1)}
+                          disabled={i === filas.length - 1}
+                          title="Bajar"
+                        >
+                          ▼
+                        </button>
+                        {f.estado !== "resuelto" && (
+                          <button className="ml-2 text-red-700 underline" onClick={() => quitarDeSesion(f.id)}>
+                            Quitar
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {filas.length > 0 && (
+              <div className="mt-4">
+                <h3 className="font-medium mb-2">Tasas por categoría</h3>
+                <table className="text-sm">
+                  <tbody>
+                    {totales.categorias.map((t) => (
+                      <tr key={t.cat}>
+                        <td className="pr-4">Categoría {t.cat}</td>
+                        <td className="pr-4">{t.cantidad} exp.</td>
+                        <td className="text-right">{fmtMoney(t.monto)}</td>
+                      </tr>
+                    ))}
+                    <tr className="font-semibold border-t">
+                      <td className="pr-4">Total</td>
+                      <td className="pr-4">{totales.cantidad} exp.</td>
+                      <td className="text-right">{fmtMoney(totales.monto)}</td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </SectionCard>
+        )}
+
+        {sesion && (
+          <SectionCard title="Aptos para Plenario sin elevar">
+            {candidatos.length === 0 && <p className="text-sm text-gray-600">No hay legajos aptos pendientes de sesión.</p>}
+            <ul className="space-y-2">
+              {candidatos.map((f) => (
+                <li key={f.id} className="flex items-center gap-3 text-sm">
+                  <span className="font-medium">{f.id}</span>
+                  {!f.aprobado && <Badge color="red">Ya no aprobado</Badge>}
+                  <span className="text-gray-600 flex-1">
+                    {f.propietario || "—"} · {f.departamento || "—"} · Categoría {f.cat} · {fmtMoney(f.monto)}
+                  </span>
+                  <button className="rounded-xl border px-3 py-1 text-sm" onClick={() => elevarASesion(f.id, numero)}>
+                    Agregar al orden del día
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </SectionCard>
+        )}
+      </main>
+    </div>
+  );
+}
+
+// ----- Estadísticas -----
+// Tablas sobre todos los legajos guardados (archivados incluidos) con fecha de revisión en el rango elegido
+function celdaEstadistica(columna, v) {
+  if (columna.tipo === "moneda") return fmtMoney(v);
+  if (columna.tipo === "porcentaje") return `${v.toLocaleString("es-AR")} %`;
+  return v;
+}
+
+function EstadisticasLegajos({ onVolver }) {
+  const { limits, requisitos, departamentos, padron, expedientes } = useExpediente();
+  const [desde, setDesde] = useState("");
+  const [hasta, setHasta] = useState("");
+
+  const evaluados = useMemo(
+    () =>
+      Object.entries(expedientes)
+        .filter(([, e]) => enRangoFechas(e, desde, hasta))
+        .map(([id, e]) => ({ id, e, ev: evaluarExpediente(e, limits, { departamentos, requisitos, padron }) })),
+    [expedientes, limits, departamentos, requisitos, padron, desde, hasta]
+  );
+  const tablas = tablasEstadisticas(evaluados);
+  const rango = `${desde || "inicio"}_${hasta || "hoy"}`;
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      <header className="sticky top-0 z-10 backdrop-blur bg-slate-50/80 border-b">
+        <div className="max-w-6xl mx-auto px-4 py-3 flex items-center justify-between">
+          <div>
+            <h1 className="text-xl md:text-2xl font-bold">Estadísticas · CORUFA</h1>
+            <p className="text-xs text-gray-600">
+              {evaluados.length} de {Object.keys(expedientes).length} expedientes con fecha de revisión en el período
+            </p>
+          </div>
+          <button className="rounded-xl border px-3 py-2 text-sm" onClick={onVolver}>
+            Bandeja
+          </button>
+        </div>
+      </header>
+
+      <main className="max-w-6xl mx-auto px-4 py-6 space-y-6">
+        <div className="grid md:grid-cols-4 gap-3">
+          <Field label="Fecha de revisión desde">
+            <Input type="date" value={desde} onChange={setDesde} />
+          </Field>
+          <Field label="Hasta">
+            <Input type="date" value={hasta} onChange={setHasta} />
+          </Field>
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-6">
+          {tablas.map((t) => (
+            <SectionCard
+              key={t.key}
+              title={t.titulo}
+              right={
+                <button
+                  className="rounded-xl border px-3 py-1.5 text-sm"
+                  onClick={() => descargar(new Blob([tablaCsv(t)], { type: "text/csv" }), `estadisticas_${t.key}_${rango}.csv`)}
+                >
+                  Exportar CSV
+                </button>
+              }
+            >
+              {t.filas.length === 0 ? (
+                <p className="text-sm text-gray-600">Sin datos en el período.</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600 border-b">
+                      {t.columnas.map((c) => (
+                        <th key={c.key} className="py-1 pr-2">
+                          {c.label}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {t.filas.map((f, i) => (
+                      <tr key={i} className="border-b last:border-0">
+                        {f.map((v, j) => (
+                          <td key={j} className="py-1 pr-2">
+                            {celdaEstadistica(t.columnas[j], v)}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </SectionCard>
+          ))}
+        </div>
+      </main>
+    </div>
+  );
+}
+
+function WorkspaceApp() {
+  const { exp, closeExpediente } = useExpediente();
+  const [vista, setVista] = useState("bandeja"); // bandeja | plenario | estadisticas
+  const volver = () => setVista("bandeja");
+  if (exp) return <ChecklistAppInner onBandeja={closeExpediente} />;
+  if (vista === "plenario") return <SesionesPlenario onVolver={volver} />;
+  if (vista === "estadisticas") return <EstadisticasLegajos onVolver={volver} />;
+  return <BandejaLegajos onPlenario={() => setVista("plenario")} onEstadisticas={() => setVista("estadisticas")} />;
+}
+
 export default function ChecklistApp() {
   return (
     <ExpedienteProvider>
-      <ChecklistAppInner />
+      <WorkspaceApp />
     </ExpedienteProvider>
   );
 }
@@ -841,17 +3474,528 @@ function __selfTests() {
   console.assert(categoriaTasa(limits, 10000000).cat === "V", "Cat V en 10.000.000 m3/año (sin tope)");
   console.assert(categoriaTasa(limits, 99999999).cat === "V", "Cat V por encima de 10.000.000 m3/año");
 
+  // Test: cuadros tarifarios por vigencia
+  const cuadro2025 = clonarCuadro(limits.tarifas[0], 10, "2025-01-01", "Tasas 2025");
+  const conDos = { ...limits, tarifas: [{ ...limits.tarifas[0], hasta: "2024-12-31" }, cuadro2025] };
+  console.assert(categoriaTasa(conDos, 0, "2024-06-30").monto === 90163, "legajo 2024 liquida con cuadro 2024");
+  console.assert(categoriaTasa(conDos, 0, "2025-03-01").monto === 99179, "legajo 2025 con montos +10%");
+  console.assert(categoriaTasa(conDos, 0, "2023-12-31").cat === "—", "sin cuadro vigente");
+  console.assert(validarBandas([{ cat: "I", min: 0, max: 100 }, { cat: "II", min: 150, max: null }]).length === 1, "hueco entre bandas");
+  console.assert(validarVigencias([limits.tarifas[0], cuadro2025]).length === 1, "vigencias superpuestas");
+  const cuadro2026 = clonarCuadro(cuadro2025, 0, "2026-03-01", "Tasas 2026");
+  const conHueco = validarVigencias([{ ...cuadro2025, hasta: "2025-12-31" }, cuadro2026]);
+  console.assert(conHueco.length === 1 && conHueco[0].startsWith("Hueco entre Tasas 2025 y Tasas 2026"), "hueco entre vigencias");
+  console.assert(validarVigencias([{ ...cuadro2025, hasta: "2026-02-28" }, cuadro2026]).length === 0, "vigencias contiguas");
+  const tasasViejas = [{ cat: "I", min: 0, max: null, monto: 1000 }];
+  const migradoTasas = leerExportacion({ schemaVersion: 6, limits: { tasas_2024: tasasViejas } }).limits;
+  console.assert(migradoTasas.tarifas[0].categorias[0].monto === 1000 && !("tasas_2024" in migradoTasas), "tasas_2024 migra a tarifas");
+
   // Test: withinRange
   console.assert(withinRange(7.0, 6.5, 8.5) === true, "pH 7.0 dentro de rango");
   console.assert(withinRange(9.0, 6.5, 8.5) === false, "pH 9.0 fuera de rango");
   console.assert(withinRange("", 6.5, 8.5) === null, "sin dato devuelve null");
 
   // Test: checkAnalisis (dos parámetros cargados)
-  const res = checkAnalisis({ pH: 7, arsenico: 0.02 }, limits);
+  const res = checkAnalisis({ pH: medicion("7"), arsenico: medicion("0.02") }, limits);
   console.assert(res.present >= 2, "al menos 2 parámetros presentes");
   console.assert(res.r.pH === true, "pH OK");
   console.assert(res.r.arsenico === false, "arsénico fuera de norma");
 
+  // Test: evaluarExpediente (plantilla vacía nunca aprueba)
+  const evVacio = evaluarExpediente(EMPTY_EXPEDIENTE, limits);
+  console.assert(evVacio.allGreen === false, "expediente vacío NO APROBADO");
+  console.assert(evVacio.docsStatus.color === "red", "sin documentación en rojo");
+
+  // Test: migración e informe de importación
+  const legacyImport = leerExportacion({ exp: { meta: { expedienteId: "E-1" }, basicos: { cuit: 20123456786, extra: 1 } } });
+  console.assert(legacyImport.exp.meta.archivado === false, "migración v1→v2 agrega meta.archivado");
+  console.assert(legacyImport.exp.basicos.cuit === "20123456786", "número convertido a texto");
+  console.assert(legacyImport.informe.desconocidos.includes("exp.basicos.extra"), "campo desconocido informado");
+  console.assert(legacyImport.informe.faltantes.includes("exp.muestreos.m1.analisis"), "sección faltante informada");
+  console.assert(leerExportacion({ schemaVersion: 99, exp: {} }).informe.errores.length === 1, "esquema futuro rechazado");
+  const roundTrip = leerExportacion(crearExportacion(EMPTY_EXPEDIENTE, DEFAULT_LIMITS));
+  console.assert(!informeTieneHallazgos(roundTrip.informe), "exportación actual se importa sin hallazgos");
+
+  // Test: CUIT/CUIL
+  console.assert(validarCuit("20123456786").valido === true, "CUIT persona física válido");
+  console.assert(validarCuit("20123456786").normalizado === "20-12345678-6", "CUIT normalizado");
+  console.assert(validarCuit("30-71234567-1").tipo === "juridica", "CUIT persona jurídica");
+  console.assert(validarCuit("20-12345678-5").error === "Dígito verificador incorrecto", "dígito verificador erróneo");
+  console.assert(validarCuit("2012345").valido === false, "CUIT incompleto");
+  const expCuitMal = { ...EMPTY_EXPEDIENTE, basicos: { ...EMPTY_EXPEDIENTE.basicos, propietario: "X", cuit: "20-12345678-5", domicilio: "X", contacto: "X", perforista: "X", perforistaRegistro: "1" } };
+  console.assert(evaluarExpediente(expCuitMal, limits).basicosStatus.color === "yellow", "CUIT inválido deja la sección en amarillo");
+
+  // Test: coordenadas
+  const c1 = parseCoordenadas("31°44'12\" S 60°31'20\" O");
+  console.assert(c1.ok && Math.abs(c1.lat + 31.736667) < 1e-6 && Math.abs(c1.lon + 60.522222) < 1e-6, "GMS con hemisferio");
+  console.assert(parseCoordenadas("-31,7367; -60,5222").ok, "decimal con coma");
+  const conRotulos = parseCoordenadas("Lat 31°44'12\" S Long 60°31'20\" O");
+  console.assert(conRotulos.ok && conRotulos.lat === c1.lat && conRotulos.lon === c1.lon, "letras de otras palabras no son hemisferios");
+  console.assert(parseCoordenadas("-31 44 72 -60 31 20").error === "Segundos imposibles (72)", "segundos imposibles");
+  console.assert(parseCoordenadas("-20 -60").ok === false, "fuera de Entre Ríos");
+  const gk = aGaussKruger(-31.7333, -60.5333);
+  console.assert(Math.abs(gk.x - 6489562.47) < 1 && Math.abs(gk.y - 5449461.16) < 1, "Gauss-Krüger faja 5 (Paraná)");
+
+  // Test: ubicación por punto en polígono (capa simplificada)
+  const ubi = verificarUbicacion({ lat: -31.73, lon: -60.53, departamento: "Paraná", localidad: "Paraná" }, DEPARTAMENTOS_ENTRE_RIOS);
+  console.assert(ubi.deptoPunto === "Paraná" && ubi.observaciones.length === 0, "Paraná cae en Paraná");
+  const ubiMal = verificarUbicacion({ lat: -31.39, lon: -58.02, departamento: "Paraná", localidad: "" }, DEPARTAMENTOS_ENTRE_RIOS);
+  console.assert(ubiMal.observaciones.some((o) => o.bloquea), "departamento declarado distinto bloquea");
+
+  // Test: consistencia hidráulica (3000 h × 50 m³/h declarado como 100.000 m³/año)
+  const hid = checkHidraulica({ caudal_m3h: "50", horas_anuales: "3000", caudal_anual_m3: "100000" }, limits.hidraulica);
+  console.assert(hid.volCalculado === 150000, "volumen calculado caudal × horas");
+  console.assert(hid.observaciones.some((o) => o.campo === "caudal_anual_m3" && o.bloquea), "subdeclaración de volumen detectada");
+  console.assert(checkHidraulica({ horas_anuales: "9000" }, limits.hidraulica).observaciones[0].campo === "horas_anuales", "horas > 8760");
+  const horasDeMas = checkHidraulica({ horas_anuales: "9000" }, { ...limits.hidraulica, horas_anuales_max: 10000 });
+  console.assert(horasDeMas.observaciones[0]?.texto.includes("8760 h"), "tope de horas anuales nunca mayor que un año");
+  console.assert(
+    checkHidraulica({ caudal_m3h: "100", diametro_pulg: "4" }, limits.hidraulica).observaciones.some((o) => !o.bloquea),
+    "caudal poco plausible para el diámetro"
+  );
+
+  // Test: perfiles por uso
+  const riego = checkAnalisis({ pH: medicion("7"), arsenico: medicion("0,05"), conductividad: medicion("2,5 mS/cm") }, limits, "riego");
+  console.assert(riego.perfil.key === "riego" && riego.r.arsenico === true, "arsénico 0,05 admisible para riego");
+  console.assert(riego.noAplica.includes("coliformes") && !riego.faltaMicrobiologia, "riego sin microbiología obligatoria");
+  const humano = checkAnalisis({ pH: medicion("7"), arsenico: medicion("50", "µg/L") }, limits, "otro");
+  console.assert(humano.perfil.key === "consumo_humano" && humano.r.arsenico === false, "uso 'otro' evalúa como consumo humano");
+  console.assert(humano.faltaMicrobiologia === true, "consumo humano exige microbiología");
+  const migrado = leerExportacion({ schemaVersion: 4, exp: { tecnicos: { uso: "Riego complementario" } }, limits: { fisicoquimico: { arsenico_mgL_max: 0.05 } } });
+  console.assert(migrado.exp.tecnicos.uso === "riego", "uso libre migrado a valor controlado");
+  console.assert(migrado.limits.perfiles.consumo_humano.parametros.arsenico.max === 0.05, "límite editado migrado al perfil de consumo humano");
+
+  // Test: hidroquímica (informe balanceado: Ca 2 + Mg 2 + Na 2 = HCO3 3 + SO4 1 + Cl 2 meq/L)
+  const lab = { calcio: 40.08, magnesio: 24.3, sodio: 46, bicarbonato: 183.06, sulfatos: 48.03, cloruros: 70.9, conductividad: 600, std: 400, dureza: 200 };
+  const ind = indicadoresHidroquimicos(lab, limits.hidroquimica);
+  console.assert(Math.abs(ind.balance.errorPct) < 1, "balance iónico cerrado");
+  console.assert(Math.abs(ind.sar - Math.SQRT2) < 0.05 && ind.riego.clase === "C2-S1", "SAR y clase de riego");
+  console.assert(Math.abs(ind.dureza.calculada - 200) < 1 && ind.recheck === false, "dureza calculada coincide");
+  const labMal = indicadoresHidroquimicos({ ...lab, cloruros: 300, dureza: 400 }, limits.hidroquimica);
+  console.assert(labMal.recheck && labMal.motivos.length === 2, "balance y dureza inconsistentes piden re-chequeo");
+
+  // Test: requisitos configurables
+  const base = { ...EMPTY_EXPEDIENTE, basicos: { ...EMPTY_EXPEDIENTE.basicos, solicitanteEsTitular: false } };
+  const ctxReq = { ...base, calculado: { categoriaOrden: 2 } };
+  console.assert(cumpleCondicion({ ruta: "basicos.solicitanteEsTitular", op: "eq", valor: "false" }, ctxReq), "condición booleana");
+  console.assert(!cumpleCondicion({ ruta: "calculado.categoriaOrden", op: "gt", valor: "3" }, ctxReq), "categoría II no supera III");
+  console.assert(
+    evaluarExpediente(base, limits).req.basicos.faltantes.some((r) => r.ruta === "basicos.autorizacionNoPropietario"),
+    "autorización exigida si el solicitante no es titular"
+  );
+  const interferenciaCatIV = {
+    ...DEFAULT_REQUISITOS,
+    docs: DEFAULT_REQUISITOS.docs.map((d) =>
+      d.ruta === "docs.estudioInterferencia" ? { ...d, cuando: { ruta: "calculado.categoriaOrden", op: "gt", valor: "3" } } : d
+    ),
+  };
+  const expCatI = { ...EMPTY_EXPEDIENTE, tecnicos: { ...EMPTY_EXPEDIENTE.tecnicos, caudal_anual_m3: "1000" } };
+  const evCatI = evaluarExpediente(expCatI, limits, { requisitos: interferenciaCatIV });
+  console.assert(evCatI.docsStatus.text === "0/5 adjuntos", "interferencia solo sobre cat. III");
+  const sinFirmas = { ...DEFAULT_REQUISITOS, veredicto: { ...DEFAULT_REQUISITOS.veredicto, firmas: "ignorar" } };
+  console.assert(seccionAprueba(sinFirmas.veredicto.firmas, "red") && !seccionAprueba("verde", "yellow"), "exigencias del veredicto");
+  const conExtra = leerExportacion(crearExportacion(escribirRuta(EMPTY_EXPEDIENTE, "docs.extra.plano", true), limits, DEFAULT_REQUISITOS));
+  console.assert(conExtra.exp.docs.extra.plano === true, "documento extra exportado");
+  console.assert(conExtra.requisitos.veredicto.analisis === "no_rojo", "requisitos exportados junto a limits");
+  const docsRepetidos = [
+    ...DEFAULT_REQUISITOS.docs,
+    { ruta: "docs.extra.ensayoBombeo", etiqueta: "Otro ensayo", cuando: { ruta: "", op: "eq", valor: "" } },
+    { ruta: "docs.extra.plano", etiqueta: "Plano", cuando: { ruta: "", op: "eq", valor: "" } },
+    { ruta: "docs.extra.plano", etiqueta: "Plano otra vez", cuando: { ruta: "", op: "eq", valor: "" } },
+  ];
+  const sinRepetidos = leerExportacion(crearExportacion(EMPTY_EXPEDIENTE, limits, { ...DEFAULT_REQUISITOS, docs: docsRepetidos }));
+  console.assert(
+    sinRepetidos.requisitos.docs.map((d) => d.etiqueta).join("|") ===
+      [...DEFAULT_REQUISITOS.docs.map((d) => d.etiqueta), "Plano"].join("|") &&
+      sinRepetidos.informe.invalidos.join() === "requisitos.docs[6],requisitos.docs[8]",
+    "documentos con la clave de otro descartados"
+  );
+  const v7 = leerExportacion({ schemaVersion: 7, exp: { basicos: { autorizacionNoPropietario: true } } });
+  console.assert(v7.exp.basicos.solicitanteEsTitular === false && !("*" in v7.exp.docs.extra), "migración v7→v8 del titular");
+
+  // Test: observaciones del veredicto
+  const obsVacio = evVacio.observaciones;
+  console.assert(obsVacio.some((o) => o.ancla === "campo-basicos.propietario" && o.severidad === "bloquea"), "campo faltante bloquea");
+  console.assert(obsVacio.some((o) => o.ancla === "campo-firmas.declaracionJurada"), "firma faltante observada");
+  const expArsenico = {
+    ...EMPTY_EXPEDIENTE,
+    muestreos: { m1: { ...EMPTY_MUESTREO, analisis: { ...EMPTY_MUESTREO.analisis, pH: medicion("7"), arsenico: medicion("0.05") } } },
+  };
+  const reg99 = { registro: "99", razonSocial: "", cuit: "", estado: "activo", desde: "", hasta: "" };
+  const padronPrueba = { archivo: "", cargado: "", registros: [reg99] };
+  const obsAs = evaluarExpediente(expArsenico, limits, { padron: padronPrueba }).observaciones;
+  const obsArsenico = obsAs.find((o) => o.ancla === "campo-analisis.arsenico");
+  console.assert(obsArsenico && obsArsenico.texto.includes("0.05") && obsArsenico.texto.includes("máx. 0.01"), "fuera de norma con valor y límite");
+  console.assert(obsAs.some((o) => o.ancla === "campo-basicos.perforistaRegistro" && o.severidad === "observa"), "registro fuera de padrón");
+  const basicosCompletos = {
+    ...EMPTY_EXPEDIENTE.basicos,
+    propietario: "X",
+    cuit: "20-12345678-6",
+    domicilio: "X",
+    contacto: "X",
+    perforista: "X",
+    perforistaRegistro: "1",
+  };
+  const obsSoloRegistro = evaluarExpediente({ ...expArsenico, basicos: basicosCompletos }, limits, { padron: padronPrueba }).observaciones;
+  console.assert(
+    obsSoloRegistro.some((o) => o.ancla === "campo-basicos.perforistaRegistro" && o.severidad === "bloquea"),
+    "registro fuera de padrón bloquea si es lo único que falta"
+  );
+
+  // Test: historial de cambios
+  const t0 = "2025-03-01T10:00:00.000Z";
+  const e0 = { ...EMPTY_EXPEDIENTE, meta: { ...EMPTY_EXPEDIENTE.meta, revisadoPor: "Ana" } };
+  const e1 = registrarCambios(e0, { ...e0, tecnicos: { ...e0.tecnicos, caudal_m3h: "5" } }, { ts: t0 }).exp;
+  console.assert(e1.historial.length === 1 && e1.historial[0].ruta === "tecnicos.caudal_m3h", "cambio registrado por ruta");
+  console.assert(e1.historial[0].usuario === "Ana" && decodificar(e1.historial[0].despues) === "5", "usuario y valor nuevo");
+  const e2 = registrarCambios(e1, { ...e1, tecnicos: { ...e1.tecnicos, caudal_m3h: "50" } }, { ts: "2025-03-01T10:00:20.000Z" });
+  console.assert(e2.fusionado && e2.exp.historial.length === 1, "tipeo del mismo campo fusionado");
+  console.assert(decodificar(e2.exp.historial[0].antes) === "", "la fusión conserva el valor original");
+  const e3 = registrarCambios(e2.exp, { ...e2.exp, firmas: { ...e2.exp.firmas, profesional: true } }, { ts: t0 }).exp;
+  console.assert(e3.historial.length === 2 && e3.historial[1].antes === "false", "booleano registrado");
+  console.assert(registrarCambios(e3, { ...e3 }).exp === e3, "sin cambios no registra");
+  console.assert(leerExportacion(crearExportacion(e3, limits)).exp.historial.length === 2, "historial viaja en la exportación");
+  const lleno = { ...e3, historial: Array.from({ length: MAX_HISTORIAL }, (_, i) => ({ ...e3.historial[0], ts: `#${i}` })) };
+  const conTope = registrarCambios(lleno, { ...lleno, firmas: { ...lleno.firmas, propietario: true } }, { ts: t0 }).exp.historial;
+  console.assert(
+    conTope.length === MAX_HISTORIAL && conTope[0].ts === "#1" && conTope[MAX_HISTORIAL - 1].ruta === "firmas.propietario",
+    "historial con tope: se descartan las entradas más viejas"
+  );
+
+  // Test: padrón de perforistas
+  const csvPadron = 'N° Registro;Razón social;CUIT;Estado;Vigencia desde;Vigencia hasta\n' +
+    '101;"Pérez, Juan S.R.L.";30712345671;activo;01/01/2020;31/12/2025\n' +
+    "102;Perforaciones del Litoral SA;;suspendido;2020-01-01;\n" +
+    "103;Otro;;jubilado;;\n" +
+    "Juan Pérez;;;;;";
+  const pad = leerPadronCsv(csvPadron);
+  console.assert(pad.registros.length === 2 && pad.errores.length === 2, "padrón: estado desconocido y nombre como registro");
+  console.assert(pad.registros[0].razonSocial === "Pérez, Juan S.R.L.", "campo entre comillas");
+  console.assert(pad.registros[0].desde === "2020-01-01", "fecha dd/mm/aaaa");
+  const okPad = validarRegistroPerforista(pad.registros, { perforistaRegistro: "101", perforista: "Juan Perez" }, "2024-05-01");
+  console.assert(okPad.vigente && okPad.observaciones.length === 0, "registro vigente y nombre parecido");
+  const vencido = validarRegistroPerforista(pad.registros, { perforistaRegistro: "101" }, "2026-01-10");
+  console.assert(!vencido.vigente, "registro vencido a la fecha");
+  console.assert(!validarRegistroPerforista(pad.registros, { perforistaRegistro: "102" }, "2024-05-01").vigente, "registro suspendido");
+  const otroNombre = validarRegistroPerforista(pad.registros, { perforistaRegistro: "101", perforista: "Agua Sur" }, "2024-05-01");
+  console.assert(otroNombre.vigente && otroNombre.observaciones.some((o) => !o.bloquea), "nombre distinto se observa");
+
+  // Test: carga masiva de análisis
+  console.assert(numeroLaboratorio("7,1") === "7.1" && numeroLaboratorio("1.200,5") === "1200.5", "coma decimal y miles");
+  console.assert(numeroLaboratorio("abc") === null && numeroLaboratorio("1,2,3") === null, "número ilegible");
+  console.assert(numeroLaboratorio("1.200") === null && numeroLaboratorio("0.005") === "0.005", "punto con tres cifras ambiguo");
+  console.assert(leerResultado("1.200 µS/cm").error?.includes("escribí 1200 (miles) o 1,200"), "ambigüedad informada");
+  const mapeoViejo = depurarMapeo({ as: "arsenico", x: "boro", y: "" });
+  console.assert(JSON.stringify(mapeoViejo) === '{"as":"arsenico","y":""}', "mapeo a un campo inexistente descartado");
+  const expPh = {
+    ...EMPTY_EXPEDIENTE,
+    muestreos: { m1: { ...EMPTY_MUESTREO, analisis: { ...EMPTY_MUESTREO.analisis, pH: medicion("7,1") } } },
+  };
+  const bandejaCsv = { "EXP-1": expPh, "EXP-2": EMPTY_EXPEDIENTE };
+  const csvLab = "expedienteId;pH;As;Arsénico (µg/L);CE;Color\nEXP-1;7,1;<0,005;;1200;\nEXP-2;15;;;x;\nEXP-9;7;;;;";
+  const previa = previsualizarAnalisis(csvLab, bandejaCsv);
+  console.assert(previa.columnas[2].campo === "arsenico" && previa.columnas[3].origen === "repetida", "alias As y columna repetida");
+  console.assert(previa.columnas[4].campo === "conductividad" && previa.columnas[5].campo === null, "alias CE y cabecera sin reconocer");
+  const celda1 = (campo) => previa.filas[0].celdas.find((c) => c.campo === campo);
+  console.assert(!celda1("pH").cambia && celda1("arsenico").cambia, "diff contra valores actuales");
+  console.assert(previa.filas[1].celdas.every((c) => c.error) && previa.filas[2].error, "errores por celda y legajo inexistente");
+  const aplicables = cambiosAplicables(previa);
+  const aplicado1 = aplicables["EXP-1"]?.[0];
+  console.assert(Object.keys(aplicables).join() === "EXP-1" && aplicado1.valores.arsenico.texto === "<0,005", "texto tal cual");
+  console.assert(Object.keys(aplicado1.valores).join() === "arsenico,conductividad", "solo cambios válidos");
+  const conMapeo = previsualizarAnalisis(csvLab, bandejaCsv, { color: "turbiedad", as: "" });
+  console.assert(conMapeo.columnas[2].campo === null && conMapeo.columnas[3].campo === "arsenico", "mapeo del laboratorio manda");
+  console.assert(conMapeo.columnas[3].unidad === "µg/L", "unidad tomada de la cabecera");
+
+  // Test: resultados censurados, cualitativos y con unidad
+  const limAs = { min: null, max: 0.01 };
+  console.assert(evaluarResultado(medicion("<0,005"), "arsenico", limAs).estado === true, "<0,005 cumple máx. 0,01");
+  console.assert(evaluarResultado(medicion("<0.05"), "arsenico", limAs).estado === "indeterminado", "<0,05 frente a 0,01 indeterminado");
+  console.assert(evaluarResultado(medicion(">0.02"), "arsenico", limAs).estado === false, ">0,02 no cumple máx. 0,01");
+  console.assert(evaluarResultado(medicion("12 µg/L"), "arsenico", limAs).estado === false, "µg/L convertido a mg/L");
+  console.assert(evaluarResultado(medicion("8", "µg/L"), "arsenico", limAs).estado === true, "unidad elegida aparte del texto");
+  console.assert(evaluarResultado(medicion("ND", "", "0,002"), "arsenico", limAs).estado === true, "ND con LD bajo el límite");
+  console.assert(evaluarResultado(medicion("N.D."), "arsenico", limAs).motivo === "ND sin límite de detección", "ND sin LD");
+  console.assert(evaluarResultado(medicion("ausencia en 100 mL"), "coliformes", { min: 0, max: 0 }).estado === true, "ausencia cumple");
+  console.assert(evaluarResultado(medicion("Presencia"), "salmonella", { min: 0, max: 0 }).estado === false, "presencia no cumple");
+  console.assert(evaluarResultado(medicion("7 mg/L"), "pH", { min: 6.5, max: 8.5 }).estado === "indeterminado", "unidad incompatible");
+  const menorIgual = leerResultado("≤ 1,5 ppm");
+  console.assert(menorIgual.calificador === "<" && menorIgual.valor === 1.5 && menorIgual.unidad === "mg/L", "≤ y alias ppm");
+  console.assert(riego.r.conductividad === true, "2,5 mS/cm dentro de 3000 µS/cm");
+  console.assert(valoresExactos({ conductividad: medicion("2,5 mS/cm") }).conductividad === 2500, "valor exacto convertido");
+  console.assert(valoresExactos({ sodio: medicion("<1") }).sodio === null, "censurado no entra en los indicadores");
+  const expIndet = {
+    ...EMPTY_EXPEDIENTE,
+    muestreos: { m1: { ...EMPTY_MUESTREO, analisis: { ...EMPTY_MUESTREO.analisis, arsenico: medicion("<0,05") } } },
+  };
+  const evIndet = evaluarExpediente(expIndet, limits);
+  const semaforoIndet = evIndet.analStatus.text.includes("1 indeterminados");
+  console.assert(evIndet.anal.indeterminados === 1 && semaforoIndet, "indeterminado en el semáforo");
+  console.assert(evIndet.observaciones.some((o) => o.texto.includes("<0,05 no permite decidir")), "indeterminado observado");
+  const v9 = leerExportacion({ schemaVersion: 9, exp: { analisis: { pH: "7.2", arsenico: "" } } });
+  const v9m1 = v9.exp.muestreos.m1.analisis;
+  console.assert(v9m1.pH.texto === "7.2" && v9m1.arsenico.texto === "", "migración v9→v10 de análisis");
+
+  // Test: muestreos
+  const v10 = leerExportacion({ schemaVersion: 10, exp: { analisis: { pH: medicion("7") } }, limits: {} });
+  console.assert(v10.exp.muestreoVigente === "m1" && v10.exp.muestreos.m1.analisis.pH.texto === "7", "migración v10→v11 a muestreos");
+  console.assert(v10.limits.muestreos.antiguedad_max_dias === 180, "antigüedad máxima por defecto");
+  const tomaVieja = {
+    ...EMPTY_EXPEDIENTE,
+    meta: { ...EMPTY_EXPEDIENTE.meta, fecha: "2025-06-01" },
+    muestreos: { m1: { ...EMPTY_MUESTREO, fecha: "2024-01-01", analisis: { ...EMPTY_MUESTREO.analisis, pH: medicion("7") } } },
+  };
+  const evViejo = evaluarExpediente(tomaVieja, limits);
+  console.assert(evViejo.analStatus.color === "red" && evViejo.controlMuestreo.dias === 517, "análisis vencido rechazado");
+  const evReciente = evaluarExpediente({ ...tomaVieja, muestreos: { m1: { ...tomaVieja.muestreos.m1, fecha: "2025-05-01" } } }, limits);
+  console.assert(evReciente.controlMuestreo.observaciones.length === 0, "análisis reciente aceptado");
+  const sinVigente = evaluarExpediente({ ...expArsenico, muestreoVigente: "" }, limits);
+  console.assert(sinVigente.analStatus.color === "red" && sinVigente.anal.present === 0, "sin muestreo vigente");
+  const varios = { m1: { fecha: "2025-03-01" }, m2: { fecha: "" }, m10: { fecha: "2024-12-01" } };
+  console.assert(muestreosOrdenados({ muestreos: varios }).map((m) => m.id).join() === "m10,m1,m2", "orden por fecha de toma");
+  console.assert(siguienteIdMuestreo(varios) === "m11", "id siguiente al mayor");
+  const conProtocolo = {
+    ...EMPTY_EXPEDIENTE,
+    muestreos: { m1: { ...EMPTY_MUESTREO, protocolo: "P-1", analisis: { ...EMPTY_MUESTREO.analisis, pH: medicion("7") } } },
+  };
+  const csvProt = "expedienteId;protocolo;fecha de toma;pH\nEXP-1;P-1;;7,2\nEXP-1;P-2;15/05/2025;7";
+  const previaProt = previsualizarAnalisis(csvProt, { "EXP-1": conProtocolo });
+  console.assert(previaProt.filas[0].muestreoId === "m1" && previaProt.filas[1].muestreoId === null, "protocolo existente o nuevo");
+  console.assert(previaProt.filas[1].fecha === "2025-05-15" && previaProt.filas[1].celdas[0].cambia, "muestreo nuevo con fecha");
+
+  // Test: anexos y ZIP
+  const anexoPlano = { ...EMPTY_ANEXO, nombre: "ensayo.pdf", tamano: 10, sha256: "ab12", item: "docs.ensayoBombeo" };
+  const tildado = escribirRuta(EMPTY_EXPEDIENTE, "docs.ensayoBombeo", true);
+  const evTildado = evaluarExpediente(tildado, limits);
+  console.assert(evTildado.docsStatus.text === "0/6 adjuntos", "tilde sin archivo no cuenta");
+  const obsTildado = evTildado.observaciones.some((o) => o.texto.startsWith("Tildado sin archivo adjunto: Ensayo"));
+  console.assert(obsTildado, "tilde sin archivo observado");
+  const conArchivo = escribirRuta(tildado, "docs.anexos", { a1: anexoPlano });
+  console.assert(evaluarExpediente(conArchivo, limits).docsStatus.text === "1/6 adjuntos", "documento con archivo cuenta");
+  console.assert(docsConArchivo({ ...conArchivo.docs, extra: { plano: true } }).extra.plano === false, "documento extra sin archivo");
+  console.assert(siguienteIdAnexo({ a1: anexoPlano, a7: anexoPlano }) === "a8", "id de anexo siguiente al mayor");
+  const v11 = leerExportacion({ schemaVersion: 11, exp: { docs: { anexos: ["plano.pdf"] } } });
+  console.assert(v11.exp.docs.anexos.a1.nombre === "plano.pdf" && v11.exp.docs.anexos.a1.sha256 === "", "migración v11→v12 de anexos");
+  console.assert(nombresUnicos(["a.pdf", "A.pdf", "b"]).join() === "a.pdf,A (2).pdf,b", "nombres únicos en el ZIP");
+  console.assert(crc32(new TextEncoder().encode("123456789")) === 0xcbf43926, "CRC-32 de referencia");
+  const zip = crearZip([{ nombre: "a.txt", datos: "hola" }, { nombre: "anexos/ñ.txt", datos: new Uint8Array([1, 2]) }]);
+  const finZip = new DataView(zip.buffer, zip.length - 22);
+  console.assert(zip[0] === 0x50 && zip[1] === 0x4b && finZip.getUint32(0, true) === 0x06054b50, "firmas del ZIP");
+  console.assert(finZip.getUint16(10, true) === 2 && finZip.getUint32(16, true) === 30 + 5 + 4 + 30 + 13 + 2, "directorio central");
+
+  // Test: datos de documentos
+  const docsCompletos = DEFAULT_REQUISITOS.docs.reduce(
+    (e, d, i) => escribirRuta(escribirRuta(e, d.ruta, true), `docs.anexos.a${i + 1}`, { ...anexoPlano, item: d.ruta }),
+    EMPTY_EXPEDIENTE
+  );
+  const firmado = { ...EMPTY_DATOS_DOC, profesional: "Ing. Ríos", matricula: "1234" };
+  const conDatos = (permiso, ensayo, perforacion) => ({
+    ...docsCompletos,
+    meta: { ...EMPTY_EXPEDIENTE.meta, fecha: "2025-06-01" },
+    tecnicos: { ...EMPTY_EXPEDIENTE.tecnicos, fechaPerforacion: perforacion },
+    docs: {
+      ...docsCompletos.docs,
+      datos: {
+        permisoExploracion: { ...EMPTY_DATOS_DOC, numero: "R-12", autoridad: "DH", ...permiso },
+        ensayoBombeo: { ...firmado, ...ensayo },
+        estudioInterferencia: firmado,
+        perfilesLitologicos: firmado,
+        memoriaDescriptiva: firmado,
+      },
+    },
+  });
+  const evDocsOk = evaluarExpediente(conDatos({ emision: "2024-01-10" }, { emision: "2025-01-01" }, "2024-03-01"), limits);
+  console.assert(evDocsOk.docsStatus.color === "green" && evDocsOk.documentos.observaciones.length === 0, "documentos en regla");
+  const evPermisoTarde = evaluarExpediente(conDatos({ emision: "2024-05-01" }, { emision: "2025-01-01" }, "2024-03-01"), limits);
+  console.assert(evPermisoTarde.docsStatus.color === "yellow", "permiso posterior a la perforación");
+  const obsPermiso = evPermisoTarde.observaciones.find((o) => o.ancla === "campo-docs.datos.permisoExploracion.emision");
+  console.assert(obsPermiso?.severidad === "bloquea", "observación con ancla al dato");
+  const permisoVencido = conDatos({ emision: "2023-01-01", vencimiento: "2023-12-31" }, { emision: "2025-01-01" }, "2024-03-01");
+  const reglasDocs = (e) => validarDocumentos(e, DEFAULT_REQUISITOS.docs, limits.documentos);
+  console.assert(reglasDocs(permisoVencido).observaciones.length === 1, "permiso vencido al perforar");
+  const ensayoViejo = reglasDocs(conDatos({ emision: "2024-01-10" }, { emision: "2023-01-01" }, "2024-03-01"));
+  console.assert(ensayoViejo.observaciones[0]?.texto.includes("882 días"), "ensayo de bombeo antiguo");
+  const sinFirma = conDatos({ emision: "2024-01-10" }, { matricula: "" }, "");
+  const obsFirma = reglasDocs(sinFirma).observaciones.map((o) => o.ruta);
+  const esperadas = "docs.datos.permisoExploracion.emision,docs.datos.ensayoBombeo.emision,docs.datos.ensayoBombeo.matricula";
+  console.assert(obsFirma.sort().join() === esperadas.split(",").sort().join(), "datos exigidos y perforación sin fecha");
+  const v12 = leerExportacion({ schemaVersion: 12, exp: { tecnicos: {}, docs: {} }, limits: {} });
+  console.assert(v12.exp.tecnicos.fechaPerforacion === "" && v12.limits.documentos.ensayo_bombeo_max_dias === 365, "migración v12→v13");
+
+  // Test: dictamen
+  console.assert(jsonCanonico({ b: 1, a: [{ d: 2, c: null }] }) === jsonCanonico({ a: [{ c: null, d: 2 }], b: 1 }), "JSON canónico");
+  console.assert(escaparHtml(`<b a="1">&'`) === "&lt;b a=&quot;1&quot;&gt;&amp;&#39;", "escape HTML");
+  const huellaImpresa = "3F9A C01E 77B2 D4A0\n".repeat(4);
+  console.assert(normalizarHash(huellaImpresa) === "3f9ac01e77b2d4a0".repeat(4), "huella impresa normalizada");
+  console.assert(normalizarHash("f00d") === null && normalizarHash("g".repeat(64)) === null, "huella incompleta o no hexadecimal");
+  const expDictamen = { ...expArsenico, meta: { ...expArsenico.meta, expedienteId: "EXP-<7>" } };
+  const html = generarDictamenHtml(expDictamen, evaluarExpediente(expDictamen, limits), {
+    hash: "f00d",
+    generado: new Date("2025-06-01T12:00:00Z"),
+  });
+  console.assert(html.includes("Ley 9172") && html.includes("EXP-&lt;7&gt;") && !html.includes("EXP-<7>"), "membrete y datos escapados");
+  console.assert(html.includes("<td>máx. 0.01</td>") && html.includes("Fuera de norma"), "análisis con límite aplicado");
+  console.assert(html.includes("NO APROBADO") && html.includes("[Observa] Análisis: Arsénico"), "veredicto y observaciones");
+  console.assert(html.includes("SHA-256 del legajo: f00d") && html.includes("2025-06-01T12:00:00.000Z"), "pie con huella y hora");
+
+  // Test: orden del día del Plenario
+  const enSesion = (sesionPlenario, ordenDia) => ({ ...EMPTY_EXPEDIENTE, meta: { ...EMPTY_EXPEDIENTE.meta, sesionPlenario, ordenDia } });
+  const bandejaSesion = { "E-2": enSesion("7", 2), "E-10": enSesion("7", 1), "E-3": enSesion("8", 1), "E-4": enSesion("", null) };
+  console.assert(ordenDelDia(bandejaSesion, "7").map((f) => f.id).join() === "E-10,E-2", "orden del día por posición");
+  console.assert(ordenDelDia(bandejaSesion, "").length === 0, "sin sesión no hay orden del día");
+  const filasSesion = [
+    { id: "E-10", propietario: 'Agro "Sur"; SA', cat: "II", monto: 1000 },
+    { id: "E-2", propietario: "Pérez", cat: "I", monto: 500 },
+    { id: "E-5", propietario: "Gómez", cat: "II", monto: 1000 },
+  ];
+  const totSesion = totalesPorCategoria(filasSesion);
+  const porCategoria = totSesion.categorias.map((t) => `${t.cat}:${t.cantidad}:${t.monto}`).join();
+  console.assert(porCategoria === "I:1:500,II:2:2000", "totales por categoría");
+  console.assert(totSesion.cantidad === 3 && totSesion.monto === 2500, "total de la sesión");
+  const csvSesion = ordenDelDiaCsv({ numero: "7", fecha: "2025-07-01" }, filasSesion).split("\r\n");
+  console.assert(csvSesion[0].startsWith("sesion;fecha;orden;expediente") && csvSesion.length === 5, "CSV con una fila por legajo");
+  console.assert(parsearCsv(csvSesion.join("\n"))[1][4] === 'Agro "Sur"; SA', "CSV con comillas y separador escapados");
+  console.assert(escribirCsv([[1.5, "1.5"]]) === "1,5;1.5\r\n" && escribirCsv([[1.5]], ",") === "1.5\r\n", "coma decimal con ;");
+  const htmlSesion = generarOrdenDelDiaHtml({ numero: "7", fecha: "" }, filasSesion);
+  console.assert(htmlSesion.includes("Agro &quot;Sur&quot;; SA") && htmlSesion.includes("Sesión N° 7"), "orden del día escapado");
+  const v13 = leerExportacion({ schemaVersion: 13, exp: { meta: { expedienteId: "X" } } });
+  console.assert(v13.exp.meta.sesionPlenario === "" && v13.exp.meta.ordenDia === null, "migración v13→v14");
+
+  // Test: estados del trámite
+  const enEstado = (estado) => ({ ...EMPTY_EXPEDIENTE, meta: { ...EMPTY_EXPEDIENTE.meta, estado } });
+  const ana = { allGreen: true, usuario: "Ana" };
+  console.assert(validarTransicion(enEstado("borrador"), "apto", ana)?.startsWith("No se puede pasar"), "pase no permitido");
+  const sinAprobar = validarTransicion(enEstado("en_revision"), "apto", { ...ana, allGreen: false });
+  console.assert(sinAprobar === "El veredicto no es APROBADO", "apto exige APROBADO");
+  const sinUsuario = validarTransicion(enEstado("en_revision"), "apto", { ...ana, usuario: " " });
+  console.assert(sinUsuario === "Indicá quién hace el pase", "pase con usuario");
+  console.assert(validarTransicion(enEstado("en_revision"), "apto", ana) === null, "pase a apto");
+  console.assert(validarTransicion(enEstado("apto"), "en_revision", ana) === "Indicá el motivo de la reapertura", "reabrir con motivo");
+  console.assert(validarTransicion(enEstado("apto"), "en_revision", { ...ana, comentario: "falta firma" }) === null, "reapertura");
+  const apto = aplicarTransicion(enEstado("en_revision"), "apto", { usuario: "Ana", ts: "2025-06-01T10:00:00Z" });
+  console.assert(estaCongelado(apto) && !estaCongelado(enEstado("observado")), "apto congela el legajo");
+  const { exp: aptoReg } = registrarCambios(enEstado("en_revision"), apto, { accion: "tramite" });
+  const paseReg = aptoReg.historial.map((h) => `${h.ruta}:${h.accion}`).join();
+  console.assert(paseReg === "meta.estado:tramite" && aptoReg.tramite[0].desde === "en_revision", "pase registrado aparte del historial");
+  const aptoCsv = { "EXP-1": { ...EMPTY_EXPEDIENTE, meta: apto.meta } };
+  const previaApto = previsualizarAnalisis("expedienteId;pH\nEXP-1;7", aptoCsv);
+  console.assert(previaApto.filas[0].error?.includes("reabrilo"), "carga masiva no toca legajos congelados");
+  const v14 = leerExportacion({ schemaVersion: 14, exp: { meta: { sesionPlenario: "7" } } });
+  console.assert(v14.exp.meta.estado === "elevado" && v14.exp.tramite.length === 0, "migración v14→v15");
+
+  // Test: visados por sección
+  const completos = {
+    basicos: { nombre: "Ana Gómez", rol: "administrativo", fecha: "2025-06-01" },
+    tecnicos: { nombre: "Luis Paz", rol: "tecnico", fecha: "2025-06-01" },
+    docs: { nombre: "Ana Gómez", rol: "administrativo", fecha: "2025-06-01" },
+    analisis: { nombre: "Luis Paz", rol: "tecnico", fecha: "2025-06-01" },
+    firmas: { nombre: "Ana Gómez", rol: "administrativo", fecha: "2025-06-01" },
+  };
+  console.assert(controlarVisados(EMPTY_EXPEDIENTE).observaciones.length === 5, "sin visar: una observación por sección");
+  console.assert(evVacio.observaciones.some((o) => o.ancla === anclaCampo("visados.analisis")), "visado faltante en las observaciones");
+  console.assert(controlarVisados({ ...EMPTY_EXPEDIENTE, visados: completos }).completos, "visados completos");
+  const mismaPersona = controlarVisados({
+    ...EMPTY_EXPEDIENTE,
+    visados: {
+      ...completos,
+      tecnicos: { nombre: "ana  gomez", rol: "tecnico", fecha: "2025-06-01" },
+      analisis: { nombre: "ana  gomez", rol: "tecnico", fecha: "2025-06-01" },
+    },
+  });
+  const soloTecnico = mismaPersona.observaciones.every((o) => BLOQUE_SECCION[o.seccion] === "tecnico");
+  console.assert(mismaPersona.observaciones.length === 2 && soloTecnico, "una persona no visa los dos bloques");
+  const rolCruzado = controlarVisados({
+    ...EMPTY_EXPEDIENTE,
+    visados: { ...completos, analisis: { nombre: "Luis Paz", rol: "administrativo", fecha: "2025-06-01" } },
+  });
+  console.assert(rolCruzado.observaciones[0]?.texto.endsWith("corresponde al revisor técnico"), "visado con el rol del bloque");
+  const dosAdm = { ...EMPTY_EXPEDIENTE, visados: { ...completos, docs: { nombre: "Eva", rol: "administrativo", fecha: "2025-06-01" } } };
+  console.assert(firmantesBloque(dosAdm, "administrativo").join() === "Ana Gómez,Eva", "firmantes del bloque sin repetir");
+  const expVisado = { ...expDictamen, visados: { ...completos, firmas: EMPTY_VISADO } };
+  const htmlVisado = generarDictamenHtml(expVisado, evaluarExpediente(expVisado, limits), { hash: "f00d" });
+  const visadoAdm = htmlVisado.includes("Ana Gómez · Revisor administrativo · 2025-06-01");
+  console.assert(visadoAdm && htmlVisado.includes("Sin visar"), "visados en el dictamen");
+  console.assert(htmlVisado.includes("Revisor técnico<br>Luis Paz"), "firma del revisor técnico");
+  const v15 = leerExportacion({ schemaVersion: 15, exp: { meta: {} } });
+  const visadosFaltantes = v15.informe.faltantes.filter((f) => f.startsWith("exp.visados"));
+  console.assert(v15.exp.visados.firmas.nombre === "" && visadosFaltantes.length === 0, "migración v15→v16");
+  const visadoAna = { nombre: "Ana", rol: "administrativo", fecha: "2025-06-01" };
+  const visadoLuis = { nombre: "Luis", rol: "tecnico", fecha: "2025-06-01" };
+  const conDosVisados = { ...EMPTY_EXPEDIENTE, visados: { ...EMPTY_EXPEDIENTE.visados, basicos: visadoAna, analisis: visadoLuis } };
+  const otroCuit = { ...conDosVisados, basicos: { ...conDosVisados.basicos, cuit: "20-12345678-9" } };
+  const sinVisado = invalidarVisados(conDosVisados, otroCuit);
+  console.assert(!estaVisada(sinVisado.visados.basicos) && sinVisado.visados.analisis === visadoLuis, "cambiar los datos borra el visado");
+  const otroVigente = invalidarVisados(conDosVisados, { ...conDosVisados, muestreoVigente: "m2" });
+  console.assert(!estaVisada(otroVigente.visados.analisis), "cambiar el muestreo vigente borra el visado del análisis");
+  const revisado = { ...otroCuit, visados: { ...otroCuit.visados, basicos: { ...visadoAna, fecha: "2025-06-02" } } };
+  console.assert(invalidarVisados(conDosVisados, revisado) === revisado, "visar junto con el cambio lo conserva");
+
+  // Test: estadísticas
+  const enFecha = (e, fecha, tecnicos = {}) => ({ ...e, meta: { ...e.meta, fecha }, tecnicos: { ...e.tecnicos, ...tecnicos } });
+  const paraEstadisticas = [
+    enFecha(expArsenico, "2025-03-01", { departamento: "Paraná", caudal_anual_m3: "600000" }),
+    enFecha(
+      {
+        ...EMPTY_EXPEDIENTE,
+        muestreos: { m1: { ...EMPTY_MUESTREO, analisis: { ...EMPTY_MUESTREO.analisis, arsenico: medicion("0.005") } } },
+      },
+      "2025-05-10",
+      { departamento: "Paraná" }
+    ),
+    enFecha(EMPTY_EXPEDIENTE, "2024-12-31"),
+  ].map((e, i) => ({ id: `E${i}`, e, ev: evaluarExpediente(e, limits) }));
+  const enRango = paraEstadisticas.filter(({ e }) => enRangoFechas(e, "2025-01-01", "2025-05-10"));
+  console.assert(enRango.length === 2 && !enRangoFechas({ meta: { fecha: "" } }, "", "2025-01-01"), "filtro por fecha de revisión");
+  const tablas = Object.fromEntries(tablasEstadisticas(enRango).map((t) => [t.key, t]));
+  console.assert(tablas.departamento.filas[0].join() === "Paraná,2,100", "legajos por departamento");
+  console.assert(tablas.estado.filas.length === ESTADOS_TRAMITE.length && tablas.estado.filas[0][1] === 2, "todos los estados");
+  console.assert(tablas.categoria.filas.find((f) => f[0] === "II")?.[2] === 135245, "monto por categoría");
+  console.assert(tablas.parametro.filas[0].join() === "Arsénico (mg/L),2,1,0,50", "fallas por parámetro");
+  console.assert(tablaCsv(tablas.veredicto).startsWith("veredicto;legajos;porcentaje\r\nAPROBADO;0;0"), "CSV de una tabla");
+
+  // Test: sincronización
+  const baseSync = { basicos: { propietario: "Ana", cuit: "1" }, historial: [{ ts: "1", usuario: "A" }] };
+  const localSync = { basicos: { propietario: "Ana", cuit: "2" }, historial: [...baseSync.historial, { ts: "3", usuario: "A" }] };
+  const remotoSync = { basicos: { propietario: "Beto", cuit: "1" }, historial: [...baseSync.historial, { ts: "2", usuario: "B" }] };
+  const fusion = fusionarVersiones(baseSync, localSync, remotoSync);
+  console.assert(fusion.conflictos.length === 0 && fusion.valor.basicos.propietario === "Beto", "fusión sin conflicto");
+  console.assert(fusion.valor.basicos.cuit === "2" && fusion.valor.historial.map((h) => h.ts).join() === "1,2,3", "historial unido");
+  const choque = fusionarVersiones(baseSync, localSync, { ...remotoSync, basicos: { ...remotoSync.basicos, cuit: "3" } });
+  console.assert(choque.conflictos.map((c) => c.ruta).join() === "basicos.cuit" && choque.valor.basicos.cuit === "2", "conflicto");
+  const elegido = resolverConflictos(choque.valor, choque.conflictos, { "basicos.cuit": "remoto" });
+  console.assert(elegido.basicos.cuit === "3" && textoConflicto(undefined) === "(sin el campo)", "resolver conflicto");
+  const baseFlujo = { meta: { estado: "en_revision" }, tramite: [], analisis: { arsenico: "0.01" }, basicos: { cuit: "1" } };
+  const remotoApto = { ...baseFlujo, meta: { estado: "apto" }, tramite: [{ ts: "2", hacia: "apto" }] };
+  const localArsenico = { ...baseFlujo, analisis: { arsenico: "0.5" } };
+  const congelado = fusionarExpedientes(baseFlujo, localArsenico, remotoApto);
+  const rutasCongelado = congelado.conflictos.map((c) => c.ruta).join();
+  const quedaApto = congelado.valor.meta.estado === "apto";
+  console.assert(rutasCongelado === "analisis.arsenico" && quedaApto, "dato editado contra un pase es conflicto");
+  const soloDatos = fusionarExpedientes(baseFlujo, localArsenico, { ...baseFlujo, basicos: { cuit: "2" } });
+  console.assert(soloDatos.conflictos.length === 0 && soloDatos.valor.basicos.cuit === "2", "sin cambio de circuito se fusiona");
+  const cola = marcarPendientes(marcarPendientes(estadoSyncVacio("http://x"), { expedientes: ["A"] }), { expedientes: ["A", "B"] });
+  console.assert(cola.pendientes.expedientes.join() === "A,B" && cola.pendientes.configuracion.length === 0, "cola de pendientes");
+
+  // Test: firma digital (asíncrona: WebCrypto)
+  if (globalThis.crypto?.subtle) {
+    (async () => {
+      const { privada, clavePublica, huella } = await generarClaves();
+      const revisor = { nombre: "Ana" };
+      const firmado = await firmarExportacion(crearExportacion(EMPTY_EXPEDIENTE, DEFAULT_LIMITS), { privada, clavePublica, revisor });
+      const leido = JSON.parse(JSON.stringify(firmado, null, 2));
+      const confiables = [{ nombre: "Ana", huella, clavePublica }];
+      const valida = await verificarExportacion(leido, confiables);
+      console.assert(valida.estado === "valida" && valida.revisor === "Ana", "firma válida");
+      console.assert((await verificarExportacion(leido, [])).estado === "no_confiable", "clave fuera de las de confianza");
+      const tocado = escribirRuta(leido, "exp.firmas.declaracionJurada", true);
+      console.assert((await verificarExportacion(tocado, confiables)).estado === "alterada", "legajo alterado");
+      const otroRevisor = escribirRuta(leido, "firma.revisor.nombre", "Beto");
+      console.assert((await verificarExportacion(otroRevisor, confiables)).estado === "alterada", "revisor alterado");
+      console.assert((await verificarExportacion(crearExportacion(EMPTY_EXPEDIENTE), confiables)).estado === "sin_firma", "sin firma");
+      console.assert(!informeTieneHallazgos(leerExportacion(leido).informe), "la firma no es un campo desconocido");
+    })();
+  }
+
   // Test: sectionStatus
   const st1 = sectionStatus({ a: 1, b: 2 }, ["a", "b"]);
   const st2 = sectionStatus({ a: 1 }, ["a", "b"]);
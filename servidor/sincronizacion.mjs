@@ -0,0 +1,203 @@
+// ----- Servidor de sincronización (red local) -----
+// Servicio REST mínimo, solo con módulos de Node (>= 18), para compartir legajos, valores de referencia, padrón,
+// requisitos, mapeos de CSV y sesiones del Plenario entre los equipos de la oficina. Uso:
+//
+//   node servidor/sincronizacion.mjs --token <clave compartida> [--origen http://equipo:5173] [--puerto 8787]
+//                                    [--datos ./datos-corufa]
+//
+// Todo pedido lleva "Authorization: Bearer <clave>" (la misma que se carga en la app al conectar). `--origen` es
+// la dirección desde la que se sirve la app: solo a esa se le permite llamar desde el navegador (CORS); sin
+// origen, ninguna página de otro origen puede leer las respuestas. También se toman de CORUFA_TOKEN,
+// CORUFA_ORIGEN, CORUFA_PUERTO y CORUFA_DATOS.
+//
+// Colecciones: "expedientes" (por N° de legajo) y "configuracion" ("limits", "padron", "requisitos", "mapeos",
+// "sesiones"). Cada documento se guarda como { rev, doc, actualizado } en <datos>/<coleccion>.json; `doc` es el
+// sobre versionado que arma la app y el servidor no lo interpreta: { schemaVersion, exp } para un legajo y
+// { schemaVersion, <id> } para la configuración ({ schemaVersion, limits }, { schemaVersion, sesiones }…).
+// `rev` sube en cada escritura: quien escribe indica la revisión sobre la que trabajó (`base`, 0 = documento
+// nuevo) y si otro equipo escribió antes recibe 409 con la versión actual, para fusionarla campo por campo.
+// Borrar deja una lápida { rev, borrado: true, actualizado } con la revisión siguiente: un legajo que se vuelve a
+// crear con el mismo N° sigue desde ahí, y un equipo que recuerda la revisión de antes del borrado ve el cambio.
+//
+//   GET    /api/estado                 → { ok, colecciones }
+//   GET    /api/<coleccion>            → { [id]: { rev, borrado } }
+//   GET    /api/<coleccion>/<id>       → { rev, doc, borrado } (doc null si está borrado) | 404
+//   PUT    /api/<coleccion>/<id>       { base, doc } → { rev } | 409 { rev, doc }
+//   DELETE /api/<coleccion>/<id>?base=N → { rev } | 409 { rev, doc }
+
+import { timingSafeEqual } from "node:crypto";
+import { createServer } from "node:http";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { join, resolve } from "node:path";
+
+const COLECCIONES = ["expedientes", "configuracion"];
+const MAX_CUERPO = 5 * 1024 * 1024; // un legajo con muchos muestreos e historial, o el padrón entero, caben de sobra
+
+function opcion(nombre, porDefecto) {
+  const i = process.argv.indexOf(`--${nombre}`);
+  return i >= 0 && process.argv[i + 1] ? process.argv[i + 1] : porDefecto;
+}
+
+const PUERTO = Number(opcion("puerto", process.env.CORUFA_PUERTO || 8787));
+const DATOS = resolve(opcion("datos", process.env.CORUFA_DATOS || "./datos-corufa"));
+const TOKEN = opcion("token", process.env.CORUFA_TOKEN || "");
+const ORIGEN = opcion("origen", process.env.CORUFA_ORIGEN || "").replace(/\/+$/, "");
+
+if (TOKEN.length < 12) {
+  console.error("Falta la clave compartida (--token o CORUFA_TOKEN), de al menos 12 caracteres");
+  process.exit(1);
+}
+
+// Colecciones en memoria, leídas al arrancar; cada escritura reescribe el archivo completo (tmp + rename) y
+// reemplaza la colección en memoria solo si el archivo quedó escrito
+const almacen = {};
+let escrituras = Promise.resolve();
+
+async function cargar() {
+  await mkdir(DATOS, { recursive: true });
+  for (const col of COLECCIONES) {
+    try {
+      almacen[col] = JSON.parse(await readFile(join(DATOS, `${col}.json`), "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw new Error(`No se pudo leer ${col}.json: ${err.message}`);
+      almacen[col] = {};
+    }
+  }
+}
+
+// Las escrituras van en fila (control de revisión y archivo) para que dos pedidos seguidos no se pisen; una que
+// falla no traba a las siguientes
+function enSerie(tarea) {
+  escrituras = escrituras.catch(() => {}).then(tarea);
+  return escrituras;
+}
+
+async function guardarColeccion(col, docs) {
+  const destino = join(DATOS, `${col}.json`);
+  try {
+    await writeFile(`${destino}.tmp`, JSON.stringify(docs));
+    await rename(`${destino}.tmp`, destino);
+  } catch (err) {
+    console.error(err);
+    throw new ErrorHttp(500, `No se pudo guardar ${col}.json en el servidor`);
+  }
+  almacen[col] = docs;
+}
+
+function docActual(col, id) {
+  return Object.hasOwn(almacen[col], id) ? almacen[col][id] : null;
+}
+
+class ErrorHttp extends Error {
+  constructor(estado, mensaje) {
+    super(mensaje);
+    this.estado = estado;
+  }
+}
+
+// La app se sirve desde otro origen que el servidor: solo ese origen (--origen) recibe permiso CORS
+function cabecerasCors(req) {
+  if (!ORIGEN || req.headers.origin !== ORIGEN) return {};
+  return {
+    "Access-Control-Allow-Origin": ORIGEN,
+    "Access-Control-Allow-Methods": "GET, PUT, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    Vary: "Origin",
+  };
+}
+
+function responder(req, res, estado, cuerpo) {
+  res.writeHead(estado, { "Content-Type": "application/json; charset=utf-8", ...cabecerasCors(req) });
+  res.end(cuerpo === undefined ? "" : JSON.stringify(cuerpo));
+}
+
+function autorizado(req) {
+  const [tipo, clave = ""] = String(req.headers.authorization || "").split(" ");
+  const recibida = Buffer.from(clave);
+  const esperada = Buffer.from(TOKEN);
+  return tipo === "Bearer" && recibida.length === esperada.length && timingSafeEqual(recibida, esperada);
+}
+
+async function leerCuerpo(req) {
+  const partes = [];
+  let total = 0;
+  for await (const parte of req) {
+    total += parte.length;
+    if (total > MAX_CUERPO) throw new ErrorHttp(413, "Documento demasiado grande");
+    partes.push(parte);
+  }
+  try {
+    return JSON.parse(Buffer.concat(partes).toString("utf8"));
+  } catch {
+    throw new ErrorHttp(400, "El cuerpo no es JSON válido");
+  }
+}
+
+function revisionBase(valor) {
+  const base = Number(valor ?? NaN);
+  if (!Number.isInteger(base) || base < 0) throw new ErrorHttp(400, "Falta la revisión base");
+  return base;
+}
+
+async function atender(req, res) {
+  // El navegador pregunta sin credenciales antes de cada pedido con Authorization
+  if (req.method === "OPTIONS") return responder(req, res, 204);
+  if (!autorizado(req)) throw new ErrorHttp(401, "Clave del servidor incorrecta");
+  const url = new URL(req.url, "http://localhost");
+  const [api, col, idCodificado, ...resto] = url.pathname.split("/").filter(Boolean);
+  if (api !== "api" || resto.length) throw new ErrorHttp(404, "Ruta desconocida");
+  if (col === "estado" && !idCodificado) return responder(req, res, 200, { ok: true, colecciones: COLECCIONES });
+  if (!COLECCIONES.includes(col)) throw new ErrorHttp(404, `Colección desconocida: ${col}`);
+
+  if (!idCodificado) {
+    if (req.method !== "GET") throw new ErrorHttp(405, "Método no permitido");
+    const indice = Object.entries(almacen[col]).map(([id, d]) => [id, { rev: d.rev, borrado: !!d.borrado }]);
+    return responder(req, res, 200, Object.fromEntries(indice));
+  }
+
+  let id;
+  try {
+    id = decodeURIComponent(idCodificado);
+  } catch {
+    throw new ErrorHttp(400, "Identificador inválido"); // "%E0" y otras secuencias que no son UTF-8
+  }
+  if (req.method === "GET") {
+    const actual = docActual(col, id);
+    if (!actual) throw new ErrorHttp(404, `No existe ${col}/${id}`);
+    return responder(req, res, 200, { rev: actual.rev, doc: actual.doc ?? null, borrado: !!actual.borrado });
+  }
+  if (req.method === "PUT") {
+    const { base, doc } = await leerCuerpo(req);
+    if (doc === null || typeof doc !== "object") throw new ErrorHttp(400, "Falta el documento");
+    const [estado, cuerpo] = await enSerie(async () => {
+      const actual = docActual(col, id);
+      if (revisionBase(base) !== (actual?.rev ?? 0)) return [409, { rev: actual?.rev ?? 0, doc: actual?.doc ?? null }];
+      const rev = (actual?.rev ?? 0) + 1;
+      await guardarColeccion(col, { ...almacen[col], [id]: { rev, doc, actualizado: new Date().toISOString() } });
+      return [200, { rev }];
+    });
+    return responder(req, res, estado, cuerpo);
+  }
+  if (req.method === "DELETE") {
+    const [estado, cuerpo] = await enSerie(async () => {
+      const actual = docActual(col, id);
+      if (!actual || actual.borrado) return [200, { rev: actual?.rev ?? 0 }];
+      if (revisionBase(url.searchParams.get("base")) !== actual.rev) return [409, { rev: actual.rev, doc: actual.doc }];
+      const rev = actual.rev + 1;
+      await guardarColeccion(col, { ...almacen[col], [id]: { rev, borrado: true, actualizado: new Date().toISOString() } });
+      return [200, { rev }];
+    });
+    return responder(req, res, estado, cuerpo);
+  }
+  throw new ErrorHttp(405, "Método no permitido");
+}
+
+await cargar();
+createServer((req, res) => {
+  atender(req, res).catch((err) => {
+    if (!(err instanceof ErrorHttp)) console.error(err);
+    responder(req, res, err.estado || 500, { error: err.message });
+  });
+}).listen(PUERTO, () => {
+  console.log(`Sincronización CORUFA en http://0.0.0.0:${PUERTO}/api (datos en ${DATOS})`);
+});
@@ -1,136 +1,752 @@
-import React, { createContext, useContext, useEffect, useState } from "react";
-
-// ----- Modelos simples -----
-export const DEFAULT_LIMITS = {
-  fisicoquimico: {
-    pH_min: 6.5,
-    pH_max: 8.5,
-    arsenico_mgL_max: 0.01,
-    nitratos_mgL_max: 45,
-    nitritos_mgL_max: 0.1,
-    conductividad_uScm_max: 2000,
-    dureza_mgL_max: 500,
-    solidos_totales_mgL_max: 1500,
-    calcio_mgL_max: 200,
-    magnesio_mgL_max: 150,
-    sodio_mgL_max: 200,
-    potasio_mgL_max: 20,
-    bicarbonato_mgL_max: 400,
-    carbonato_mgL_max: 30,
-    sulfatos_mgL_max: 400,
-    cloruros_mgL_max: 250,
-    temperatura_C_max: 30,
-  },
-  microbiologico: {
-    coliformes_totales: 0,
-    e_coli: 0,
-    salmonella: 0,
-    pseudomonas: 0,
-    aerobios_mesofilos_max: 100,
-  },
-  // Categoría V sin tope superior (max: null)
-  tasas_2024: [
-    { cat: "I", min: 0, max: 500000, monto: 90163 },
-    { cat: "II", min: 500000, max: 1000000, monto: 135245 },
-    { cat: "III", min: 1000000, max: 5000000, monto: 180416 },
-    { cat: "IV", min: 5000000, max: 10000000, monto: 225409 },
-    { cat: "V", min: 10000000, max: null, monto: 392591 },
-  ],
-};
+import React, { createContext, useContext, useEffect, useRef, useState } from "react";
+import {
+  DEFAULT_LIMITS,
+  DEFAULT_REQUISITOS,
+  EMPTY_ANEXO,
+  EMPTY_DATOS_DOC,
+  EMPTY_EXPEDIENTE,
+  EMPTY_MUESTREO,
+  EMPTY_SESION,
+  EMPTY_VISADO,
+} from "./modelos.js";
+import { borrarArchivo, guardarArchivo, listarArchivos } from "./archivos.js";
+import { guardarClaveRevisor, leerClaveRevisor } from "./claves.js";
+import { guardarCapaDepartamentos, leerCapaDepartamentos } from "./capas.js";
+import {
+  guardarBandeja,
+  guardarClavesConfianza,
+  guardarLimits,
+  guardarMapeos,
+  guardarPadron,
+  guardarRequisitos,
+  guardarSesiones,
+  leerBandejaGuardada,
+  leerClavesConfianza,
+  leerLimitsGuardados,
+  leerMapeosGuardados,
+  leerPadronGuardado,
+  leerRequisitosGuardados,
+  leerSesionesGuardadas,
+  normalizarExpediente,
+} from "./schema.js";
+import {
+  crearClienteSync,
+  estadoSyncVacio,
+  guardarEstadoSync,
+  INTERVALO_SYNC_MS,
+  leerEstadoSync,
+  marcarPendientes,
+  sincronizar,
+} from "./sincronizacion.js";
+import { DEPARTAMENTOS_ENTRE_RIOS } from "../data/departamentosEntreRios.js";
+import { MAX_HISTORIAL, registrarCambios } from "../utils/historial.js";
+import { siguienteIdMuestreo } from "../utils/muestreos.js";
+import { sha256Hex, siguienteIdAnexo } from "../utils/anexos.js";
+import { escribirRuta } from "../utils/requisitos.js";
+import { ordenDelDia } from "../utils/plenario.js";
+import { aplicarTransicion, estaCongelado, etiquetaEstado, validarTransicion } from "../utils/tramite.js";
+import { invalidarVisados } from "../utils/visados.js";
+import { resolverConflictos } from "../utils/sincronizacion.js";
+import { clavePublicaMinima, firmarExportacion, generarClaves, textoVerificacion } from "../utils/firmaDigital.js";
 
-export const EMPTY_EXPEDIENTE = {
-  meta: {
-    expedienteId: "",
-    fecha: new Date().toISOString().slice(0, 10),
-    revisadoPor: "",
-  },
-  basicos: {
-    propietario: "",
-    cuit: "",
-    domicilio: "",
-    contacto: "",
-    autorizacionNoPropietario: false,
-    perforista: "",
-    perforistaRegistro: "",
-  },
-  tecnicos: {
-    departamento: "",
-    localidad: "",
-    partida: "",
-    coords_gms: "", // grados minutos segundos
-    profundidad_m: "",
-    diametro_pulg: "",
-    caudal_m3h: "",
-    caudal_anual_m3: "",
-    horas_anuales: "",
-    uso: "",
-    acuifero: "",
-  },
-  docs: {
-    tituloPropiedad: false,
-    permisoExploracion: false,
-    ensayoBombeo: false,
-    estudioInterferencia: false,
-    perfilesLitologicos: false,
-    memoriaDescriptiva: false,
-    anexos: [], // nombres de archivos subidos (solo referencia)
-  },
-  analisis: {
-    // Fisicoquímico
-    pH: "",
-    arsenico: "",
-    nitratos: "",
-    nitritos: "",
-    conductividad: "",
-    dureza: "",
-    std: "",
-    calcio: "",
-    magnesio: "",
-    sodio: "",
-    potasio: "",
-    bicarbonato: "",
-    carbonato: "",
-    sulfatos: "",
-    cloruros: "",
-    temperatura: "",
-    color: "",
-    olor: "",
-    turbiedad: "",
-    // Microbiológico
-    coliformes: "",
-    ecoli: "",
-    salmonella: "",
-    pseudomonas: "",
-    aerobios: "",
-  },
-  firmas: {
-    propietario: false,
-    profesional: false,
-    declaracionJurada: false,
-  },
+export {
+  DEFAULT_LIMITS,
+  DEFAULT_REQUISITOS,
+  EMPTY_ANEXO,
+  EMPTY_DATOS_DOC,
+  EMPTY_EXPEDIENTE,
+  EMPTY_MUESTREO,
+  EMPTY_SESION,
+  EMPTY_VISADO,
 };
 
+// Pasos de deshacer que se conservan por legajo (solo en la sesión; el historial sí se guarda)
+const MAX_DESHACER = 100;
+
 const ExpedienteContext = createContext();
 
+// Legajo nuevo a partir de la plantilla vacía (copia profunda, fecha del día)
+export function nuevoExpediente(expedienteId = "") {
+  const base = JSON.parse(JSON.stringify(EMPTY_EXPEDIENTE));
+  return { ...base, meta: { ...base.meta, expedienteId, fecha: new Date().toISOString().slice(0, 10) } };
+}
+
+// JSON guardado en localStorage; null si no hay o no se puede leer (se arranca con los valores por defecto)
+function leerLocal(clave) {
+  try {
+    return JSON.parse(localStorage.getItem(clave) || "null");
+  } catch {
+    return null; // corrupto o editado a mano
+  }
+}
+
+function cargarBandeja() {
+  const saved = leerLocal("corufa_workspace_v1");
+  const bandeja = saved ? leerBandejaGuardada(saved) : null;
+  if (bandeja) return bandeja;
+  // Migración desde la versión de un solo expediente
+  const legacy = leerLocal("corufa_exp_v1");
+  const exp = (legacy && normalizarExpediente(legacy).exp) || nuevoExpediente();
+  const id = String(exp.meta?.expedienteId || "").trim() || "sin-numero";
+  return { activeId: id, expedientes: { [id]: exp } };
+}
+
+// `base` si no la usa ningún legajo; si no, la primera libre de base-2, base-3…
+function claveLibre(expedientes, base) {
+  let n = 1;
+  while (expedientes[n === 1 ? base : `${base}-${n}`]) n++;
+  return n === 1 ? base : `${base}-${n}`;
+}
+
+// Reemplaza el legajo activo; si cambió el N° y no choca con otro, lo re-indexa junto con su pila
+function conActivo(ws, value, pila) {
+  const id = String(value.meta?.expedienteId || "").trim();
+  const key = id && id !== ws.activeId && !ws.expedientes[id] ? id : ws.activeId;
+  const expedientes = { ...ws.expedientes };
+  const pilas = { ...ws.pilas };
+  delete expedientes[ws.activeId];
+  delete pilas[ws.activeId];
+  return { activeId: key, expedientes: { ...expedientes, [key]: value }, pilas: { ...pilas, [key]: pila } };
+}
+
 export function ExpedienteProvider({ children }) {
   const [limits, setLimits] = useState(() => {
-    const saved = localStorage.getItem("corufa_limits_v1");
-    return saved ? JSON.parse(saved) : DEFAULT_LIMITS;
-    });
-  const [exp, setExp] = useState(() => {
-    const saved = localStorage.getItem("corufa_exp_v1");
-    return saved ? JSON.parse(saved) : EMPTY_EXPEDIENTE;
+    const saved = leerLocal("corufa_limits_v1");
+    return (saved && leerLimitsGuardados(saved)) || DEFAULT_LIMITS;
+  });
+  // Requisitos del checklist (campos, documentos, condiciones y fórmula del veredicto)
+  const [requisitos, setRequisitos] = useState(() => {
+    const saved = leerLocal("corufa_requisitos_v1");
+    return (saved && leerRequisitosGuardados(saved)) || DEFAULT_REQUISITOS;
+  });
+  // Bandeja de legajos: { activeId, expedientes: { [meta.expedienteId]: exp }, pilas }
+  // `pilas` guarda deshacer/rehacer por legajo ({ [id]: { pasado: [exp], futuro: [exp] } }) y no se persiste.
+  const [workspace, setWorkspace] = useState(() => ({ ...cargarBandeja(), pilas: {} }));
+  // Capa oficial de departamentos cargada por el usuario (se lee de IndexedDB al abrir; null = geometría incluida)
+  const [capaDepartamentos, setCapa] = useState(null);
+  // Padrón de perforistas importado: { archivo, cargado, registros } (null = sin padrón)
+  const [padron, setPadron] = useState(() => {
+    const saved = leerLocal("corufa_padron_v1");
+    return saved ? leerPadronGuardado(saved) : null;
+  });
+  // Mapeos de columnas de la carga masiva por laboratorio
+  const [mapeosCsv, setMapeosCsv] = useState(() => {
+    const saved = leerLocal("corufa_mapeos_csv_v1");
+    return saved ? leerMapeosGuardados(saved) : {};
+  });
+
+  // Sesiones del Plenario por N° (los legajos de cada orden del día se marcan en su meta)
+  const [sesiones, setSesiones] = useState(() => {
+    const saved = leerLocal("corufa_sesiones_v1");
+    return saved ? leerSesionesGuardadas(saved) : {};
+  });
+
+  // Firma de las exportaciones: la clave de este equipo (se lee de IndexedDB al abrir; null = sin clave) y las
+  // claves públicas de confianza con que se verifican los archivos importados
+  const [claveFirma, setClaveFirma] = useState(null);
+  const [clavesConfianza, setClavesConfianza] = useState(() => {
+    const saved = leerLocal("corufa_claves_confianza_v1");
+    return saved ? leerClavesConfianza(saved) : [];
   });
 
   useEffect(() => {
-    localStorage.setItem("corufa_limits_v1", JSON.stringify(limits));
+    localStorage.setItem("corufa_limits_v1", JSON.stringify(guardarLimits(limits)));
   }, [limits]);
 
   useEffect(() => {
-    localStorage.setItem("corufa_exp_v1", JSON.stringify(exp));
-  }, [exp]);
+    localStorage.setItem("corufa_requisitos_v1", JSON.stringify(guardarRequisitos(requisitos)));
+  }, [requisitos]);
+
+  useEffect(() => {
+    const { activeId, expedientes } = workspace;
+    localStorage.setItem("corufa_workspace_v1", JSON.stringify(guardarBandeja({ activeId, expedientes })));
+  }, [workspace.activeId, workspace.expedientes]);
+
+  useEffect(() => {
+    if (padron) localStorage.setItem("corufa_padron_v1", JSON.stringify(guardarPadron(padron)));
+    else localStorage.removeItem("corufa_padron_v1");
+  }, [padron]);
+
+  useEffect(() => {
+    localStorage.setItem("corufa_mapeos_csv_v1", JSON.stringify(guardarMapeos(mapeosCsv)));
+  }, [mapeosCsv]);
+
+  useEffect(() => {
+    localStorage.setItem("corufa_sesiones_v1", JSON.stringify(guardarSesiones(sesiones)));
+  }, [sesiones]);
+
+  useEffect(() => {
+    localStorage.setItem("corufa_claves_confianza_v1", JSON.stringify(guardarClavesConfianza(clavesConfianza)));
+  }, [clavesConfianza]);
+
+  // La capa que versiones anteriores guardaban en localStorage pasa a IndexedDB
+  useEffect(() => {
+    let anterior = null;
+    try {
+      anterior = JSON.parse(localStorage.getItem("corufa_departamentos_v1"))?.capa ?? null;
+    } catch {
+      localStorage.removeItem("corufa_departamentos_v1");
+    }
+    const capa = anterior
+      ? guardarCapaDepartamentos(anterior).then(() => (localStorage.removeItem("corufa_departamentos_v1"), anterior))
+      : leerCapaDepartamentos();
+    capa.then((c) => c && setCapa(c)).catch(() => anterior && setCapa(anterior)); // sin IndexedDB, la geometría incluida
+  }, []);
+
+  // Guarda la capa (null = volver a la geometría incluida); rechaza si no se pudo guardar
+  async function setCapaDepartamentos(capa) {
+    await guardarCapaDepartamentos(capa);
+    setCapa(capa);
+  }
+
+  // ----- Firma de exportaciones -----
+  useEffect(() => {
+    leerClaveRevisor()
+      .then((clave) => clave && setClaveFirma(clave))
+      .catch(() => {}); // sin IndexedDB se exporta sin firmar
+  }, []);
+
+  function confiarEnClave({ nombre, huella, clavePublica }) {
+    const entrada = { nombre: String(nombre || "").trim(), huella, clavePublica: clavePublicaMinima(clavePublica) };
+    setClavesConfianza((cs) => [...cs.filter((c) => c.huella !== huella), { ...entrada, agregada: new Date().toISOString() }]);
+  }
+
+  function quitarClaveConfianza(huella) {
+    setClavesConfianza((cs) => cs.filter((c) => c.huella !== huella));
+  }
+
+  // Genera (o reemplaza) la clave de este equipo a nombre del revisor. La propia queda entre las de confianza; la
+  // anterior también, para que sus exportaciones sigan verificando hasta que se la quite.
+  async function crearClaveFirma(nombre) {
+    const revisor = String(nombre || "").trim();
+    if (!revisor) throw new Error("Indicá el nombre del revisor que firma");
+    const { privada, clavePublica, huella } = await generarClaves();
+    const clave = { nombre: revisor, privada, clavePublica, huella, creada: new Date().toISOString() };
+    await guardarClaveRevisor(clave);
+    setClaveFirma(clave);
+    confiarEnClave(clave);
+  }
+
+  // Exportación firmada con la clave de este equipo, o tal cual si todavía no hay clave
+  function firmar(exportacion) {
+    if (!claveFirma) return Promise.resolve(exportacion);
+    const { privada, clavePublica, nombre } = claveFirma;
+    return firmarExportacion(exportacion, { privada, clavePublica, revisor: { nombre } });
+  }
+
+  // ----- Sincronización con el servidor (opcional) -----
+  // `sync` es lo persistido (servidor, revisiones, bases y cola de pendientes, ver context/sincronizacion.js);
+  // `syncInfo` el resultado de la última vuelta: estado inactivo | sincronizando | al_dia | sin_conexion | error.
+  const [sync, setSync] = useState(leerEstadoSync);
+  const [syncInfo, setSyncInfo] = useState({ estado: "inactivo", ultima: "", error: "" });
+  const [conflictos, setConflictos] = useState([]);
+  // Documentos de la colección "configuracion": viajan todos, para que las sesiones del Plenario a las que apuntan
+  // los legajos (meta.sesionPlenario) y los requisitos con que se evalúan sean los mismos en todos los equipos
+  const configuracion = { limits, padron, requisitos, mapeos: mapeosCsv, sesiones };
+  const fijarConfiguracion = {
+    limits: setLimits,
+    padron: setPadron,
+    requisitos: setRequisitos,
+    mapeos: setMapeosCsv,
+    sesiones: setSesiones,
+  };
+  // Últimos valores para las vueltas asíncronas, documentos recibidos del servidor (no son cambios locales) y
+  // lo visto en el render anterior, para detectar qué cambió
+  const recientes = useRef();
+  recientes.current = { expedientes: workspace.expedientes, configuracion, sync };
+  const recibidos = useRef(new Map());
+  const vistos = useRef({ expedientes: workspace.expedientes, configuracion });
+  const enCurso = useRef(false);
+
+  useEffect(() => {
+    guardarEstadoSync(sync);
+  }, [sync]);
+
+  // Todo documento que cambió y no vino del servidor queda pendiente de subir
+  useEffect(() => {
+    const antes = vistos.current;
+    const ahora = { expedientes: workspace.expedientes, configuracion };
+    vistos.current = ahora;
+    if (!sync.servidor) return;
+    const cambiados = (col) =>
+      [...new Set([...Object.keys(antes[col]), ...Object.keys(ahora[col])])].filter((id) => {
+        if (antes[col][id] === ahora[col][id]) return false;
+        const clave = `${col}/${id}`;
+        const recibido = recibidos.current.get(clave);
+        recibidos.current.delete(clave);
+        return recibido !== (ahora[col][id] ?? null);
+      });
+    const pendientes = { expedientes: cambiados("expedientes"), configuracion: cambiados("configuracion") };
+    if (pendientes.expedientes.length || pendientes.configuracion.length) setSync((s) => marcarPendientes(s, pendientes));
+  }, [workspace.expedientes, limits, padron, requisitos, mapeosCsv, sesiones]);
+
+  // Aplica una vuelta: solo los documentos que no se editaron mientras tanto (los demás se retoman en la próxima)
+  function aplicarVuelta({ resultados, conflictos: enConflicto }) {
+    const { expedientes, configuracion: config } = recientes.current;
+    const actual = (col, id) => (col === "expedientes" ? expedientes[id] : config[id]) ?? null;
+    const vigentes = resultados.filter((r) => actual(r.coleccion, r.id) === r.local);
+
+    const recibidosExp = {};
+    vigentes
+      .filter((r) => r.valor !== undefined)
+      .forEach((r) => {
+        recibidos.current.set(`${r.coleccion}/${r.id}`, r.valor);
+        if (r.coleccion === "expedientes") recibidosExp[r.id] = r.valor;
+        else if (r.valor || r.id === "padron") fijarConfiguracion[r.id](r.valor); // solo el padrón puede faltar
+      });
+    if (Object.keys(recibidosExp).length) {
+      setWorkspace((ws) => {
+        const exps = { ...ws.expedientes };
+        const pilas = { ...ws.pilas };
+        Object.entries(recibidosExp).forEach(([id, valor]) => {
+          if (valor) exps[id] = valor;
+          else delete exps[id];
+          delete pilas[id]; // deshacer no vuelve a antes de un cambio que llegó de otro equipo
+        });
+        return { activeId: ws.activeId in exps ? ws.activeId : null, expedientes: exps, pilas };
+      });
+    }
+
+    setSync((s) => {
+      const sig = { ...s, revs: { ...s.revs }, bases: { ...s.bases }, pendientes: { ...s.pendientes } };
+      vigentes.forEach(({ coleccion: col, id, rev, base, subido }) => {
+        const { [id]: _r, ...revs } = sig.revs[col];
+        const { [id]: _b, ...bases } = sig.bases[col];
+        sig.revs[col] = rev ? { ...revs, [id]: rev } : revs;
+        sig.bases[col] = base ? { ...bases, [id]: base } : bases;
+        if (subido) sig.pendientes[col] = sig.pendientes[col].filter((p) => p !== id);
+      });
+      return sig;
+    });
+    setConflictos(enConflicto.filter((c) => actual(c.coleccion, c.id) === c.local));
+  }
+
+  async function sincronizarAhora() {
+    const { expedientes, configuracion: config, sync: estado } = recientes.current;
+    if (!estado.servidor || enCurso.current) return;
+    enCurso.current = true;
+    setSyncInfo((i) => ({ ...i, estado: "sincronizando" }));
+    try {
+      const locales = { expedientes, configuracion: config };
+      aplicarVuelta(await sincronizar(estado, locales, crearClienteSync(estado.servidor, estado.token)));
+      setSyncInfo({ estado: "al_dia", ultima: new Date().toISOString(), error: "" });
+    } catch (err) {
+      // fetch rechaza con TypeError cuando no hay red o el servidor no responde
+      setSyncInfo((i) => ({ ...i, estado: err instanceof TypeError ? "sin_conexion" : "error", error: err.message }));
+    } finally {
+      enCurso.current = false;
+    }
+  }
+
+  // Vuelta periódica, al recuperar la conexión y poco después de cada cambio local
+  useEffect(() => {
+    if (!sync.servidor) return;
+    sincronizarAhora();
+    const intervalo = setInterval(sincronizarAhora, INTERVALO_SYNC_MS);
+    window.addEventListener("online", sincronizarAhora);
+    return () => {
+      clearInterval(intervalo);
+      window.removeEventListener("online", sincronizarAhora);
+    };
+  }, [sync.servidor]);
+
+  useEffect(() => {
+    if (!sync.servidor || !(sync.pendientes.expedientes.length || sync.pendientes.configuracion.length)) return;
+    const t = setTimeout(sincronizarAhora, 2000);
+    return () => clearTimeout(t);
+  }, [sync.pendientes]);
+
+  // Prueba el servidor y lo activa. Todos los legajos locales (y cada documento de configuración propio, si no es
+  // el de fábrica o está vacío) quedan pendientes: la primera vuelta los sube o los fusiona con los que ya estén en el servidor.
+  async function conectarServidor(servidor, token) {
+    const url = String(servidor || "").trim();
+    if (!url) throw new Error("Indicá la dirección del servidor");
+    if (!String(token || "").trim()) throw new Error("Indicá la clave del servidor");
+    await crearClienteSync(url, token.trim()).estado();
+    const propios = [
+      JSON.stringify(limits) !== JSON.stringify(DEFAULT_LIMITS) && "limits",
+      padron && "padron",
+      JSON.stringify(requisitos) !== JSON.stringify(DEFAULT_REQUISITOS) && "requisitos",
+      Object.keys(mapeosCsv).length > 0 && "mapeos",
+      Object.keys(sesiones).length > 0 && "sesiones",
+    ].filter(Boolean);
+    const pendientes = { expedientes: Object.keys(workspace.expedientes), configuracion: propios };
+    setSync(marcarPendientes(estadoSyncVacio(url, token.trim()), pendientes));
+    setSyncInfo({ estado: "inactivo", ultima: "", error: "" });
+  }
+
+  // Deja de sincronizar; los datos locales quedan como están
+  function desconectarServidor() {
+    setSync(estadoSyncVacio());
+    setSyncInfo({ estado: "inactivo", ultima: "", error: "" });
+    setConflictos([]);
+  }
+
+  // Resuelve un conflicto con la elección por campo ({ [ruta]: "local" | "remoto" }). El resultado queda como
+  // cambio local sobre la revisión del servidor y se sube en la próxima vuelta.
+  function resolverConflicto(coleccion, id, elecciones) {
+    const c = conflictos.find((x) => x.coleccion === coleccion && x.id === id);
+    if (!c) return;
+    const valor = resolverConflictos(c.valor, c.campos, elecciones);
+    if (coleccion === "expedientes") {
+      setWorkspace((ws) => {
+        const { [id]: _, ...pilas } = ws.pilas;
+        return { ...ws, expedientes: { ...ws.expedientes, [id]: valor }, pilas };
+      });
+    } else {
+      fijarConfiguracion[id](valor);
+    }
+    setSync((s) => ({
+      ...marcarPendientes(s, { [coleccion]: [id] }),
+      revs: { ...s.revs, [coleccion]: { ...s.revs[coleccion], [id]: c.rev } },
+      bases: { ...s.bases, [coleccion]: { ...s.bases[coleccion], [id]: c.remoto } },
+    }));
+    setConflictos((cs) => cs.filter((x) => x !== c));
+  }
+
+  const exp = workspace.activeId != null ? workspace.expedientes[workspace.activeId] ?? null : null;
+
+  // Actualiza el expediente activo registrando el cambio en su historial. Si cambia el N° y no choca con
+  // otro legajo, se re-indexa (junto con sus pilas de deshacer). Un legajo congelado no se modifica, el estado
+  // del trámite solo cambia con cambiarEstado y una sección cuyos datos cambian pierde su visado.
+  function setExp(next) {
+    setWorkspace((ws) => {
+      const previo = ws.activeId != null ? ws.expedientes[ws.activeId] : null;
+      if (!previo || estaCongelado(previo)) return ws;
+      const editado = typeof next === "function" ? next(previo) : next;
+      const conTramite = { ...editado, meta: { ...editado.meta, estado: previo.meta.estado }, tramite: previo.tramite };
+      const { exp: value, fusionado } = registrarCambios(previo, invalidarVisados(previo, conTramite));
+      if (value === previo) return ws;
+      const pila = ws.pilas[ws.activeId] || { pasado: [], futuro: [] };
+      const pasado = fusionado && pila.pasado.length ? pila.pasado : [...pila.pasado, previo].slice(-MAX_DESHACER);
+      return conActivo(ws, value, { pasado, futuro: [] });
+    });
+  }
+
+  // Deshacer / rehacer vuelven a una versión anterior; el historial registra el movimiento, no lo borra
+  function moverEnPila(desde, hacia, accion) {
+    setWorkspace((ws) => {
+      const actual = ws.activeId != null ? ws.expedientes[ws.activeId] : null;
+      const pila = ws.pilas[ws.activeId];
+      if (!actual || !pila || pila[desde].length === 0) return ws;
+      const { exp: value } = registrarCambios(actual, pila[desde][pila[desde].length - 1], { accion });
+      return conActivo(ws, value, { [desde]: pila[desde].slice(0, -1), [hacia]: [...pila[hacia], actual] });
+    });
+  }
+
+  const deshacer = () => moverEnPila("pasado", "futuro", "deshacer");
+  const rehacer = () => moverEnPila("futuro", "pasado", "rehacer");
+
+  // Pase de estado del legajo activo. `datos` = { allGreen, usuario, comentario }; devuelve el motivo por el que
+  // no se permite, o null. El pase corta las pilas de deshacer: no se puede deshacer más allá de él.
+  function cambiarEstado(hacia, datos) {
+    const motivo = exp ? validarTransicion(exp, hacia, datos) : "No hay un legajo abierto";
+    if (motivo) return motivo;
+    setWorkspace((ws) => {
+      const actual = ws.expedientes[ws.activeId];
+      if (!actual || validarTransicion(actual, hacia, datos)) return ws;
+      const { exp: value } = registrarCambios(actual, aplicarTransicion(actual, hacia, datos), { accion: "tramite" });
+      const { [ws.activeId]: _, ...pilas } = ws.pilas;
+      return { ...ws, expedientes: { ...ws.expedientes, [ws.activeId]: value }, pilas };
+    });
+    return null;
+  }
+
+  // Carga masiva: { [id]: [{ muestreoId, protocolo, fecha, valores }] }. Con muestreoId se completa ese muestreo;
+  // sin él se agrega uno nuevo del `laboratorio`, que queda vigente solo si el legajo no tenía uno. Cada legajo
+  // registra el cambio en su historial y en su pila, así puede deshacerse legajo por legajo; el visado del análisis
+  // se borra (ver setExp).
+  function aplicarAnalisisMasivo(cambios, laboratorio = "") {
+    setWorkspace((ws) => {
+      const expedientes = { ...ws.expedientes };
+      const pilas = { ...ws.pilas };
+      Object.entries(cambios).forEach(([id, entradas]) => {
+        const previo = expedientes[id];
+        if (!previo || estaCongelado(previo)) return;
+        let nuevo = previo;
+        entradas.forEach(({ muestreoId, protocolo, fecha, valores }) => {
+          const mid = muestreoId ?? siguienteIdMuestreo(nuevo.muestreos);
+          const m = nuevo.muestreos[mid] ?? { ...JSON.parse(JSON.stringify(EMPTY_MUESTREO)), laboratorio, protocolo };
+          const muestreo = { ...m, fecha: fecha || m.fecha, analisis: { ...m.analisis, ...valores } };
+          const muestreoVigente = nuevo.muestreos[nuevo.muestreoVigente] ? nuevo.muestreoVigente : mid;
+          nuevo = { ...nuevo, muestreos: { ...nuevo.muestreos, [mid]: muestreo }, muestreoVigente };
+        });
+        const { exp: value } = registrarCambios(previo, invalidarVisados(previo, nuevo), { accion: "importacion" });
+        if (value === previo) return;
+        const pila = pilas[id] || { pasado: [], futuro: [] };
+        expedientes[id] = value;
+        pilas[id] = { pasado: [...pila.pasado, previo].slice(-MAX_DESHACER), futuro: [] };
+      });
+      return { ...ws, expedientes, pilas };
+    });
+  }
+
+  // Guarda los archivos en IndexedDB y los agrega como anexos del legajo activo. Con `item` (ruta del documento)
+  // quedan asignados a ese requisito, que además se tilda. Rechaza si no se pudo guardar algún archivo.
+  async function adjuntarArchivos(files, item = "") {
+    const nuevos = [];
+    for (const f of files) {
+      const datos = await f.arrayBuffer();
+      const sha256 = await sha256Hex(datos);
+      await guardarArchivo(sha256, new Blob([datos], { type: f.type }));
+      nuevos.push({ ...EMPTY_ANEXO, nombre: f.name, tipo: f.type, tamano: f.size, sha256, item, cargado: new Date().toISOString() });
+    }
+    setExp((e) => {
+      const anexos = nuevos.reduce((acc, a) => ({ ...acc, [siguienteIdAnexo(acc)]: a }), e.docs.anexos);
+      const conAnexos = { ...e, docs: { ...e.docs, anexos } };
+      return item ? escribirRuta(conAnexos, item, true) : conAnexos;
+    });
+  }
+
+  // Configuración › Archivos de anexos: borra los archivos que ya no usa ningún legajo (anexos quitados o legajos
+  // eliminados) ni ninguna versión que deshacer pueda recuperar. Resuelve con la cantidad borrada.
+  async function limpiarArchivos() {
+    const pilas = Object.values(workspace.pilas).flatMap((p) => [...p.pasado, ...p.futuro]);
+    const versiones = [...Object.values(workspace.expedientes), ...pilas];
+    const usados = new Set(versiones.flatMap((e) => Object.values(e.docs.anexos).map((a) => a.sha256)));
+    const sobrantes = (await listarArchivos()).filter((h) => !usados.has(h));
+    await Promise.all(sobrantes.map(borrarArchivo));
+    return sobrantes.length;
+  }
+
+  function quitarAnexo(id) {
+    setExp((e) => {
+      const { [id]: _, ...anexos } = e.docs.anexos;
+      return { ...e, docs: { ...e.docs, anexos } };
+    });
+  }
+
+  function openExpediente(id) {
+    setWorkspace((ws) => (ws.expedientes[id] ? { ...ws, activeId: id } : ws));
+  }
+
+  function closeExpediente() {
+    setWorkspace((ws) => ({ ...ws, activeId: null }));
+  }
+
+  // Devuelve false si el N° está vacío o ya existe en la bandeja
+  function createExpediente(id) {
+    const key = String(id || "").trim();
+    if (!key || workspace.expedientes[key]) return false;
+    setWorkspace((ws) => ({ ...ws, activeId: key, expedientes: { ...ws.expedientes, [key]: nuevoExpediente(key) } }));
+    return true;
+  }
+
+  function duplicateExpediente(fromId, id) {
+    const key = String(id || "").trim();
+    const src = workspace.expedientes[fromId];
+    if (!src || !key || workspace.expedientes[key]) return false;
+    const copy = JSON.parse(JSON.stringify(src));
+    const fecha = new Date().toISOString().slice(0, 10);
+    copy.meta = { ...copy.meta, expedienteId: key, fecha, archivado: false, estado: "borrador", sesionPlenario: "", ordenDia: null };
+    copy.tramite = []; // el duplicado es un legajo nuevo, sin visar
+    copy.visados = JSON.parse(JSON.stringify(EMPTY_EXPEDIENTE.visados));
+    copy.historial = [];
+    setWorkspace((ws) => ({ ...ws, activeId: key, expedientes: { ...ws.expedientes, [key]: copy } }));
+    return true;
+  }
+
+  // Un legajo apto o elevado sigue en el circuito del Plenario: no se archiva hasta resolverse (devuelve false)
+  function archiveExpediente(id, archivado = true) {
+    const actual = workspace.expedientes[id];
+    if (archivado && actual && estaCongelado(actual) && actual.meta.estado !== "resuelto") return false;
+    setWorkspace((ws) => {
+      const e = ws.expedientes[id];
+      if (!e || (archivado && estaCongelado(e) && e.meta.estado !== "resuelto")) return ws;
+      const { exp: value } = registrarCambios(e, { ...e, meta: { ...e.meta, archivado } });
+      return { ...ws, expedientes: { ...ws.expedientes, [id]: value } };
+    });
+    return true;
+  }
+
+  // ----- Sesiones del Plenario -----
+  // Cambia el meta de varios legajos de la bandeja registrando cada cambio en su historial. Con `estado`, además
+  // registra el pase del trámite (elevado / apto) con `comentario`.
+  function cambiarMetas(ws, cambios, comentario = "") {
+    const expedientes = { ...ws.expedientes };
+    Object.entries(cambios).forEach(([id, { estado, ...meta }]) => {
+      const e = expedientes[id];
+      if (!e) return;
+      const nuevo = { ...e, meta: { ...e.meta, ...meta } };
+      if (!estado || estado === e.meta.estado) {
+        expedientes[id] = registrarCambios(e, nuevo).exp;
+        return;
+      }
+      const pase = aplicarTransicion(nuevo, estado, { usuario: e.meta.revisadoPor, comentario });
+      expedientes[id] = registrarCambios(e, pase, { accion: "tramite" }).exp;
+    });
+    return { ...ws, expedientes };
+  }
+
+  // Devuelve false si el N° está vacío o ya existe
+  function crearSesion(numero, fecha = "") {
+    const key = String(numero || "").trim();
+    if (!key || sesiones[key]) return false;
+    setSesiones((ss) => ({ ...ss, [key]: { ...EMPTY_SESION, numero: key, fecha } }));
+    return true;
+  }
+
+  function setFechaSesion(numero, fecha) {
+    setSesiones((ss) => (ss[numero] ? { ...ss, [numero]: { ...ss[numero], fecha } } : ss));
+  }
+
+  // Al eliminar la sesión sus legajos vuelven a quedar aptos y disponibles. Devuelve false (y no la elimina) si
+  // algún legajo de la sesión ya está resuelto.
+  function eliminarSesion(numero) {
+    const orden = ordenDelDia(workspace.expedientes, numero);
+    if (orden.some((f) => f.e.meta.estado === "resuelto")) return false;
+    setSesiones(({ [numero]: _, ...resto }) => resto);
+    setWorkspace((ws) => {
+      const ids = ordenDelDia(ws.expedientes, numero).map((f) => f.id);
+      const cambios = Object.fromEntries(ids.map((id) => [id, { sesionPlenario: "", ordenDia: null, estado: "apto" }]));
+      return cambiarMetas(ws, cambios, `Sesión del Plenario N° ${numero} eliminada`);
+    });
+    return true;
+  }
+
+  // Agrega un legajo apto al final del orden del día y lo pasa a elevado
+  function elevarASesion(id, numero) {
+    setWorkspace((ws) => {
+      const e = ws.expedientes[id];
+      if (!e || e.meta.estado !== "apto" || e.meta.sesionPlenario || !sesiones[numero]) return ws;
+      const ordenDia = ordenDelDia(ws.expedientes, numero).reduce((max, f) => Math.max(max, f.e.meta.ordenDia ?? 0), 0) + 1;
+      const elevado = { sesionPlenario: numero, ordenDia, estado: "elevado" };
+      return cambiarMetas(ws, { [id]: elevado }, `Orden del día de la sesión N° ${numero}`);
+    });
+  }
+
+  // Lo saca del orden del día (vuelve a apto) y renumera los que siguen; un legajo resuelto no se quita
+  function quitarDeSesion(id) {
+    setWorkspace((ws) => {
+      const e = ws.expedientes[id];
+      const numero = e?.meta.sesionPlenario;
+      if (!numero || e.meta.estado === "resuelto") return ws;
+      const resto = ordenDelDia(ws.expedientes, numero).filter((f) => f.id !== id);
+      const cambios = Object.fromEntries(resto.map((f, i) => [f.id, { ordenDia: i + 1 }]));
+      const quitado = { sesionPlenario: "", ordenDia: null, estado: "apto" };
+      return cambiarMetas(ws, { ...cambios, [id]: quitado }, `Quitado del orden del día de la sesión N° ${numero}`);
+    });
+  }
+
+  // Intercambia el legajo con el anterior (delta -1) o el siguiente (+1) del orden del día
+  function moverEnSesion(id, delta) {
+    setWorkspace((ws) => {
+      const numero = ws.expedientes[id]?.meta.sesionPlenario;
+      if (!numero) return ws;
+      const orden = ordenDelDia(ws.expedientes, numero).map((f) => f.id);
+      const i = orden.indexOf(id);
+      const j = i + delta;
+      if (j < 0 || j >= orden.length) return ws;
+      [orden[i], orden[j]] = [orden[j], orden[i]];
+      return cambiarMetas(ws, Object.fromEntries(orden.map((oid, k) => [oid, { ordenDia: k + 1 }])));
+    });
+  }
+
+  // Un legajo congelado (apto, elevado o resuelto) no se elimina; devuelve false
+  function deleteExpediente(id) {
+    if (workspace.expedientes[id] && estaCongelado(workspace.expedientes[id])) return false;
+    setWorkspace((ws) => {
+      if (ws.expedientes[id] && estaCongelado(ws.expedientes[id])) return ws;
+      const expedientes = { ...ws.expedientes };
+      delete expedientes[id];
+      const { [id]: _, ...pilas } = ws.pilas;
+      return { activeId: ws.activeId === id ? null : ws.activeId, expedientes, pilas };
+    });
+    return true;
+  }
+
+  // Alta o reemplazo de un legajo completo (p. ej. importado) y lo deja activo. No reemplaza un legajo congelado
+  // (devuelve false); uno sin N° nunca reemplaza a otro: entra como sin-numero-2, sin-numero-3… El estado del
+  // trámite del archivo no se da por bueno: salvo borrador o en revisión, el legajo vuelve a revisión con el pase
+  // registrado y sin sesión del Plenario. Con `firma` (el resultado de verificarExportacion) el historial registra
+  // cómo llegó firmado.
+  function upsertExpediente(value, firma = null) {
+    const id = String(value.meta?.expedienteId || "").trim();
+    const key = id || claveLibre(workspace.expedientes, "sin-numero");
+    if (workspace.expedientes[key] && estaCongelado(workspace.expedientes[key])) return false;
+    const { estado } = value.meta;
+    const ts = new Date().toISOString();
+    const revisado = ["borrador", "en_revision"].includes(estado)
+      ? value
+      : aplicarTransicion({ ...value, meta: { ...value.meta, sesionPlenario: "", ordenDia: null } }, "en_revision", {
+          usuario: value.meta.revisadoPor,
+          comentario: `Importado en estado ${etiquetaEstado(estado)}: vuelve a revisión`,
+          ts,
+        });
+    const verificacion = firma && {
+      ts,
+      usuario: value.meta.revisadoPor,
+      ruta: "firma",
+      antes: "",
+      despues: JSON.stringify(textoVerificacion(firma)),
+      accion: "importacion",
+    };
+    const importado = verificacion ? { ...revisado, historial: [...revisado.historial, verificacion].slice(-MAX_HISTORIAL) } : revisado;
+    setWorkspace((ws) => {
+      if (ws.expedientes[key] && estaCongelado(ws.expedientes[key])) return ws;
+      const { [key]: _, ...pilas } = ws.pilas;
+      return { activeId: key, expedientes: { ...ws.expedientes, [key]: importado }, pilas };
+    });
+    return true;
+  }
 
-  const value = { exp, setExp, limits, setLimits };
+  const value = {
+    exp,
+    setExp,
+    deshacer,
+    rehacer,
+    cambiarEstado,
+    puedeDeshacer: !!workspace.pilas[workspace.activeId]?.pasado.length,
+    puedeRehacer: !!workspace.pilas[workspace.activeId]?.futuro.length,
+    limits,
+    setLimits,
+    requisitos,
+    setRequisitos,
+    expedientes: workspace.expedientes,
+    activeId: workspace.activeId,
+    openExpediente,
+    closeExpediente,
+    createExpediente,
+    duplicateExpediente,
+    archiveExpediente,
+    deleteExpediente,
+    upsertExpediente,
+    aplicarAnalisisMasivo,
+    adjuntarArchivos,
+    quitarAnexo,
+    limpiarArchivos,
+    mapeosCsv,
+    setMapeosCsv,
+    departamentos: capaDepartamentos || DEPARTAMENTOS_ENTRE_RIOS,
+    capaOficial: !!capaDepartamentos,
+    setCapaDepartamentos,
+    padron,
+    setPadron,
+    sesiones,
+    crearSesion,
+    setFechaSesion,
+    eliminarSesion,
+    elevarASesion,
+    quitarDeSesion,
+    moverEnSesion,
+    sincronizacion: {
+      servidor: sync.servidor,
+      pendientes: sync.pendientes.expedientes.length + sync.pendientes.configuracion.length,
+      ...syncInfo,
+      conflictos,
+    },
+    conectarServidor,
+    desconectarServidor,
+    sincronizarAhora,
+    resolverConflicto,
+    // La privada no sale del contexto: la UI solo ve quién firma y la huella
+    claveFirma: claveFirma && { nombre: claveFirma.nombre, huella: claveFirma.huella, clavePublica: claveFirma.clavePublica },
+    crearClaveFirma,
+    firmar,
+    clavesConfianza,
+    confiarEnClave,
+    quitarClaveConfianza,
+  };
   return <ExpedienteContext.Provider value={value}>{children}</ExpedienteContext.Provider>;
 }
 
@@ -0,0 +1,25 @@
+import { crearAlmacen } from "./indexedDB.js";
+
+// ----- Archivos de anexos (IndexedDB) -----
+// Los contenidos se guardan por hash SHA-256 en el almacén "archivos" de la base corufa_archivos_v1: dos
+// anexos con el mismo contenido (p. ej. en un legajo duplicado) comparten el archivo. Los metadatos viajan
+// con el legajo en localStorage (exp.docs.anexos).
+
+const transaccion = crearAlmacen("corufa_archivos_v1", "archivos", "Este navegador no permite guardar archivos (sin IndexedDB)");
+
+export function guardarArchivo(sha256, blob) {
+  return transaccion("readwrite", (s) => s.put(blob, sha256));
+}
+
+// Blob guardado o undefined si no está en este equipo
+export function leerArchivo(sha256) {
+  return transaccion("readonly", (s) => s.get(sha256));
+}
+
+export function listarArchivos() {
+  return transaccion("readonly", (s) => s.getAllKeys());
+}
+
+export function borrarArchivo(sha256) {
+  return transaccion("readwrite", (s) => s.delete(sha256));
+}
@@ -0,0 +1,19 @@
+import { crearAlmacen } from "./indexedDB.js";
+
+// ----- Capa oficial de departamentos (IndexedDB) -----
+// El GeoJSON oficial pesa varios MB y no entra en localStorage (unos 5 MB para todo el sitio): se guarda tal cual
+// en el almacén "capas" de la base corufa_capas_v1. Las versiones anteriores lo guardaban en localStorage.
+
+const DEPARTAMENTOS = "departamentos";
+
+const transaccion = crearAlmacen("corufa_capas_v1", "capas", "Este navegador no permite guardar la capa (sin IndexedDB)");
+
+// Capa guardada o undefined si se usa la geometría incluida
+export function leerCapaDepartamentos() {
+  return transaccion("readonly", (s) => s.get(DEPARTAMENTOS));
+}
+
+// Con null vuelve a la geometría incluida
+export function guardarCapaDepartamentos(capa) {
+  return transaccion("readwrite", (s) => (capa ? s.put(capa, DEPARTAMENTOS) : s.delete(DEPARTAMENTOS)));
+}
@@ -0,0 +1,19 @@
+import { crearAlmacen } from "./indexedDB.js";
+
+// ----- Clave de firma del revisor (IndexedDB) -----
+// El par de claves con que este equipo firma las exportaciones (utils/firmaDigital.js) se guarda en el almacén
+// "claves" de la base corufa_claves_v1 como { nombre, privada, clavePublica, huella, creada }. La privada es un
+// CryptoKey no exportable: IndexedDB lo guarda tal cual y nunca pasa por localStorage ni por un archivo.
+
+const REVISOR = "revisor";
+
+const transaccion = crearAlmacen("corufa_claves_v1", "claves", "Este navegador no permite guardar la clave de firma (sin IndexedDB)");
+
+// Clave guardada o undefined si este equipo todavía no generó una
+export function leerClaveRevisor() {
+  return transaccion("readonly", (s) => s.get(REVISOR));
+}
+
+export function guardarClaveRevisor(clave) {
+  return transaccion("readwrite", (s) => s.put(clave, REVISOR));
+}
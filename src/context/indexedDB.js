@@ -0,0 +1,34 @@
+// ----- Almacenes en IndexedDB -----
+// Cada base guarda un único almacén clave → valor (anexos, clave de firma…). crearAlmacen devuelve la función
+// `transaccion(modo, operacion)` de ese almacén; la conexión se abre la primera vez que se usa.
+
+// `sinSoporte` es el mensaje con que se rechaza si el navegador no tiene IndexedDB
+export function crearAlmacen(base, almacen, sinSoporte) {
+  let conexion = null;
+
+  function abrir() {
+    if (!globalThis.indexedDB) return Promise.reject(new Error(sinSoporte));
+    if (!conexion) {
+      conexion = new Promise((resolve, reject) => {
+        const req = indexedDB.open(base, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(almacen);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+      conexion.catch(() => (conexion = null));
+    }
+    return conexion;
+  }
+
+  // Ejecuta `operacion(almacen)` en una transacción y resuelve con el resultado del pedido que devuelve
+  return async function transaccion(modo, operacion) {
+    const db = await abrir();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(almacen, modo);
+      const req = operacion(tx.objectStore(almacen));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  };
+}
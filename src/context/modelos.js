@@ -0,0 +1,322 @@
+import { PARAMETROS_ANALISIS } from "../data/parametros.js";
+import { medicion } from "../utils/resultados.js";
+
+// ----- Modelos simples -----
+// Perfil de valores de referencia: [min, max] por parámetro; los omitidos no aplican al uso
+function perfil(nombre, microbiologiaRequerida, rangos) {
+  const parametros = Object.fromEntries(
+    PARAMETROS_ANALISIS.map(({ key }) => [
+      key,
+      key in rangos ? { aplica: true, min: rangos[key][0], max: rangos[key][1] } : { aplica: false, min: null, max: null },
+    ])
+  );
+  return { nombre, microbiologiaRequerida, parametros };
+}
+
+export const DEFAULT_LIMITS = {
+  // Perfiles por uso declarado (tecnicos.uso); "otro" se evalúa como consumo humano
+  perfiles: {
+    consumo_humano: perfil("Consumo humano (CAA art. 982)", true, {
+      pH: [6.5, 8.5],
+      arsenico: [null, 0.01],
+      nitratos: [null, 45],
+      nitritos: [null, 0.1],
+      conductividad: [null, 2000],
+      dureza: [null, 500],
+      std: [null, 1500],
+      calcio: [null, 200],
+      magnesio: [null, 150],
+      sodio: [null, 200],
+      potasio: [null, 20],
+      bicarbonato: [null, 400],
+      carbonato: [null, 30],
+      sulfatos: [null, 400],
+      cloruros: [null, 250],
+      temperatura: [null, 30],
+      // Microbiológico: 0 requerido (ausencia)
+      coliformes: [0, 0],
+      ecoli: [0, 0],
+      salmonella: [0, 0],
+      pseudomonas: [0, 0],
+      aerobios: [null, 100],
+    }),
+    riego: perfil("Riego (FAO 29)", false, {
+      pH: [6.0, 8.5],
+      arsenico: [null, 0.1],
+      nitratos: [null, 130],
+      conductividad: [null, 3000],
+      std: [null, 2000],
+      bicarbonato: [null, 520],
+      cloruros: [null, 350],
+      ecoli: [null, 1000],
+    }),
+    ganaderia: perfil("Ganadería (bebida animal)", false, {
+      pH: [6.0, 9.0],
+      arsenico: [null, 0.5],
+      nitratos: [null, 400],
+      nitritos: [null, 30],
+      conductividad: [null, 7000],
+      std: [null, 5000],
+      calcio: [null, 1000],
+      sulfatos: [null, 1000],
+      ecoli: [null, 100],
+    }),
+    industrial: perfil("Industrial (proceso)", false, {
+      pH: [6.0, 9.0],
+      conductividad: [null, 3000],
+      dureza: [null, 500],
+      std: [null, 2000],
+      sulfatos: [null, 400],
+      cloruros: [null, 500],
+    }),
+  },
+  // Coherencia interna del informe de laboratorio
+  hidroquimica: {
+    balance_max_pct: 5, // error de balance catión/anión admitido (±%)
+    dureza_tolerancia_pct: 10, // dureza declarada vs. 2,497·Ca + 4,118·Mg
+    std_factor_ce: 0.65, // STD (mg/L) ≈ factor × conductividad (µS/cm)
+    std_tolerancia_pct: 25,
+  },
+  // Controles de consistencia caudal / horas / volumen anual
+  hidraulica: {
+    tolerancia_volumen_pct: 10,
+    horas_anuales_max: 8760,
+    caudal_max_m3h_por_m: 5, // caudal orientativo por metro de profundidad
+    caudal_por_diametro: [
+      { pulg: 2, max_m3h: 6 },
+      { pulg: 3, max_m3h: 15 },
+      { pulg: 4, max_m3h: 35 },
+      { pulg: 6, max_m3h: 90 },
+      { pulg: 8, max_m3h: 180 },
+      { pulg: 10, max_m3h: 300 },
+      { pulg: 12, max_m3h: 450 },
+    ],
+  },
+  // Antigüedad máxima del muestreo vigente respecto de la fecha de revisión
+  muestreos: {
+    antiguedad_max_dias: 180,
+  },
+  // Antigüedad máxima del ensayo de bombeo (fecha de emisión) respecto de la fecha de revisión
+  documentos: {
+    ensayo_bombeo_max_dias: 365,
+  },
+  // Cuadros tarifarios por vigencia (hasta "" = sin vencimiento). Categoría V sin tope superior (max: null)
+  tarifas: [
+    {
+      nombre: "Tasas 2024",
+      referencia: "",
+      desde: "2024-01-01",
+      hasta: "",
+      categorias: [
+        { cat: "I", min: 0, max: 500000, monto: 90163 },
+        { cat: "II", min: 500000, max: 1000000, monto: 135245 },
+        { cat: "III", min: 1000000, max: 5000000, monto: 180416 },
+        { cat: "IV", min: 5000000, max: 10000000, monto: 225409 },
+        { cat: "V", min: 10000000, max: null, monto: 392591 },
+      ],
+    },
+  ],
+};
+
+// Valores de un muestreo: cada parámetro es un resultado { texto, unidad, ld } (ver utils/resultados.js)
+export const EMPTY_ANALISIS = {
+  // Fisicoquímico
+  pH: medicion(),
+  arsenico: medicion(),
+  nitratos: medicion(),
+  nitritos: medicion(),
+  conductividad: medicion(),
+  dureza: medicion(),
+  std: medicion(),
+  calcio: medicion(),
+  magnesio: medicion(),
+  sodio: medicion(),
+  potasio: medicion(),
+  bicarbonato: medicion(),
+  carbonato: medicion(),
+  sulfatos: medicion(),
+  cloruros: medicion(),
+  temperatura: medicion(),
+  color: "",
+  olor: "",
+  turbiedad: "",
+  // Microbiológico
+  coliformes: medicion(),
+  ecoli: medicion(),
+  salmonella: medicion(),
+  pseudomonas: medicion(),
+  aerobios: medicion(),
+};
+
+// Un muestreo: laboratorio, N° de protocolo, fecha de toma (ISO) y sus valores
+export const EMPTY_MUESTREO = {
+  laboratorio: "",
+  protocolo: "",
+  fecha: "",
+  analisis: EMPTY_ANALISIS,
+};
+
+// Anexo adjunto: metadatos del archivo (tamaño en bytes, tipo MIME, hash SHA-256 en hex, fecha de carga ISO).
+// El contenido se guarda aparte, en IndexedDB, por su hash; `item` es la ruta del requisito al que respalda
+// ("docs.ensayoBombeo") o "" si no está asignado. Un hash vacío es una referencia sin archivo (legajos < v12).
+export const EMPTY_ANEXO = {
+  nombre: "",
+  tipo: "",
+  tamano: 0,
+  sha256: "",
+  item: "",
+  cargado: "",
+};
+
+// Datos de un documento presentado (fechas ISO): N°, autoridad que lo emite, emisión, vencimiento ("" = sin
+// vencimiento) y profesional firmante con su matrícula. Las reglas que los controlan están en utils/documentos.js.
+export const EMPTY_DATOS_DOC = {
+  numero: "",
+  autoridad: "",
+  emision: "",
+  vencimiento: "",
+  profesional: "",
+  matricula: "",
+};
+
+// Sesión del Plenario (fecha ISO). Los legajos del orden del día se marcan en su propio meta.sesionPlenario y
+// meta.ordenDia, así un legajo no puede quedar en dos sesiones.
+export const EMPTY_SESION = {
+  numero: "",
+  fecha: "",
+};
+
+// Visado de una sección: quién la revisó, con qué rol (ver utils/visados.js) y cuándo (fecha ISO)
+export const EMPTY_VISADO = {
+  nombre: "",
+  rol: "",
+  fecha: "",
+};
+
+export const EMPTY_EXPEDIENTE = {
+  meta: {
+    expedienteId: "",
+    fecha: new Date().toISOString().slice(0, 10),
+    revisadoPor: "",
+    fechaLiquidacion: "", // si está vacía, la tasa se liquida con el cuadro vigente a la fecha de revisión
+    archivado: false,
+    estado: "borrador", // estado del trámite (ver utils/tramite.js)
+    sesionPlenario: "", // N° de la sesión del Plenario a la que se elevó ("" = sin elevar)
+    ordenDia: null, // posición en el orden del día de esa sesión
+  },
+  basicos: {
+    propietario: "",
+    cuit: "",
+    domicilio: "",
+    contacto: "",
+    solicitanteEsTitular: true,
+    autorizacionNoPropietario: false,
+    perforista: "",
+    perforistaRegistro: "",
+  },
+  tecnicos: {
+    departamento: "",
+    localidad: "",
+    partida: "",
+    coords_gms: "", // grados minutos segundos (texto tal como lo escribió el perforista)
+    lat: null, // WGS84 decimal, derivado de coords_gms
+    lon: null,
+    profundidad_m: "",
+    diametro_pulg: "",
+    caudal_m3h: "",
+    caudal_anual_m3: "",
+    horas_anuales: "",
+    uso: "", // clave de USOS (consumo_humano / riego / ganaderia / industrial / otro)
+    acuifero: "",
+    fechaPerforacion: "", // ISO; contra ella se controla la vigencia del permiso de exploración
+  },
+  // Los documentos los tilda el revisor, pero un requisito solo se cumple con un anexo asignado (ver utils/anexos.js)
+  docs: {
+    tituloPropiedad: false,
+    permisoExploracion: false,
+    ensayoBombeo: false,
+    estudioInterferencia: false,
+    perfilesLitologicos: false,
+    memoriaDescriptiva: false,
+    extra: {}, // documentos agregados en Configuración › Requisitos: { [clave]: boolean }
+    anexos: {}, // archivos adjuntos por id ("a1", "a2"…), con la forma de EMPTY_ANEXO
+    datos: {}, // datos de cada documento por su clave ("permisoExploracion", "plano"…), con la forma de EMPTY_DATOS_DOC
+  },
+  // Muestreos por id ("m1", "m2"…); el marcado como vigente es el que cuenta para el veredicto
+  muestreos: { m1: EMPTY_MUESTREO },
+  muestreoVigente: "m1",
+  firmas: {
+    propietario: false,
+    profesional: false,
+    declaracionJurada: false,
+  },
+  // Visados por sección: el bloque administrativo y el técnico los firman personas distintas
+  visados: {
+    basicos: EMPTY_VISADO,
+    tecnicos: EMPTY_VISADO,
+    docs: EMPTY_VISADO,
+    analisis: EMPTY_VISADO,
+    firmas: EMPTY_VISADO,
+  },
+  tramite: [], // pases de estado: { ts, usuario, desde, hacia, comentario }
+  historial: [], // cambios por campo: { ts, usuario, ruta, antes, despues, accion } (ver utils/historial.js)
+};
+
+// Requisitos del checklist: qué se exige en cada sección, bajo qué condición, y la fórmula del veredicto
+const SIEMPRE = { ruta: "", op: "eq", valor: "" };
+function req(ruta, etiqueta, cuando = SIEMPRE) {
+  return { ruta, etiqueta, cuando: { ...cuando } };
+}
+
+export const DEFAULT_REQUISITOS = {
+  basicos: [
+    req("basicos.propietario", "Propietario / Razón Social"),
+    req("basicos.cuit", "CUIT/CUIL"),
+    req("basicos.domicilio", "Domicilio real"),
+    req("basicos.contacto", "Teléfono y/o email"),
+    req("basicos.autorizacionNoPropietario", "Autorización notariada del propietario", {
+      ruta: "basicos.solicitanteEsTitular",
+      op: "eq",
+      valor: "false",
+    }),
+    req("basicos.perforista", "Perforista"),
+    req("basicos.perforistaRegistro", "N° de Registro del Perforista"),
+  ],
+  tecnicos: [
+    req("tecnicos.departamento", "Departamento"),
+    req("tecnicos.localidad", "Localidad"),
+    req("tecnicos.partida", "Partida inmobiliaria"),
+    req("tecnicos.coords_gms", "Coordenadas"),
+    req("tecnicos.profundidad_m", "Profundidad (m)"),
+    req("tecnicos.diametro_pulg", "Diámetro (pulg.)"),
+    req("tecnicos.caudal_m3h", "Caudal (m³/h)"),
+    req("tecnicos.caudal_anual_m3", "Caudal anual (m³/año)"),
+    req("tecnicos.horas_anuales", "Horas de trabajo/año"),
+    req("tecnicos.uso", "Uso declarado"),
+    req("tecnicos.acuifero", "Acuífero"),
+  ],
+  // Los documentos nuevos se guardan en docs.extra.<clave>
+  docs: [
+    req("docs.tituloPropiedad", "Título de propiedad / autorización certificada"),
+    req("docs.permisoExploracion", "Resolución / Permiso de exploración (N° y fecha)"),
+    req("docs.ensayoBombeo", "Ensayo de bombeo"),
+    req("docs.estudioInterferencia", "Estudio de interferencia"),
+    req("docs.perfilesLitologicos", "Perfiles litológicos"),
+    req("docs.memoriaDescriptiva", "Memoria descriptiva (almacenamiento, conducción, tratamientos, efluentes)"),
+  ],
+  firmas: [
+    req("firmas.propietario", "Firma del propietario / autorizado"),
+    req("firmas.profesional", "Firma del profesional responsable"),
+    req("firmas.declaracionJurada", "Declaración Jurada confirmada"),
+  ],
+  // Exigencia por sección: "verde" | "no_rojo" | "ignorar"
+  veredicto: {
+    basicos: "verde",
+    tecnicos: "verde",
+    docs: "verde",
+    analisis: "no_rojo", // aceptamos amarillo si hay parámetros no aplicables
+    firmas: "verde",
+    microbiologia: true, // el perfil del uso exige microbiología completa
+    recheckLaboratorio: true, // informe de laboratorio internamente inconsistente
+  },
+};
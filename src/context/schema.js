@@ -0,0 +1,453 @@
+import {
+  DEFAULT_LIMITS,
+  DEFAULT_REQUISITOS,
+  EMPTY_ANEXO,
+  EMPTY_DATOS_DOC,
+  EMPTY_EXPEDIENTE,
+  EMPTY_MUESTREO,
+  EMPTY_SESION,
+} from "./modelos.js";
+import { parseCoordenadas } from "../utils/coordenadas.js";
+import { normalizarNombre } from "../utils/geo.js";
+import { PARAMETROS_ANALISIS, USOS } from "../data/parametros.js";
+import { claveDocumento } from "../utils/documentos.js";
+import { depurarMapeo } from "../utils/importAnalisis.js";
+import { medicion } from "../utils/resultados.js";
+
+// ----- Versionado del esquema de almacenamiento -----
+// v1: objetos sin versión (corufa_exp_v1 / corufa_limits_v1 originales)
+// v2: sobre { schemaVersion, ... } en almacenamiento y exportaciones; meta.archivado
+// v3: tecnicos.lat / tecnicos.lon derivados de coords_gms
+// v4: limits.hidraulica (tolerancias caudal / horas / volumen)
+// v5: limits.perfiles por uso (reemplaza fisicoquimico / microbiologico); tecnicos.uso controlado
+// v6: limits.hidroquimica (tolerancias de balance iónico, dureza y STD)
+// v7: limits.tarifas por vigencia (reemplaza tasas_2024); meta.fechaLiquidacion
+// v8: requisitos configurables (sobre propio); basicos.solicitanteEsTitular; docs.extra
+// v9: exp.historial (registro de cambios por campo)
+// v10: parámetros de exp.analisis como resultado { texto, unidad, ld } (antes texto numérico)
+// v11: exp.muestreos (reemplaza exp.analisis) y exp.muestreoVigente; limits.muestreos
+// v12: docs.anexos por id con metadatos del archivo (antes lista de nombres)
+// v13: docs.datos (N°, emisión, vencimiento, firmante por documento); tecnicos.fechaPerforacion; limits.documentos
+// v14: meta.sesionPlenario y meta.ordenDia (orden del día del Plenario); sesiones guardadas aparte
+// v15: meta.estado del trámite y exp.tramite (pases de estado)
+// v16: exp.visados (visado por sección del revisor administrativo y del técnico)
+export const SCHEMA_VERSION = 16;
+
+// Plantilla de saneo del expediente: docs.extra admite claves libres con valor booleano, muestreos, anexos y
+// datos de documentos son diccionarios; tramite e historial, listas (vacías por defecto) de entradas con forma fija
+const PLANTILLA_EXP = {
+  ...EMPTY_EXPEDIENTE,
+  docs: { ...EMPTY_EXPEDIENTE.docs, extra: { "*": false }, anexos: { "*": EMPTY_ANEXO }, datos: { "*": EMPTY_DATOS_DOC } },
+  muestreos: { "*": EMPTY_MUESTREO },
+  tramite: { "[]": { ts: "", usuario: "", desde: "", hacia: "", comentario: "" } },
+  historial: { "[]": { ts: "", usuario: "", ruta: "", antes: "", despues: "", accion: "" } },
+};
+
+// Cadena de migraciones: la posición i lleva de la versión i+1 a la i+2
+const MIGRACIONES_EXP = [
+  (e) => ({ ...e, meta: { archivado: false, ...(e.meta || {}) } }),
+  (e) => {
+    if (!esObjeto(e.tecnicos)) return e;
+    const c = parseCoordenadas(e.tecnicos.coords_gms);
+    return { ...e, tecnicos: { ...e.tecnicos, lat: c.ok ? c.lat : null, lon: c.ok ? c.lon : null } };
+  },
+  (e) => e,
+  (e) => (esObjeto(e.tecnicos) ? { ...e, tecnicos: { ...e.tecnicos, uso: usoControlado(e.tecnicos.uso) } } : e),
+  (e) => e,
+  (e) => ({ ...e, meta: { fechaLiquidacion: "", ...(e.meta || {}) } }),
+  (e) => {
+    if (!esObjeto(e.basicos)) return e;
+    // Quien adjuntó autorización del propietario no era el titular
+    const basicos = { solicitanteEsTitular: !e.basicos.autorizacionNoPropietario, ...e.basicos };
+    return { ...e, basicos, docs: esObjeto(e.docs) ? { extra: {}, ...e.docs } : e.docs };
+  },
+  (e) => ({ historial: [], ...e }),
+  (e) => {
+    if (!esObjeto(e.analisis)) return e;
+    // El valor numérico pasa a ser el texto del resultado, en la unidad del límite
+    const analisis = { ...e.analisis };
+    PARAMETROS_ANALISIS.forEach(({ key }) => {
+      const v = analisis[key];
+      if (typeof v === "string" || typeof v === "number") analisis[key] = medicion(String(v));
+    });
+    return { ...e, analisis };
+  },
+  (e) => {
+    if ("muestreos" in e) return e;
+    // El análisis único pasa a ser el primer muestreo (sin fecha ni laboratorio) y queda vigente
+    const { analisis, ...resto } = e;
+    const m1 = { laboratorio: "", protocolo: "", fecha: "", ...(analisis !== undefined && { analisis }) };
+    return { ...resto, muestreos: { m1 }, muestreoVigente: "m1" };
+  },
+  (e) => {
+    if (!esObjeto(e.docs) || !Array.isArray(e.docs.anexos)) return e;
+    // Los nombres sueltos quedan como referencias sin archivo ni ítem asignado
+    const anexos = Object.fromEntries(e.docs.anexos.map((nombre, i) => [`a${i + 1}`, { ...EMPTY_ANEXO, nombre: String(nombre) }]));
+    return { ...e, docs: { ...e.docs, anexos } };
+  },
+  (e) => ({
+    ...e,
+    ...(esObjeto(e.tecnicos) && { tecnicos: { fechaPerforacion: "", ...e.tecnicos } }),
+    ...(esObjeto(e.docs) && { docs: { datos: {}, ...e.docs } }),
+  }),
+  (e) => ({ ...e, meta: { sesionPlenario: "", ordenDia: null, ...(e.meta || {}) } }),
+  (e) => {
+    if (!esObjeto(e.meta)) return e;
+    // Los legajos ya puestos en un orden del día quedan elevados; el resto arranca como borrador
+    return { tramite: [], ...e, meta: { estado: e.meta.sesionPlenario ? "elevado" : "borrador", ...e.meta } };
+  },
+  // Los legajos anteriores quedan sin visar
+  (e) => ({ visados: clonar(EMPTY_EXPEDIENTE.visados), ...e }),
+];
+const MIGRACIONES_LIMITS = [
+  (l) => l,
+  (l) => l,
+  (l) => ({ ...l, hidraulica: l.hidraulica ?? clonar(DEFAULT_LIMITS.hidraulica) }),
+  (l) => {
+    const { fisicoquimico, microbiologico, ...resto } = l;
+    return { ...resto, perfiles: l.perfiles ?? perfilesDesdeV4(fisicoquimico, microbiologico) };
+  },
+  (l) => ({ ...l, hidroquimica: l.hidroquimica ?? clonar(DEFAULT_LIMITS.hidroquimica) }),
+  (l) => {
+    const { tasas_2024, ...resto } = l;
+    if (l.tarifas || !Array.isArray(tasas_2024)) return { ...resto, tarifas: l.tarifas ?? clonar(DEFAULT_LIMITS.tarifas) };
+    return { ...resto, tarifas: [{ ...clonar(DEFAULT_LIMITS.tarifas[0]), categorias: tasas_2024 }] };
+  },
+  (l) => l,
+  (l) => l,
+  (l) => l,
+  (l) => ({ ...l, muestreos: l.muestreos ?? clonar(DEFAULT_LIMITS.muestreos) }),
+  (l) => l,
+  (l) => ({ ...l, documentos: l.documentos ?? clonar(DEFAULT_LIMITS.documentos) }),
+  (l) => l,
+  (l) => l,
+  (l) => l,
+];
+
+// Texto libre de uso ("Riego", "consumo humano / riego"...) a clave de USOS; el primero que coincida
+function usoControlado(txt) {
+  const n = normalizarNombre(txt);
+  if (!n) return "";
+  const hit = USOS.find((u) => n.includes(normalizarNombre(u.label)));
+  return hit ? hit.key : "otro";
+}
+
+// Los límites únicos de v4 pasan a ser el perfil de consumo humano (se conservan los valores editados)
+function perfilesDesdeV4(fq = {}, micro = {}) {
+  const perfiles = clonar(DEFAULT_LIMITS.perfiles);
+  const p = perfiles.consumo_humano.parametros;
+  const max = {
+    arsenico: "arsenico_mgL_max",
+    nitratos: "nitratos_mgL_max",
+    nitritos: "nitritos_mgL_max",
+    conductividad: "conductividad_uScm_max",
+    dureza: "dureza_mgL_max",
+    std: "solidos_totales_mgL_max",
+    calcio: "calcio_mgL_max",
+    magnesio: "magnesio_mgL_max",
+    sodio: "sodio_mgL_max",
+    potasio: "potasio_mgL_max",
+    bicarbonato: "bicarbonato_mgL_max",
+    carbonato: "carbonato_mgL_max",
+    sulfatos: "sulfatos_mgL_max",
+    cloruros: "cloruros_mgL_max",
+    temperatura: "temperatura_C_max",
+  };
+  Object.entries(max).forEach(([k, viejo]) => {
+    if (typeof fq[viejo] === "number") p[k].max = fq[viejo];
+  });
+  if (typeof fq.pH_min === "number") p.pH.min = fq.pH_min;
+  if (typeof fq.pH_max === "number") p.pH.max = fq.pH_max;
+  if (typeof micro.aerobios_mesofilos_max === "number") p.aerobios.max = micro.aerobios_mesofilos_max;
+  return perfiles;
+}
+
+function migrar(doc, desde, pasos) {
+  let out = doc;
+  for (let v = desde; v < SCHEMA_VERSION; v++) out = pasos[v - 1](out);
+  return out;
+}
+
+function esObjeto(x) {
+  return x !== null && typeof x === "object" && !Array.isArray(x);
+}
+
+function clonar(x) {
+  return JSON.parse(JSON.stringify(x));
+}
+
+// Valor por defecto a partir de una plantilla (diccionarios { "*": x } y listas { "[]": x } arrancan vacíos)
+function porDefecto(plantilla) {
+  if (esObjeto(plantilla)) {
+    if ("*" in plantilla) return {};
+    if ("[]" in plantilla) return [];
+    return Object.fromEntries(Object.entries(plantilla).map(([k, v]) => [k, porDefecto(v)]));
+  }
+  return clonar(plantilla);
+}
+
+// Ajusta `valor` a la forma de `plantilla`, anotando en `informe` lo desconocido, faltante o de tipo inválido.
+// Los campos desconocidos se descartan; los faltantes e inválidos toman el valor de la plantilla.
+function sanear(valor, plantilla, ruta, informe) {
+  if (Array.isArray(plantilla)) {
+    if (!Array.isArray(valor)) {
+      informe.invalidos.push(ruta);
+      return porDefecto(plantilla);
+    }
+    if (!esObjeto(plantilla[0])) return valor.filter((v) => typeof v === "string" || typeof v === "number").map(String);
+    return valor.map((v, i) => sanear(v, plantilla[0], `${ruta}[${i}]`, informe));
+  }
+  // { "[]": x }: lista (vacía por defecto) de elementos con la forma de x
+  if (esObjeto(plantilla) && "[]" in plantilla) {
+    if (!Array.isArray(valor)) {
+      informe.invalidos.push(ruta);
+      return [];
+    }
+    return valor.map((v, i) => sanear(v, plantilla["[]"], `${ruta}[${i}]`, informe));
+  }
+  // { "*": x }: diccionario de claves libres, cada valor con la forma de x
+  if (esObjeto(plantilla) && "*" in plantilla) {
+    if (!esObjeto(valor)) {
+      informe.invalidos.push(ruta);
+      return {};
+    }
+    return Object.fromEntries(Object.entries(valor).map(([k, v]) => [k, sanear(v, plantilla["*"], `${ruta}.${k}`, informe)]));
+  }
+  if (esObjeto(plantilla)) {
+    if (!esObjeto(valor)) {
+      informe.invalidos.push(ruta);
+      return porDefecto(plantilla);
+    }
+    const out = {};
+    Object.keys(plantilla).forEach((k) => {
+      const sub = ruta ? `${ruta}.${k}` : k;
+      if (!(k in valor)) {
+        informe.faltantes.push(sub);
+        out[k] = porDefecto(plantilla[k]);
+      } else {
+        out[k] = sanear(valor[k], plantilla[k], sub, informe);
+      }
+    });
+    Object.keys(valor).forEach((k) => {
+      if (!(k in plantilla)) informe.desconocidos.push(ruta ? `${ruta}.${k}` : k);
+    });
+    return out;
+  }
+  // null en la plantilla = número opcional (p. ej. categoría sin tope)
+  if (plantilla === null || typeof plantilla === "number") {
+    if (valor === null) return null;
+    if (typeof valor === "number" && isFinite(valor)) return valor;
+    if (typeof valor === "string" && valor.trim() !== "" && isFinite(Number(valor))) return Number(valor);
+    informe.invalidos.push(ruta);
+    return plantilla;
+  }
+  if (typeof plantilla === "string") {
+    if (typeof valor === "string") return valor;
+    if (typeof valor === "number" && isFinite(valor)) return String(valor);
+    informe.invalidos.push(ruta);
+    return plantilla;
+  }
+  if (typeof plantilla === "boolean") {
+    if (typeof valor === "boolean") return valor;
+    informe.invalidos.push(ruta);
+    return plantilla;
+  }
+  return valor;
+}
+
+function informeVacio() {
+  return { desconocidos: [], faltantes: [], invalidos: [], errores: [] };
+}
+
+export function informeTieneHallazgos(informe) {
+  return ["desconocidos", "faltantes", "invalidos", "errores"].some((k) => informe[k].length > 0);
+}
+
+function versionDe(obj, informe) {
+  const v = obj?.schemaVersion == null ? 1 : Number(obj.schemaVersion);
+  if (!Number.isInteger(v) || v < 1) {
+    informe.errores.push(`schemaVersion inválida: ${obj.schemaVersion}`);
+    return null;
+  }
+  if (v > SCHEMA_VERSION) {
+    informe.errores.push(`El archivo usa el esquema v${v}, más nuevo que el soportado (v${SCHEMA_VERSION})`);
+    return null;
+  }
+  return v;
+}
+
+export function normalizarExpediente(raw, version = 1, informe = informeVacio()) {
+  if (!esObjeto(raw)) {
+    informe.errores.push("exp no es un objeto");
+    return { exp: null, informe };
+  }
+  const exp = sanear(migrar(raw, version, MIGRACIONES_EXP), PLANTILLA_EXP, "exp", informe);
+  return { exp, informe };
+}
+
+export function normalizarLimits(raw, version = 1, informe = informeVacio()) {
+  if (!esObjeto(raw)) {
+    informe.errores.push("limits no es un objeto");
+    return { limits: null, informe };
+  }
+  const limits = sanear(migrar(raw, version, MIGRACIONES_LIMITS), DEFAULT_LIMITS, "limits", informe);
+  return { limits, informe };
+}
+
+// Los requisitos existen desde v8; no hay migraciones previas
+export function normalizarRequisitos(raw, version = SCHEMA_VERSION, informe = informeVacio()) {
+  if (!esObjeto(raw)) {
+    informe.errores.push("requisitos no es un objeto");
+    return { requisitos: null, informe };
+  }
+  if (version < 8) informe.desconocidos.push("requisitos");
+  const requisitos = version < 8 ? null : sanear(raw, DEFAULT_REQUISITOS, "requisitos", informe);
+  return { requisitos: requisitos && { ...requisitos, docs: sinClavesRepetidas(requisitos.docs, informe) }, informe };
+}
+
+// Los datos de cada documento se guardan por su clave (docs.datos.<clave>): se descarta el documento cuya clave ya
+// usa otro anterior o uno de fábrica con otra ruta ("docs.extra.ensayoBombeo"), que pisaría sus datos
+function sinClavesRepetidas(docs, informe) {
+  const fabrica = new Map(DEFAULT_REQUISITOS.docs.map((d) => [claveDocumento(d.ruta), d.ruta]));
+  const vistas = new Set();
+  return docs.filter((d, i) => {
+    const clave = claveDocumento(d.ruta);
+    const repetida = vistas.has(clave) || (fabrica.has(clave) && fabrica.get(clave) !== d.ruta);
+    vistas.add(clave);
+    if (repetida) informe.invalidos.push(`requisitos.docs[${i}]`);
+    return !repetida;
+  });
+}
+
+// ----- Exportación / importación -----
+export function crearExportacion(exp, limits, requisitos) {
+  return { schemaVersion: SCHEMA_VERSION, exp, limits, ...(requisitos ? { requisitos } : {}) };
+}
+
+// Valida y migra un JSON exportado. Devuelve { exp, limits, requisitos, informe }; en null lo que no vino o no sirve.
+// La firma (utils/firmaDigital.js) se verifica aparte, sobre el JSON sin migrar.
+export function leerExportacion(obj) {
+  const informe = informeVacio();
+  if (!esObjeto(obj) || (!("exp" in obj) && !("limits" in obj) && !("requisitos" in obj))) {
+    informe.errores.push("El archivo no contiene 'exp', 'limits' ni 'requisitos'");
+    return { exp: null, limits: null, requisitos: null, informe };
+  }
+  const version = versionDe(obj, informe);
+  if (version == null) return { exp: null, limits: null, requisitos: null, informe };
+  const exp = "exp" in obj ? normalizarExpediente(obj.exp, version, informe).exp : null;
+  const limits = "limits" in obj ? normalizarLimits(obj.limits, version, informe).limits : null;
+  const requisitos = "requisitos" in obj ? normalizarRequisitos(obj.requisitos, version, informe).requisitos : null;
+  Object.keys(obj).forEach((k) => {
+    if (!["schemaVersion", "exp", "limits", "requisitos", "firma"].includes(k)) informe.desconocidos.push(k);
+  });
+  return { exp, limits, requisitos, informe };
+}
+
+// ----- Almacenamiento local -----
+// Los sobres guardan { schemaVersion, ... }; los objetos v1 se guardaban sin sobre. Lo guardado se sanea sin
+// avisar: lo que no respeta la plantilla toma el valor por defecto o se descarta.
+export function leerBandejaGuardada(obj) {
+  const informe = informeVacio();
+  const version = versionDe(obj, informe);
+  if (version == null || !esObjeto(obj?.expedientes)) return null;
+  const expedientes = {};
+  Object.entries(obj.expedientes).forEach(([id, e]) => {
+    const { exp } = normalizarExpediente(e, version, informe);
+    if (exp) expedientes[id] = exp;
+  });
+  return { activeId: obj.activeId in expedientes ? obj.activeId : null, expedientes };
+}
+
+export function guardarBandeja(workspace) {
+  return { schemaVersion: SCHEMA_VERSION, ...workspace };
+}
+
+export function leerLimitsGuardados(obj) {
+  const informe = informeVacio();
+  const esSobre = esObjeto(obj) && "schemaVersion" in obj;
+  const version = esSobre ? versionDe(obj, informe) : 1;
+  if (version == null) return null;
+  const { limits } = normalizarLimits(esSobre ? obj.limits : obj, version, informe);
+  return limits;
+}
+
+export function guardarLimits(limits) {
+  return { schemaVersion: SCHEMA_VERSION, limits };
+}
+
+export function leerRequisitosGuardados(obj) {
+  const informe = informeVacio();
+  const version = versionDe(obj, informe);
+  if (version == null) return null;
+  const { requisitos } = normalizarRequisitos(obj?.requisitos, version, informe);
+  return requisitos;
+}
+
+export function guardarRequisitos(requisitos) {
+  return { schemaVersion: SCHEMA_VERSION, requisitos };
+}
+
+// Padrón de perforistas importado (existe desde v9; se valida con la misma plantilla)
+const PLANTILLA_PADRON = {
+  archivo: "",
+  cargado: "",
+  registros: { "[]": { registro: "", razonSocial: "", cuit: "", estado: "", desde: "", hasta: "" } },
+};
+
+export function leerPadronGuardado(obj) {
+  const informe = informeVacio();
+  const version = versionDe(obj, informe);
+  if (version == null || !esObjeto(obj?.padron)) return null;
+  const padron = sanear(obj.padron, PLANTILLA_PADRON, "padron", informe);
+  return padron;
+}
+
+export function guardarPadron(padron) {
+  return { schemaVersion: SCHEMA_VERSION, padron };
+}
+
+// Mapeos de columnas de CSV por laboratorio: { [laboratorio]: { [cabecera normalizada]: campo | "" } }; las
+// asignaciones a campos que no existen se descartan
+const PLANTILLA_MAPEOS = { "*": { "*": "" } };
+
+export function leerMapeosGuardados(obj) {
+  const informe = informeVacio();
+  const version = versionDe(obj, informe);
+  if (version == null || !esObjeto(obj?.mapeos)) return {};
+  const mapeos = sanear(obj.mapeos, PLANTILLA_MAPEOS, "mapeos", informe);
+  return Object.fromEntries(Object.entries(mapeos).map(([laboratorio, mapeo]) => [laboratorio, depurarMapeo(mapeo)]));
+}
+
+export function guardarMapeos(mapeos) {
+  return { schemaVersion: SCHEMA_VERSION, mapeos };
+}
+
+// Sesiones del Plenario por N°: { [numero]: EMPTY_SESION } (existen desde v14)
+const PLANTILLA_SESIONES = { "*": EMPTY_SESION };
+
+export function leerSesionesGuardadas(obj) {
+  const informe = informeVacio();
+  const version = versionDe(obj, informe);
+  if (version == null || !esObjeto(obj?.sesiones)) return {};
+  const sesiones = sanear(obj.sesiones, PLANTILLA_SESIONES, "sesiones", informe);
+  return sesiones;
+}
+
+export function guardarSesiones(sesiones) {
+  return { schemaVersion: SCHEMA_VERSION, sesiones };
+}
+
+// Claves públicas de confianza para verificar exportaciones firmadas: [{ nombre, huella, clavePublica, agregada }]
+const PLANTILLA_CLAVES = { "[]": { nombre: "", huella: "", clavePublica: { kty: "", crv: "", x: "", y: "" }, agregada: "" } };
+
+export function leerClavesConfianza(obj) {
+  const informe = informeVacio();
+  const version = versionDe(obj, informe);
+  if (version == null || !Array.isArray(obj?.claves)) return [];
+  const claves = sanear(obj.claves, PLANTILLA_CLAVES, "claves", informe);
+  return claves;
+}
+
+export function guardarClavesConfianza(claves) {
+  return { schemaVersion: SCHEMA_VERSION, claves };
+}
@@ -0,0 +1,192 @@
+import {
+  crearExportacion,
+  guardarLimits,
+  guardarMapeos,
+  guardarPadron,
+  guardarRequisitos,
+  guardarSesiones,
+  leerExportacion,
+  leerLimitsGuardados,
+  leerMapeosGuardados,
+  leerPadronGuardado,
+  leerRequisitosGuardados,
+  leerSesionesGuardadas,
+} from "./schema.js";
+import { fusionarExpedientes, fusionarVersiones } from "../utils/sincronizacion.js";
+
+// ----- Sincronización con el servidor de la red local -----
+// Capa opcional detrás de ExpedienteProvider (el servicio está en servidor/sincronizacion.mjs, que pide la clave
+// compartida `token` en cada pedido). Por colección
+// ("expedientes" por N°; "configuracion" con valores de referencia, padrón, requisitos, mapeos de CSV y sesiones
+// del Plenario) se guarda en corufa_sync_v1:
+// - revs: la revisión del servidor que este equipo conoce de cada documento;
+// - bases: el documento en esa revisión, contra el que se fusiona si el servidor avanzó;
+// - pendientes: los documentos con cambios locales sin subir (la cola offline).
+// Sin conexión los cambios se acumulan en pendientes y se suben en la próxima vuelta.
+
+export const INTERVALO_SYNC_MS = 30 * 1000;
+
+const CLAVE = "corufa_sync_v1";
+const COLECCIONES = ["expedientes", "configuracion"];
+const CONFIGURACION = ["limits", "padron", "requisitos", "mapeos", "sesiones"];
+
+// Sobre versionado con el que viaja y se guarda cada documento, y su lectura (migra; null si no sirve)
+const SOBRES = {
+  expedientes: [(exp) => crearExportacion(exp), (obj) => leerExportacion(obj).exp],
+  limits: [guardarLimits, leerLimitsGuardados],
+  padron: [guardarPadron, leerPadronGuardado],
+  requisitos: [guardarRequisitos, leerRequisitosGuardados],
+  mapeos: [guardarMapeos, leerMapeosGuardados],
+  sesiones: [guardarSesiones, leerSesionesGuardadas],
+};
+
+function sobre(coleccion, id) {
+  return SOBRES[coleccion === "expedientes" ? coleccion : id];
+}
+
+function porColeccion(valor) {
+  return Object.fromEntries(COLECCIONES.map((c) => [c, valor()]));
+}
+
+export function estadoSyncVacio(servidor = "", token = "") {
+  return { servidor, token, revs: porColeccion(() => ({})), bases: porColeccion(() => ({})), pendientes: porColeccion(() => []) };
+}
+
+// Agrega ids a la cola de pendientes ({ [coleccion]: [id] }) sin repetirlos
+export function marcarPendientes(estado, ids) {
+  const pendientes = { ...estado.pendientes };
+  Object.entries(ids).forEach(([col, lista]) => {
+    pendientes[col] = [...new Set([...pendientes[col], ...lista])];
+  });
+  return { ...estado, pendientes };
+}
+
+// Un valor ilegible se descarta: el equipo queda desconectado hasta que se lo vuelva a conectar
+export function leerEstadoSync() {
+  let guardado = null;
+  try {
+    guardado = JSON.parse(localStorage.getItem(CLAVE) || "null");
+  } catch {
+    // corrupto: se arranca sin servidor
+  }
+  if (typeof guardado?.servidor !== "string" || !guardado.servidor) return estadoSyncVacio();
+  const estado = estadoSyncVacio(guardado.servidor, String(guardado.token || ""));
+  COLECCIONES.forEach((col) => {
+    estado.revs[col] = { ...guardado.revs?.[col] };
+    estado.pendientes[col] = [...(guardado.pendientes?.[col] || [])];
+    Object.entries(guardado.bases?.[col] || {}).forEach(([id, s]) => {
+      if (col === "configuracion" && !CONFIGURACION.includes(id)) return;
+      const base = sobre(col, id)[1](s);
+      if (base) estado.bases[col][id] = base;
+    });
+  });
+  return estado;
+}
+
+export function guardarEstadoSync(estado) {
+  if (!estado.servidor) return localStorage.removeItem(CLAVE);
+  const bases = Object.fromEntries(
+    COLECCIONES.map((col) => [col, Object.fromEntries(Object.entries(estado.bases[col]).map(([id, b]) => [id, sobre(col, id)[0](b)]))])
+  );
+  localStorage.setItem(CLAVE, JSON.stringify({ ...estado, bases }));
+}
+
+// Cliente REST del servidor. Los 409 vuelven como { conflicto: true, rev, doc } y un GET inexistente como null;
+// cualquier otro error (o la falta de conexión) se rechaza. Un documento borrado sigue en el índice con su
+// revisión y `borrado` (la lápida del servidor).
+export function crearClienteSync(servidor, token, fetchFn = (...args) => globalThis.fetch(...args)) {
+  const raiz = `${servidor.trim().replace(/\/+$/, "")}/api`;
+  async function pedir(metodo, ruta, cuerpo) {
+    const res = await fetchFn(`${raiz}/${ruta}`, {
+      method: metodo,
+      headers: { Authorization: `Bearer ${token}`, ...(cuerpo && { "Content-Type": "application/json" }) },
+      body: cuerpo ? JSON.stringify(cuerpo) : undefined,
+    });
+    const datos = await res.json().catch(() => ({}));
+    if (res.status === 401) throw new Error("El servidor rechazó la clave compartida");
+    if (res.status === 409) return { conflicto: true, ...datos };
+    if (res.status === 404 && metodo === "GET") return null;
+    if (!res.ok) throw new Error(datos.error || `El servidor respondió ${res.status}`);
+    return datos;
+  }
+  const doc = (col, id) => `${col}/${encodeURIComponent(id)}`;
+  return {
+    estado: () => pedir("GET", "estado"),
+    indice: (col) => pedir("GET", col),
+    leer: (col, id) => pedir("GET", doc(col, id)),
+    guardar: (col, id, base, valor) => pedir("PUT", doc(col, id), { base, doc: sobre(col, id)[0](valor) }),
+    borrar: (col, id, base) => pedir("DELETE", `${doc(col, id)}?base=${base}`),
+  };
+}
+
+async function leerRemoto(cliente, col, id) {
+  const r = await cliente.leer(col, id);
+  if (!r) return { rev: 0, valor: null };
+  if (r.borrado) return { rev: r.rev, valor: null };
+  const valor = sobre(col, id)[1](r.doc);
+  if (!valor) throw new Error(`${col}/${id}: el servidor tiene una versión que esta app no puede leer`);
+  return { rev: r.rev, valor };
+}
+
+// Sube `valor` (null = borrar) sobre la revisión `base`. Devuelve la nueva revisión o null si otro equipo escribió
+// antes (se reintenta en la próxima vuelta).
+async function subir(cliente, col, id, base, valor) {
+  const r = valor === null ? await cliente.borrar(col, id, base) : await cliente.guardar(col, id, base, valor);
+  return r.conflicto ? null : r.rev;
+}
+
+// Una vuelta de sincronización. `locales` = { expedientes: { [id]: exp }, configuracion: { limits, padron } }
+// (null = no existe). No modifica nada: devuelve { resultados, conflictos } y quien llama aplica cada resultado
+// solo si el documento local sigue siendo el que se usó (`local`), por si se editó mientras tanto:
+// - resultado { coleccion, id, local, rev, base, valor?, subido }: `valor` (si está) reemplaza al local y
+//   `subido` indica que el cambio local ya está en el servidor (sale de pendientes);
+// - conflicto { coleccion, id, local, rev, remoto, valor, campos }: campos que ambos lados cambiaron, para
+//   resolver uno por uno (utils/sincronizacion.js); mientras tanto el documento sigue pendiente.
+export async function sincronizar(estado, locales, cliente) {
+  const resultados = [];
+  const conflictos = [];
+  for (const col of COLECCIONES) {
+    const indice = await cliente.indice(col);
+    const ids = new Set([...Object.keys(indice), ...Object.keys(estado.revs[col]), ...estado.pendientes[col]]);
+    for (const id of ids) {
+      if (col === "configuracion" && !CONFIGURACION.includes(id)) continue;
+      const local = locales[col][id] ?? null;
+      const conocida = estado.revs[col][id] ?? 0;
+      const remota = indice[id]?.rev ?? 0;
+      const pendiente = estado.pendientes[col].includes(id);
+      if (!pendiente && remota === conocida) continue;
+      const res = { coleccion: col, id, local };
+
+      if (!pendiente) {
+        const remoto = await leerRemoto(cliente, col, id);
+        resultados.push({ ...res, rev: remoto.rev, base: remoto.valor, valor: remoto.valor, subido: false });
+        continue;
+      }
+
+      let candidato = local;
+      let sobreRev = conocida;
+      if (remota !== conocida) {
+        const remoto = await leerRemoto(cliente, col, id);
+        sobreRev = remoto.rev;
+        if (local === null && remoto.valor !== null) {
+          // Borrado aquí y editado en otro equipo: gana la edición
+          resultados.push({ ...res, rev: remoto.rev, base: remoto.valor, valor: remoto.valor, subido: true });
+          continue;
+        }
+        if (local !== null && remoto.valor !== null) {
+          const fusionar = col === "expedientes" ? fusionarExpedientes : fusionarVersiones;
+          const fusion = fusionar(estado.bases[col][id], local, remoto.valor);
+          if (fusion.conflictos.length) {
+            conflictos.push({ ...res, rev: remoto.rev, remoto: remoto.valor, valor: fusion.valor, campos: fusion.conflictos });
+            continue;
+          }
+          candidato = fusion.valor;
+        }
+      }
+      const rev = await subir(cliente, col, id, sobreRev, candidato);
+      if (rev === null) continue;
+      resultados.push({ ...res, rev, base: candidato, ...(candidato !== local && { valor: candidato }), subido: true });
+    }
+  }
+  return { resultados, conflictos };
+}
@@ -0,0 +1,50 @@
+// ----- Campos del expediente -----
+// Rutas (sección.campo) que pueden exigirse o usarse en condiciones de Configuración › Requisitos.
+export const CAMPOS_BASICOS = [
+  { ruta: "basicos.propietario", label: "Propietario / Razón Social" },
+  { ruta: "basicos.cuit", label: "CUIT/CUIL" },
+  { ruta: "basicos.domicilio", label: "Domicilio real" },
+  { ruta: "basicos.contacto", label: "Teléfono y/o email" },
+  { ruta: "basicos.solicitanteEsTitular", label: "El solicitante es el titular" },
+  { ruta: "basicos.autorizacionNoPropietario", label: "Autorización notariada (no propietario)" },
+  { ruta: "basicos.perforista", label: "Perforista" },
+  { ruta: "basicos.perforistaRegistro", label: "N° de Registro del Perforista" },
+];
+
+export const CAMPOS_TECNICOS = [
+  { ruta: "tecnicos.departamento", label: "Departamento" },
+  { ruta: "tecnicos.localidad", label: "Localidad" },
+  { ruta: "tecnicos.partida", label: "Partida inmobiliaria" },
+  { ruta: "tecnicos.coords_gms", label: "Coordenadas" },
+  { ruta: "tecnicos.profundidad_m", label: "Profundidad (m)" },
+  { ruta: "tecnicos.diametro_pulg", label: "Diámetro (pulg.)" },
+  { ruta: "tecnicos.caudal_m3h", label: "Caudal (m³/h)" },
+  { ruta: "tecnicos.caudal_anual_m3", label: "Caudal anual (m³/año)" },
+  { ruta: "tecnicos.horas_anuales", label: "Horas de trabajo/año" },
+  { ruta: "tecnicos.uso", label: "Uso declarado" },
+  { ruta: "tecnicos.acuifero", label: "Acuífero" },
+  { ruta: "tecnicos.fechaPerforacion", label: "Fecha de perforación" },
+];
+
+export const CAMPOS_FIRMAS = [
+  { ruta: "firmas.propietario", label: "Firma del propietario / autorizado" },
+  { ruta: "firmas.profesional", label: "Firma del profesional responsable" },
+  { ruta: "firmas.declaracionJurada", label: "Declaración Jurada confirmada" },
+];
+
+// Valores derivados que evaluarExpediente expone a las condiciones
+export const CAMPOS_CALCULADOS = [
+  { ruta: "calculado.categoriaOrden", label: "Categoría de tasa (1 = I … 5 = V)" },
+  { ruta: "calculado.tipoPersona", label: "Tipo de persona según CUIT (fisica / juridica)" },
+];
+
+export const CAMPOS_META = [
+  { ruta: "meta.expedienteId", label: "N° de Expediente / Legajo" },
+  { ruta: "meta.fecha", label: "Fecha de revisión" },
+  { ruta: "meta.revisadoPor", label: "Revisado por" },
+  { ruta: "meta.fechaLiquidacion", label: "Fecha de liquidación de la tasa" },
+  { ruta: "meta.archivado", label: "Archivado" },
+  { ruta: "meta.estado", label: "Estado del trámite" },
+  { ruta: "meta.sesionPlenario", label: "Elevado a sesión del Plenario N°" },
+  { ruta: "meta.ordenDia", label: "Posición en el orden del día" },
+];
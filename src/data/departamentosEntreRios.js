@@ -0,0 +1,94 @@
+// ----- Departamentos de Entre Ríos (geometría simplificada) -----
+// Contornos aproximados, trazados a mano con 4 a 9 vértices por departamento, para el mapa offline y el
+// control de punto en polígono. Pueden errar por kilómetros: cerca de los límites o de los ríos conviene
+// cargar la capa oficial de departamentos (GeoJSON) desde Configuración.
+export const DEPARTAMENTOS_ENTRE_RIOS = {
+  type: "FeatureCollection",
+  features: [
+    {
+      type: "Feature",
+      properties: { nombre: "La Paz" },
+      geometry: { type: "Polygon", coordinates: [[[-59.70, -30.74], [-59.83, -30.95], [-59.97, -31.21], [-59.50, -31.62], [-59.30, -31.50], [-59.20, -30.85], [-59.15, -30.27], [-59.62, -30.15], [-59.70, -30.74]]] },
+    },
+    {
+      type: "Feature",
+      properties: { nombre: "Feliciano" },
+      geometry: { type: "Polygon", coordinates: [[[-59.20, -30.85], [-58.55, -30.75], [-58.55, -30.20], [-59.15, -30.27], [-59.20, -30.85]]] },
+    },
+    {
+      type: "Feature",
+      properties: { nombre: "Federación" },
+      geometry: { type: "Polygon", coordinates: [[[-58.55, -30.75], [-58.45, -31.05], [-57.90, -31.08], [-57.88, -30.98], [-57.85, -30.55], [-58.55, -30.20], [-58.55, -30.75]]] },
+    },
+    {
+      type: "Feature",
+      properties: { nombre: "Federal" },
+      geometry: { type: "Polygon", coordinates: [[[-59.30, -31.50], [-58.70, -31.42], [-58.45, -31.42], [-58.45, -31.05], [-58.55, -30.75], [-59.20, -30.85], [-59.30, -31.50]]] },
+    },
+    {
+      type: "Feature",
+      properties: { nombre: "Concordia" },
+      geometry: { type: "Polygon", coordinates: [[[-58.45, -31.05], [-58.45, -31.42], [-58.30, -31.70], [-58.12, -31.68], [-57.97, -31.40], [-57.90, -31.08], [-58.45, -31.05]]] },
+    },
+    {
+      type: "Feature",
+      properties: { nombre: "San Salvador" },
+      geometry: { type: "Polygon", coordinates: [[[-58.70, -31.42], [-58.72, -31.75], [-58.55, -31.88], [-58.30, -31.70], [-58.45, -31.42], [-58.70, -31.42]]] },
+    },
+    {
+      type: "Feature",
+      properties: { nombre: "Villaguay" },
+      geometry: { type: "Polygon", coordinates: [[[-59.50, -31.62], [-59.50, -32.02], [-58.85, -32.10], [-58.72, -31.98], [-58.55, -31.88], [-58.72, -31.75], [-58.70, -31.42], [-59.30, -31.50], [-59.50, -31.62]]] },
+    },
+    {
+      type: "Feature",
+      properties: { nombre: "Colón" },
+      geometry: { type: "Polygon", coordinates: [[[-58.55, -31.88], [-58.72, -31.98], [-58.62, -32.25], [-58.12, -32.33], [-58.10, -32.05], [-58.12, -31.68], [-58.30, -31.70], [-58.55, -31.88]]] },
+    },
+    {
+      type: "Feature",
+      properties: { nombre: "Paraná" },
+      geometry: { type: "Polygon", coordinates: [[[-60.25, -31.45], [-60.60, -31.75], [-60.63, -31.95], [-60.18, -32.09], [-60.00, -32.12], [-59.60, -32.10], [-59.50, -32.02], [-59.50, -31.62], [-59.97, -31.21], [-60.25, -31.45]]] },
+    },
+    {
+      type: "Feature",
+      properties: { nombre: "Diamante" },
+      geometry: { type: "Polygon", coordinates: [[[-60.68, -32.10], [-60.75, -32.38], [-60.15, -32.38], [-60.18, -32.09], [-60.63, -31.95], [-60.68, -32.10]]] },
+    },
+    {
+      type: "Feature",
+      properties: { nombre: "Nogoyá" },
+      geometry: { type: "Polygon", coordinates: [[[-60.18, -32.09], [-60.15, -32.38], [-60.05, -32.60], [-59.40, -32.68], [-59.60, -32.10], [-60.00, -32.12], [-60.18, -32.09]]] },
+    },
+    {
+      type: "Feature",
+      properties: { nombre: "Tala" },
+      geometry: { type: "Polygon", coordinates: [[[-59.40, -32.68], [-59.05, -32.72], [-58.95, -32.62], [-58.85, -32.10], [-59.50, -32.02], [-59.60, -32.10], [-59.40, -32.68]]] },
+    },
+    {
+      type: "Feature",
+      properties: { nombre: "Uruguay" },
+      geometry: { type: "Polygon", coordinates: [[[-58.95, -32.62], [-58.28, -32.80], [-58.20, -32.50], [-58.12, -32.33], [-58.62, -32.25], [-58.72, -31.98], [-58.85, -32.10], [-58.95, -32.62]]] },
+    },
+    {
+      type: "Feature",
+      properties: { nombre: "Victoria" },
+      geometry: { type: "Polygon", coordinates: [[[-60.72, -32.70], [-60.65, -32.95], [-60.30, -33.22], [-60.05, -33.33], [-59.65, -32.85], [-59.40, -32.68], [-60.05, -32.60], [-60.15, -32.38], [-60.75, -32.38], [-60.72, -32.70]]] },
+    },
+    {
+      type: "Feature",
+      properties: { nombre: "Gualeguay" },
+      geometry: { type: "Polygon", coordinates: [[[-59.65, -32.85], [-60.05, -33.33], [-59.75, -33.50], [-59.10, -33.40], [-59.05, -32.72], [-59.40, -32.68], [-59.65, -32.85]]] },
+    },
+    {
+      type: "Feature",
+      properties: { nombre: "Gualeguaychú" },
+      geometry: { type: "Polygon", coordinates: [[[-59.05, -32.72], [-59.10, -33.40], [-58.90, -33.35], [-58.42, -33.30], [-58.28, -32.80], [-58.95, -32.62], [-59.05, -32.72]]] },
+    },
+    {
+      type: "Feature",
+      properties: { nombre: "Islas del Ibicuy" },
+      geometry: { type: "Polygon", coordinates: [[[-58.90, -33.35], [-59.10, -33.40], [-59.75, -33.50], [-59.40, -33.70], [-58.90, -33.95], [-58.40, -34.00], [-58.42, -33.30], [-58.90, -33.35]]] },
+    },
+  ],
+};
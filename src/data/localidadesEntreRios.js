@@ -0,0 +1,37 @@
+// ----- Localidades de Entre Ríos por departamento -----
+// Lista de referencia (no exhaustiva) para controlar que la localidad declarada
+// pertenezca al departamento. Localidades que no figuran no se observan.
+export const LOCALIDADES_POR_DEPARTAMENTO = {
+  Colón: ["Colón", "San José", "Villa Elisa", "Ubajay", "Pueblo Liebig", "Arroyo Barú", "Hocker", "La Clarita"],
+  Concordia: ["Concordia", "Los Charrúas", "La Criolla", "Estancia Grande", "Puerto Yeruá", "Colonia Ayuí", "Nueva Escocia"],
+  Diamante: ["Diamante", "General Ramírez", "Libertador San Martín", "Strobel", "Valle María", "Aldea Protestante", "Aldea Salto"],
+  Federación: ["Federación", "Chajarí", "San Jaime de la Frontera", "Los Conquistadores", "Santa Ana", "Villa del Rosario"],
+  Federal: ["Federal", "Conscripto Bernardi", "Sauce de Luna", "Nueva Vizcaya", "El Cimarrón"],
+  Feliciano: ["San José de Feliciano", "San Víctor"],
+  Gualeguay: ["Gualeguay", "General Galarza", "Puerto Ruiz", "Aldea Asunción", "González Calderón"],
+  Gualeguaychú: ["Gualeguaychú", "Larroque", "Urdinarrain", "Aldea San Antonio", "Pueblo General Belgrano", "Gilbert", "Irazusta"],
+  "Islas del Ibicuy": ["Villa Paranacito", "Ceibas", "Ibicuy", "Médanos", "Holt"],
+  "La Paz": ["La Paz", "Santa Elena", "Bovril", "Alcaraz", "San Gustavo", "Piedras Blancas", "Yeso Oeste"],
+  Nogoyá: ["Nogoyá", "Lucas González", "Hernández", "Aranguren", "XX de Setiembre", "Don Cristóbal"],
+  Paraná: [
+    "Paraná",
+    "Oro Verde",
+    "San Benito",
+    "Colonia Avellaneda",
+    "Crespo",
+    "Viale",
+    "Seguí",
+    "Cerrito",
+    "Hasenkamp",
+    "María Grande",
+    "Hernandarias",
+    "Tabossi",
+    "Sosa",
+    "Villa Urquiza",
+  ],
+  "San Salvador": ["San Salvador", "General Campos"],
+  Tala: ["Rosario del Tala", "Maciá", "Gobernador Mansilla", "Gobernador Echagüe", "Gobernador Sola"],
+  Uruguay: ["Concepción del Uruguay", "Basavilbaso", "Caseros", "Pronunciamiento", "Herrera", "Santa Anita", "Villa Mantero", "Rocamora"],
+  Victoria: ["Victoria", "Antelo"],
+  Villaguay: ["Villaguay", "Villa Clara", "Villa Domínguez", "Jubileo", "Ingeniero Sajaroff"],
+};
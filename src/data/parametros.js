@@ -0,0 +1,55 @@
+// ----- Parámetros de análisis de agua -----
+// Orden y rótulos de la grilla de carga; `key` coincide con el análisis de cada muestreo y `unidad` es la de los límites
+// de los perfiles ("" = sin unidad: pH, presencia/ausencia).
+export const PARAMETROS_FQ = [
+  { key: "pH", label: "pH", unidad: "" },
+  { key: "arsenico", label: "Arsénico (mg/L)", unidad: "mg/L" },
+  { key: "nitratos", label: "Nitratos (mg/L)", unidad: "mg/L" },
+  { key: "nitritos", label: "Nitritos (mg/L)", unidad: "mg/L" },
+  { key: "conductividad", label: "Conductividad (µS/cm)", unidad: "µS/cm" },
+  { key: "dureza", label: "Dureza total (mg/L)", unidad: "mg/L" },
+  { key: "std", label: "Sólidos totales disueltos (mg/L)", unidad: "mg/L" },
+  { key: "calcio", label: "Calcio (mg/L)", unidad: "mg/L" },
+  { key: "magnesio", label: "Magnesio (mg/L)", unidad: "mg/L" },
+  { key: "sodio", label: "Sodio (mg/L)", unidad: "mg/L" },
+  { key: "potasio", label: "Potasio (mg/L)", unidad: "mg/L" },
+  { key: "bicarbonato", label: "Bicarbonato (mg/L)", unidad: "mg/L" },
+  { key: "carbonato", label: "Carbonato (mg/L)", unidad: "mg/L" },
+  { key: "sulfatos", label: "Sulfatos (mg/L)", unidad: "mg/L" },
+  { key: "cloruros", label: "Cloruros (mg/L)", unidad: "mg/L" },
+  { key: "temperatura", label: "Temperatura (°C)", unidad: "°C" },
+];
+
+export const PARAMETROS_MICRO = [
+  { key: "coliformes", label: "Coliformes totales (NMP/100 mL)", unidad: "NMP/100 mL" },
+  { key: "ecoli", label: "E. coli (NMP/100 mL)", unidad: "NMP/100 mL" },
+  { key: "salmonella", label: "Salmonella (presencia=1/ausencia=0)", unidad: "" },
+  { key: "pseudomonas", label: "Pseudomonas (presencia=1/ausencia=0)", unidad: "" },
+  { key: "aerobios", label: "Aeróbicos mesófilos (UFC/mL)", unidad: "UFC/mL" },
+];
+
+export const PARAMETROS_ANALISIS = [...PARAMETROS_FQ, ...PARAMETROS_MICRO];
+
+// Unidades en que informan los laboratorios. Las de igual `magnitud` se convierten entre sí con `factor`
+// (múltiplo de la unidad base de la magnitud); `alias` en minúsculas, sin espacios y con µ escrita "u".
+export const UNIDADES = [
+  { key: "mg/L", magnitud: "concentracion", factor: 1, alias: ["mg/l", "ppm", "mg/dm3"] },
+  { key: "µg/L", magnitud: "concentracion", factor: 0.001, alias: ["ug/l", "ppb"] },
+  { key: "g/L", magnitud: "concentracion", factor: 1000, alias: ["g/l"] },
+  { key: "µS/cm", magnitud: "conductividad", factor: 1, alias: ["us/cm", "umho/cm"] },
+  { key: "mS/cm", magnitud: "conductividad", factor: 1000, alias: ["ms/cm", "mmho/cm"] },
+  { key: "dS/m", magnitud: "conductividad", factor: 1000, alias: ["ds/m"] },
+  { key: "°C", magnitud: "temperatura", factor: 1, alias: ["°c", "c"] },
+  { key: "NMP/100 mL", magnitud: "recuento", factor: 1, alias: ["nmp/100ml"] },
+  { key: "UFC/100 mL", magnitud: "recuento", factor: 1, alias: ["ufc/100ml"] },
+  { key: "UFC/mL", magnitud: "recuento", factor: 100, alias: ["ufc/ml"] },
+];
+
+// Valores controlados de tecnicos.uso
+export const USOS = [
+  { key: "consumo_humano", label: "Consumo humano" },
+  { key: "riego", label: "Riego" },
+  { key: "ganaderia", label: "Ganadería" },
+  { key: "industrial", label: "Industrial" },
+  { key: "otro", label: "Otro" },
+];
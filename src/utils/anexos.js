@@ -0,0 +1,106 @@
+// ----- Anexos del legajo -----
+// exp.docs.anexos es { [id]: { nombre, tipo, tamano, sha256, item, cargado } } con ids "a1", "a2"…; el archivo en
+// sí se guarda en IndexedDB por su hash (ver context/archivos.js). Un documento del checklist cuenta como
+// presentado solo si está tildado y tiene al menos un anexo con archivo asignado a su ruta.
+
+// Tipos que se pueden ver dentro de la aplicación
+const PREVISUALIZABLES = [/^application\/pdf$/, /^image\/(png|jpeg|gif|webp|bmp|svg\+xml)$/];
+
+export function siguienteIdAnexo(anexos = {}) {
+  const max = Object.keys(anexos).reduce((m, id) => Math.max(m, Number(id.replace(/^a/, "")) || 0), 0);
+  return `a${max + 1}`;
+}
+
+// Anexos con archivo asignados a la ruta de un documento: [{ id, ...anexo }]
+export function anexosDeItem(docs, ruta) {
+  return Object.entries(docs?.anexos || {})
+    .filter(([, a]) => a.item === ruta && a.sha256)
+    .map(([id, a]) => ({ id, ...a }));
+}
+
+// Copia de exp.docs donde cada documento vale true solo si está tildado y tiene archivo adjunto.
+// Es la que ven los requisitos: un tilde sin archivo no cumple.
+export function docsConArchivo(docs) {
+  const revisar = (obj, prefijo) =>
+    Object.fromEntries(
+      Object.entries(obj).map(([k, v]) => [k, typeof v === "boolean" ? v && anexosDeItem(docs, `${prefijo}.${k}`).length > 0 : v])
+    );
+  const { anexos, extra = {}, ...flags } = docs;
+  return { ...revisar(flags, "docs"), extra: revisar(extra, "docs.extra"), anexos };
+}
+
+export function esPrevisualizable(tipo) {
+  return PREVISUALIZABLES.some((re) => re.test(tipo || ""));
+}
+
+export function formatearTamano(bytes) {
+  if (!bytes) return "0 B";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// ----- SHA-256 -----
+// WebCrypto (crypto.subtle) solo existe en páginas seguras (HTTPS o localhost): abierta por http desde otro equipo
+// de la red, la aplicación calcula el hash en JavaScript (FIPS 180-4).
+
+// Primeros 32 bits de la parte fraccionaria de la raíz cúbica de los 64 primeros primos
+const K_SHA256 = (() => {
+  const primos = [];
+  for (let n = 2; primos.length < 64; n++) if (primos.every((p) => n % p !== 0)) primos.push(n);
+  return Uint32Array.from(primos, (p) => (Math.cbrt(p) % 1) * 2 ** 32);
+})();
+
+function sha256Js(bytes) {
+  const h = Uint32Array.of(0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19);
+  // Relleno: 0x80, ceros y la longitud en bits (big endian) hasta completar bloques de 64 bytes
+  const largo = Math.ceil((bytes.length + 9) / 64) * 64;
+  const msg = new Uint8Array(largo);
+  msg.set(bytes);
+  msg[bytes.length] = 0x80;
+  const vista = new DataView(msg.buffer);
+  vista.setUint32(largo - 8, Math.floor(bytes.length / 2 ** 29));
+  vista.setUint32(largo - 4, (bytes.length * 8) >>> 0);
+
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+  const w = new Uint32Array(64);
+  for (let bloque = 0; bloque < largo; bloque += 64) {
+    for (let t = 0; t < 16; t++) w[t] = vista.getUint32(bloque + t * 4);
+    for (let t = 16; t < 64; t++) {
+      const s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3);
+      const s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+      w[t] = w[t - 16] + s0 + w[t - 7] + s1;
+    }
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let t = 0; t < 64; t++) {
+      const t1 = hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K_SHA256[t] + w[t];
+      const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+      [hh, g, f, e, d, c, b, a] = [g, f, e, (d + t1) >>> 0, c, b, a, (t1 + t2) >>> 0];
+    }
+    [a, b, c, d, e, f, g, hh].forEach((x, i) => (h[i] += x));
+  }
+  const hash = new Uint8Array(32);
+  h.forEach((x, i) => new DataView(hash.buffer).setUint32(i * 4, x));
+  return hash;
+}
+
+// `datos`: ArrayBuffer o Uint8Array
+export async function sha256Hex(datos) {
+  const hash = globalThis.crypto?.subtle
+    ? await crypto.subtle.digest("SHA-256", datos)
+    : sha256Js(ArrayBuffer.isView(datos) ? new Uint8Array(datos.buffer, datos.byteOffset, datos.byteLength) : new Uint8Array(datos));
+  return Array.from(new Uint8Array(hash), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Nombres de archivo únicos dentro del ZIP ("informe.pdf", "informe (2).pdf"…)
+export function nombresUnicos(nombres) {
+  const usados = new Set();
+  return nombres.map((n) => {
+    const limpio = String(n || "archivo").replace(/[\\/:*?"<>|]+/g, "_");
+    const [, base, ext = ""] = limpio.match(/^(.*?)(\.[^.]*)?$/);
+    let nombre = limpio;
+    for (let i = 2; usados.has(nombre.toLowerCase()); i++) nombre = `${base} (${i})${ext}`;
+    usados.add(nombre.toLowerCase());
+    return nombre;
+  });
+}
@@ -0,0 +1,160 @@
+// ----- Coordenadas de la perforación -----
+// Lectura de textos libres (GMS con o sin símbolos, grados decimales, hemisferio por letra o signo)
+// y conversión a POSGAR 2007 / Gauss-Krüger faja 5 (EPSG:5347), que es la que usa Catastro.
+
+// Caja envolvente de Entre Ríos (con margen para islas del delta y costas de los ríos)
+export const BBOX_ENTRE_RIOS = { latMin: -34.1, latMax: -30.1, lonMin: -60.85, lonMax: -57.75 };
+
+// La letra de hemisferio va suelta: la de palabras como "LONG" o "ESTE" no cuenta
+const RE_TOKEN = /(?<![A-Z])([NSEWO])(?![A-Z])|(-?\d+(?:[.,]\d+)?)\s*([°'"])?/g;
+
+function normalizarTexto(txt) {
+  return String(txt ?? "")
+    .toUpperCase()
+    .replace(/[º˚]/g, "°")
+    .replace(/[′’´`]/g, "'")
+    .replace(/[″”“]|''/g, '"')
+    .replace(/\b(SUR)\b/g, "S")
+    .replace(/\b(OESTE)\b/g, "O");
+}
+
+// Convierte [g, m, s] en grados decimales validando rangos de minutos y segundos
+function aDecimal(nums, negativo, maxGrados) {
+  const [g, m = 0, s = 0] = nums;
+  if (nums.length > 3) return { error: "Demasiados valores para una coordenada" };
+  if (nums.length >= 2 && !Number.isInteger(g)) return { error: "Con minutos, los grados deben ser enteros" };
+  if (nums.length === 3 && !Number.isInteger(m)) return { error: "Con segundos, los minutos deben ser enteros" };
+  if (m >= 60) return { error: `Minutos imposibles (${m})` };
+  if (s >= 60) return { error: `Segundos imposibles (${s})` };
+  const dec = g + m / 60 + s / 3600;
+  if (dec > maxGrados) return { error: `Valor fuera de rango (${dec.toFixed(4)}°)` };
+  return { valor: negativo ? -dec : dec };
+}
+
+function agrupar(tokens) {
+  const letras = tokens.filter((t) => t.hem);
+  if (letras.length === 2) {
+    const sufijo = !tokens[0].hem;
+    const grupos = [];
+    let actual = [];
+    tokens.forEach((t) => {
+      if (t.hem) {
+        if (sufijo) {
+          grupos.push({ hem: t.hem, nums: actual });
+          actual = [];
+        } else {
+          grupos.push({ hem: t.hem, nums: [] });
+        }
+      } else if (sufijo) actual.push(t);
+      else grupos[grupos.length - 1].nums.push(t);
+    });
+    if (actual.length) return null;
+    return grupos;
+  }
+  if (letras.length) return null;
+  const nums = tokens;
+  if (nums.some((t) => t.sym === "°")) {
+    const grupos = [];
+    nums.forEach((t) => {
+      if (t.sym === "°" || !grupos.length) grupos.push({ nums: [] });
+      grupos[grupos.length - 1].nums.push(t);
+    });
+    return grupos;
+  }
+  if (nums.length % 2 !== 0) return null;
+  const mitad = nums.length / 2;
+  return [{ nums: nums.slice(0, mitad) }, { nums: nums.slice(mitad) }];
+}
+
+export function parseCoordenadas(texto) {
+  const txt = normalizarTexto(texto).trim();
+  if (!txt) return { ok: false, vacio: true, error: null };
+  const tokens = [];
+  let m;
+  RE_TOKEN.lastIndex = 0;
+  while ((m = RE_TOKEN.exec(txt))) {
+    if (m[1]) tokens.push({ hem: m[1] === "O" ? "W" : m[1] });
+    else tokens.push({ n: Number(m[2].replace(",", ".")), neg: m[2].startsWith("-"), sym: m[3] || null });
+  }
+  const grupos = agrupar(tokens);
+  if (!grupos || grupos.length !== 2 || grupos.some((g) => g.nums.length === 0)) {
+    return { ok: false, error: "No se reconocen dos coordenadas (latitud y longitud)" };
+  }
+
+  let [gLat, gLon] = grupos;
+  if (gLat.hem && gLon.hem) {
+    if ("EW".includes(gLat.hem) && "NS".includes(gLon.hem)) [gLat, gLon] = [gLon, gLat];
+    if (!"NS".includes(gLat.hem) || !"EW".includes(gLon.hem)) return { ok: false, error: "Hemisferios inconsistentes" };
+  }
+
+  const coords = {};
+  for (const [clave, g, max] of [
+    ["lat", gLat, 90],
+    ["lon", gLon, 180],
+  ]) {
+    if (g.nums.slice(1).some((t) => t.neg)) return { ok: false, error: "El signo va solo en los grados" };
+    const negativo = g.nums[0].neg;
+    const r = aDecimal(g.nums.map((t) => Math.abs(t.n)), negativo, max);
+    if (r.error) return { ok: false, error: r.error };
+    let v = r.valor;
+    if (g.hem) {
+      if (negativo) return { ok: false, error: "Usar letra de hemisferio o signo negativo, no ambos" };
+      if (g.hem === "S" || g.hem === "W") v = -v;
+    }
+    coords[clave] = v;
+  }
+
+  const { lat, lon } = coords;
+  const B = BBOX_ENTRE_RIOS;
+  if (lat < B.latMin || lat > B.latMax || lon < B.lonMin || lon > B.lonMax) {
+    const sinHemisferio = -lat >= B.latMin && -lat <= B.latMax && -lon >= B.lonMin && -lon <= B.lonMax;
+    return {
+      ok: false,
+      lat,
+      lon,
+      error: sinHemisferio ? "Falta el hemisferio: indicar S/O o signo negativo" : "El punto queda fuera de Entre Ríos",
+    };
+  }
+  return { ok: true, lat, lon, error: null };
+}
+
+// ----- Gauss-Krüger (serie de Krüger, elipsoide GRS80) -----
+const GRS80 = { a: 6378137, f: 1 / 298.257222101 };
+export const FAJA_5 = { lon0: -60, falsoEste: 5500000, k0: 1 };
+
+export function aGaussKruger(lat, lon, faja = FAJA_5) {
+  const { a, f } = GRS80;
+  const n = f / (2 - f);
+  const n2 = n * n;
+  const n3 = n2 * n;
+  const n4 = n3 * n;
+  const A = (a / (1 + n)) * (1 + n2 / 4 + n4 / 64);
+  const alfa = [
+    n / 2 - (2 * n2) / 3 + (5 * n3) / 16 + (41 * n4) / 180,
+    (13 * n2) / 48 - (3 * n3) / 5 + (557 * n4) / 1440,
+    (61 * n3) / 240 - (103 * n4) / 140,
+    (49561 * n4) / 161280,
+  ];
+  const phi = (lat * Math.PI) / 180;
+  const dl = ((lon - faja.lon0) * Math.PI) / 180;
+  const e2n = (2 * Math.sqrt(n)) / (1 + n);
+  const t = Math.sinh(Math.atanh(Math.sin(phi)) - e2n * Math.atanh(e2n * Math.sin(phi)));
+  const xi1 = Math.atan2(t, Math.cos(dl));
+  const eta1 = Math.atanh(Math.sin(dl) / Math.sqrt(1 + t * t));
+  let xi = xi1;
+  let eta = eta1;
+  alfa.forEach((al, j) => {
+    const k = 2 * (j + 1);
+    xi += al * Math.sin(k * xi1) * Math.cosh(k * eta1);
+    eta += al * Math.cos(k * xi1) * Math.sinh(k * eta1);
+  });
+  // Origen de latitudes en el polo sur: X = arco desde -90°
+  return {
+    x: faja.k0 * A * (xi + Math.PI / 2),
+    y: faja.falsoEste + faja.k0 * A * eta,
+  };
+}
+
+export function fmtDecimal(n, dec = 6) {
+  return n == null ? "—" : n.toLocaleString("es-AR", { minimumFractionDigits: dec, maximumFractionDigits: dec });
+}
@@ -0,0 +1,68 @@
+// ----- Lectura y escritura de CSV -----
+// Campos entre comillas (con "" escapadas y saltos de línea), separador ; , o tabulación detectado
+// en la primera línea. Las filas completamente vacías se descartan.
+
+export function detectarSeparador(texto) {
+  const primera = String(texto).split(/\r?\n/, 1)[0] || "";
+  const sinComillas = primera.replace(/"[^"]*"/g, "");
+  const cuentas = [";", ",", "\t"].map((sep) => [sep, sinComillas.split(sep).length - 1]);
+  cuentas.sort((a, b) => b[1] - a[1]);
+  return cuentas[0][1] > 0 ? cuentas[0][0] : ",";
+}
+
+export function parsearCsv(texto, separador = detectarSeparador(texto)) {
+  const filas = [];
+  let fila = [];
+  let campo = "";
+  let comillas = false;
+  const s = String(texto).replace(/^\uFEFF/, "");
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (comillas) {
+      if (c === '"' && s[i + 1] === '"') {
+        campo += '"';
+        i++;
+      } else if (c === '"') comillas = false;
+      else campo += c;
+    } else if (c === '"') comillas = true;
+    else if (c === separador) {
+      fila.push(campo);
+      campo = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && s[i + 1] === "\n") i++;
+      fila.push(campo);
+      filas.push(fila);
+      fila = [];
+      campo = "";
+    } else campo += c;
+  }
+  fila.push(campo);
+  filas.push(fila);
+  return filas.map((f) => f.map((x) => x.trim())).filter((f) => f.some((x) => x !== ""));
+}
+
+// Fecha de planilla (dd/mm/aaaa, dd-mm-aaaa o aaaa-mm-dd) a ISO; null si no se reconoce
+export function fechaISO(txt) {
+  const t = String(txt ?? "").trim();
+  let m = t.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (m) return iso(m[1], m[2], m[3]);
+  m = t.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  if (m) return iso(m[3], m[2], m[1]);
+  return null;
+}
+
+function iso(a, m, d) {
+  const f = `${a}-${m.padStart(2, "0")}-${d.padStart(2, "0")}`;
+  const dt = new Date(`${f}T00:00:00Z`);
+  return !isNaN(dt) && dt.toISOString().slice(0, 10) === f ? f : null;
+}
+
+// Filas a texto CSV con separador ; (el de las planillas en es-AR); entre comillas solo los campos que lo necesitan.
+// Con ; los números van con coma decimal, como los espera la planilla.
+export function escribirCsv(filas, separador = ";") {
+  const campo = (v) => {
+    const t = typeof v === "number" && separador === ";" ? String(v).replace(".", ",") : String(v ?? "");
+    return t.includes(separador) || /["\r\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+  };
+  return filas.map((f) => f.map(campo).join(separador)).join("\r\n") + "\r\n";
+}
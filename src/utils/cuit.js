@@ -0,0 +1,43 @@
+// ----- CUIT / CUIL (AFIP) -----
+// Formato XX-XXXXXXXX-X; el último dígito es verificador módulo 11.
+
+const PESOS = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+const PREFIJOS_FISICA = ["20", "23", "24", "25", "26", "27"];
+const PREFIJOS_JURIDICA = ["30", "33", "34"];
+
+// Dígito verificador para los 10 primeros dígitos; null si el resto da 10 (combinación no asignable)
+export function digitoVerificadorCuit(base10) {
+  const suma = PESOS.reduce((acc, p, i) => acc + p * Number(base10[i]), 0);
+  const dv = 11 - (suma % 11);
+  if (dv === 11) return 0;
+  if (dv === 10) return null;
+  return dv;
+}
+
+// Devuelve XX-XXXXXXXX-X si hay exactamente 11 dígitos; si no, null
+export function formatearCuit(valor) {
+  const d = String(valor ?? "").replace(/\D/g, "");
+  if (d.length !== 11) return null;
+  return `${d.slice(0, 2)}-${d.slice(2, 10)}-${d.slice(10)}`;
+}
+
+export function tipoPersonaCuit(valor) {
+  const pref = String(valor ?? "").replace(/\D/g, "").slice(0, 2);
+  if (PREFIJOS_FISICA.includes(pref)) return "fisica";
+  if (PREFIJOS_JURIDICA.includes(pref)) return "juridica";
+  return null;
+}
+
+export function validarCuit(valor) {
+  const txt = String(valor ?? "").trim();
+  if (!txt) return { valido: false, vacio: true, normalizado: "", tipo: null, error: null };
+  if (/[^\d\s.-]/.test(txt)) return { valido: false, normalizado: txt, tipo: null, error: "Solo se admiten dígitos y guiones" };
+  const normalizado = formatearCuit(txt);
+  if (!normalizado) return { valido: false, normalizado: txt, tipo: null, error: "Debe tener 11 dígitos (XX-XXXXXXXX-X)" };
+  const d = normalizado.replace(/\D/g, "");
+  const tipo = tipoPersonaCuit(d);
+  if (!tipo) return { valido: false, normalizado, tipo: null, error: `Prefijo ${d.slice(0, 2)} no corresponde a un CUIT/CUIL` };
+  const dv = digitoVerificadorCuit(d.slice(0, 10));
+  if (dv === null || dv !== Number(d[10])) return { valido: false, normalizado, tipo, error: "Dígito verificador incorrecto" };
+  return { valido: true, normalizado, tipo, error: null };
+}
@@ -0,0 +1,211 @@
+import { PARAMETROS_ANALISIS, USOS } from "../data/parametros.js";
+import { sha256Hex } from "./anexos.js";
+import { fmtDecimal } from "./coordenadas.js";
+import { nombreMuestreo } from "./muestreos.js";
+import { SECCIONES_OBSERVACION, textoRango } from "./observaciones.js";
+import { textoResultado } from "./resultados.js";
+import { fmtMoney } from "./tarifas.js";
+import { etiquetaEstado } from "./tramite.js";
+import { estaVisada, etiquetaRol, firmantesBloque } from "./visados.js";
+
+// ----- Dictamen pre-Plenario -----
+// Documento HTML autónomo (estilos propios, sin scripts) listo para imprimir o guardar como PDF. El pie lleva la
+// huella SHA-256 del legajo y la hora de generación, para cotejar una copia impresa con el expediente guardado.
+
+// JSON con las claves ordenadas: la huella no depende del orden en que se cargaron o migraron los campos
+export function jsonCanonico(valor) {
+  if (Array.isArray(valor)) return `[${valor.map(jsonCanonico).join(",")}]`;
+  if (valor && typeof valor === "object") {
+    const claves = Object.keys(valor)
+      .filter((k) => valor[k] !== undefined)
+      .sort();
+    return `{${claves.map((k) => `${JSON.stringify(k)}:${jsonCanonico(valor[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(valor ?? null);
+}
+
+export function hashExpediente(exp) {
+  return sha256Hex(new TextEncoder().encode(jsonCanonico(exp)));
+}
+
+// Huella copiada de un dictamen impreso: sin espacios, cortes de línea ni guiones y en minúsculas. null si no
+// quedan los 64 dígitos hexadecimales de un SHA-256.
+export function normalizarHash(txt) {
+  const limpio = String(txt ?? "")
+    .replace(/[\s:-]/g, "")
+    .toLowerCase();
+  return /^[0-9a-f]{64}$/.test(limpio) ? limpio : null;
+}
+
+export function escaparHtml(txt) {
+  return String(txt ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+const ESTADO_SECCION = {
+  green: "Cumple",
+  yellow: "Observado",
+  red: "No cumple",
+  gray: "No exigido",
+};
+
+function estadoParametro(r) {
+  if (r === true) return "En norma";
+  if (r === false) return "Fuera de norma";
+  if (r === "indeterminado") return "Indeterminado";
+  return "Sin dato";
+}
+
+// Estilos y membrete compartidos con los otros documentos para imprimir (orden del día)
+export const ESTILOS_IMPRESION = `
+  @page { size: A4; margin: 18mm 16mm 24mm; }
+  body { font: 10.5pt/1.4 "Times New Roman", serif; color: #000; margin: 0 auto; max-width: 180mm; }
+  header { text-align: center; border-bottom: 2px solid #000; padding-bottom: 6pt; margin-bottom: 10pt; }
+  header .provincia { font-size: 9pt; letter-spacing: 0.08em; text-transform: uppercase; }
+  header h1 { font-size: 14pt; margin: 2pt 0; }
+  header .ley { font-size: 9.5pt; }
+  h2 { font-size: 11.5pt; margin: 12pt 0 4pt; border-bottom: 1px solid #888; }
+  table { width: 100%; border-collapse: collapse; margin: 4pt 0; }
+  th, td { border: 1px solid #999; padding: 2pt 4pt; text-align: left; vertical-align: top; }
+  th { background: #eee; }
+  table.datos th { width: 35%; }
+  .veredicto { font-size: 12pt; font-weight: bold; text-align: center; border: 2px solid #000; padding: 4pt; margin: 8pt 0; }
+  .fuera, .bloquea { font-weight: bold; }
+  .firmas { display: flex; justify-content: space-around; margin-top: 48pt; page-break-inside: avoid; }
+  .firma { width: 30%; text-align: center; border-top: 1px solid #000; padding-top: 3pt; font-size: 9.5pt; }
+  footer { position: fixed; bottom: 0; left: 0; right: 0; font: 7.5pt monospace; text-align: center; border-top: 1px solid #888; }
+  @media screen { body { padding: 12mm 0 20mm; } footer { background: #fff; } }
+`;
+
+export function membreteHtml(documento) {
+  return `<header>
+  <div class="provincia">Provincia de Entre Ríos</div>
+  <h1>Dirección (ex CORUFA)</h1>
+  <div class="ley">Ley 9172 – Uso de Aguas · ${escaparHtml(documento)}</div>
+</header>`;
+}
+
+function textoVisado(v) {
+  return estaVisada(v) ? [v.nombre.trim(), etiquetaRol(v.rol), v.fecha].filter(Boolean).join(" · ") : "Sin visar";
+}
+
+function filas(pares) {
+  return pares.map(([k, v]) => `<tr><th>${escaparHtml(k)}</th><td>${escaparHtml(v || "—")}</td></tr>`).join("");
+}
+
+// `ev` es el resultado de evaluarExpediente; `hash` el de hashExpediente(exp) y `generado` la hora de generación
+export function generarDictamenHtml(exp, ev, { hash, generado = new Date() }) {
+  const { meta, basicos, tecnicos } = exp;
+  const registro = basicos.perforistaRegistro && `Reg. N° ${basicos.perforistaRegistro}`;
+  const perforista = [basicos.perforista, registro].filter(Boolean).join(" · ");
+  const uso = USOS.find((u) => u.key === tecnicos.uso)?.label ?? tecnicos.uso;
+  const coords = ev.coords.ok ? `${tecnicos.coords_gms} (${fmtDecimal(ev.coords.lat)}, ${fmtDecimal(ev.coords.lon)})` : tecnicos.coords_gms;
+
+  const identificacion = filas([
+    ["Expediente / Legajo N°", meta.expedienteId],
+    ["Fecha de revisión", meta.fecha],
+    ["Revisado por", meta.revisadoPor],
+    ["Estado del trámite", etiquetaEstado(meta.estado)],
+    ["Propietario / Razón social", basicos.propietario],
+    ["CUIT/CUIL", ev.cuit.valido ? ev.cuit.normalizado : basicos.cuit],
+    ["Domicilio real", basicos.domicilio],
+    ["Perforista", perforista],
+    ["Departamento / Localidad", [tecnicos.departamento, tecnicos.localidad].filter(Boolean).join(" / ")],
+    ["Partida inmobiliaria", tecnicos.partida],
+    ["Coordenadas", coords],
+    ["Uso declarado", uso],
+    ["Acuífero", tecnicos.acuifero],
+    ["Profundidad (m) / Diámetro (pulg.)", [tecnicos.profundidad_m, tecnicos.diametro_pulg].filter(Boolean).join(" / ")],
+    ["Caudal (m³/h) / Volumen anual (m³)", [tecnicos.caudal_m3h, tecnicos.caudal_anual_m3].filter(Boolean).join(" / ")],
+    ["Fecha de perforación", tecnicos.fechaPerforacion],
+  ]);
+
+  const secciones = [
+    ["basicos", ev.basicosStatus],
+    ["tecnicos", ev.tecnicosStatus],
+    ["docs", ev.docsStatus],
+    ["analisis", ev.analStatus],
+    ["firmas", ev.firmasStatus],
+  ]
+    .map(
+      ([key, st]) =>
+        `<tr><td>${SECCIONES_OBSERVACION[key]}</td><td>${ESTADO_SECCION[st.color] ?? ""}</td><td>${escaparHtml(st.text)}</td>` +
+        `<td>${escaparHtml(textoVisado(exp.visados?.[key]))}</td></tr>`
+    )
+    .join("");
+  const firmante = (rol) => escaparHtml(firmantesBloque(exp, rol).join(" / ")) || "Aclaración";
+
+  // Parámetros que exige el perfil del uso y los informados aunque no apliquen
+  const perfil = ev.anal.perfil;
+  const analisis = ev.muestreo?.analisis ?? {};
+  const parametros = PARAMETROS_ANALISIS.filter(({ key }) => perfil.parametros[key]?.aplica || textoResultado(analisis[key]))
+    .map(({ key, label }) => {
+      const p = perfil.parametros[key];
+      const estado = p?.aplica ? estadoParametro(ev.anal.r[key]) : "No aplica";
+      return `<tr${ev.anal.r[key] === false ? ' class="fuera"' : ""}><td>${escaparHtml(label)}</td>
+        <td>${escaparHtml(textoResultado(analisis[key]) || "—")}</td><td>${p?.aplica ? escaparHtml(textoRango(p)) : "—"}</td>
+        <td>${estado}</td></tr>`;
+    })
+    .join("");
+  const muestreo = ev.muestreo ? escaparHtml(nombreMuestreo(ev.muestreo)) : "Sin muestreo vigente";
+
+  const tasa = ev.tasa.cuadro
+    ? filas([
+        ["Categoría", ev.tasa.cat],
+        ["Monto anual", fmtMoney(ev.tasa.monto)],
+        ["Cuadro tarifario", ev.tasa.cuadro.nombre],
+        ["Liquidada a la fecha", meta.fechaLiquidacion || meta.fecha],
+      ])
+    : filas([["Categoría", "Sin cuadro tarifario vigente a la fecha de liquidación"]]);
+
+  const observaciones = ev.observaciones.length
+    ? `<ol>${ev.observaciones
+        .map(
+          (o) =>
+            `<li${o.severidad === "bloquea" ? ' class="bloquea"' : ""}>${o.severidad === "bloquea" ? "[Bloquea]" : "[Observa]"} ` +
+            `${SECCIONES_OBSERVACION[o.seccion]}: ${escaparHtml(o.texto)}</li>`
+        )
+        .join("")}</ol>`
+    : "<p>Sin observaciones.</p>";
+
+  const titulo = `Dictamen pre-Plenario · Expediente ${meta.expedienteId || "s/n"}`;
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>${escaparHtml(titulo)}</title>
+<style>${ESTILOS_IMPRESION}</style>
+</head>
+<body>
+${membreteHtml("Dictamen técnico de filtro pre-Plenario")}
+
+<h2>1. Identificación</h2>
+<table class="datos">${identificacion}</table>
+
+<h2>2. Dictamen por sección</h2>
+<table><tr><th>Sección</th><th>Estado</th><th>Detalle</th><th>Visado</th></tr>${secciones}</table>
+<div class="veredicto">${ev.allGreen ? "APROBADO – puede elevarse a Plenario" : "NO APROBADO – no puede elevarse a Plenario"}</div>
+
+<h2>3. Análisis de agua</h2>
+<p>Muestreo vigente: ${muestreo}. Límites aplicados: ${escaparHtml(perfil.nombre)}.</p>
+<table><tr><th>Parámetro</th><th>Resultado</th><th>Límite</th><th>Estado</th></tr>${parametros}</table>
+
+<h2>4. Tasa anual</h2>
+<table class="datos">${tasa}</table>
+
+<h2>5. Observaciones</h2>
+${observaciones}
+
+<div class="firmas">
+  <div class="firma">Revisor administrativo<br>${firmante("administrativo")}</div>
+  <div class="firma">Revisor técnico<br>${firmante("tecnico")}</div>
+  <div class="firma">Dirección (ex CORUFA)<br>Firma y sello</div>
+</div>
+
+<footer>
+  Generado el ${escaparHtml(generado.toLocaleString("es-AR"))} (${generado.toISOString()}) ·
+  SHA-256 del legajo: ${escaparHtml(hash)}
+</footer>
+</body>
+</html>
+`;
+}
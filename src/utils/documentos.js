@@ -0,0 +1,76 @@
+import { diasEntre } from "./muestreos.js";
+import { leerRuta } from "./requisitos.js";
+
+// ----- Datos y reglas de los documentos presentados -----
+// exp.docs.datos guarda por clave de documento ("permisoExploracion", o la clave de un documento extra) su N°,
+// autoridad, emisión, vencimiento, profesional y matrícula. Las reglas se aplican a los documentos exigidos
+// que el revisor tildó; un documento sin tildar ya figura como faltante.
+
+export const CAMPOS_DATOS_DOC = [
+  { key: "numero", label: "N°" },
+  { key: "autoridad", label: "Autoridad emisora" },
+  { key: "emision", label: "Fecha de emisión", fecha: true },
+  { key: "vencimiento", label: "Vencimiento", fecha: true },
+  { key: "profesional", label: "Profesional firmante" },
+  { key: "matricula", label: "Matrícula" },
+];
+
+// Datos que cada documento debe tener cargados
+const EXIGIDOS = {
+  permisoExploracion: ["numero", "autoridad", "emision"],
+  ensayoBombeo: ["emision", "profesional", "matricula"],
+  estudioInterferencia: ["profesional", "matricula"],
+  perfilesLitologicos: ["profesional", "matricula"],
+  memoriaDescriptiva: ["profesional", "matricula"],
+};
+
+// "docs.permisoExploracion" → "permisoExploracion"; "docs.extra.plano" → "plano"
+export function claveDocumento(ruta) {
+  return String(ruta).split(".").pop();
+}
+
+function etiquetaDato(key) {
+  return CAMPOS_DATOS_DOC.find((c) => c.key === key)?.label ?? key;
+}
+
+// Controla los datos de los documentos `aplicables` (requisitos { ruta, etiqueta }).
+// Devuelve { observaciones: [{ ruta, texto, bloquea }] } con `ruta` = el dato observado (docs.datos.<clave>.<campo>).
+export function validarDocumentos(exp, aplicables, D) {
+  const observaciones = [];
+  const revision = exp.meta.fecha;
+  const perforacion = exp.tecnicos.fechaPerforacion;
+
+  aplicables
+    .filter((r) => leerRuta(exp, r.ruta) === true)
+    .forEach(({ ruta, etiqueta }) => {
+      const clave = claveDocumento(ruta);
+      const d = exp.docs.datos?.[clave] ?? {};
+      const add = (campo, texto, bloquea = true) =>
+        observaciones.push({ ruta: `docs.datos.${clave}.${campo}`, texto: `${etiqueta}: ${texto}`, bloquea });
+
+      (EXIGIDOS[clave] || []).forEach((campo) => {
+        if (!String(d[campo] ?? "").trim()) add(campo, `falta ${etiquetaDato(campo).toLowerCase()}`);
+      });
+      if (d.emision && revision && d.emision > revision) add("emision", `emitido (${d.emision}) después de la fecha de revisión`);
+      if (d.emision && d.vencimiento && d.vencimiento < d.emision) add("vencimiento", "vence antes de su fecha de emisión");
+
+      if (clave === "permisoExploracion") {
+        // El permiso tiene que haber estado vigente al perforar
+        if (!perforacion) {
+          add("emision", "sin fecha de perforación para controlar su vigencia", false);
+        } else if (d.emision && d.emision > perforacion) {
+          add("emision", `emitido (${d.emision}) después de la perforación (${perforacion})`);
+        } else if (d.vencimiento && d.vencimiento < perforacion) {
+          add("vencimiento", `vencido (${d.vencimiento}) al perforar (${perforacion})`);
+        }
+      } else if (d.vencimiento && revision && d.vencimiento < revision) {
+        add("vencimiento", `vencido el ${d.vencimiento}`, false);
+      }
+
+      if (clave === "ensayoBombeo" && d.emision && revision) {
+        const dias = diasEntre(d.emision, revision);
+        if (dias > D.ensayo_bombeo_max_dias) add("emision", `ensayo con ${dias} días de antigüedad (máx. ${D.ensayo_bombeo_max_dias})`);
+      }
+    });
+  return { observaciones };
+}
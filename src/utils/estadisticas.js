@@ -0,0 +1,105 @@
+import { PARAMETROS_ANALISIS, USOS } from "../data/parametros.js";
+import { escribirCsv } from "./csv.js";
+import { totalesPorCategoria } from "./plenario.js";
+import { ESTADOS_TRAMITE } from "./tramite.js";
+
+// ----- Estadísticas de los legajos guardados -----
+// Se calculan sobre [{ id, e, ev }] (legajo y su evaluación con evaluarExpediente). Cada tabla es
+// { key, titulo, columnas: [{ key, label, tipo }], filas } con los valores sin formato, para mostrarla o
+// exportarla a CSV tal cual; tipo "moneda" o "porcentaje" indica cómo mostrar la columna.
+
+const SIN_DATO = "Sin dato";
+
+// Fecha de revisión dentro de [desde, hasta] (ISO, extremos incluidos; vacío = sin límite). Sin fecha de revisión
+// el legajo queda fuera si hay algún límite.
+export function enRangoFechas(e, desde, hasta) {
+  const f = e.meta.fecha;
+  if (!desde && !hasta) return true;
+  return !!f && (!desde || f >= desde) && (!hasta || f <= hasta);
+}
+
+function porcentaje(n, total) {
+  return total ? Math.round((n / total) * 1000) / 10 : 0;
+}
+
+// Cantidad de legajos por valor de `clave(item)`, de mayor a menor; `orden` fija las filas (aunque tengan 0)
+function conteo(items, clave, orden) {
+  const cantidades = new Map((orden || []).map((k) => [k, 0]));
+  items.forEach((it) => {
+    const k = clave(it);
+    cantidades.set(k, (cantidades.get(k) || 0) + 1);
+  });
+  const filas = [...cantidades.entries()].map(([k, n]) => [k, n, porcentaje(n, items.length)]);
+  return orden ? filas : filas.sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0]), "es"));
+}
+
+function tablaConteo(key, titulo, etiqueta, filas) {
+  const columnas = [
+    { key, label: etiqueta },
+    { key: "legajos", label: "Legajos" },
+    { key: "porcentaje", label: "%", tipo: "porcentaje" },
+  ];
+  return { key, titulo, columnas, filas };
+}
+
+function texto(v) {
+  return String(v ?? "").trim() || SIN_DATO;
+}
+
+export function tablasEstadisticas(evaluados) {
+  const etiquetaEstado = Object.fromEntries(ESTADOS_TRAMITE.map((s) => [s.key, s.label]));
+  const etiquetaUso = Object.fromEntries(USOS.map((u) => [u.key, u.label]));
+
+  const tasas = totalesPorCategoria(evaluados.map(({ ev }) => ({ cat: ev.tasa.cat, monto: ev.tasa.monto })));
+  const categorias = {
+    key: "categoria",
+    titulo: "Categorías de tasa",
+    columnas: [
+      { key: "categoria", label: "Categoría" },
+      { key: "legajos", label: "Legajos" },
+      { key: "monto_anual", label: "Monto anual", tipo: "moneda" },
+    ],
+    filas: [...tasas.categorias.map((t) => [t.cat, t.cantidad, t.monto]), ["Total", tasas.cantidad, tasas.monto]],
+  };
+
+  // Frecuencia de fallas sobre los legajos en los que el parámetro se evaluó (con dato y exigido por el uso)
+  const parametros = PARAMETROS_ANALISIS.map(({ key, label }) => {
+    const estados = evaluados.map(({ ev }) => ev.anal.r[key]).filter((r) => r !== undefined && r !== null);
+    const fuera = estados.filter((r) => r === false).length;
+    const indeterminados = estados.filter((r) => r === "indeterminado").length;
+    return [label, estados.length, fuera, indeterminados, porcentaje(fuera, estados.length)];
+  })
+    .filter((f) => f[1] > 0)
+    .sort((a, b) => b[2] - a[2] || b[4] - a[4] || a[0].localeCompare(b[0], "es"));
+
+  const estados = conteo(evaluados, ({ e }) => e.meta.estado, Object.keys(etiquetaEstado));
+  const veredictos = conteo(evaluados, ({ ev }) => (ev.allGreen ? "APROBADO" : "NO APROBADO"), ["APROBADO", "NO APROBADO"]);
+  const departamentos = conteo(evaluados, ({ e }) => texto(e.tecnicos.departamento));
+  const acuiferos = conteo(evaluados, ({ e }) => texto(e.tecnicos.acuifero));
+  const usos = conteo(evaluados, ({ e }) => (e.tecnicos.uso ? etiquetaUso[e.tecnicos.uso] ?? e.tecnicos.uso : SIN_DATO));
+
+  return [
+    tablaConteo("estado", "Estado del trámite", "Estado", estados.map(([k, ...r]) => [etiquetaEstado[k] ?? k, ...r])),
+    tablaConteo("veredicto", "Veredicto", "Veredicto", veredictos),
+    tablaConteo("departamento", "Perforaciones por departamento", "Departamento", departamentos),
+    tablaConteo("acuifero", "Perforaciones por acuífero", "Acuífero", acuiferos),
+    tablaConteo("uso", "Uso declarado", "Uso", usos),
+    categorias,
+    {
+      key: "parametro",
+      titulo: "Fallas por parámetro de análisis",
+      columnas: [
+        { key: "parametro", label: "Parámetro" },
+        { key: "evaluados", label: "Evaluados" },
+        { key: "fuera_de_norma", label: "Fuera de norma" },
+        { key: "indeterminados", label: "Indeterminados" },
+        { key: "porcentaje_fuera", label: "% fuera", tipo: "porcentaje" },
+      ],
+      filas: parametros,
+    },
+  ];
+}
+
+export function tablaCsv(tabla) {
+  return escribirCsv([tabla.columnas.map((c) => c.key), ...tabla.filas]);
+}
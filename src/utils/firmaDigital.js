@@ -0,0 +1,101 @@
+import { sha256Hex } from "./anexos.js";
+import { jsonCanonico } from "./dictamen.js";
+
+// ----- Firma digital de las exportaciones -----
+// Cada revisor genera en su equipo un par de claves ECDSA P-256 (WebCrypto); la privada no sale del navegador.
+// El JSON exportado lleva firma = { algoritmo, revisor, clavePublica, fecha, valor }: `valor` firma el JSON canónico
+// del archivo entero sin el propio `valor` (legajo, valores de referencia, requisitos y quién firmó), así que
+// cambiar cualquier campo invalida la firma. Al importar se verifica y la clave se coteja con las de confianza.
+
+export const ALGORITMO_FIRMA = "ECDSA-P256-SHA256";
+
+const CURVA = { name: "ECDSA", namedCurve: "P-256" };
+const FIRMA = { name: "ECDSA", hash: "SHA-256" };
+
+export const ESTADOS_FIRMA = {
+  valida: { color: "green", label: "Firma válida" },
+  no_confiable: { color: "yellow", label: "Firma correcta, pero la clave no está entre las de confianza" },
+  alterada: { color: "red", label: "Alterado: el contenido no coincide con la firma" },
+  no_verificable: { color: "gray", label: "Firmado, pero este navegador no puede verificar la firma" },
+  sin_firma: { color: "gray", label: "Sin firma" },
+};
+
+// Solo los campos que definen la clave (los navegadores agregan key_ops y ext, que no hacen a la identidad)
+export function clavePublicaMinima(jwk) {
+  return { kty: jwk?.kty, crv: jwk?.crv, x: jwk?.x, y: jwk?.y };
+}
+
+export function esClavePublica(jwk) {
+  return jwk?.kty === "EC" && jwk.crv === "P-256" && typeof jwk.x === "string" && typeof jwk.y === "string";
+}
+
+// SHA-256 de la clave pública, para reconocerla y compararla por otro medio (teléfono, nota)
+export function huellaClave(jwk) {
+  return sha256Hex(new TextEncoder().encode(jsonCanonico(clavePublicaMinima(jwk))));
+}
+
+// "3f9a c01e 77b2 d4a0": los primeros 64 bits, legibles en voz alta
+export function huellaCorta(huella) {
+  return String(huella || "").slice(0, 16).match(/.{1,4}/g)?.join(" ") ?? "";
+}
+
+// Resultado de verificarExportacion en una línea, para el historial del legajo importado
+export function textoVerificacion(verificacion) {
+  const { estado, revisor, huella } = verificacion;
+  return [ESTADOS_FIRMA[estado]?.label ?? estado, revisor, huella && `huella ${huellaCorta(huella)}`].filter(Boolean).join(" · ");
+}
+
+function aBase64(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+function deBase64(txt) {
+  return Uint8Array.from(atob(txt), (c) => c.charCodeAt(0));
+}
+
+// Bytes firmados: el documento con su firma salvo `valor`
+function contenidoFirmado(obj) {
+  const { valor: _valor, ...firma } = obj.firma;
+  return new TextEncoder().encode(jsonCanonico({ ...obj, firma }));
+}
+
+// Par nuevo: la privada no se puede exportar (solo firmar con ella en este navegador)
+export async function generarClaves() {
+  const par = await crypto.subtle.generateKey(CURVA, false, ["sign", "verify"]);
+  const clavePublica = clavePublicaMinima(await crypto.subtle.exportKey("jwk", par.publicKey));
+  return { privada: par.privateKey, clavePublica, huella: await huellaClave(clavePublica) };
+}
+
+// `exportacion` es el resultado de crearExportacion; `revisor` = { nombre } queda dentro de lo firmado
+export async function firmarExportacion(exportacion, { privada, clavePublica, revisor }, fecha = new Date().toISOString()) {
+  const { firma: _anterior, ...doc } = exportacion;
+  const firmado = { ...doc, firma: { algoritmo: ALGORITMO_FIRMA, revisor, clavePublica: clavePublicaMinima(clavePublica), fecha } };
+  const valor = await crypto.subtle.sign(FIRMA, privada, contenidoFirmado(firmado));
+  return { ...firmado, firma: { ...firmado.firma, valor: aBase64(valor) } };
+}
+
+// Verifica el JSON tal como se leyó (antes de migrarlo). Devuelve { estado, revisor, fecha, huella, clavePublica,
+// confiable } con estado según ESTADOS_FIRMA; `confiable` es la entrada de `confiables` que coincide con la clave.
+// Sin WebCrypto (página abierta por http desde otro equipo) la firma queda no_verificable: no se da por buena ni
+// por alterada.
+export async function verificarExportacion(obj, confiables = []) {
+  const firma = obj?.firma;
+  if (firma === undefined || firma === null) return { estado: "sin_firma" };
+  const datos = { revisor: String(firma.revisor?.nombre ?? ""), fecha: String(firma.fecha ?? "") };
+  if (firma.algoritmo !== ALGORITMO_FIRMA || !esClavePublica(firma.clavePublica) || typeof firma.valor !== "string") {
+    return { estado: "alterada", ...datos };
+  }
+  if (!globalThis.crypto?.subtle) return { estado: "no_verificable", ...datos, huella: await huellaClave(firma.clavePublica) };
+  let correcta;
+  try {
+    const clave = await crypto.subtle.importKey("jwk", clavePublicaMinima(firma.clavePublica), CURVA, true, ["verify"]);
+    correcta = await crypto.subtle.verify(FIRMA, clave, deBase64(firma.valor), contenidoFirmado(obj));
+  } catch {
+    correcta = false; // clave fuera de la curva o firma que no es base64
+  }
+  if (!correcta) return { estado: "alterada", ...datos };
+  const huella = await huellaClave(firma.clavePublica);
+  const confiable = confiables.find((c) => c.huella === huella) ?? null;
+  const clavePublica = clavePublicaMinima(firma.clavePublica);
+  return { estado: confiable ? "valida" : "no_confiable", ...datos, huella, clavePublica, confiable };
+}
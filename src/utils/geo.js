@@ -0,0 +1,127 @@
+import { LOCALIDADES_POR_DEPARTAMENTO } from "../data/localidadesEntreRios.js";
+
+// ----- Punto en polígono y consistencia de ubicación -----
+
+// Tolerancia de borde: la geometría incluida es simplificada, así que un punto a menos de
+// esta distancia del departamento declarado se observa pero no bloquea.
+export const TOLERANCIA_BORDE_KM = 3;
+
+export function normalizarNombre(s) {
+  return String(s ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/^(departamento|depto\.?|dpto\.?)\s+/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const ALIAS_DEPARTAMENTO = { ibicuy: "islas del ibicuy", islas: "islas del ibicuy" };
+
+function claveDepartamento(s) {
+  const n = normalizarNombre(s);
+  return ALIAS_DEPARTAMENTO[n] || n;
+}
+
+// Ray casting sobre un anillo [[lon, lat], ...]
+function puntoEnAnillo(lon, lat, anillo) {
+  let dentro = false;
+  for (let i = 0, j = anillo.length - 1; i < anillo.length; j = i++) {
+    const [xi, yi] = anillo[i];
+    const [xj, yj] = anillo[j];
+    if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) dentro = !dentro;
+  }
+  return dentro;
+}
+
+function poligonos(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === "Polygon") return [geometry.coordinates];
+  if (geometry.type === "MultiPolygon") return geometry.coordinates;
+  return [];
+}
+
+export function puntoEnGeometria(lon, lat, geometry) {
+  return poligonos(geometry).some(
+    ([exterior, ...huecos]) => puntoEnAnillo(lon, lat, exterior) && !huecos.some((h) => puntoEnAnillo(lon, lat, h))
+  );
+}
+
+// Nombre del departamento en distintas capas: la incluida usa `nombre`, las del IGN/IDER `nam` o `departamento`
+export function nombreFeature(f) {
+  const p = f.properties || {};
+  return p.nombre ?? p.nam ?? p.departamento ?? p.NOMBRE ?? p.name ?? "";
+}
+
+export function departamentoEnPunto(capa, lat, lon) {
+  const f = capa.features.find((feat) => puntoEnGeometria(lon, lat, feat.geometry));
+  return f ? nombreFeature(f) : null;
+}
+
+// Distancia aproximada (km) del punto al borde más cercano de una geometría (proyección equirectangular local)
+export function distanciaBordeKm(lon, lat, geometry) {
+  const kx = 111.32 * Math.cos((lat * Math.PI) / 180);
+  const ky = 110.57;
+  let min = Infinity;
+  poligonos(geometry).forEach((poly) =>
+    poly.forEach((anillo) => {
+      for (let i = 0; i < anillo.length - 1; i++) {
+        const ax = (anillo[i][0] - lon) * kx;
+        const ay = (anillo[i][1] - lat) * ky;
+        const bx = (anillo[i + 1][0] - lon) * kx;
+        const by = (anillo[i + 1][1] - lat) * ky;
+        const dx = bx - ax;
+        const dy = by - ay;
+        const t = dx || dy ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / (dx * dx + dy * dy))) : 0;
+        min = Math.min(min, Math.hypot(ax + t * dx, ay + t * dy));
+      }
+    })
+  );
+  return min;
+}
+
+export function departamentoDeLocalidad(localidad) {
+  const n = normalizarNombre(localidad);
+  if (!n) return null;
+  const hit = Object.entries(LOCALIDADES_POR_DEPARTAMENTO).find(([, locs]) => locs.some((l) => normalizarNombre(l) === n));
+  return hit ? hit[0] : null;
+}
+
+// Controla coordenadas vs. departamento y localidad declarados.
+// Devuelve { deptoPunto, observaciones: [{ texto, bloquea }] }.
+export function verificarUbicacion(tecnicos, capa) {
+  const observaciones = [];
+  const { lat, lon, departamento, localidad } = tecnicos;
+  const deptoLocalidad = departamentoDeLocalidad(localidad);
+  if (deptoLocalidad && departamento && claveDepartamento(deptoLocalidad) !== claveDepartamento(departamento)) {
+    observaciones.push({ texto: `La localidad ${localidad} pertenece al departamento ${deptoLocalidad}, no a ${departamento}`, bloquea: false });
+  }
+  if (lat == null || lon == null) return { deptoPunto: null, observaciones };
+
+  const deptoPunto = departamentoEnPunto(capa, lat, lon);
+  if (!deptoPunto) {
+    observaciones.push({ texto: "Las coordenadas no caen en ningún departamento de la capa cargada", bloquea: false });
+    return { deptoPunto, observaciones };
+  }
+  if (departamento && claveDepartamento(deptoPunto) !== claveDepartamento(departamento)) {
+    const declarado = capa.features.find((f) => claveDepartamento(nombreFeature(f)) === claveDepartamento(departamento));
+    const dist = declarado ? distanciaBordeKm(lon, lat, declarado.geometry) : Infinity;
+    if (dist <= TOLERANCIA_BORDE_KM) {
+      observaciones.push({
+        texto: `El punto cae en ${deptoPunto}, a ${dist.toFixed(1)} km del límite con ${departamento}: verificar con cartografía oficial`,
+        bloquea: false,
+      });
+    } else {
+      observaciones.push({ texto: `Las coordenadas corresponden al departamento ${deptoPunto}, no a ${departamento}`, bloquea: true });
+    }
+  }
+  return { deptoPunto, observaciones };
+}
+
+// Devuelve un mensaje de error si el GeoJSON no sirve como capa de departamentos
+export function validarCapaDepartamentos(obj) {
+  if (obj?.type !== "FeatureCollection" || !Array.isArray(obj.features)) return "El archivo no es un FeatureCollection GeoJSON";
+  const utiles = obj.features.filter((f) => poligonos(f.geometry).length > 0 && nombreFeature(f));
+  if (utiles.length === 0) return "No hay polígonos con nombre de departamento (propiedad nombre / nam / departamento)";
+  return null;
+}
@@ -0,0 +1,79 @@
+// ----- Consistencia hidráulica -----
+// Cruza caudal horario, horas de bombeo y volumen anual declarados, y controla que el caudal
+// sea plausible para el diámetro de entubado y la profundidad.
+
+// Un año no tiene más horas: el tope configurable de horas anuales no puede superarlo
+export const HORAS_ANIO = 8760;
+
+function num(x) {
+  if (x === null || x === undefined || String(x).trim() === "") return null;
+  const n = Number(x);
+  return isFinite(n) ? n : null;
+}
+
+// Caudal máximo plausible para el diámetro (fila de mayor diámetro que no supere el declarado)
+export function caudalMaximoPorDiametro(tabla, diametro) {
+  const filas = [...tabla].filter((f) => f.pulg <= diametro).sort((a, b) => b.pulg - a.pulg);
+  return filas.length ? filas[0].max_m3h : null;
+}
+
+// Devuelve { volCalculado, difPct, observaciones: [{ campo, texto, bloquea }] }
+export function checkHidraulica(tecnicos, H) {
+  const caudal = num(tecnicos.caudal_m3h);
+  const horas = num(tecnicos.horas_anuales);
+  const anual = num(tecnicos.caudal_anual_m3);
+  const diametro = num(tecnicos.diametro_pulg);
+  const profundidad = num(tecnicos.profundidad_m);
+  const horasMax = Math.min(H.horas_anuales_max, HORAS_ANIO);
+  const observaciones = [];
+
+  if (horas != null && (horas < 0 || horas > horasMax)) {
+    observaciones.push({
+      campo: "horas_anuales",
+      texto: `Horas anuales fuera de rango (0 – ${horasMax} h)`,
+      bloquea: true,
+    });
+  }
+
+  let volCalculado = null;
+  let difPct = null;
+  if (caudal != null && horas != null) {
+    volCalculado = caudal * Math.min(Math.max(horas, 0), horasMax);
+    if (anual != null && volCalculado > 0) {
+      difPct = (Math.abs(anual - volCalculado) / volCalculado) * 100;
+      if (difPct > H.tolerancia_volumen_pct) {
+        observaciones.push({
+          campo: "caudal_anual_m3",
+          texto: `Volumen anual declarado (${anual.toLocaleString("es-AR")} m³) difiere ${difPct.toFixed(0)}% de caudal × horas (${volCalculado.toLocaleString("es-AR")} m³); tolerancia ${H.tolerancia_volumen_pct}%`,
+          bloquea: true,
+        });
+      }
+    }
+  }
+
+  if (caudal != null && diametro != null) {
+    const max = caudalMaximoPorDiametro(H.caudal_por_diametro, diametro);
+    if (max == null) {
+      observaciones.push({ campo: "diametro_pulg", texto: `Diámetro de ${diametro}" menor al mínimo de la tabla`, bloquea: false });
+    } else if (caudal > max) {
+      observaciones.push({
+        campo: "caudal_m3h",
+        texto: `Caudal de ${caudal} m³/h poco plausible para ${diametro}" (máx. orientativo ${max} m³/h)`,
+        bloquea: false,
+      });
+    }
+  }
+
+  if (caudal != null && profundidad != null && profundidad > 0) {
+    const max = profundidad * H.caudal_max_m3h_por_m;
+    if (caudal > max) {
+      observaciones.push({
+        campo: "caudal_m3h",
+        texto: `Caudal de ${caudal} m³/h poco plausible para ${profundidad} m de profundidad (máx. orientativo ${max} m³/h)`,
+        bloquea: false,
+      });
+    }
+  }
+
+  return { volCalculado, difPct, observaciones };
+}
@@ -0,0 +1,108 @@
+// ----- Indicadores hidroquímicos derivados -----
+// Balance iónico, RAS (SAR) con clase de aptitud para riego, dureza calculada y STD estimado.
+
+// mg/L → meq/L: peso equivalente = peso molecular / carga
+const PESO_EQ = {
+  calcio: 20.04,
+  magnesio: 12.15,
+  sodio: 22.99,
+  potasio: 39.1,
+  bicarbonato: 61.02,
+  carbonato: 30.0,
+  sulfatos: 48.03,
+  cloruros: 35.45,
+  nitratos: 62.0,
+};
+const CATIONES = ["calcio", "magnesio", "sodio", "potasio"];
+const ANIONES = ["bicarbonato", "carbonato", "sulfatos", "cloruros", "nitratos"];
+// Sin estos no tiene sentido el balance; el resto (K, CO3, NO3) cuenta como 0 si falta
+const MAYORITARIOS = ["calcio", "magnesio", "sodio", "bicarbonato", "sulfatos", "cloruros"];
+
+function num(x) {
+  if (x === null || x === undefined || String(x).trim() === "") return null;
+  const n = Number(x);
+  return isFinite(n) ? n : null;
+}
+
+export function meqL(analisis, ion) {
+  const v = num(analisis[ion]);
+  return v == null ? null : v / PESO_EQ[ion];
+}
+
+// Clase de salinidad (C1–C4) por conductividad en µS/cm
+export function claseSalinidad(ce) {
+  if (ce < 250) return "C1";
+  if (ce < 750) return "C2";
+  if (ce < 2250) return "C3";
+  return "C4";
+}
+
+// Clase de sodicidad (S1–S4) según el diagrama de Richards (USSL, 1954): los límites bajan con la CE
+export function claseSodicidad(sar, ce) {
+  const l = Math.log10(Math.max(ce, 100));
+  if (sar <= 18.87 - 4.44 * l) return "S1";
+  if (sar <= 31.31 - 6.66 * l) return "S2";
+  if (sar <= 43.75 - 8.87 * l) return "S3";
+  return "S4";
+}
+
+const APTITUD_RIEGO = {
+  C1: "apta",
+  C2: "apta con lavado moderado",
+  C3: "suelos con buen drenaje y cultivos tolerantes",
+  C4: "no apta en condiciones normales",
+};
+
+// Devuelve los indicadores calculables y la lista de motivos para re-chequeo del laboratorio
+export function indicadoresHidroquimicos(analisis, H) {
+  const motivos = [];
+  const out = { balance: null, sar: null, riego: null, dureza: null, std: null, motivos, recheck: false };
+
+  if (MAYORITARIOS.every((k) => num(analisis[k]) != null)) {
+    const cat = CATIONES.reduce((s, k) => s + (meqL(analisis, k) ?? 0), 0);
+    const an = ANIONES.reduce((s, k) => s + (meqL(analisis, k) ?? 0), 0);
+    const errorPct = cat + an > 0 ? ((cat - an) / (cat + an)) * 100 : 0;
+    out.balance = { cationes: cat, aniones: an, errorPct };
+    if (Math.abs(errorPct) > H.balance_max_pct) {
+      motivos.push(`Balance iónico ${errorPct.toFixed(1)}% (máx. ±${H.balance_max_pct}%)`);
+    }
+  }
+
+  const na = meqL(analisis, "sodio");
+  const ca = meqL(analisis, "calcio");
+  const mg = meqL(analisis, "magnesio");
+  const ce = num(analisis.conductividad);
+  if (na != null && ca != null && mg != null && ca + mg > 0) {
+    out.sar = na / Math.sqrt((ca + mg) / 2);
+    if (ce != null && ce > 0) {
+      const c = claseSalinidad(ce);
+      const sClase = claseSodicidad(out.sar, ce);
+      out.riego = { clase: `${c}-${sClase}`, aptitud: sClase === "S4" ? APTITUD_RIEGO.C4 : APTITUD_RIEGO[c] };
+    }
+  }
+
+  const caMg = num(analisis.calcio);
+  const mgMg = num(analisis.magnesio);
+  if (caMg != null && mgMg != null) {
+    const calculada = 2.497 * caMg + 4.118 * mgMg; // mg/L como CaCO3
+    const declarada = num(analisis.dureza);
+    const difPct = declarada != null && calculada > 0 ? (Math.abs(declarada - calculada) / calculada) * 100 : null;
+    out.dureza = { calculada, declarada, difPct };
+    if (difPct != null && difPct > H.dureza_tolerancia_pct) {
+      motivos.push(`Dureza declarada ${declarada} vs. calculada ${calculada.toFixed(0)} mg/L CaCO₃ (${difPct.toFixed(0)}%)`);
+    }
+  }
+
+  if (ce != null && ce > 0) {
+    const estimado = H.std_factor_ce * ce;
+    const declarado = num(analisis.std);
+    const difPct = declarado != null ? (Math.abs(declarado - estimado) / estimado) * 100 : null;
+    out.std = { estimado, declarado, difPct };
+    if (difPct != null && difPct > H.std_tolerancia_pct) {
+      motivos.push(`STD declarado ${declarado} vs. estimado por CE ${estimado.toFixed(0)} mg/L (${difPct.toFixed(0)}%)`);
+    }
+  }
+
+  out.recheck = motivos.length > 0;
+  return out;
+}
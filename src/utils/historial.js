@@ -0,0 +1,70 @@
+// ----- Historial de cambios del expediente -----
+// Cada entrada es { ts, usuario, ruta, antes, despues, accion }; antes/despues van como JSON
+// para conservar el tipo (texto, número, booleano, lista) sin complicar el saneo del esquema.
+
+// Ediciones seguidas del mismo campo dentro de esta ventana se registran como una sola (tipeo)
+export const VENTANA_FUSION_MS = 60 * 1000;
+
+// Entradas que se conservan por legajo: al pasar el tope se descartan las más viejas (el legajo se guarda
+// entero en localStorage y en cada exportación)
+export const MAX_HISTORIAL = 2000;
+
+function esObjeto(x) {
+  return x !== null && typeof x === "object" && !Array.isArray(x);
+}
+
+// Diferencias hoja a hoja entre dos versiones (las listas se comparan enteras)
+export function diferencias(antes, despues, ruta = "") {
+  if (!esObjeto(antes) || !esObjeto(despues)) {
+    return JSON.stringify(antes) === JSON.stringify(despues) ? [] : [{ ruta, antes, despues }];
+  }
+  const claves = [...new Set([...Object.keys(antes), ...Object.keys(despues)])];
+  return claves.flatMap((k) => diferencias(antes[k], despues[k], ruta ? `${ruta}.${k}` : k));
+}
+
+function codificar(v) {
+  return v === undefined ? "" : JSON.stringify(v);
+}
+
+export function decodificar(txt) {
+  if (txt === "") return undefined;
+  try {
+    return JSON.parse(txt);
+  } catch {
+    return txt;
+  }
+}
+
+// Los registros propios (historial y pases de estado del trámite) no son campos editables y no se comparan
+function sinRegistros({ historial, tramite, ...resto }) {
+  return resto;
+}
+
+// Devuelve `nuevo` con los cambios respecto de `previo` agregados al historial de `previo` (el historial de
+// `nuevo` se ignora: solo se agrega), y si se fusionaron con la última entrada. Sin cambios devuelve `previo`.
+export function registrarCambios(previo, nuevo, { ts = new Date().toISOString(), accion = "edicion" } = {}) {
+  const historial = previo.historial || [];
+  const cambios = diferencias(sinRegistros(previo), sinRegistros(nuevo));
+  if (cambios.length === 0) return { exp: previo, fusionado: false };
+
+  const usuario = nuevo.meta?.revisadoPor || "";
+  const ultima = historial[historial.length - 1];
+  const fusionable =
+    accion === "edicion" &&
+    cambios.length === 1 &&
+    ultima &&
+    ultima.accion === "edicion" &&
+    ultima.ruta === cambios[0].ruta &&
+    ultima.usuario === usuario &&
+    Date.parse(ts) - Date.parse(ultima.ts) < VENTANA_FUSION_MS;
+  if (fusionable) {
+    const despues = codificar(cambios[0].despues);
+    const previas = historial.slice(0, -1);
+    // Si el campo volvió al valor original, la edición se anula
+    const entradas = ultima.antes === despues ? previas : [...previas, { ...ultima, ts, despues }];
+    return { exp: { ...nuevo, historial: entradas }, fusionado: true };
+  }
+
+  const entradas = cambios.map((c) => ({ ts, usuario, ruta: c.ruta, antes: codificar(c.antes), despues: codificar(c.despues), accion }));
+  return { exp: { ...nuevo, historial: [...historial, ...entradas].slice(-MAX_HISTORIAL) }, fusionado: false };
+}
@@ -0,0 +1,178 @@
+import { PARAMETROS_ANALISIS } from "../data/parametros.js";
+import { fechaISO, parsearCsv } from "./csv.js";
+import { muestreosOrdenados, muestreoVigente } from "./muestreos.js";
+import { convertir, leerResultado, medicion, textoResultado, unidadDe } from "./resultados.js";
+import { estaCongelado, etiquetaEstado } from "./tramite.js";
+
+// ----- Importación masiva de análisis (CSV del laboratorio) -----
+// Una fila por muestra; la columna `expedienteId` indica a qué legajo va y `protocolo` / `fechaMuestreo`, a qué
+// muestreo: si el legajo ya tiene uno con ese N° de protocolo se completa, si no se agrega uno nuevo; sin protocolo
+// se completa el vigente. Las cabeceras se reconocen por alias o por el mapeo guardado del laboratorio
+// ({ [cabecera normalizada]: campo | "" para ignorarla }); la unidad entre paréntesis de la cabecera
+// ("Arsénico (µg/L)") vale para toda la columna. Cada celda se guarda como resultado nuevo con el texto tal
+// cual viene del laboratorio.
+
+export const CAMPO_EXPEDIENTE = "expedienteId";
+export const CAMPO_PROTOCOLO = "protocolo";
+export const CAMPO_FECHA = "fechaMuestreo";
+const CAMPOS_MUESTREO = [CAMPO_EXPEDIENTE, CAMPO_PROTOCOLO, CAMPO_FECHA];
+
+// Alias además del `key` y el rótulo de la grilla (normalizados sin acentos ni signos)
+const ALIAS = {
+  expedienteId: ["expediente", "expediente id", "n expediente", "nro expediente", "legajo", "n legajo", "muestra expediente"],
+  protocolo: ["n protocolo", "nro protocolo", "protocolo n", "informe", "n informe", "muestra", "n muestra"],
+  fechaMuestreo: ["fecha muestreo", "fecha de muestreo", "fecha toma", "fecha de toma", "fecha extraccion", "fecha"],
+  pH: ["ph"],
+  arsenico: ["as", "ars", "arsenico"],
+  nitratos: ["no3", "nitrato"],
+  nitritos: ["no2", "nitrito"],
+  conductividad: ["ce", "cond", "conductividad electrica"],
+  dureza: ["dureza total", "caco3"],
+  std: ["tds", "solidos disueltos", "solidos disueltos totales"],
+  calcio: ["ca"],
+  magnesio: ["mg"],
+  sodio: ["na"],
+  potasio: ["k"],
+  bicarbonato: ["hco3", "bicarbonatos"],
+  carbonato: ["co3", "carbonatos"],
+  sulfatos: ["so4", "sulfato"],
+  cloruros: ["cl", "cloruro"],
+  temperatura: ["t", "temp"],
+  coliformes: ["coliformes totales", "ct"],
+  ecoli: ["e coli", "escherichia coli"],
+  salmonella: [],
+  pseudomonas: ["pseudomonas aeruginosa"],
+  aerobios: ["aerobicos mesofilos", "aerobios mesofilos", "bacterias aerobias"],
+};
+
+// Parámetros de presencia/ausencia: solo 0 o 1
+const PRESENCIA = ["salmonella", "pseudomonas"];
+
+export function normalizarCabecera(s) {
+  return String(s ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Cabecera sin la unidad entre paréntesis: "Arsénico (mg/L)" → "arsenico"
+function sinUnidad(s) {
+  return normalizarCabecera(String(s ?? "").replace(/\([^)]*\)/g, ""));
+}
+
+const RECONOCIDAS = (() => {
+  const out = {};
+  const agregar = (alias, campo) => {
+    if (alias && !(alias in out)) out[alias] = campo;
+  };
+  CAMPOS_MUESTREO.forEach((campo) => [normalizarCabecera(campo), ...ALIAS[campo]].forEach((a) => agregar(a, campo)));
+  PARAMETROS_ANALISIS.forEach(({ key, label }) => {
+    [normalizarCabecera(key), normalizarCabecera(label), sinUnidad(label), ...(ALIAS[key] || [])].forEach((a) => agregar(a, key));
+  });
+  return out;
+})();
+
+// Mapeo sin las asignaciones a campos que no existen (guardado con otra versión o recibido del servidor)
+export function depurarMapeo(mapeo) {
+  const campos = [...CAMPOS_MUESTREO, ...PARAMETROS_ANALISIS.map((p) => p.key)];
+  return Object.fromEntries(Object.entries(mapeo).filter(([, campo]) => campo === "" || campos.includes(campo)));
+}
+
+// Campo de cada columna: primero el mapeo del laboratorio ("" = ignorar), después los alias.
+// `origen`: "mapeo" | "alias" | "repetida" (otra columna ya carga ese campo) | null (no reconocida).
+export function mapearColumnas(cabecera, mapeo = {}) {
+  const usados = new Set();
+  return cabecera.map((texto) => {
+    const clave = normalizarCabecera(texto);
+    const mapeada = clave in mapeo;
+    const campo = mapeada ? mapeo[clave] || null : RECONOCIDAS[clave] || RECONOCIDAS[sinUnidad(texto)] || null;
+    const unidad = unidadDe(texto.match(/\(([^)]*)\)/)?.[1]);
+    if (!campo) return { texto, clave, campo: null, unidad, origen: mapeada ? "mapeo" : null };
+    if (usados.has(campo)) return { texto, clave, campo: null, unidad, origen: "repetida" };
+    usados.add(campo);
+    return { texto, clave, campo, unidad, origen: mapeada ? "mapeo" : "alias" };
+  });
+}
+
+function validarCelda(campo, texto, unidadColumna) {
+  const r = leerResultado(texto);
+  if (r.error) return r.error;
+  const ref = PARAMETROS_ANALISIS.find((p) => p.key === campo).unidad;
+  const unidad = r.unidad ?? unidadColumna ?? ref;
+  if (convertir(1, unidad, ref) == null) return `${unidad} no corresponde a este parámetro`;
+  if (r.calificador || r.valor == null) return null;
+  if (r.valor < 0) return "valor negativo";
+  if (campo === "pH" && r.valor > 14) return "pH fuera de 0 – 14";
+  if (PRESENCIA.includes(campo) && r.valor !== 0 && r.valor !== 1) return "usar 1 (presencia) o 0 (ausencia)";
+  return null;
+}
+
+// Vista previa sin modificar nada. Devuelve { columnas, filas, errores } donde cada fila es
+// { fila, expedienteId, protocolo, fecha, muestreoId, error, celdas: [{ campo, texto, valor, antes, despues, cambia, error }] }:
+// `muestreoId` es el muestreo que se completa (null = nuevo), `valor` el resultado a guardar y `antes` / `despues`
+// como se muestran (antes = el muestreo que se completa o, si es nuevo, el vigente). Las celdas vacías no cambian nada.
+export function previsualizarAnalisis(texto, expedientes, mapeo = {}) {
+  const [cabecera = [], ...resto] = parsearCsv(texto);
+  const columnas = mapearColumnas(cabecera, mapeo);
+  const indice = (campo) => columnas.findIndex((c) => c.campo === campo);
+  const errores = [];
+  if (cabecera.length === 0) errores.push({ fila: 1, texto: "El archivo está vacío" });
+  else if (indice(CAMPO_EXPEDIENTE) < 0) errores.push({ fila: 1, texto: "Falta la columna expedienteId (N° de expediente)" });
+  if (cabecera.length > 0 && !columnas.some((c) => c.campo && !CAMPOS_MUESTREO.includes(c.campo))) {
+    errores.push({ fila: 1, texto: "Ninguna columna corresponde a un parámetro de análisis" });
+  }
+  if (errores.length) return { columnas, filas: [], errores };
+
+  const vistos = new Set();
+  const filas = resto.map((f, i) => {
+    const celda = (campo) => (indice(campo) >= 0 ? f[indice(campo)] ?? "" : "");
+    const expedienteId = celda(CAMPO_EXPEDIENTE);
+    const protocolo = celda(CAMPO_PROTOCOLO);
+    const fecha = celda(CAMPO_FECHA) ? fechaISO(celda(CAMPO_FECHA)) : "";
+    const exp = expedientes[expedienteId];
+    const clave = `${expedienteId}|${protocolo}`;
+    const error = !expedienteId
+      ? "sin N° de expediente"
+      : vistos.has(clave)
+      ? `expediente ${expedienteId}${protocolo ? `, protocolo ${protocolo},` : ""} repetido en el archivo`
+      : !exp
+      ? `expediente ${expedienteId} no está en la bandeja`
+      : estaCongelado(exp)
+      ? `expediente ${expedienteId} ${etiquetaEstado(exp.meta.estado).toLowerCase()}: reabrilo para cargar análisis`
+      : fecha === null
+      ? `fecha de muestreo "${celda(CAMPO_FECHA)}" ilegible`
+      : null;
+    vistos.add(clave);
+    const destino = !exp ? null : protocolo ? muestreosOrdenados(exp).find((m) => m.protocolo === protocolo) ?? null : muestreoVigente(exp);
+    const base = destino ?? (exp ? muestreoVigente(exp) : null);
+    const celdas = columnas
+      .map((c, j) => [c, f[j] ?? ""])
+      .filter(([c, t]) => c.campo && !CAMPOS_MUESTREO.includes(c.campo) && t !== "")
+      .map(([{ campo, unidad }, t]) => {
+        const actual = base?.analisis?.[campo];
+        const valor = medicion(t, unidad ?? "");
+        const e = validarCelda(campo, t, unidad);
+        // En un muestreo nuevo todo valor válido es un cambio
+        const cambia = !e && (!destino || actual?.texto !== valor.texto || actual?.unidad !== valor.unidad || actual?.ld !== valor.ld);
+        return { campo, texto: t, valor, antes: textoResultado(actual), despues: textoResultado(valor), cambia, error: e };
+      });
+    return { fila: i + 2, expedienteId, protocolo, fecha, muestreoId: destino?.id ?? null, error, celdas };
+  });
+  return { columnas, filas, errores };
+}
+
+// Cambios aplicables de la vista previa: { [expedienteId]: [{ muestreoId, protocolo, fecha, valores }] } con
+// `valores` = { campo: resultado }. Se omiten las filas con error y las celdas inválidas o sin cambios.
+export function cambiosAplicables(previa) {
+  const out = {};
+  previa.filas
+    .filter((f) => !f.error)
+    .forEach((f) => {
+      const valores = Object.fromEntries(f.celdas.filter((c) => c.cambia).map((c) => [c.campo, c.valor]));
+      if (Object.keys(valores).length === 0) return;
+      out[f.expedienteId] = [...(out[f.expedienteId] || []), { muestreoId: f.muestreoId, protocolo: f.protocolo, fecha: f.fecha, valores }];
+    });
+  return out;
+}
@@ -0,0 +1,57 @@
+// ----- Muestreos del expediente -----
+// exp.muestreos es { [id]: { laboratorio, protocolo, fecha, analisis } } con ids "m1", "m2"…, y
+// exp.muestreoVigente el id del muestreo que cuenta para el veredicto (lo marca el revisor).
+
+function numeroId(id) {
+  const n = Number(String(id).replace(/^m/, ""));
+  return isFinite(n) ? n : 0;
+}
+
+// Lista [{ id, ...muestreo }] por fecha de toma (los sin fecha al final) y, a igual fecha, por orden de carga
+export function muestreosOrdenados(exp) {
+  return Object.entries(exp.muestreos || {})
+    .map(([id, m]) => ({ id, ...m }))
+    .sort((a, b) => {
+      if (a.fecha !== b.fecha) return !a.fecha ? 1 : !b.fecha ? -1 : a.fecha < b.fecha ? -1 : 1;
+      return numeroId(a.id) - numeroId(b.id);
+    });
+}
+
+export function muestreoVigente(exp) {
+  const m = exp.muestreos?.[exp.muestreoVigente];
+  return m ? { id: exp.muestreoVigente, ...m } : null;
+}
+
+export function siguienteIdMuestreo(muestreos = {}) {
+  return `m${Object.keys(muestreos).reduce((max, id) => Math.max(max, numeroId(id)), 0) + 1}`;
+}
+
+export function nombreMuestreo(m) {
+  return [m.fecha || "sin fecha", m.laboratorio || "laboratorio s/d", m.protocolo && `prot. ${m.protocolo}`].filter(Boolean).join(" · ");
+}
+
+// Días de `desde` a `hasta` (fechas ISO); negativo si `hasta` es anterior
+export function diasEntre(desde, hasta) {
+  return Math.round((Date.parse(`${hasta}T00:00:00Z`) - Date.parse(`${desde}T00:00:00Z`)) / 86400000);
+}
+
+// Controla el muestreo vigente: que exista y que su antigüedad a la fecha de revisión no supere `diasMax`.
+// Devuelve { dias, observaciones: [{ texto, bloquea }] } (dias = null si no hay fechas para comparar).
+export function controlarMuestreo(muestreo, fechaRevision, diasMax) {
+  const observaciones = [];
+  if (!muestreo) {
+    observaciones.push({ texto: "No hay un muestreo marcado como vigente", bloquea: true });
+    return { dias: null, observaciones };
+  }
+  if (!muestreo.fecha) {
+    observaciones.push({ texto: "El muestreo vigente no tiene fecha de toma", bloquea: false });
+    return { dias: null, observaciones };
+  }
+  if (!fechaRevision) return { dias: null, observaciones };
+  const dias = diasEntre(muestreo.fecha, fechaRevision);
+  if (dias < 0) observaciones.push({ texto: `La toma (${muestreo.fecha}) es posterior a la fecha de revisión`, bloquea: false });
+  else if (diasMax != null && dias > diasMax) {
+    observaciones.push({ texto: `Análisis con ${dias} días de antigüedad a la revisión (máx. ${diasMax})`, bloquea: true });
+  }
+  return { dias, observaciones };
+}
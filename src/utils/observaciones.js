@@ -0,0 +1,82 @@
+import { PARAMETROS_ANALISIS } from "../data/parametros.js";
+import { leerRuta, seccionAprueba } from "./requisitos.js";
+import { textoResultado } from "./resultados.js";
+
+// ----- Observaciones detalladas del veredicto -----
+// Cada ítem es { seccion, severidad: "bloquea" | "observa", texto, ancla }; `ancla` es el id del campo en pantalla.
+
+export const SECCIONES_OBSERVACION = {
+  basicos: "Identificación",
+  tecnicos: "Datos técnicos",
+  docs: "Documentación",
+  analisis: "Análisis",
+  firmas: "Firmas",
+};
+
+export function anclaCampo(ruta) {
+  return `campo-${ruta}`;
+}
+
+// Rango de un límite del perfil: "6.5 – 8.5", "máx. 45", "mín. 0"
+export function textoRango(p) {
+  if (p.min != null && p.max != null) return `${p.min} – ${p.max}`;
+  if (p.max != null) return `máx. ${p.max}`;
+  return `mín. ${p.min}`;
+}
+
+// `ev` es el resultado de evaluarExpediente (ev.registro es null si no hay padrón cargado; los valores de
+// análisis son los del muestreo vigente, ev.muestreo)
+export function observacionesExpediente(exp, ev, veredicto) {
+  const obs = [];
+  const add = (seccion, bloquea, texto, ruta) =>
+    obs.push({ seccion, severidad: bloquea ? "bloquea" : "observa", texto, ancla: anclaCampo(ruta) });
+  const falla = (seccion, status) => !seccionAprueba(veredicto[seccion], status.color);
+
+  const basicosFalla = falla("basicos", ev.basicosStatus);
+  ev.req.basicos.faltantes.forEach((r) => add("basicos", basicosFalla, `Falta: ${r.etiqueta}`, r.ruta));
+  if (!ev.cuit.vacio && !ev.cuit.valido) add("basicos", basicosFalla, `CUIT/CUIL: ${ev.cuit.error}`, "basicos.cuit");
+  // El padrón bloquea solo cuando es lo único que falta en la sección; si no, queda como observación
+  const registroFalla = basicosFalla && ev.req.basicos.faltantes.length === 0 && (ev.cuit.vacio || ev.cuit.valido);
+  ev.registro?.observaciones.forEach((o) =>
+    add("basicos", o.bloquea && registroFalla, o.texto, o.bloquea ? "basicos.perforistaRegistro" : "basicos.perforista")
+  );
+
+  const tecnicosFalla = falla("tecnicos", ev.tecnicosStatus);
+  ev.req.tecnicos.faltantes.forEach((r) => add("tecnicos", tecnicosFalla, `Falta: ${r.etiqueta}`, r.ruta));
+  if (!ev.coords.vacio && !ev.coords.ok) add("tecnicos", tecnicosFalla, `Coordenadas: ${ev.coords.error}`, "tecnicos.coords_gms");
+  ev.ubicacion.observaciones.forEach((o) => add("tecnicos", o.bloquea && tecnicosFalla, o.texto, "tecnicos.coords_gms"));
+  ev.hidraulica.observaciones.forEach((o) => add("tecnicos", o.bloquea && tecnicosFalla, o.texto, `tecnicos.${o.campo}`));
+
+  const docsFalla = falla("docs", ev.docsStatus);
+  ev.req.docs.faltantes.forEach((r) => {
+    // Tildado pero sin archivo: el documento no cuenta hasta que se adjunta
+    const texto = leerRuta(exp, r.ruta) === true ? `Tildado sin archivo adjunto: ${r.etiqueta}` : `Sin adjuntar: ${r.etiqueta}`;
+    add("docs", docsFalla, texto, r.ruta);
+  });
+  ev.documentos.observaciones.forEach((o) => add("docs", o.bloquea && docsFalla, o.texto, o.ruta));
+
+  const analFalla = falla("analisis", ev.analStatus);
+  const analisis = ev.muestreo?.analisis ?? {};
+  ev.controlMuestreo.observaciones.forEach((o) => add("analisis", o.bloquea && analFalla, o.texto, "analisis"));
+  if (ev.muestreo && ev.anal.present === 0) add("analisis", analFalla, "Sin valores de análisis cargados", "analisis");
+  PARAMETROS_ANALISIS.filter(({ key }) => ev.anal.r[key] === false).forEach(({ key, label }) => {
+    const p = ev.anal.perfil.parametros[key];
+    const valor = textoResultado(analisis[key]);
+    add("analisis", analFalla, `${label}: ${valor} fuera de norma (${textoRango(p)}, ${ev.anal.perfil.nombre})`, `analisis.${key}`);
+  });
+  PARAMETROS_ANALISIS.filter(({ key }) => ev.anal.r[key] === "indeterminado").forEach(({ key, label }) => {
+    const p = ev.anal.perfil.parametros[key];
+    const motivo = ev.anal.motivos[key] ?? `${textoResultado(analisis[key])} no permite decidir frente a ${textoRango(p)}`;
+    add("analisis", analFalla, `${label}: indeterminado, ${motivo}`, `analisis.${key}`);
+  });
+  if (ev.anal.faltaMicrobiologia) add("analisis", veredicto.microbiologia, "Falta completar la microbiología exigida por el uso", "analisis");
+  ev.hq.motivos.forEach((m) => add("analisis", veredicto.recheckLaboratorio, `Re-chequeo de laboratorio: ${m}`, "analisis"));
+
+  const firmasFalla = falla("firmas", ev.firmasStatus);
+  ev.req.firmas.faltantes.forEach((r) => add("firmas", firmasFalla, `Falta: ${r.etiqueta}`, r.ruta));
+
+  // Los visados bloquean cualquiera sea la exigencia de la sección
+  ev.visados.observaciones.forEach((o) => add(o.seccion, true, `Visado: ${o.texto}`, `visados.${o.seccion}`));
+
+  return obs;
+}
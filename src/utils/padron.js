@@ -0,0 +1,134 @@
+import { fechaISO, parsearCsv } from "./csv.js";
+import { formatearCuit } from "./cuit.js";
+
+// ----- Padrón de perforistas -----
+// Registro { registro, razonSocial, cuit, estado: activo | suspendido | baja, desde, hasta } (fechas ISO;
+// hasta vacío = sin vencimiento). Se valida el N° de registro del legajo a la fecha de revisión.
+
+export const ESTADOS_PADRON = ["activo", "suspendido", "baja"];
+
+// Similitud mínima de nombres para considerar que el perforista declarado es el del padrón
+export const SIMILITUD_NOMBRE_MIN = 0.6;
+
+// Cabeceras aceptadas por columna (normalizadas sin acentos ni signos)
+const COLUMNAS = {
+  registro: ["registro", "n registro", "nro registro", "numero de registro", "matricula", "n"],
+  razonSocial: ["razon social", "nombre", "perforista", "apellido y nombre", "titular"],
+  cuit: ["cuit", "cuil", "cuit cuil"],
+  estado: ["estado", "situacion"],
+  desde: ["vigencia desde", "desde", "alta", "fecha alta", "inicio"],
+  hasta: ["vigencia hasta", "hasta", "vencimiento", "vence", "fecha vencimiento"],
+};
+
+function normalizar(s) {
+  return String(s ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Forma societaria y conectores no cuentan para comparar nombres
+const RUIDO_NOMBRE = new Set(["s", "a", "sa", "srl", "sas", "sh", "r", "l", "y", "e", "de", "del", "la", "cia", "hnos", "hermanos"]);
+
+function nombreComparable(s) {
+  return normalizar(s)
+    .split(" ")
+    .filter((t) => t && !RUIDO_NOMBRE.has(t))
+    .sort()
+    .join(" ");
+}
+
+function bigramas(s) {
+  const out = [];
+  for (let i = 0; i < s.length - 1; i++) out.push(s.slice(i, i + 2));
+  return out;
+}
+
+// Coeficiente de Dice sobre bigramas, con las palabras ordenadas (tolera "Pérez Juan" vs "Juan Perez S.R.L.")
+export function similitudNombre(a, b) {
+  const x = nombreComparable(a);
+  const y = nombreComparable(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  const bx = bigramas(x);
+  const by = bigramas(y);
+  const resto = [...by];
+  let comunes = 0;
+  bx.forEach((g) => {
+    const i = resto.indexOf(g);
+    if (i >= 0) {
+      comunes++;
+      resto.splice(i, 1);
+    }
+  });
+  return (2 * comunes) / (bx.length + by.length);
+}
+
+// Lee el CSV del padrón. Devuelve { registros, errores: [{ fila, texto }] }; las filas con error se omiten.
+export function leerPadronCsv(texto) {
+  const [cabecera = [], ...filas] = parsearCsv(texto);
+  const errores = [];
+  const indice = {};
+  cabecera.forEach((h, i) => {
+    const n = normalizar(h);
+    const col = Object.keys(COLUMNAS).find((k) => COLUMNAS[k].includes(n));
+    if (col && !(col in indice)) indice[col] = i;
+  });
+  if (!("registro" in indice)) {
+    return { registros: [], errores: [{ fila: 1, texto: "Falta la columna de N° de registro" }] };
+  }
+
+  const registros = [];
+  const vistos = new Set();
+  filas.forEach((f, i) => {
+    const fila = i + 2;
+    const celda = (col) => (col in indice ? f[indice[col]] ?? "" : "");
+    const registro = celda("registro");
+    const estado = normalizar(celda("estado")) || "activo";
+    const desde = celda("desde") ? fechaISO(celda("desde")) : "";
+    const hasta = celda("hasta") ? fechaISO(celda("hasta")) : "";
+    const problema = !registro
+      ? "sin N° de registro"
+      : !/\d/.test(registro)
+      ? `"${registro}" no es un N° de registro`
+      : vistos.has(registro)
+      ? `registro ${registro} repetido`
+      : !ESTADOS_PADRON.includes(estado)
+      ? `estado "${celda("estado")}" desconocido (activo / suspendido / baja)`
+      : desde === null || hasta === null
+      ? "fecha de vigencia ilegible"
+      : null;
+    if (problema) {
+      errores.push({ fila, texto: problema });
+      return;
+    }
+    vistos.add(registro);
+    const cuit = celda("cuit");
+    registros.push({ registro, razonSocial: celda("razonSocial"), cuit: formatearCuit(cuit) ?? cuit, estado, desde, hasta });
+  });
+  return { registros, errores };
+}
+
+// Valida N° de registro y nombre del perforista contra el padrón a la fecha de revisión.
+// Devuelve { encontrado, vigente, similitud, observaciones: [{ texto, bloquea }] }.
+export function validarRegistroPerforista(registros, basicos, fecha) {
+  const nro = String(basicos.perforistaRegistro ?? "").trim();
+  const observaciones = [];
+  const r = registros.find((x) => x.registro === nro);
+  if (!r) {
+    observaciones.push({ texto: `N° de registro ${nro || "(vacío)"} no figura en el padrón`, bloquea: true });
+    return { encontrado: null, vigente: false, similitud: null, observaciones };
+  }
+  if (r.estado !== "activo") observaciones.push({ texto: `Registro ${nro} en estado ${r.estado} en el padrón`, bloquea: true });
+  if (fecha && r.desde && fecha < r.desde) observaciones.push({ texto: `Registro ${nro} vigente recién desde ${r.desde}`, bloquea: true });
+  if (fecha && r.hasta && fecha > r.hasta) observaciones.push({ texto: `Registro ${nro} vencido el ${r.hasta}`, bloquea: true });
+  const vigente = observaciones.length === 0;
+
+  const similitud = basicos.perforista && r.razonSocial ? similitudNombre(basicos.perforista, r.razonSocial) : null;
+  if (similitud != null && similitud < SIMILITUD_NOMBRE_MIN) {
+    observaciones.push({ texto: `El registro ${nro} corresponde a "${r.razonSocial}", no a "${basicos.perforista}"`, bloquea: false });
+  }
+  return { encontrado: r, vigente, similitud, observaciones };
+}
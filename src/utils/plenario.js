@@ -0,0 +1,102 @@
+import { escribirCsv } from "./csv.js";
+import { escaparHtml, ESTILOS_IMPRESION, membreteHtml } from "./dictamen.js";
+import { fmtMoney } from "./tarifas.js";
+
+// ----- Orden del día del Plenario -----
+// Una sesión es { numero, fecha }; sus legajos son los que tienen meta.sesionPlenario = numero, ordenados por
+// meta.ordenDia. Las filas del orden del día las arma la pantalla con la evaluación de cada legajo:
+// { id, propietario, cuit, departamento, localidad, caudalAnual, cat, monto, aprobado }.
+
+// [{ id, e }] de la sesión `numero`, en el orden del día
+export function ordenDelDia(expedientes, numero) {
+  return Object.entries(expedientes)
+    .filter(([, e]) => numero && e.meta.sesionPlenario === numero)
+    .map(([id, e]) => ({ id, e }))
+    .sort((a, b) => (a.e.meta.ordenDia ?? Infinity) - (b.e.meta.ordenDia ?? Infinity) || a.id.localeCompare(b.id, "es", { numeric: true }));
+}
+
+// Cantidad y monto de tasa por categoría (I, II… en orden) y el total de la sesión
+export function totalesPorCategoria(filas) {
+  const porCat = {};
+  filas.forEach(({ cat, monto }) => {
+    const t = porCat[cat] || (porCat[cat] = { cat, cantidad: 0, monto: 0 });
+    t.cantidad++;
+    t.monto += monto || 0;
+  });
+  return {
+    categorias: Object.values(porCat).sort((a, b) => a.cat.localeCompare(b.cat, "es")),
+    cantidad: filas.length,
+    monto: filas.reduce((acc, f) => acc + (f.monto || 0), 0),
+  };
+}
+
+const CABECERA_CSV = [
+  "sesion",
+  "fecha",
+  "orden",
+  "expediente",
+  "titular",
+  "cuit",
+  "departamento",
+  "localidad",
+  "volumen_anual_m3",
+  "categoria",
+  "tasa_anual",
+];
+
+export function ordenDelDiaCsv(sesion, filas) {
+  return escribirCsv([
+    CABECERA_CSV,
+    ...filas.map((f, i) => [
+      sesion.numero,
+      sesion.fecha,
+      i + 1,
+      f.id,
+      f.propietario,
+      f.cuit,
+      f.departamento,
+      f.localidad,
+      f.caudalAnual,
+      f.cat,
+      f.monto,
+    ]),
+  ]);
+}
+
+export function generarOrdenDelDiaHtml(sesion, filas, generado = new Date()) {
+  const totales = totalesPorCategoria(filas);
+  const items = filas
+    .map(
+      (f, i) => `<tr><td>${i + 1}</td><td>${escaparHtml(f.id)}</td><td>${escaparHtml(f.propietario || "—")}</td>
+        <td>${escaparHtml([f.departamento, f.localidad].filter(Boolean).join(" / ") || "—")}</td>
+        <td>${escaparHtml(f.cat)}</td><td>${escaparHtml(fmtMoney(f.monto))}</td></tr>`
+    )
+    .join("");
+  const resumen = totales.categorias
+    .map((t) => `<tr><td>${escaparHtml(t.cat)}</td><td>${t.cantidad}</td><td>${escaparHtml(fmtMoney(t.monto))}</td></tr>`)
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>${escaparHtml(`Orden del día · Sesión ${sesion.numero}`)}</title>
+<style>${ESTILOS_IMPRESION}</style>
+</head>
+<body>
+${membreteHtml("Plenario")}
+
+<h2>Orden del día · Sesión N° ${escaparHtml(sesion.numero)}${sesion.fecha ? ` del ${escaparHtml(sesion.fecha)}` : ""}</h2>
+<p>Expedientes con dictamen pre-Plenario aprobado que se elevan a tratamiento:</p>
+<table><tr><th>N°</th><th>Expediente</th><th>Titular</th><th>Departamento / Localidad</th><th>Categoría</th><th>Tasa anual</th></tr>
+${items || '<tr><td colspan="6">Sin expedientes.</td></tr>'}</table>
+
+<h2>Tasas por categoría</h2>
+<table><tr><th>Categoría</th><th>Expedientes</th><th>Monto anual</th></tr>${resumen}
+<tr><th>Total</th><th>${totales.cantidad}</th><th>${escaparHtml(fmtMoney(totales.monto))}</th></tr></table>
+
+<footer>Generado el ${escaparHtml(generado.toLocaleString("es-AR"))} (${generado.toISOString()})</footer>
+</body>
+</html>
+`;
+}
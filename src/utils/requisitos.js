@@ -0,0 +1,92 @@
+// ----- Motor de requisitos del checklist -----
+// Cada requisito es { ruta, etiqueta, cuando }; `cuando` = { ruta, op, valor } y ruta vacía = siempre.
+// El contexto de evaluación es el expediente más `calculado` (categoría de tasa, tipo de persona...).
+
+export const OPERADORES = [
+  { key: "eq", label: "es igual a" },
+  { key: "ne", label: "es distinto de" },
+  { key: "gt", label: "es mayor que" },
+  { key: "lt", label: "es menor que" },
+  { key: "en", label: "es uno de (separados por coma)" },
+  { key: "vacio", label: "está vacío" },
+  { key: "no_vacio", label: "tiene dato" },
+];
+
+// Exigencia de cada sección en la fórmula del veredicto
+export const EXIGENCIAS = [
+  { key: "verde", label: "Completa (verde)" },
+  { key: "no_rojo", label: "Al menos parcial (no roja)" },
+  { key: "ignorar", label: "No interviene" },
+];
+
+export function leerRuta(obj, ruta) {
+  return String(ruta || "")
+    .split(".")
+    .filter(Boolean)
+    .reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+// Copia de `obj` con `ruta` reemplazada por `valor` (crea los objetos intermedios que falten)
+export function escribirRuta(obj, ruta, valor) {
+  const [k, ...resto] = ruta.split(".");
+  if (resto.length === 0) return { ...obj, [k]: valor };
+  return { ...obj, [k]: escribirRuta(obj?.[k] ?? {}, resto.join("."), valor) };
+}
+
+function vacio(x) {
+  return x === null || x === undefined || x === false || String(x).trim() === "";
+}
+
+// Los valores de la condición se cargan como texto: "false", "3", "riego"
+function igual(actual, esperado) {
+  if (typeof actual === "boolean") return String(actual) === String(esperado).trim().toLowerCase();
+  const a = Number(actual);
+  const e = Number(esperado);
+  if (!vacio(actual) && String(esperado).trim() !== "" && isFinite(a) && isFinite(e)) return a === e;
+  return String(actual ?? "").trim().toLowerCase() === String(esperado ?? "").trim().toLowerCase();
+}
+
+export function cumpleCondicion(cuando, ctx) {
+  if (!cuando || !cuando.ruta) return true;
+  const v = leerRuta(ctx, cuando.ruta);
+  switch (cuando.op) {
+    case "eq":
+      return igual(v, cuando.valor);
+    case "ne":
+      return !igual(v, cuando.valor);
+    case "gt":
+      return !vacio(v) && Number(v) > Number(cuando.valor);
+    case "lt":
+      return !vacio(v) && Number(v) < Number(cuando.valor);
+    case "en":
+      return String(cuando.valor)
+        .split(",")
+        .some((x) => x.trim() !== "" && igual(v, x));
+    case "vacio":
+      return vacio(v);
+    case "no_vacio":
+      return !vacio(v);
+    default:
+      return true;
+  }
+}
+
+// Requisitos que aplican al expediente y cuáles de ellos faltan (booleanos: deben estar tildados)
+export function evaluarRequisitos(lista, ctx) {
+  const aplicables = lista.filter((r) => cumpleCondicion(r.cuando, ctx));
+  const faltantes = aplicables.filter((r) => vacio(leerRuta(ctx, r.ruta)));
+  return { aplicables, faltantes };
+}
+
+export function seccionAprueba(exigencia, color) {
+  if (exigencia === "ignorar") return true;
+  if (exigencia === "no_rojo") return color !== "red";
+  return color === "green" || color === "gray"; // gris = sección sin requisitos aplicables
+}
+
+export function describirCondicion(cuando, etiquetas = {}) {
+  if (!cuando || !cuando.ruta) return "siempre";
+  const op = OPERADORES.find((o) => o.key === cuando.op)?.label ?? cuando.op;
+  const campo = etiquetas[cuando.ruta] ?? cuando.ruta;
+  return ["vacio", "no_vacio"].includes(cuando.op) ? `si ${campo} ${op}` : `si ${campo} ${op} ${cuando.valor}`;
+}
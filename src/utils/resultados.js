@@ -0,0 +1,193 @@
+import { PARAMETROS_ANALISIS, PARAMETROS_MICRO, UNIDADES } from "../data/parametros.js";
+
+// ----- Resultados de laboratorio -----
+// Cada parámetro del análisis de un muestreo es { texto, unidad, ld }: `texto` tal como figura en el informe ("<0,005",
+// "ND", "ausencia en 100 mL", "12 µg/L"), `unidad` la del informe cuando el texto no la trae ("" = la del
+// límite) y `ld` el límite de detección, en la misma unidad que el resultado. Calificador y valor se leen
+// del texto, que es la única fuente.
+
+export function medicion(texto = "", unidad = "", ld = "") {
+  return { texto, unidad, ld };
+}
+
+export function withinRange(value, min, max) {
+  if (value === null || value === undefined || String(value).trim() === "") return null; // sin dato
+  const v = Number(value);
+  if (!isFinite(v)) return null;
+  if (min != null && v < min) return false;
+  if (max != null && v > max) return false;
+  return true; // OK
+}
+
+// "1.200" puede ser mil doscientos (punto de miles) o uno coma dos: un solo punto seguido de exactamente tres
+// cifras, con parte entera que no es cero, no se adivina ("0.005" sí es decimal)
+const AMBIGUO = /^-?[1-9]\d{0,2}\.\d{3}$/;
+
+export function numeroAmbiguo(txt) {
+  return AMBIGUO.test(String(txt ?? "").trim().replace(/\s+/g, ""));
+}
+
+// Número de planilla: acepta coma decimal ("7,1") y separador de miles ("1.200,5" / "1,200.5").
+// Devuelve el texto normalizado ("7.1") o null si no es un número o es ambiguo (ver numeroAmbiguo).
+export function numeroLaboratorio(txt) {
+  let t = String(txt ?? "").trim().replace(/\s+/g, "");
+  if (!t || AMBIGUO.test(t)) return null;
+  const coma = t.lastIndexOf(",");
+  const punto = t.lastIndexOf(".");
+  if (coma >= 0 && punto >= 0) {
+    t = coma > punto ? t.replace(/\./g, "").replace(",", ".") : t.replace(/,/g, "");
+  } else if (coma >= 0) {
+    if (t.indexOf(",") !== coma) return null;
+    t = t.replace(",", ".");
+  }
+  if (!/^-?(\d+\.?\d*|\.\d+)$/.test(t)) return null;
+  return String(Number(t));
+}
+
+function claveUnidad(s) {
+  return String(s ?? "")
+    .toLowerCase()
+    .replace(/[µμ]/g, "u")
+    .replace(/º/g, "°")
+    .replace(/\s+/g, "");
+}
+
+// Unidad de UNIDADES que corresponde al texto ("ug/L", "ppb", "μS/cm"…); null si no se reconoce
+export function unidadDe(txt) {
+  const c = claveUnidad(txt);
+  if (!c) return null;
+  return UNIDADES.find((u) => claveUnidad(u.key) === c || u.alias.includes(c))?.key ?? null;
+}
+
+// Convierte entre unidades de la misma magnitud; null si no son convertibles
+export function convertir(valor, de, a) {
+  if (de === a) return valor;
+  const u = UNIDADES.find((x) => x.key === de);
+  const v = UNIDADES.find((x) => x.key === a);
+  if (!u || !v || u.magnitud !== v.magnitud) return null;
+  return (valor * u.factor) / v.factor;
+}
+
+// Unidad de los límites del parámetro ("" = sin unidad)
+function unidadLimite(key) {
+  return PARAMETROS_ANALISIS.find((p) => p.key === key)?.unidad ?? "";
+}
+
+// Unidades en que puede informarse un parámetro (las convertibles a la del límite)
+export function unidadesPara(key) {
+  const ref = UNIDADES.find((u) => u.key === unidadLimite(key));
+  return ref ? UNIDADES.filter((u) => u.magnitud === ref.magnitud).map((u) => u.key) : [];
+}
+
+const NO_DETECTADO = /^(nd|n\/d|no detectable|no detectado|no se detecta|<\s*ld|<\s*lc)\b/;
+
+// Lee el texto del informe. Devuelve { calificador: "" | "<" | ">" | "ND" | "ausencia" | "presencia",
+// valor (número o null), unidad (la escrita en el texto o null), error }.
+export function leerResultado(texto) {
+  const t = String(texto ?? "").trim();
+  const vacio = { calificador: "", valor: null, unidad: null, error: null };
+  if (!t) return vacio;
+  const n = t
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\./g, (m, i, s) => (/\d/.test(s[i - 1] ?? "") && /\d/.test(s[i + 1] ?? "") ? m : ""));
+  if (NO_DETECTADO.test(n)) return { ...vacio, calificador: "ND" };
+  if (/^ausencia\b/.test(n)) return { ...vacio, calificador: "ausencia" };
+  if (/^presencia\b/.test(n)) return { ...vacio, calificador: "presencia" };
+
+  const m = t.match(/^(<=?|>=?|≤|≥)?\s*([-+]?[\d.,]+)\s*(.*)$/);
+  const valor = m ? numeroLaboratorio(m[2].replace(/^\+/, "")) : null;
+  if (m && numeroAmbiguo(m[2].replace(/^\+/, ""))) {
+    const [entero, decimales] = m[2].replace(/^\+/, "").split(".");
+    return { ...vacio, error: `"${m[2]}" es ambiguo: escribí ${entero}${decimales} (miles) o ${entero},${decimales} (decimales)` };
+  }
+  if (valor == null) return { ...vacio, error: `"${t}" no es un resultado reconocible` };
+  const calificador = !m[1] ? "" : /[<≤]/.test(m[1]) ? "<" : ">";
+  const resto = m[3].replace(/\b(como\s+)?caco3\b/i, "").trim();
+  const unidad = resto ? unidadDe(resto) : null;
+  if (resto && !unidad) return { calificador, valor: Number(valor), unidad: null, error: `unidad "${resto}" desconocida` };
+  return { calificador, valor: Number(valor), unidad, error: null };
+}
+
+// Texto para mostrar: el del informe, con la unidad elegida si el texto no la trae
+export function textoResultado(med) {
+  const texto = med?.texto ?? "";
+  if (!texto || !med.unidad || leerResultado(texto).unidad) return texto;
+  return `${texto} ${med.unidad}`;
+}
+
+function esMicrobiologico(key) {
+  return PARAMETROS_MICRO.some((p) => p.key === key);
+}
+
+// Intervalo de valores posibles en la unidad del límite: { lo, hi, loAbierto, hiAbierto } o { error }
+function intervalo(med, key) {
+  const r = leerResultado(med?.texto);
+  if (r.error) return { error: r.error };
+  if (!r.calificador && r.valor == null) return null;
+  const ref = unidadLimite(key);
+  const unidad = r.unidad ?? (med.unidad || ref);
+  if (convertir(1, unidad, ref) == null) return { error: `${unidad} no se convierte a ${ref || "un valor sin unidad"}` };
+  const valor = r.valor == null ? null : convertir(r.valor, unidad, ref);
+  const ldTxt = numeroLaboratorio(med.ld);
+  const ld = ldTxt == null ? null : convertir(Number(ldTxt), unidad, ref);
+
+  switch (r.calificador) {
+    case "<":
+      return { lo: 0, hi: valor, loAbierto: false, hiAbierto: true };
+    case ">":
+      return { lo: valor, hi: Infinity, loAbierto: true, hiAbierto: false };
+    case "ausencia":
+      return { lo: 0, hi: 0 };
+    case "presencia":
+      return { lo: 0, hi: Infinity, loAbierto: true };
+    case "ND":
+      if (ld != null) return { lo: 0, hi: ld, loAbierto: false, hiAbierto: true };
+      // En microbiología "no detectado" es ausencia; en química hace falta el límite de detección
+      return esMicrobiologico(key) ? { lo: 0, hi: 0 } : { error: "ND sin límite de detección" };
+    default:
+      return { lo: valor, hi: valor };
+  }
+}
+
+// Lectura en la unidad del límite cuando no es la escrita ("< 0.005 mg/L" para "<5 µg/L"); null si coincide
+export function lecturaResultado(med, key) {
+  const iv = intervalo(med, key);
+  if (!iv || iv.error) return null;
+  const r = leerResultado(med.texto);
+  const ref = unidadLimite(key);
+  const u = ref ? ` ${ref}` : "";
+  const n = (x) => Number(x.toPrecision(6));
+  if (r.calificador === "ND") return iv.hi === 0 ? "No detectado: se toma como ausencia" : `No detectado: < ${n(iv.hi)}${u}`;
+  if ((r.unidad ?? (med.unidad || ref)) === ref) return null;
+  if (r.calificador === "<") return `< ${n(iv.hi)}${u}`;
+  if (r.calificador === ">") return `> ${n(iv.lo)}${u}`;
+  return `${n(iv.lo)}${u}`;
+}
+
+// Compara el resultado con el rango { min, max } del perfil. `estado`: true (cumple), false (no cumple),
+// null (sin dato) o "indeterminado" (el valor censurado o ilegible no permite decidir); `motivo` explica
+// los indeterminados que no dependen del rango.
+export function evaluarResultado(med, key, { min, max }) {
+  const iv = intervalo(med, key);
+  if (iv === null) return { estado: null, motivo: null };
+  if (iv.error) return { estado: "indeterminado", motivo: iv.error };
+  if (iv.lo === iv.hi) return { estado: withinRange(iv.lo, min, max), motivo: null };
+  const bajo = min != null && (iv.hi < min || (iv.hiAbierto && iv.hi <= min));
+  const alto = max != null && (iv.lo > max || (iv.loAbierto && iv.lo >= max));
+  if (bajo || alto) return { estado: false, motivo: null };
+  const dentro = (min == null || iv.lo >= min) && (max == null || iv.hi <= max);
+  return { estado: dentro ? true : "indeterminado", motivo: null };
+}
+
+// Valores exactos en la unidad del límite ({ [key]: número | null }); los censurados quedan en null.
+// Es lo que usan los indicadores hidroquímicos.
+export function valoresExactos(analisis) {
+  return Object.fromEntries(
+    PARAMETROS_ANALISIS.map(({ key }) => {
+      const iv = intervalo(analisis?.[key], key);
+      return [key, iv && !iv.error && iv.lo === iv.hi ? iv.lo : null];
+    })
+  );
+}
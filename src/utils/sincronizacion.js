@@ -0,0 +1,83 @@
+import { escribirRuta, leerRuta } from "./requisitos.js";
+import { estaCongelado } from "./tramite.js";
+
+// ----- Fusión de versiones para la sincronización -----
+// Cuando dos equipos editan el mismo documento se fusiona campo por campo contra la última versión que ambos
+// conocían (`base`): lo que cambió de un solo lado se toma de ese lado y solo es conflicto el campo que los dos
+// cambiaron a valores distintos. Las listas se comparan enteras, salvo los registros (historial y pases del
+// trámite), que solo crecen y se unen.
+
+const REGISTROS = ["historial", "tramite"];
+// En un legajo, lo que decide el circuito: estado, pases y visados
+const FLUJO = ["meta.estado", "tramite", "visados"];
+
+function esObjeto(x) {
+  return x !== null && typeof x === "object" && !Array.isArray(x);
+}
+
+function iguales(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Entradas de las dos listas sin repetir, por fecha (las del mismo instante conservan su orden)
+function unirRegistros(local = [], remoto = []) {
+  const vistos = new Set(remoto.map((r) => JSON.stringify(r)));
+  const unidas = [...remoto, ...local.filter((r) => !vistos.has(JSON.stringify(r)))];
+  return unidas.map((r, i) => [r, i]).sort(([a, i], [b, j]) => String(a.ts).localeCompare(String(b.ts)) || i - j).map(([r]) => r);
+}
+
+function esFlujo(ruta) {
+  return FLUJO.some((f) => ruta === f || ruta.startsWith(`${f}.`));
+}
+
+// `estricto`: todo dato que difiera entre los dos lados es conflicto, aunque lo haya cambiado uno solo (el
+// circuito y los registros se fusionan igual)
+function fusionar(base, local, remoto, ruta, estricto) {
+  if (iguales(local, remoto)) return { valor: local, conflictos: [] };
+  const datoEstricto = estricto && !esFlujo(ruta) && !REGISTROS.includes(ruta);
+  if (!datoEstricto && iguales(local, base)) return { valor: remoto, conflictos: [] };
+  if (!datoEstricto && iguales(remoto, base)) return { valor: local, conflictos: [] };
+  if (REGISTROS.includes(ruta) && Array.isArray(local) && Array.isArray(remoto)) {
+    return { valor: unirRegistros(local, remoto), conflictos: [] };
+  }
+  if (!esObjeto(local) || !esObjeto(remoto)) return { valor: local, conflictos: [{ ruta, local, remoto }] };
+
+  const valor = {};
+  const conflictos = [];
+  const claves = [...new Set([...Object.keys(local), ...Object.keys(remoto)])];
+  claves.forEach((k) => {
+    const r = fusionar(esObjeto(base) ? base[k] : undefined, local[k], remoto[k], ruta ? `${ruta}.${k}` : k, estricto);
+    if (r.valor !== undefined) valor[k] = r.valor;
+    conflictos.push(...r.conflictos);
+  });
+  return { valor, conflictos };
+}
+
+// Devuelve { valor, conflictos: [{ ruta, local, remoto }] }; en los conflictos `valor` conserva lo local hasta que
+// se resuelvan (resolverConflictos). Un campo ausente de un lado vale undefined.
+export function fusionarVersiones(base, local, remoto) {
+  return fusionar(base, local, remoto, "", false);
+}
+
+// Como fusionarVersiones, pero si un lado cambió el estado, los pases o los visados, o alguno está congelado, los
+// datos que cambiaron en paralelo no se combinan solos: un pase a "apto" o un visado valen por lo que vio quien
+// los hizo, no por lo que se editó mientras tanto en otro equipo.
+export function fusionarExpedientes(base, local, remoto) {
+  if (iguales(local, remoto) || iguales(local, base) || iguales(remoto, base)) return fusionarVersiones(base, local, remoto);
+  const cambioFlujo = (exp) => FLUJO.some((f) => !iguales(leerRuta(exp, f), base ? leerRuta(base, f) : undefined));
+  const estricto = cambioFlujo(local) || cambioFlujo(remoto) || estaCongelado(local) || estaCongelado(remoto);
+  return fusionar(base, local, remoto, "", estricto);
+}
+
+// Aplica la elección por campo ({ [ruta]: "local" | "remoto" }; sin elegir queda lo local)
+export function resolverConflictos(valor, conflictos, elecciones) {
+  return conflictos.reduce((acc, c) => (elecciones[c.ruta] === "remoto" ? escribirRuta(acc, c.ruta, c.remoto) : acc), valor);
+}
+
+// Valor de un campo en conflicto para mostrarlo
+export function textoConflicto(v) {
+  if (v === undefined) return "(sin el campo)";
+  if (v === null || v === "") return "—";
+  if (typeof v === "boolean") return v ? "Sí" : "No";
+  return typeof v === "object" ? JSON.stringify(v) : String(v);
+}
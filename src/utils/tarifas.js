@@ -0,0 +1,67 @@
+// ----- Cuadros tarifarios por año -----
+// Cada cuadro tiene referencia legal, vigencia [desde, hasta] (ISO; hasta vacío = sin vencimiento)
+// y bandas de volumen anual { cat, min, max, monto } con la última sin tope (max: null).
+
+export function hoyISO() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+export const fmtMoney = (n) =>
+  n?.toLocaleString("es-AR", { style: "currency", currency: "ARS", maximumFractionDigits: 0 }) || "—";
+
+export function cuadroVigente(tarifas, fecha = hoyISO()) {
+  const f = fecha || hoyISO();
+  const vigentes = tarifas.filter((t) => t.desde <= f && (!t.hasta || f <= t.hasta));
+  // Si se superponen, prevalece el de inicio más reciente
+  return vigentes.sort((a, b) => b.desde.localeCompare(a.desde))[0] || null;
+}
+
+// Huecos y superposiciones entre bandas min/max de un cuadro
+export function validarBandas(categorias) {
+  const avisos = [];
+  const orden = [...categorias].sort((a, b) => a.min - b.min);
+  orden.forEach((c, i) => {
+    if (c.max != null && c.max <= c.min) avisos.push(`Categoría ${c.cat}: "hasta" debe ser mayor que "desde"`);
+    const sig = orden[i + 1];
+    if (!sig) return;
+    if (c.max == null) avisos.push(`Categoría ${c.cat} no tiene tope pero le sigue ${sig.cat}`);
+    else if (sig.min > c.max) avisos.push(`Hueco entre ${c.cat} y ${sig.cat}: ${c.max} – ${sig.min} m³/año sin categoría`);
+    else if (sig.min < c.max) avisos.push(`Superposición entre ${c.cat} y ${sig.cat}: ${sig.min} – ${c.max} m³/año`);
+  });
+  if (orden.length && orden[0].min > 0) avisos.push(`Volúmenes menores a ${orden[0].min} m³/año sin categoría`);
+  if (orden.length && orden[orden.length - 1].max != null) avisos.push("La última categoría debería quedar sin tope");
+  return avisos;
+}
+
+// "2024-12-31" → "2025-01-01"
+function diaSiguiente(iso) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+// Superposiciones y huecos de vigencia entre cuadros (en un hueco no hay cuadro para liquidar la tasa)
+export function validarVigencias(tarifas) {
+  const avisos = [];
+  const orden = [...tarifas].sort((a, b) => a.desde.localeCompare(b.desde));
+  orden.forEach((t, i) => {
+    if (t.hasta && t.hasta < t.desde) avisos.push(`${t.nombre}: la vigencia termina antes de empezar`);
+    const sig = orden[i + 1];
+    if (!sig) return;
+    const entre = `${t.nombre} y ${sig.nombre}`;
+    if (!t.hasta || t.hasta >= sig.desde) avisos.push(`${entre} se superponen en su vigencia`);
+    else if (diaSiguiente(t.hasta) < sig.desde) avisos.push(`Hueco entre ${entre}: ${t.hasta} → ${sig.desde} sin cuadro vigente`);
+  });
+  return avisos;
+}
+
+// Nuevo cuadro a partir de otro, con los montos actualizados un porcentaje
+export function clonarCuadro(base, pct, desde, nombre) {
+  return {
+    nombre,
+    referencia: "",
+    desde,
+    hasta: "",
+    categorias: base.categorias.map((c) => ({ ...c, monto: Math.round(c.monto * (1 + pct / 100)) })),
+  };
+}
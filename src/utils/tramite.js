@@ -0,0 +1,62 @@
+// ----- Estados del trámite -----
+// exp.meta.estado sigue el circuito del legajo y exp.tramite registra cada pase { ts, usuario, desde, hacia, comentario }.
+// Desde "apto" el legajo queda congelado: para volver a editarlo hay que reabrirlo (pase a "en_revision") con motivo.
+
+export const ESTADOS_TRAMITE = [
+  { key: "borrador", label: "Borrador", color: "gray" },
+  { key: "en_revision", label: "En revisión", color: "blue" },
+  { key: "observado", label: "Observado", color: "yellow" },
+  { key: "apto", label: "Apto para Plenario", color: "green" },
+  { key: "elevado", label: "Elevado", color: "green" },
+  { key: "resuelto", label: "Resuelto", color: "gray" },
+];
+
+// Pases permitidos desde cada estado. El pase a "elevado" (y su vuelta a "apto") lo hacen las sesiones del Plenario.
+const TRANSICIONES = {
+  borrador: ["en_revision"],
+  en_revision: ["observado", "apto", "borrador"],
+  observado: ["en_revision"],
+  apto: ["en_revision"],
+  elevado: ["resuelto"],
+  resuelto: [],
+};
+
+const CONGELADOS = ["apto", "elevado", "resuelto"];
+
+export function etiquetaEstado(estado) {
+  return ESTADOS_TRAMITE.find((e) => e.key === estado)?.label ?? estado;
+}
+
+export function estaCongelado(exp) {
+  return CONGELADOS.includes(exp.meta.estado);
+}
+
+// Volver a revisión desde un estado congelado es reabrir el legajo
+export function esReapertura(desde, hacia) {
+  return CONGELADOS.includes(desde) && hacia === "en_revision";
+}
+
+// Motivo por el que no se puede pasar de `exp.meta.estado` a `hacia`, o null. `allGreen` es el veredicto actual;
+// `usuario` y `comentario` los del pase.
+export function validarTransicion(exp, hacia, { allGreen, usuario = "", comentario = "" }) {
+  const desde = exp.meta.estado;
+  if (!(TRANSICIONES[desde] || []).includes(hacia)) return `No se puede pasar de ${etiquetaEstado(desde)} a ${etiquetaEstado(hacia)}`;
+  if (!usuario.trim()) return "Indicá quién hace el pase";
+  if (hacia === "apto" && !allGreen) return "El veredicto no es APROBADO";
+  if (hacia === "observado" && allGreen) return "El veredicto es APROBADO: no hay observaciones que notificar";
+  if ((esReapertura(desde, hacia) || hacia === "observado") && !comentario.trim()) {
+    return esReapertura(desde, hacia) ? "Indicá el motivo de la reapertura" : "Indicá qué se observa";
+  }
+  return null;
+}
+
+// Pases posibles desde el estado actual: [{ hacia, motivo }] con motivo = null si está habilitado
+export function transicionesPosibles(exp, datos) {
+  return (TRANSICIONES[exp.meta.estado] || []).map((hacia) => ({ hacia, motivo: validarTransicion(exp, hacia, datos) }));
+}
+
+// Nuevo legajo con el estado cambiado y el pase registrado (sin validar: ver validarTransicion)
+export function aplicarTransicion(exp, hacia, { usuario = "", comentario = "", ts = new Date().toISOString() } = {}) {
+  const pase = { ts, usuario, desde: exp.meta.estado, hacia, comentario };
+  return { ...exp, meta: { ...exp.meta, estado: hacia }, tramite: [...(exp.tramite || []), pase] };
+}
@@ -0,0 +1,89 @@
+// ----- Visados por sección -----
+// exp.visados guarda por sección quién la revisó { nombre, rol, fecha }. La Dirección exige que el bloque
+// administrativo (identificación, documentación, firmas) y el técnico (datos técnicos, análisis) los vise gente
+// distinta, cada uno con su rol. Sin todos los visados el veredicto no es APROBADO.
+
+export const ROLES_VISADO = [
+  { key: "administrativo", label: "Revisor administrativo" },
+  { key: "tecnico", label: "Revisor técnico" },
+];
+
+// Rol que debe visar cada sección
+export const BLOQUE_SECCION = {
+  basicos: "administrativo",
+  tecnicos: "tecnico",
+  docs: "administrativo",
+  analisis: "tecnico",
+  firmas: "administrativo",
+};
+
+// Datos que cubre el visado de cada sección (el del análisis, todos los muestreos y cuál es el vigente)
+const DATOS_SECCION = {
+  basicos: (exp) => exp.basicos,
+  tecnicos: (exp) => exp.tecnicos,
+  docs: (exp) => exp.docs,
+  analisis: (exp) => [exp.muestreos, exp.muestreoVigente],
+  firmas: (exp) => exp.firmas,
+};
+
+export function etiquetaRol(rol) {
+  return ROLES_VISADO.find((r) => r.key === rol)?.label ?? rol;
+}
+
+export function estaVisada(visado) {
+  return !!visado?.nombre.trim();
+}
+
+// "Pérez,  Juan" y "perez juan" son la misma persona
+function normalizarPersona(nombre) {
+  return String(nombre ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Nombres (tal como se cargaron, sin repetir) de quienes visaron las secciones del bloque `rol`
+export function firmantesBloque(exp, rol) {
+  const nombres = Object.entries(BLOQUE_SECCION)
+    .filter(([seccion, bloque]) => bloque === rol && estaVisada(exp.visados?.[seccion]))
+    .map(([seccion]) => exp.visados[seccion].nombre.trim());
+  return nombres.filter((n, i) => nombres.findIndex((m) => normalizarPersona(m) === normalizarPersona(n)) === i);
+}
+
+// Devuelve { observaciones: [{ seccion, texto, bloquea }], completos } con completos = todas las secciones visadas
+// por el rol que corresponde y sin la misma persona en los dos bloques. Todas las observaciones bloquean.
+export function controlarVisados(exp) {
+  const observaciones = [];
+  const add = (seccion, texto) => observaciones.push({ seccion, texto, bloquea: true });
+  const administrativos = firmantesBloque(exp, "administrativo").map(normalizarPersona);
+
+  Object.entries(BLOQUE_SECCION).forEach(([seccion, rol]) => {
+    const v = exp.visados?.[seccion];
+    if (!estaVisada(v)) return add(seccion, `Sin visado del ${etiquetaRol(rol).toLowerCase()}`);
+    if (v.rol !== rol) {
+      add(seccion, `Visada como ${etiquetaRol(v.rol || "sin rol").toLowerCase()}: corresponde al ${etiquetaRol(rol).toLowerCase()}`);
+    }
+    if (!v.fecha) add(seccion, "Visado sin fecha");
+    if (rol === "tecnico" && administrativos.includes(normalizarPersona(v.nombre))) {
+      add(seccion, `${v.nombre.trim()} ya visó el bloque administrativo: el técnico lo visa otra persona`);
+    }
+  });
+  return { observaciones, completos: observaciones.length === 0 };
+}
+
+// Un visado vale por los datos que se revisaron: si `nuevo` cambia los datos de una sección visada sin tocar su
+// visado, el visado se borra y hay que volver a visarla. Sin visados vencidos devuelve `nuevo`.
+export function invalidarVisados(previo, nuevo) {
+  const mismo = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const vencidos = Object.keys(BLOQUE_SECCION).filter(
+    (s) =>
+      estaVisada(nuevo.visados?.[s]) &&
+      mismo(nuevo.visados[s], previo.visados?.[s]) &&
+      !mismo(DATOS_SECCION[s](nuevo), DATOS_SECCION[s](previo))
+  );
+  if (vencidos.length === 0) return nuevo;
+  const vacios = Object.fromEntries(vencidos.map((s) => [s, { nombre: "", rol: "", fecha: "" }]));
+  return { ...nuevo, visados: { ...nuevo.visados, ...vacios } };
+}
@@ -0,0 +1,89 @@
+// ----- ZIP sin compresión -----
+// Arma un .zip "stored" (método 0) en memoria: alcanza para empaquetar el legajo con sus anexos, que en su
+// mayoría son PDF e imágenes ya comprimidos. Nombres en UTF-8 (bit 11 de los flags).
+
+const TABLA_CRC = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+export function crc32(datos) {
+  let c = 0xffffffff;
+  for (let i = 0; i < datos.length; i++) c = TABLA_CRC[(c ^ datos[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Fecha y hora en formato MS-DOS (resolución de 2 segundos, hora local)
+function fechaDos(d) {
+  const hora = (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
+  const fecha = ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+  return { hora, fecha };
+}
+
+// `archivos`: [{ nombre, datos: Uint8Array | string }]. Devuelve los bytes del .zip.
+export function crearZip(archivos, fecha = new Date()) {
+  const utf8 = new TextEncoder();
+  const { hora, fecha: dia } = fechaDos(fecha);
+  const locales = [];
+  const centrales = [];
+  let offset = 0;
+
+  archivos.forEach(({ nombre, datos }) => {
+    const nombreBytes = utf8.encode(nombre);
+    const bytes = typeof datos === "string" ? utf8.encode(datos) : datos;
+    const crc = crc32(bytes);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // versión necesaria
+    local.setUint16(6, 0x0800, true); // nombre en UTF-8
+    local.setUint16(8, 0, true); // sin compresión
+    local.setUint16(10, hora, true);
+    local.setUint16(12, dia, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, bytes.length, true);
+    local.setUint32(22, bytes.length, true);
+    local.setUint16(26, nombreBytes.length, true);
+    local.setUint16(28, 0, true);
+    locales.push(new Uint8Array(local.buffer), nombreBytes, bytes);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true); // versión que lo creó
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, hora, true);
+    central.setUint16(14, dia, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, bytes.length, true);
+    central.setUint32(24, bytes.length, true);
+    central.setUint16(28, nombreBytes.length, true);
+    central.setUint32(42, offset, true);
+    centrales.push(new Uint8Array(central.buffer), nombreBytes);
+
+    offset += 30 + nombreBytes.length + bytes.length;
+  });
+
+  const tamCentral = centrales.reduce((acc, b) => acc + b.length, 0);
+  const fin = new DataView(new ArrayBuffer(22));
+  fin.setUint32(0, 0x06054b50, true);
+  fin.setUint16(8, archivos.length, true);
+  fin.setUint16(10, archivos.length, true);
+  fin.setUint32(12, tamCentral, true);
+  fin.setUint32(16, offset, true);
+
+  const partes = [...locales, ...centrales, new Uint8Array(fin.buffer)];
+  const out = new Uint8Array(partes.reduce((acc, b) => acc + b.length, 0));
+  let pos = 0;
+  partes.forEach((b) => {
+    out.set(b, pos);
+    pos += b.length;
+  });
+  return out;
+}